@@ -34,4 +34,48 @@ export function getContractAddresses() {
   };
 }
 
+// 1inch Limit Order Protocol v4 (Aggregation Router v6) deployments
+export const LIMIT_ORDER_PROTOCOL_V4 = {
+  default: '0x111111125421ca6dc452d289314280a0f8842a65',
+  324: '0x6fd4383cb451173d5f9304f041c7bcbf27d561ff' // zkSync Era
+};
+
+export function getLimitOrderProtocolAddress(chainId) {
+  return LIMIT_ORDER_PROTOCOL_V4[chainId] || LIMIT_ORDER_PROTOCOL_V4.default;
+}
+
+// Multicall3 exposes getCurrentBlockTimestamp(), which order predicates read
+// through arbitraryStaticCall (the v4 router has no timestamp helpers)
+export const MULTICALL3 = {
+  default: '0xca11bde05977b3631167028862be2a173976ca11',
+  324: '0xf9cda624fbc7e059355ce98a31693d299facd963' // zkSync Era
+};
+
+export function getMulticallAddress(chainId) {
+  return MULTICALL3[chainId] || MULTICALL3.default;
+}
+
+// Chainlink USD price feeds (8 decimals, read via latestAnswer()) keyed by
+// chain and lowercase token address
+export const PRICE_FEEDS = {
+  1: {
+    '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee': '0x5f4ec3df9cbd43714fe2740f5e3616155c5b8419', // ETH / USD
+    '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': '0x5f4ec3df9cbd43714fe2740f5e3616155c5b8419', // WETH -> ETH / USD
+    '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': '0xf4030086522a5beea4988f8ca5b36dbc97bee88c', // WBTC -> BTC / USD
+    '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': '0x8fffffd4afb6115b954bd326cbe7b4ba576818f6', // USDC / USD
+    '0xdac17f958d2ee523a2206206994597c13d831ec7': '0x3e7d1eab13ad0104d2750b8863b489d65364e32d', // USDT / USD
+    '0x6b175474e89094c44da98b954eedeac495271d0f': '0xaed0c38402a5d19df6e4c03f4e2dced6e29c1ee9' // DAI / USD
+  },
+  42161: {
+    '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee': '0x639fe6ab55c921f74e7fac1ee960c0b6293ba612', // ETH / USD
+    '0x82af49447d8a07e3bd95bd0d56f35241523fbab1': '0x639fe6ab55c921f74e7fac1ee960c0b6293ba612', // WETH -> ETH / USD
+    '0x912ce59144191c1204e64559fe8253a0e49e6548': '0xb2a824043730fe05f3da2efafa1cbbe83fa548d6', // ARB / USD
+    '0xaf88d065e77c8cc2239327c5edb3a432268e5831': '0x50834f3163758fcc1df9973b6e91f0f0f0434ad3' // USDC / USD
+  }
+};
+
+export function getPriceFeed(chainId, token) {
+  return PRICE_FEEDS[chainId]?.[token?.toLowerCase()] || null;
+}
+
 export default CONTRACTS;
\ No newline at end of file
@@ -3,6 +3,7 @@ import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
 import winston from 'winston';
+import { ethers } from 'ethers';
 
 // Import services
 import { OneInchService } from './services/oneInchService.js';
@@ -10,6 +11,21 @@ import { SuiService } from './services/suiService.js';
 import { ResolverBot } from './services/resolverBot.js';
 import { WebSocketService } from './services/websocketService.js';
 import { LimitOrderService } from './services/limitOrderService.js';
+import { PredicateSimulator } from './services/predicateSimulator.js';
+import { NonceManager } from './services/nonceManager.js';
+import { StrategyScheduler } from './services/strategyScheduler.js';
+import { Backtester } from './services/backtester.js';
+import { AnalyticsService } from './services/analyticsService.js';
+import { OrderBookService } from './services/orderBookService.js';
+import { DcaService } from './services/dcaService.js';
+import { RebalancerService } from './services/rebalancerService.js';
+import { StrategyDefinitionService } from './services/strategyDefinitionService.js';
+import { StrategyTemplateRegistry } from './services/strategyTemplateRegistry.js';
+import { MarketDataService } from './services/marketDataService.js';
+import { OneInchMultiNetworkService } from './services/oneInchMultiNetworkService.js';
+import { CrossChainSwapService } from './services/crossChainSwapService.js';
+import { SecretVault } from './services/secretVault.js';
+import { createStorage } from './storage/index.js';
 
 // Import routes
 import swapRoutes from './routes/swap.js';
@@ -21,6 +37,9 @@ import oneInchSwapRoutes from './routes/oneInchSwap.js';
 import limitOrderRoutes from './routes/limitOrders.js';
 import enhancedStrategiesRoutes from './routes/enhancedStrategies.js';
 import unifiedSwapRoutes from './routes/unifiedSwap.js';
+import dcaRoutes from './routes/dca.js';
+import rebalancerRoutes from './routes/rebalancer.js';
+import strategyDefinitionRoutes from './routes/strategyDefinitions.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -50,6 +69,19 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+// JSON-valued environment variable; a malformed value names the variable
+// instead of failing startup with a bare SyntaxError
+function parseJsonEnv(name) {
+  const value = process.env[name];
+  if (!value) return undefined;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
 class ManteiaServer {
   constructor() {
     this.app = express();
@@ -82,20 +114,123 @@ class ManteiaServer {
   async initializeServices() {
     this.logger.info('Initializing services...');
 
+    // Initialize persistent storage (SQLite by default)
+    this.services.storage = await createStorage({
+      driver: process.env.STORAGE_DRIVER || 'sqlite',
+      filename: process.env.SQLITE_PATH,
+      connectionString: process.env.DATABASE_URL,
+      logger: this.logger
+    });
+
+    // Encrypted HTLC secrets, released only once both escrows are verified
+    let vaultKey = process.env.SECRET_VAULT_MASTER_KEY;
+    if (!vaultKey) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('SECRET_VAULT_MASTER_KEY is required in production');
+      }
+      this.logger.warn('SECRET_VAULT_MASTER_KEY not set: using a temporary key, stored secrets will not survive a restart');
+      vaultKey = ethers.hexlify(ethers.randomBytes(32));
+    }
+    this.services.secretVault = new SecretVault({
+      storage: this.services.storage,
+      masterKey: vaultKey,
+      logger: this.logger
+    });
+    await this.services.secretVault.restore();
+
+    // EVM RPC endpoints for on-chain reads (escrows, maker epochs)
+    const evmRpcUrls = {
+      ...(process.env.ETH_RPC_URL && { 1: process.env.ETH_RPC_URL }),
+      ...parseJsonEnv('EVM_RPC_URLS')
+    };
+
     // Initialize 1inch service
     this.services.oneInch = new OneInchService({
       apiKey: process.env.ONEINCH_API_KEY,
       baseUrl: process.env.ONEINCH_API_BASE_URL || 'https://api.1inch.dev',
+      logger: this.logger,
+      orderSignerPrivateKey: process.env.LIMIT_ORDER_SIGNER_PRIVATE_KEY,
+      secretVault: this.services.secretVault,
+      rpcUrls: evmRpcUrls
+    });
+
+    // Predicate dry runs (eth_call against e.g. a Hardhat mainnet fork)
+    if (process.env.PREDICATE_SIMULATION_RPC_URL) {
+      this.services.predicateSimulator = new PredicateSimulator({
+        rpcUrl: process.env.PREDICATE_SIMULATION_RPC_URL,
+        logger: this.logger
+      });
+    }
+
+    // Initialize fill analytics
+    this.services.analytics = new AnalyticsService({
+      storage: this.services.storage,
+      oneInchService: this.services.oneInch,
       logger: this.logger
     });
+    await this.services.analytics.migrateFills();
+
+    // Rolling price samples for realized volatility
+    this.services.marketData = new MarketDataService({
+      priceService: new OneInchMultiNetworkService({
+        apiKey: process.env.ONEINCH_API_KEY,
+        logger: this.logger
+      }),
+      logger: this.logger,
+      pollInterval: parseInt(process.env.MARKET_DATA_POLL_INTERVAL) || 60000
+    });
+    this.services.marketData.start();
+
+    // Maker epochs for bulk cancellation of limit orders
+    this.services.nonceManager = new NonceManager({
+      storage: this.services.storage,
+      logger: this.logger,
+      rpcUrls: evmRpcUrls
+    });
+    await this.services.nonceManager.restoreNonces();
 
-    // Initialize enhanced limit order service
     this.services.limitOrder = new LimitOrderService({
       apiKey: process.env.ONEINCH_API_KEY,
       baseUrl: process.env.ONEINCH_API_BASE_URL || 'https://api.1inch.dev',
       logger: this.logger,
-      oneInchService: this.services.oneInch
+      oneInchService: this.services.oneInch,
+      storage: this.services.storage,
+      predicateSimulator: this.services.predicateSimulator,
+      analyticsService: this.services.analytics,
+      marketDataService: this.services.marketData,
+      nonceManager: this.services.nonceManager
     });
+    await this.services.limitOrder.restoreStrategies();
+
+    // Versioned strategy DSL definitions, deployed through the limit order service
+    this.services.strategyDefinitions = new StrategyDefinitionService({
+      limitOrderService: this.services.limitOrder,
+      storage: this.services.storage,
+      logger: this.logger
+    });
+    await this.services.strategyDefinitions.restoreDefinitions();
+
+    // Strategy templates: built-in JSON files plus saved user templates
+    this.services.strategyTemplates = new StrategyTemplateRegistry({
+      storage: this.services.storage,
+      logger: this.logger
+    });
+    await this.services.strategyTemplates.loadTemplates();
+
+    // Initialize strategy backtester
+    this.services.backtester = new Backtester({
+      logger: this.logger,
+      dataDir: process.env.BACKTEST_DATA_DIR
+    });
+
+    // Initialize cross-chain swap orchestrator (services themselves are initialized lazily)
+    this.services.crossChainSwap = new CrossChainSwapService({
+      oneInchApiKey: process.env.ONEINCH_API_KEY,
+      network: process.env.NODE_ENV === 'production' ? 'mainnet' : 'testnet',
+      logger: this.logger,
+      storage: this.services.storage
+    });
+    await this.services.crossChainSwap.restoreSwaps();
 
     // Initialize Sui service
     this.services.sui = new SuiService({
@@ -137,27 +272,97 @@ class ManteiaServer {
       this.logger.warn('Cross-chain SDK not initialized: missing RESOLVER_PRIVATE_KEY or ETH_RPC_URL');
     }
 
+    // Aggregated order book, refreshed for WebSocket subscribers
+    this.services.orderBook = new OrderBookService({
+      oneInchService: this.services.oneInch,
+      limitOrderService: this.services.limitOrder,
+      logger: this.logger
+    });
+
     // Initialize WebSocket service
     this.services.websocket = new WebSocketService({
       oneInchService: this.services.oneInch,
       suiService: this.services.sui,
+      orderBookService: this.services.orderBook,
       logger: this.logger
     });
 
+    // Fills seen by the WebSocket feed let strategies such as grids re-place orders immediately
+    this.services.websocket.on('order_filled', (data) => {
+      this.services.limitOrder.handleOrderFilled(data).catch(error => {
+        this.logger.error('Failed to handle order fill:', error);
+      });
+    });
+
     // Initialize Resolver Bot
     this.services.resolverBot = new ResolverBot({
       oneInchService: this.services.oneInch,
       suiService: this.services.sui,
       websocketService: this.services.websocket,
+      bridgeService: this.services.crossChainSwap.wormholeService,
+      secretVault: this.services.secretVault,
       logger: this.logger,
-      enabled: process.env.RESOLVER_BOT_ENABLED === 'true'
+      storage: this.services.storage,
+      enabled: process.env.RESOLVER_BOT_ENABLED === 'true',
+      profitability: {
+        ...(process.env.RESOLVER_FEE_BPS && { resolverFeeBps: parseInt(process.env.RESOLVER_FEE_BPS) }),
+        ...(process.env.RESOLVER_SUI_PRICE_REFERENCES && {
+          suiPriceReferences: parseJsonEnv('RESOLVER_SUI_PRICE_REFERENCES')
+        })
+      },
+      inventory: {
+        ...(process.env.RESOLVER_PRIVATE_KEY && {
+          evmAddress: new ethers.Wallet(process.env.RESOLVER_PRIVATE_KEY).address,
+          evmPrivateKey: process.env.RESOLVER_PRIVATE_KEY
+        }),
+        suiPrivateKey: process.env.SUI_PRIVATE_KEY,
+        ...(process.env.RESOLVER_INVENTORY_TOKENS && {
+          tokens: parseJsonEnv('RESOLVER_INVENTORY_TOKENS')
+        })
+      }
     });
+    this.services.resolverBot.on('inventory_alert', (data) => {
+      this.services.websocket?.broadcastInventoryAlert(data);
+    });
+    await this.services.resolverBot.restoreSwaps();
 
     // Start resolver bot if enabled
     if (process.env.RESOLVER_BOT_ENABLED === 'true') {
       await this.services.resolverBot.start();
     }
 
+    // Tick strategy monitors and push lifecycle changes to WebSocket clients
+    this.services.strategyScheduler = new StrategyScheduler({
+      limitOrderService: this.services.limitOrder,
+      logger: this.logger
+    });
+    this.services.strategyScheduler.on('strategy_state_changed', (data) => {
+      this.services.websocket?.broadcastStrategyStateChanged(data);
+    });
+    this.services.strategyScheduler.start();
+
+    // Recurring DCA plans (cron scheduled)
+    this.services.dca = new DcaService({
+      oneInchService: this.services.oneInch,
+      storage: this.services.storage,
+      logger: this.logger
+    });
+    this.services.dca.on('dca_execution', (data) => {
+      this.services.websocket?.broadcastDcaExecution(data);
+    });
+    await this.services.dca.restorePlans();
+
+    // Scheduled portfolio rebalancing
+    this.services.rebalancer = new RebalancerService({
+      oneInchService: this.services.oneInch,
+      storage: this.services.storage,
+      logger: this.logger
+    });
+    this.services.rebalancer.on('rebalance', (data) => {
+      this.services.websocket?.broadcastRebalance(data);
+    });
+    await this.services.rebalancer.restorePlans();
+
     this.logger.info('All services initialized');
   }
 
@@ -238,6 +443,15 @@ class ManteiaServer {
     // Unified cross-chain swap routes
     this.app.use('/api/unified-swap', unifiedSwapRoutes);
 
+    // Dollar-cost averaging plans
+    this.app.use('/api/dca', dcaRoutes);
+
+    // Portfolio rebalancing plans
+    this.app.use('/api/rebalancer', rebalancerRoutes);
+
+    // Versioned strategy definitions (DSL)
+    this.app.use('/api/strategy-definitions', strategyDefinitionRoutes);
+
     // Root endpoint
     this.app.get('/', (req, res) => {
       res.json({
@@ -253,7 +467,10 @@ class ManteiaServer {
           oneInchSwap: '/api/1inch',
           limitOrders: '/api/limit-orders',
           enhancedStrategies: '/api/enhanced-strategies',
-          unifiedSwap: '/api/unified-swap'
+          unifiedSwap: '/api/unified-swap',
+          dca: '/api/dca',
+          rebalancer: '/api/rebalancer',
+          strategyDefinitions: '/api/strategy-definitions'
         }
       });
     });
@@ -306,11 +523,41 @@ class ManteiaServer {
           await this.services.resolverBot.stop();
         }
 
+        // Stop strategy monitoring
+        if (this.services.strategyScheduler) {
+          this.services.strategyScheduler.stop();
+        }
+
+        // Stop DCA schedules
+        if (this.services.dca) {
+          this.services.dca.stop();
+        }
+
+        // Stop rebalance schedules
+        if (this.services.rebalancer) {
+          this.services.rebalancer.stop();
+        }
+
         // Close WebSocket connections
         if (this.services.websocket) {
           this.services.websocket.close();
         }
 
+        // Stop order book polling
+        if (this.services.orderBook) {
+          this.services.orderBook.stop();
+        }
+
+        // Stop price sampling
+        if (this.services.marketData) {
+          this.services.marketData.stop();
+        }
+
+        // Flush and close storage
+        if (this.services.storage) {
+          await this.services.storage.close();
+        }
+
         this.logger.info('Graceful shutdown completed');
         process.exit(0);
       } catch (error) {
@@ -7,9 +7,10 @@ const router = express.Router();
 // Initialize cross-chain swap service
 let crossChainSwapService;
 
-const initializeCrossChainService = async () => {
+const initializeCrossChainService = async (services = {}) => {
   if (!crossChainSwapService) {
-    crossChainSwapService = new CrossChainSwapService({
+    // Prefer the shared instance created at boot (it carries persisted swaps)
+    crossChainSwapService = services.crossChainSwap || new CrossChainSwapService({
       oneInchApiKey: process.env.ONEINCH_API_KEY,
       network: process.env.NODE_ENV === 'production' ? 'mainnet' : 'testnet',
       logger
@@ -30,7 +31,7 @@ const initializeCrossChainService = async () => {
 router.get('/test-1inch', async (req, res) => {
   try {
     logger.info('Testing 1inch API...');
-    const service = await initializeCrossChainService();
+    const service = await initializeCrossChainService(req.services);
 
     // Test simple ETH to USDC quote on Sepolia
     const testQuote = await service.oneInchService.getSwapQuote({
@@ -74,7 +75,7 @@ router.post('/quote', async (req, res) => {
     }
 
     logger.info('Initializing cross-chain service...');
-    const service = await initializeCrossChainService();
+    const service = await initializeCrossChainService(req.services);
     logger.info('Cross-chain service initialized, getting quote...');
 
     const quoteResult = await service.getCrossChainQuote({
@@ -151,7 +152,7 @@ router.post('/execute', async (req, res) => {
       });
     }
 
-    const service = await initializeCrossChainService();
+    const service = await initializeCrossChainService(req.services);
 
     // Execute the appropriate swap flow
     let swapResult;
@@ -224,7 +225,7 @@ router.get('/status/:swapId', async (req, res) => {
       });
     }
 
-    const service = await initializeCrossChainService();
+    const service = await initializeCrossChainService(req.services);
     const swapStatus = service.getSwapStatus(swapId);
 
     if (swapStatus.found) {
@@ -263,7 +264,7 @@ router.post('/history', async (req, res) => {
       });
     }
 
-    const service = await initializeCrossChainService();
+    const service = await initializeCrossChainService(req.services);
     const allSwaps = service.getAllActiveSwaps();
 
     // Filter swaps by addresses and status
@@ -0,0 +1,268 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import cron from 'node-cron';
+import { swapRateLimiter } from '../middleware/rateLimiter.js';
+import { DCA_PLAN_STATUSES } from '../services/dcaService.js';
+
+const router = Router();
+
+const cronExpression = Joi.string().custom((value, helpers) =>
+  cron.validate(value) ? value : helpers.message('schedule must be a valid cron expression')
+);
+
+// DCA plan validation schema; slippage is in percent
+const dcaPlanSchema = Joi.object({
+  chainId: Joi.number().required(),
+  maker: Joi.string().required(),
+  srcToken: Joi.string().required(),
+  dstToken: Joi.string().required(),
+  amount: Joi.string().pattern(/^\d+$/).required(),
+  schedule: cronExpression.required(),
+  timezone: Joi.string().default('UTC'),
+  mode: Joi.string().valid('limit_order', 'swap').default('limit_order'),
+  slippage: Joi.number().min(0.1).max(50).default(1),
+  orderDuration: Joi.number().integer().min(60).max(30 * 86400).default(3600),
+  endAt: Joi.date().iso().greater('now').optional(),
+  maxExecutions: Joi.number().integer().min(1).optional()
+});
+
+const dcaPlanUpdateSchema = Joi.object({
+  amount: Joi.string().pattern(/^\d+$/),
+  schedule: cronExpression,
+  timezone: Joi.string(),
+  slippage: Joi.number().min(0.1).max(50),
+  orderDuration: Joi.number().integer().min(60).max(30 * 86400),
+  endAt: Joi.date().iso().allow(null),
+  maxExecutions: Joi.number().integer().min(1).allow(null)
+}).min(1);
+
+// Validation middleware
+function validateRequest(schema) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => ({
+          field: d.path.join('.'),
+          message: d.message
+        }))
+      });
+    }
+    req.validatedData = value;
+    next();
+  };
+}
+
+function errorStatus(error) {
+  if (error.name === 'NotFoundError') return 404;
+  if (error.name === 'ConflictError') return 409;
+  return 500;
+}
+
+// Create DCA plan
+router.post('/', swapRateLimiter, validateRequest(dcaPlanSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const planData = req.validatedData;
+
+    logger.info('Creating DCA plan', planData);
+
+    const plan = await services.dca.createPlan({
+      ...planData,
+      endAt: planData.endAt?.toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('DCA plan creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create DCA plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// List DCA plans
+router.get('/', async (req, res) => {
+  try {
+    const { services } = req;
+    const { maker, status } = req.query;
+
+    if (status && !Object.values(DCA_PLAN_STATUSES).includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of ${Object.values(DCA_PLAN_STATUSES).join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    const plans = services.dca.listPlans({ maker, status });
+
+    res.json({
+      success: true,
+      plans,
+      count: plans.length,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error listing DCA plans:', error);
+    res.status(500).json({
+      error: 'Failed to list DCA plans',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Get DCA plan
+router.get('/:planId', async (req, res) => {
+  try {
+    const plan = req.services.dca.requirePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching DCA plan:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to fetch DCA plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Execution log of a DCA plan
+router.get('/:planId/executions', async (req, res) => {
+  try {
+    const plan = req.services.dca.requirePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      planId: plan.id,
+      executions: plan.executions,
+      count: plan.executions.length,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching DCA executions:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to fetch DCA executions',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Update DCA plan amount, schedule or limits
+router.patch('/:planId', swapRateLimiter, validateRequest(dcaPlanUpdateSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const { planId } = req.params;
+    const updates = req.validatedData;
+
+    logger.info('Updating DCA plan', { planId, updates });
+
+    const plan = await services.dca.updatePlan(planId, {
+      ...updates,
+      ...(updates.endAt && { endAt: updates.endAt.toISOString() })
+    });
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('DCA plan update error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to update DCA plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Pause DCA plan
+router.post('/:planId/pause', async (req, res) => {
+  try {
+    req.logger.info('Pausing DCA plan', { planId: req.params.planId });
+
+    const plan = await req.services.dca.pausePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('DCA plan pause error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to pause DCA plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Resume DCA plan
+router.post('/:planId/resume', async (req, res) => {
+  try {
+    req.logger.info('Resuming DCA plan', { planId: req.params.planId });
+
+    const plan = await req.services.dca.resumePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('DCA plan resume error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to resume DCA plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Cancel DCA plan; the plan and its execution log are kept
+router.delete('/:planId', async (req, res) => {
+  try {
+    req.logger.info('Cancelling DCA plan', { planId: req.params.planId });
+
+    const plan = await req.services.dca.cancelPlan(req.params.planId);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('DCA plan cancellation error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to cancel DCA plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,13 @@
 import { Router } from 'express';
 import Joi from 'joi';
 import { swapRateLimiter } from '../middleware/rateLimiter.js';
+import {
+  concentratedLiquiditySchema,
+  multiLegOptionsSchema,
+  stopLossSchema,
+  trailingStopSchema
+} from './limitOrders.js';
+import { ANALYTICS_PERIODS } from '../services/analyticsService.js';
 
 const router = Router();
 
@@ -15,17 +22,18 @@ const enhancedTWAPSchema = Joi.object({
   duration: Joi.number().min(60).required(),
   slippageProtection: Joi.object({
     maxSlippage: Joi.number().min(0.001).max(0.1).default(0.01),
+    referencePrice: Joi.string().pattern(/^\d+$/).optional(),
     priceImpactThreshold: Joi.number().min(0.001).max(0.05).default(0.005),
     emergencyStop: Joi.boolean().default(true)
   }).default({}),
   dynamicAdjustment: Joi.object({
     enabled: Joi.boolean().default(true),
     marketConditionThreshold: Joi.number().min(0.01).max(0.1).default(0.02),
-    intervalAdjustmentFactor: Joi.number().min(0.1).max(1).default(0.5)
+    intervalAdjustmentFactor: Joi.number().min(0.1).max(1).default(0.5),
+    volatilityWindow: Joi.number().integer().min(900).max(7 * 86400).default(3600)
   }).default({}),
   partialFillHandling: Joi.object({
     enabled: Joi.boolean().default(true),
-    merkleTreeSecrets: Joi.boolean().default(true),
     retryFailedIntervals: Joi.boolean().default(true)
   }).default({})
 });
@@ -58,16 +66,46 @@ const dynamicDeltaHedgingSchema = Joi.object({
   underlying: Joi.string().required(),
   strikePrice: Joi.string().required(),
   optionType: Joi.string().valid('call', 'put').required(),
-  optionPosition: Joi.object().required(),
+  expiry: Joi.number().integer().required(), // unix seconds
+  // quantity is in makerAsset base units; premium (per unit, 8-decimal oracle
+  // units) is used to imply volatility, otherwise realized volatility is used
+  optionPosition: Joi.object({
+    quantity: Joi.string().pattern(/^\d+$/).required(),
+    side: Joi.string().valid('long', 'short').default('long'),
+    premium: Joi.string().pattern(/^\d+$/).optional(),
+    impliedVolatility: Joi.number().min(0.01).max(10).optional()
+  }).required(),
+  riskFreeRate: Joi.number().min(0).max(0.5).default(0),
+  volatilityWindow: Joi.number().integer().min(900).max(86400).default(3600),
   deltaTarget: Joi.number().min(-1).max(1).default(0),
   rebalanceThreshold: Joi.number().min(0.01).max(0.5).default(0.1),
   hedgingAsset: Joi.string().required(),
+  // Percent below the quote a hedge order accepts
+  slippage: Joi.number().min(0.1).max(50).default(1),
   monitoring: Joi.object({
     frequency: Joi.number().min(30).max(3600).default(60),
     maxRebalances: Joi.number().min(1).max(50).default(10)
   }).default({})
 });
 
+// Grid trading validation schema; prices are quote per base token
+const gridTradingSchema = Joi.object({
+  chainId: Joi.number().required(),
+  baseToken: Joi.string().required(),
+  quoteToken: Joi.string().required(),
+  maker: Joi.string().required(),
+  lowerPrice: Joi.number().positive().required(),
+  upperPrice: Joi.number().greater(Joi.ref('lowerPrice')).required(),
+  levels: Joi.number().integer().min(1).max(50).required(),
+  gridType: Joi.string().valid('arithmetic', 'geometric').default('arithmetic'),
+  amountPerLevel: Joi.string().pattern(/^\d+$/).required(),
+  baseDecimals: Joi.number().integer().min(0).max(36).optional(),
+  quoteDecimals: Joi.number().integer().min(0).max(36).optional(),
+  monitoring: Joi.object({
+    frequency: Joi.number().min(30).max(3600).default(60)
+  }).default({})
+});
+
 // Custom strategy validation schema
 const customStrategySchema = Joi.object({
   chainId: Joi.number().required(),
@@ -75,6 +113,9 @@ const customStrategySchema = Joi.object({
   takerAsset: Joi.string().required(),
   maker: Joi.string().required(),
   amount: Joi.string().required(),
+  // Minimum to receive; without one the order takes the quote less slippage (percent)
+  takingAmount: Joi.string().pattern(/^[1-9]\d*$/).optional(),
+  slippage: Joi.number().min(0.1).max(50).default(1),
   type: Joi.string().required(),
   config: Joi.object({
     timeConditions: Joi.array().items(Joi.object({
@@ -107,9 +148,44 @@ const customStrategySchema = Joi.object({
     })).optional(),
     logic: Joi.string().valid('AND', 'OR').default('AND')
   }).required(),
-  metadata: Joi.object().optional()
+  metadata: Joi.object().optional(),
+  dryRun: Joi.boolean().default(false)
 });
 
+// Backtest validation schema; params are validated against the strategy's own schema
+const backtestSchema = Joi.object({
+  strategy: Joi.string().valid(
+    'enhanced_twap',
+    'barrier_options',
+    'dynamic_delta_hedging',
+    'concentrated_liquidity'
+  ).required(),
+  params: Joi.when('strategy', {
+    switch: [
+      { is: 'enhanced_twap', then: enhancedTWAPSchema },
+      { is: 'barrier_options', then: barrierOptionsSchema },
+      { is: 'dynamic_delta_hedging', then: dynamicDeltaHedgingSchema },
+      { is: 'concentrated_liquidity', then: concentratedLiquiditySchema }
+    ]
+  }).required(),
+  candles: Joi.array().items(Joi.alternatives().try(Joi.array(), Joi.object())).min(2),
+  data: Joi.string(),
+  file: Joi.string(),
+  format: Joi.string().valid('csv', 'json').optional(),
+  priceField: Joi.string().valid('open', 'high', 'low', 'close').default('close'),
+  makerDecimals: Joi.number().integer().min(0).max(36).default(18),
+  fees: Joi.object({
+    bps: Joi.number().min(0).max(1000).default(0),
+    fixed: Joi.number().min(0).default(0)
+  }).default({}),
+  slippage: Joi.object({
+    model: Joi.string().valid('fixed', 'volume').default('fixed'),
+    bps: Joi.number().min(0).max(1000).default(0),
+    impactBps: Joi.number().min(0).max(10000).default(0)
+  }).default({}),
+  maxParticipation: Joi.number().greater(0).max(1).optional()
+}).xor('candles', 'data', 'file');
+
 // Validation middleware
 function validateRequest(schema) {
   return (req, res, next) => {
@@ -150,7 +226,6 @@ router.post('/enhanced-twap', swapRateLimiter, validateRequest(enhancedTWAPSchem
       duration: orderData.duration,
       status: 'created',
       createdAt: new Date().toISOString(),
-      merkleRoot: result.merkleRoot,
       orders: result.orders.map(order => ({
         orderHash: order.orderHash || order.id,
         interval: order.interval,
@@ -162,8 +237,6 @@ router.post('/enhanced-twap', swapRateLimiter, validateRequest(enhancedTWAPSchem
       success: true,
       strategy: orderInfo,
       onchainOrders: result.orders,
-      secrets: result.secrets,
-      merkleRoot: result.merkleRoot,
       requestId: req.id
     });
 
@@ -248,6 +321,8 @@ router.post('/delta-hedging', swapRateLimiter, validateRequest(dynamicDeltaHedgi
       initialDelta: result.initialDelta,
       targetDelta: result.targetDelta,
       rebalanceThreshold: result.rebalanceThreshold,
+      requiredHedge: result.requiredHedge,
+      greeks: result.greeks,
       status: 'created',
       createdAt: new Date().toISOString(),
       orders: result.orders.map(order => ({
@@ -274,6 +349,58 @@ router.post('/delta-hedging', swapRateLimiter, validateRequest(dynamicDeltaHedgi
   }
 });
 
+// Create grid trading order
+router.post('/grid', swapRateLimiter, validateRequest(gridTradingSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const orderData = req.validatedData;
+
+    logger.info('Creating grid trading order', orderData);
+
+    const result = await services.limitOrder.createGridTradingOrder(orderData);
+
+    const orderInfo = {
+      strategyId: result.orders[0].orderHash,
+      type: 'grid_trading',
+      chainId: orderData.chainId,
+      baseToken: orderData.baseToken,
+      quoteToken: orderData.quoteToken,
+      maker: orderData.maker,
+      lowerPrice: orderData.lowerPrice,
+      upperPrice: orderData.upperPrice,
+      levels: orderData.levels,
+      gridType: result.gridType,
+      amountPerLevel: orderData.amountPerLevel,
+      prices: result.prices,
+      profitPerRoundTrip: result.profitPerRoundTrip,
+      status: 'created',
+      createdAt: new Date().toISOString(),
+      orders: result.orders.map(order => ({
+        orderHash: order.orderHash || order.id,
+        side: order.leg.side,
+        level: order.leg.level,
+        price: order.leg.price,
+        status: 'active'
+      }))
+    };
+
+    res.json({
+      success: true,
+      strategy: orderInfo,
+      onchainOrders: result.orders,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Grid trading order creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create grid trading order',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
 // Create custom strategy order
 router.post('/custom-strategy', swapRateLimiter, validateRequest(customStrategySchema), async (req, res) => {
   try {
@@ -284,6 +411,16 @@ router.post('/custom-strategy', swapRateLimiter, validateRequest(customStrategyS
 
     const result = await services.limitOrder.createCustomStrategyOrder(orderData);
 
+    if (result.dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        predicate: result.predicate,
+        simulation: result.simulation,
+        requestId: req.id
+      });
+    }
+
     const orderInfo = {
       strategyId: result.orderHash,
       type: 'custom_strategy',
@@ -316,50 +453,97 @@ router.post('/custom-strategy', swapRateLimiter, validateRequest(customStrategyS
   }
 });
 
-// Get strategy templates
+// Backtest a strategy over historical OHLCV candles
+router.post('/backtest', swapRateLimiter, validateRequest(backtestSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const request = req.validatedData;
+
+    logger.info('Running strategy backtest', {
+      strategy: request.strategy,
+      source: request.file || (request.candles ? 'inline' : request.format || 'data')
+    });
+
+    const backtest = await services.backtester.run(request);
+
+    res.json({
+      success: true,
+      backtest,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Backtest error:', error);
+    res.status(500).json({
+      error: 'Failed to run backtest',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Strategies templates can instantiate: the endpoint's own schema (applied
+// after the template's) and the service call behind it
+const TEMPLATE_STRATEGIES = {
+  enhanced_twap: {
+    schema: enhancedTWAPSchema,
+    create: (limitOrder, params) => limitOrder.createEnhancedTWAPOrder(params)
+  },
+  barrier_options: {
+    schema: barrierOptionsSchema,
+    create: (limitOrder, params) => limitOrder.createBarrierOptionsOrder(params)
+  },
+  dynamic_delta_hedging: {
+    schema: dynamicDeltaHedgingSchema,
+    create: (limitOrder, params) => limitOrder.createDynamicDeltaHedgingOrder(params)
+  },
+  grid_trading: {
+    schema: gridTradingSchema,
+    create: (limitOrder, params) => limitOrder.createGridTradingOrder(params)
+  },
+  stop_loss: {
+    schema: stopLossSchema,
+    create: (limitOrder, params) => limitOrder.createStopOrder('stop_loss', params)
+  },
+  trailing_stop: {
+    schema: trailingStopSchema,
+    create: (limitOrder, params) => limitOrder.createStopOrder('trailing_stop', params)
+  },
+  multi_leg_options: {
+    schema: multiLegOptionsSchema,
+    create: (limitOrder, params) => limitOrder.createMultiLegOptionsOrder(params)
+  }
+};
+
+// User template: preset parameters on top of an existing template
+const userTemplateSchema = Joi.object({
+  baseTemplate: Joi.string().required(),
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(1000).optional(),
+  owner: Joi.string().optional(),
+  defaults: Joi.object().default({})
+});
+
+const instantiateTemplateSchema = Joi.object({
+  params: Joi.object().default({})
+});
+
+function templateErrorStatus(error) {
+  if (error.name === 'ValidationError') return 400;
+  if (error.name === 'NotFoundError') return 404;
+  if (error.name === 'ConflictError') return 409;
+  return 500;
+}
+
+// Get strategy templates (built-in and saved); ?category= and ?owner= filter
 router.get('/templates', async (req, res) => {
   try {
-    const { logger } = req;
+    const { services, logger } = req;
+    const { category, owner } = req.query;
 
     logger.info('Fetching strategy templates');
 
-    const templates = [
-      {
-        id: 'enhanced_twap',
-        name: 'Enhanced TWAP',
-        description: 'Time-weighted average price with slippage protection and partial fills',
-        category: 'execution',
-        parameters: [
-          { name: 'totalAmount', type: 'string', required: true, description: 'Total amount to trade' },
-          { name: 'intervals', type: 'number', required: true, description: 'Number of intervals' },
-          { name: 'duration', type: 'number', required: true, description: 'Total duration in seconds' },
-          { name: 'maxSlippage', type: 'number', required: false, description: 'Maximum slippage tolerance' }
-        ]
-      },
-      {
-        id: 'barrier_options',
-        name: 'Barrier Options',
-        description: 'Knock-in/knock-out options with barrier monitoring',
-        category: 'options',
-        parameters: [
-          { name: 'barrierType', type: 'string', required: true, description: 'knock-in or knock-out' },
-          { name: 'barrierLevel', type: 'string', required: true, description: 'Barrier price level' },
-          { name: 'strikePrice', type: 'string', required: true, description: 'Option strike price' },
-          { name: 'optionType', type: 'string', required: true, description: 'call or put' }
-        ]
-      },
-      {
-        id: 'delta_hedging',
-        name: 'Dynamic Delta Hedging',
-        description: 'Automatic delta-neutral positioning with rebalancing',
-        category: 'risk_management',
-        parameters: [
-          { name: 'deltaTarget', type: 'number', required: false, description: 'Target delta (0 = neutral)' },
-          { name: 'rebalanceThreshold', type: 'number', required: false, description: 'Delta change threshold' },
-          { name: 'hedgingAsset', type: 'string', required: true, description: 'Asset to hedge with' }
-        ]
-      }
-    ];
+    const templates = services.strategyTemplates.listTemplates({ category, owner });
 
     res.json({
       success: true,
@@ -378,43 +562,166 @@ router.get('/templates', async (req, res) => {
   }
 });
 
-// Get strategy analytics
+// Get one template with its parameter schema
+router.get('/templates/:templateId', async (req, res) => {
+  try {
+    const { strategyTemplates } = req.services;
+    const template = strategyTemplates.describe(strategyTemplates.requireTemplate(req.params.templateId));
+
+    res.json({
+      success: true,
+      template,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching strategy template:', error);
+    res.status(templateErrorStatus(error)).json({
+      error: 'Failed to fetch strategy template',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Save a parameterized user template
+router.post('/templates', validateRequest(userTemplateSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const templateData = req.validatedData;
+
+    logger.info('Saving strategy template', { baseTemplate: templateData.baseTemplate, name: templateData.name });
+
+    const template = await services.strategyTemplates.createUserTemplate(templateData);
+
+    res.status(201).json({
+      success: true,
+      template,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Strategy template creation error:', error);
+    res.status(templateErrorStatus(error)).json({
+      error: 'Failed to save strategy template',
+      message: error.message,
+      ...(error.details && { details: error.details }),
+      requestId: req.id
+    });
+  }
+});
+
+// Delete a user template; built-in templates cannot be deleted
+router.delete('/templates/:templateId', async (req, res) => {
+  try {
+    req.logger.info('Deleting strategy template', { templateId: req.params.templateId });
+
+    const template = await req.services.strategyTemplates.deleteUserTemplate(req.params.templateId);
+
+    res.json({
+      success: true,
+      template,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Strategy template deletion error:', error);
+    res.status(templateErrorStatus(error)).json({
+      error: 'Failed to delete strategy template',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Create the template's strategy from its resolved parameters
+router.post('/templates/:templateId/instantiate', swapRateLimiter, validateRequest(instantiateTemplateSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const { templateId } = req.params;
+
+    const { template, strategy, params } = services.strategyTemplates.resolveParameters(
+      templateId,
+      req.validatedData.params
+    );
+
+    const target = TEMPLATE_STRATEGIES[strategy];
+    if (!target) {
+      throw new Error(`Template strategy ${strategy} cannot be instantiated`);
+    }
+
+    const { error: schemaError, value: orderData } = target.schema.validate(params);
+    if (schemaError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: schemaError.details.map(d => ({
+          field: d.path.join('.'),
+          message: d.message
+        })),
+        requestId: req.id
+      });
+    }
+
+    logger.info('Instantiating strategy template', { templateId, strategy });
+
+    const result = await target.create(services.limitOrder, orderData);
+
+    res.status(201).json({
+      success: true,
+      templateId: template.id,
+      strategy: {
+        strategyId: result.packageId ?? result.orders[0].orderHash,
+        type: strategy,
+        chainId: orderData.chainId,
+        maker: orderData.maker,
+        status: 'created',
+        createdAt: new Date().toISOString()
+      },
+      params: orderData,
+      onchainOrders: result.orders,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Strategy template instantiation error:', error);
+    res.status(templateErrorStatus(error)).json({
+      error: 'Failed to instantiate strategy template',
+      message: error.message,
+      ...(error.details && { details: error.details }),
+      ...(error.packageId && {
+        packageId: error.packageId,
+        cancelledOrders: error.cancelledOrders,
+        transaction: error.transaction
+      }),
+      requestId: req.id
+    });
+  }
+});
+
+// Get strategy analytics computed from recorded fills
 router.get('/analytics/:strategyId', async (req, res) => {
   try {
     const { services, logger } = req;
     const { strategyId } = req.params;
+    const { period = '7d' } = req.query; // 1d, 7d, 30d, 90d, all
 
-    logger.info('Fetching strategy analytics', { strategyId });
-
-    // This would typically query analytics data
-    // For now, return mock analytics
-    const analytics = {
-      strategyId,
-      performance: {
-        totalPnl: '1250.50',
-        totalVolume: '50000.00',
-        successRate: 0.85,
-        averageExecutionTime: 1800, // 30 minutes
-        slippage: 0.002 // 0.2%
-      },
-      risk: {
-        maxDrawdown: '250.00',
-        sharpeRatio: 1.2,
-        volatility: 0.15,
-        var95: '500.00' // Value at Risk 95%
-      },
-      execution: {
-        totalOrders: 45,
-        filledOrders: 38,
-        cancelledOrders: 7,
-        partialFills: 12
-      },
-      timestamps: {
-        createdAt: new Date(Date.now() - 86400000).toISOString(),
-        lastExecution: new Date().toISOString(),
-        nextRebalance: new Date(Date.now() + 3600000).toISOString()
-      }
-    };
+    logger.info('Fetching strategy analytics', { strategyId, period });
+
+    if (!(period in ANALYTICS_PERIODS)) {
+      return res.status(400).json({
+        error: 'Invalid period',
+        message: `period must be one of ${Object.keys(ANALYTICS_PERIODS).join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    const analytics = await services.analytics.getStrategyAnalytics(strategyId, { period });
+    if (!analytics) {
+      return res.status(404).json({
+        error: 'Strategy not found',
+        requestId: req.id
+      });
+    }
 
     res.json({
       success: true,
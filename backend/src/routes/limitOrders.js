@@ -5,7 +5,7 @@ import { swapRateLimiter } from '../middleware/rateLimiter.js';
 const router = Router();
 
 // Enhanced validation schemas for advanced strategies
-const concentratedLiquiditySchema = Joi.object({
+export const concentratedLiquiditySchema = Joi.object({
   chainId: Joi.number().required(),
   makerAsset: Joi.string().required(),
   takerAsset: Joi.string().required(),
@@ -18,27 +18,96 @@ const concentratedLiquiditySchema = Joi.object({
     })).min(1).required()
   }).required(),
   rebalanceThreshold: Joi.number().min(0.01).max(50).default(5),
-  impermanentLossProtection: Joi.boolean().default(false)
+  impermanentLossProtection: Joi.boolean().default(false),
+  // Percent below the quote each range order accepts
+  slippage: Joi.number().min(0.1).max(50).default(1)
 });
 
-const multiLegOptionsSchema = Joi.object({
+// Multi-leg options package. Strikes and premiums are 8-decimal oracle units
+// per unit of the underlying, quantity is in units of the underlying and the
+// limits are in USD. `spreadType` is the original way to ask for a spread and
+// is still accepted instead of `structure`.
+export const multiLegOptionsSchema = Joi.object({
   chainId: Joi.number().required(),
   maker: Joi.string().required(),
-  spreadType: Joi.string().valid('vertical', 'horizontal', 'diagonal').required(),
+  structure: Joi.string().valid('vertical_spread', 'straddle', 'strangle', 'iron_condor'),
+  spreadType: Joi.string().valid('vertical', 'horizontal', 'diagonal'),
   legs: Joi.array().items(Joi.object({
     makerAsset: Joi.string().required(),
     takerAsset: Joi.string().required(),
     underlying: Joi.string().required(),
-    strikePrice: Joi.string().required(),
+    strikePrice: Joi.string().pattern(/^\d+$/).required(),
     optionType: Joi.string().valid('call', 'put').required(),
-    expiry: Joi.number().required(),
-    amount: Joi.string().required(),
-    delta: Joi.number().optional()
-  })).min(2).required(),
-  deltaHedging: Joi.object({
+    side: Joi.string().valid('long', 'short').required(),
+    expiry: Joi.number().integer().required(),
+    amount: Joi.string().pattern(/^\d+$/).required(),
+    // Minimum to receive; without one the leg takes the quote less slippage
+    takingAmount: Joi.string().pattern(/^[1-9]\d*$/).optional(),
+    quantity: Joi.number().positive().required(),
+    premium: Joi.string().pattern(/^\d+$/).default('0')
+  })).min(2).max(4).required(),
+  slippage: Joi.number().min(0.1).max(50).default(1),
+  limits: Joi.object({
+    maxNetPremium: Joi.number().optional(),
+    maxLoss: Joi.number().min(0).optional(),
+    allowUnboundedLoss: Joi.boolean().default(false)
+  }).default({})
+}).xor('structure', 'spreadType');
+
+// Payoff chart range in USD per unit of the underlying
+const payoffQuerySchema = Joi.object({
+  points: Joi.number().integer().min(2).max(500).default(50),
+  from: Joi.number().min(0).optional(),
+  to: Joi.number().greater(Joi.ref('from')).optional()
+});
+
+// Protective orders; prices are in 8-decimal oracle units of priceToken
+// (defaults to makerAsset) and takingAmount is the minimum to receive
+const stopOrderFields = {
+  chainId: Joi.number().required(),
+  maker: Joi.string().required(),
+  makerAsset: Joi.string().required(),
+  takerAsset: Joi.string().required(),
+  makingAmount: Joi.string().pattern(/^\d+$/).required(),
+  takingAmount: Joi.string().pattern(/^\d+$/).required(),
+  priceToken: Joi.string().optional(),
+  direction: Joi.string().valid('below', 'above').default('below'),
+  expiry: Joi.number().integer().min(0).optional()
+};
+
+export const stopLossSchema = Joi.object({
+  ...stopOrderFields,
+  triggerPrice: Joi.string().pattern(/^\d+$/).required()
+});
+
+export const trailingStopSchema = Joi.object({
+  ...stopOrderFields,
+  trailingPercent: Joi.number().min(0.1).max(50),
+  trailingAmount: Joi.string().pattern(/^\d+$/),
+  referencePrice: Joi.string().pattern(/^\d+$/).optional(),
+  reissueThreshold: Joi.number().min(0).max(10).default(0.5),
+  monitoring: Joi.object({
+    frequency: Joi.number().min(30).max(3600).default(60)
+  }).default({})
+}).xor('trailingPercent', 'trailingAmount');
+
+// Iceberg: takingAmount is the minimum for the whole totalAmount; slices are priced pro rata
+const icebergSchema = Joi.object({
+  chainId: Joi.number().required(),
+  maker: Joi.string().required(),
+  makerAsset: Joi.string().required(),
+  takerAsset: Joi.string().required(),
+  totalAmount: Joi.string().pattern(/^\d+$/).required(),
+  visibleAmount: Joi.string().pattern(/^\d+$/).required(),
+  takingAmount: Joi.string().pattern(/^\d+$/).required(),
+  priceRandomization: Joi.object({
     enabled: Joi.boolean().default(false),
-    rebalanceThreshold: Joi.number().min(0.01).max(10).default(1)
-  }).default({ enabled: false })
+    maxBps: Joi.number().integer().min(0).max(500).default(25)
+  }).default({}),
+  expiry: Joi.number().integer().min(0).optional(),
+  monitoring: Joi.object({
+    frequency: Joi.number().min(30).max(3600).default(60)
+  }).default({})
 });
 
 const customStrategySchema = Joi.object({
@@ -50,10 +119,32 @@ const customStrategySchema = Joi.object({
   riskManagement: Joi.object().optional()
 });
 
+const predicateExplainSchema = Joi.object({
+  predicate: Joi.string().pattern(/^0x([0-9a-fA-F]{2})*$/).required(),
+  chainId: Joi.number().default(1)
+});
+
 const strategyAdjustmentSchema = Joi.object({
   adjustments: Joi.object().required()
 });
 
+// Epoch series are uint40 in makerTraits
+const makerCancelSchema = Joi.object({
+  chainId: Joi.number().integer().required(),
+  series: Joi.number().integer().min(0).max(2 ** 40 - 1).default(0)
+});
+
+const epochConfirmSchema = Joi.object({
+  chainId: Joi.number().integer().required(),
+  txHash: Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/).required()
+});
+
+const cancelConfirmSchema = Joi.object({
+  txHash: Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/).required()
+});
+
+const makerAddressSchema = Joi.string().pattern(/^0x[0-9a-fA-F]{40}$/).required();
+
 // Validation middleware
 function validateRequest(schema) {
   return (req, res, next) => {
@@ -72,6 +163,13 @@ function validateRequest(schema) {
   };
 }
 
+function errorStatus(error) {
+  if (error.name === 'ValidationError') return 400;
+  if (error.name === 'NotFoundError') return 404;
+  if (error.name === 'ConflictError') return 409;
+  return 500;
+}
+
 // Create concentrated liquidity order
 router.post('/concentrated', swapRateLimiter, validateRequest(concentratedLiquiditySchema), async (req, res) => {
   try {
@@ -117,7 +215,7 @@ router.post('/concentrated', swapRateLimiter, validateRequest(concentratedLiquid
   }
 });
 
-// Create multi-leg options order
+// Create multi-leg options package
 router.post('/multi-leg-options', swapRateLimiter, validateRequest(multiLegOptionsSchema), async (req, res) => {
   try {
     const { services, logger } = req;
@@ -125,22 +223,28 @@ router.post('/multi-leg-options', swapRateLimiter, validateRequest(multiLegOptio
 
     logger.info('Creating multi-leg options order', orderData);
 
-    // Create multi-leg options order using enhanced service
     const result = await services.limitOrder.createMultiLegOptionsOrder(orderData);
 
     // Store order info for tracking
     const orderInfo = {
-      strategyId: result.orders[0].orderHash,
+      strategyId: result.packageId,
+      packageId: result.packageId,
       type: 'multi_leg_options',
       chainId: orderData.chainId,
       maker: orderData.maker,
-      spreadType: result.spreadType,
+      structure: result.structure,
+      ...(result.spreadType && { spreadType: result.spreadType }),
       legs: orderData.legs.length,
+      netPremium: result.netPremium,
+      maxProfit: result.maxProfit,
+      maxLoss: result.maxLoss,
+      breakevens: result.breakevens,
       status: 'created',
       createdAt: new Date().toISOString(),
       orders: result.orders.map(order => ({
         orderHash: order.orderHash || order.id,
-        status: 'active'
+        leg: order.leg,
+        status: order.status
       }))
     };
 
@@ -153,9 +257,164 @@ router.post('/multi-leg-options', swapRateLimiter, validateRequest(multiLegOptio
 
   } catch (error) {
     req.logger.error('Multi-leg options order creation error:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       error: 'Failed to create multi-leg options order',
       message: error.message,
+      ...(error.packageId && {
+        packageId: error.packageId,
+        cancelledOrders: error.cancelledOrders,
+        transaction: error.transaction
+      }),
+      requestId: req.id
+    });
+  }
+});
+
+// Expiry payoff of a multi-leg options package for charting
+router.get('/multi-leg-options/:packageId/payoff', async (req, res) => {
+  try {
+    const { services } = req;
+    const { packageId } = req.params;
+    const { value, error } = payoffQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        requestId: req.id
+      });
+    }
+
+    const payoff = await services.limitOrder.getMultiLegPayoff(packageId, value);
+
+    res.json({
+      success: true,
+      payoff,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error computing multi-leg payoff:', error);
+    res.status(error.name === 'NotFoundError' ? 404 : 500).json({
+      error: 'Failed to compute multi-leg payoff',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Create stop-loss order
+router.post('/stop-loss', swapRateLimiter, validateRequest(stopLossSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const orderData = req.validatedData;
+
+    logger.info('Creating stop-loss order', orderData);
+
+    const result = await services.limitOrder.createStopOrder('stop_loss', orderData);
+
+    res.json({
+      success: true,
+      strategy: {
+        strategyId: result.orders[0].orderHash,
+        type: 'stop_loss',
+        chainId: orderData.chainId,
+        maker: orderData.maker,
+        direction: orderData.direction,
+        triggerPrice: result.triggerPrice,
+        status: 'created',
+        createdAt: new Date().toISOString()
+      },
+      onchainOrders: result.orders,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Stop-loss order creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create stop-loss order',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Create trailing-stop order; the monitor re-issues it as the price moves favorably
+router.post('/trailing-stop', swapRateLimiter, validateRequest(trailingStopSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const { referencePrice, ...orderData } = req.validatedData;
+
+    logger.info('Creating trailing-stop order', orderData);
+
+    const result = await services.limitOrder.createStopOrder('trailing_stop', {
+      ...orderData,
+      highWaterMark: referencePrice
+    });
+
+    res.json({
+      success: true,
+      strategy: {
+        strategyId: result.orders[0].orderHash,
+        type: 'trailing_stop',
+        chainId: orderData.chainId,
+        maker: orderData.maker,
+        direction: orderData.direction,
+        trailingPercent: orderData.trailingPercent,
+        trailingAmount: orderData.trailingAmount,
+        highWaterMark: result.highWaterMark,
+        triggerPrice: result.triggerPrice,
+        status: 'created',
+        createdAt: new Date().toISOString()
+      },
+      onchainOrders: result.orders,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Trailing-stop order creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create trailing-stop order',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Create iceberg order
+router.post('/iceberg', swapRateLimiter, validateRequest(icebergSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const orderData = req.validatedData;
+
+    logger.info('Creating iceberg order', orderData);
+
+    const result = await services.limitOrder.createIcebergOrder(orderData);
+
+    res.json({
+      success: true,
+      strategy: {
+        strategyId: result.orders[0].orderHash,
+        type: 'iceberg',
+        chainId: orderData.chainId,
+        maker: orderData.maker,
+        makerAsset: orderData.makerAsset,
+        takerAsset: orderData.takerAsset,
+        totalAmount: orderData.totalAmount,
+        visibleAmount: orderData.visibleAmount,
+        slices: result.slices,
+        status: 'created',
+        createdAt: new Date().toISOString()
+      },
+      onchainOrders: result.orders,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Iceberg order creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create iceberg order',
+      message: error.message,
       requestId: req.id
     });
   }
@@ -272,6 +531,37 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// Get a strategy's lifecycle state, tracked orders and transition history
+router.get('/strategy/:strategyId/lifecycle', async (req, res) => {
+  try {
+    const { services } = req;
+    const { strategyId } = req.params;
+
+    const lifecycle = services.limitOrder.getStrategyLifecycle(strategyId);
+    if (!lifecycle) {
+      return res.status(404).json({
+        error: 'Strategy not found',
+        requestId: req.id
+      });
+    }
+
+    res.json({
+      success: true,
+      strategyId,
+      lifecycle,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching strategy lifecycle:', error);
+    res.status(500).json({
+      error: 'Failed to fetch strategy lifecycle',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
 // Adjust strategy parameters
 router.put('/adjust/:strategyId', swapRateLimiter, validateRequest(strategyAdjustmentSchema), async (req, res) => {
   try {
@@ -300,7 +590,9 @@ router.put('/adjust/:strategyId', swapRateLimiter, validateRequest(strategyAdjus
   }
 });
 
-// Cancel order
+// Cancel a strategy and all of its orders; posted orders come back with the
+// cancel transaction the maker has to send, and the strategy stays
+// 'cancelling' until that transaction is confirmed
 router.delete('/cancel/:orderHash', async (req, res) => {
   try {
     const { services, logger } = req;
@@ -308,7 +600,6 @@ router.delete('/cancel/:orderHash', async (req, res) => {
 
     logger.info('Cancelling order', { orderHash });
 
-    // Cancel order using enhanced service
     const result = await services.limitOrder.cancelOrder(orderHash);
 
     res.json({
@@ -319,7 +610,7 @@ router.delete('/cancel/:orderHash', async (req, res) => {
 
   } catch (error) {
     req.logger.error('Order cancellation error:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       error: 'Failed to cancel order',
       message: error.message,
       requestId: req.id
@@ -327,6 +618,134 @@ router.delete('/cancel/:orderHash', async (req, res) => {
   }
 });
 
+// Finish a cancel once the maker's cancel transaction is mined
+router.post('/cancel/:orderHash/confirm', validateRequest(cancelConfirmSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const { orderHash } = req.params;
+    const { txHash } = req.validatedData;
+
+    logger.info('Confirming order cancel', { orderHash, txHash });
+
+    const result = await services.limitOrder.confirmOrderCancel(orderHash, txHash);
+
+    res.json({
+      success: true,
+      result,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Order cancel confirmation error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to confirm order cancel',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Tracked epochs of a maker
+router.get('/maker/:address/nonces', async (req, res) => {
+  try {
+    const { services } = req;
+    const { address } = req.params;
+    const { error } = makerAddressSchema.validate(address);
+    const chainId = parseInt(req.query.chainId);
+
+    if (error || Number.isNaN(chainId)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error ? 'address must be a 0x-prefixed 20-byte address' : 'chainId query parameter is required',
+        requestId: req.id
+      });
+    }
+
+    res.json({
+      success: true,
+      nonces: services.nonceManager.getMakerNonces(chainId, address),
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching maker nonces:', error);
+    res.status(500).json({
+      error: 'Failed to fetch maker nonces',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Apply an epoch advance once the maker's increaseEpoch transaction is mined
+router.post('/maker/:address/nonces/confirm', validateRequest(epochConfirmSchema), async (req, res) => {
+  try {
+    const { services } = req;
+    const { address } = req.params;
+    const { chainId, txHash } = req.validatedData;
+
+    if (makerAddressSchema.validate(address).error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'address must be a 0x-prefixed 20-byte address',
+        requestId: req.id
+      });
+    }
+
+    const result = await services.nonceManager.confirmEpochAdvance(chainId, address, txHash);
+
+    res.json({
+      success: true,
+      result,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error confirming epoch advance:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to confirm epoch advance',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Cancel every strategy of a maker on a chain: advances the maker's epoch and
+// returns the increaseEpoch (plus cancelOrders for single-fill orders) transactions
+router.delete('/maker/:address', swapRateLimiter, validateRequest(makerCancelSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const { address } = req.params;
+    const { chainId, series } = req.validatedData;
+
+    if (makerAddressSchema.validate(address).error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'address must be a 0x-prefixed 20-byte address',
+        requestId: req.id
+      });
+    }
+
+    logger.info('Cancelling maker orders', { maker: address, chainId, series });
+
+    const result = await services.limitOrder.cancelMakerOrders(address, { chainId, series });
+
+    res.json({
+      success: true,
+      result,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Maker order cancellation error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel maker orders',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
 // Monitor order status
 router.post('/monitor/:orderHash', async (req, res) => {
   try {
@@ -354,4 +773,31 @@ router.post('/monitor/:orderHash', async (req, res) => {
   }
 });
 
+// Explain predicate calldata (support tooling for orders that never fill)
+router.post('/predicate/explain', validateRequest(predicateExplainSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const { predicate, chainId } = req.validatedData;
+
+    logger.info('Explaining predicate', { chainId, length: predicate.length });
+
+    const explanation = services.limitOrder.explainPredicate(predicate, chainId);
+
+    res.json({
+      success: true,
+      explanation,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Predicate explain error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Failed to explain predicate',
+      message: error.message,
+      ...(error.offset !== undefined && { offset: error.offset }),
+      requestId: req.id
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
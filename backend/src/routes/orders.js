@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import Joi from 'joi';
 import { swapRateLimiter } from '../middleware/rateLimiter.js';
+import { ANALYTICS_PERIODS } from '../services/analyticsService.js';
 
 const router = Router();
 
@@ -15,7 +16,30 @@ const limitOrderSchema = Joi.object({
   expiry: Joi.number().optional(),
   predicate: Joi.string().optional(),
   permit: Joi.string().optional(),
-  interaction: Joi.string().optional()
+  interaction: Joi.string().optional(),
+  receiver: Joi.string().optional(),
+  allowedSender: Joi.string().optional(),
+  nonce: Joi.number().integer().min(0).optional(),
+  allowPartialFills: Joi.boolean().default(true),
+  allowMultipleFills: Joi.boolean().default(true),
+  salt: Joi.string().optional(),
+  signature: Joi.string().optional()
+});
+
+const signedLimitOrderSchema = Joi.object({
+  chainId: Joi.number().required(),
+  order: Joi.object({
+    salt: Joi.string().required(),
+    maker: Joi.string().required(),
+    receiver: Joi.string().required(),
+    makerAsset: Joi.string().required(),
+    takerAsset: Joi.string().required(),
+    makingAmount: Joi.string().required(),
+    takingAmount: Joi.string().required(),
+    makerTraits: Joi.string().required()
+  }).required(),
+  extension: Joi.string().default('0x'),
+  signature: Joi.string().required()
 });
 
 const twapOrderSchema = Joi.object({
@@ -66,7 +90,7 @@ router.post('/limit', swapRateLimiter, validateRequest(limitOrderSchema), async
 
     logger.info('Creating limit order', orderData);
 
-    // Create limit order using 1inch Limit Order Protocol
+    // Create limit order using 1inch Limit Order Protocol v4
     const order = await services.oneInch.createLimitOrder(orderData);
 
     // Store order for tracking
@@ -79,7 +103,7 @@ router.post('/limit', swapRateLimiter, validateRequest(limitOrderSchema), async
       makingAmount: orderData.makingAmount,
       takingAmount: orderData.takingAmount,
       maker: orderData.maker,
-      status: 'created',
+      status: order.status,
       createdAt: new Date().toISOString(),
       expiry: orderData.expiry ? new Date(orderData.expiry * 1000).toISOString() : null
     };
@@ -101,6 +125,38 @@ router.post('/limit', swapRateLimiter, validateRequest(limitOrderSchema), async
   }
 });
 
+// Submit a limit order signed by the maker
+router.post('/limit/submit', swapRateLimiter, validateRequest(signedLimitOrderSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const { chainId, order, extension, signature } = req.validatedData;
+
+    logger.info('Submitting signed limit order', { chainId, maker: order.maker });
+
+    const submitted = await services.oneInch.submitLimitOrder({
+      chainId,
+      order,
+      extension,
+      signature
+    });
+
+    res.json({
+      success: true,
+      orderHash: submitted.orderHash,
+      onchainOrder: submitted,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Limit order submission error:', error);
+    res.status(500).json({
+      error: 'Failed to submit limit order',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
 // Create TWAP order
 router.post('/twap', swapRateLimiter, validateRequest(twapOrderSchema), async (req, res) => {
   try {
@@ -366,7 +422,8 @@ router.get('/book/:chainId', async (req, res) => {
   try {
     const { services, logger } = req;
     const { chainId } = req.params;
-    const { baseToken, quoteToken, depth = 10 } = req.query;
+    const { baseToken, quoteToken } = req.query;
+    const depth = req.query.depth === undefined ? 10 : Number(req.query.depth);
 
     if (!baseToken || !quoteToken) {
       return res.status(400).json({
@@ -375,22 +432,22 @@ router.get('/book/:chainId', async (req, res) => {
       });
     }
 
+    if (!Number.isInteger(depth) || depth < 1 || depth > 100) {
+      return res.status(400).json({
+        error: 'depth must be an integer between 1 and 100',
+        requestId: req.id
+      });
+    }
+
     logger.info('Getting order book', { chainId, baseToken, quoteToken, depth });
 
-    // This would aggregate orders from various sources to create an order book
-    const orderBook = {
+    // Resting 1inch orderbook orders merged with our own strategy orders
+    const orderBook = await services.orderBook.getOrderBook({
       chainId: parseInt(chainId),
       baseToken,
       quoteToken,
-      timestamp: new Date().toISOString(),
-      bids: [], // Buy orders
-      asks: [], // Sell orders
-      spread: '0',
-      lastPrice: '0'
-    };
-
-    // Implementation would fetch and aggregate orders
-    // For now, returning empty order book
+      depth
+    });
 
     res.json({
       success: true,
@@ -458,41 +515,24 @@ router.get('/history/:address', async (req, res) => {
   }
 });
 
-// Get order analytics
+// Get order analytics computed from recorded strategy fills
 router.get('/analytics/:address', async (req, res) => {
   try {
     const { services, logger } = req;
     const { address } = req.params;
-    const { period = '7d' } = req.query; // 1d, 7d, 30d
+    const { period = '7d' } = req.query; // 1d, 7d, 30d, 90d, all
 
     logger.info('Getting order analytics', { address, period });
 
-    // This would calculate analytics from order history
-    const analytics = {
-      address,
-      period,
-      totalOrders: 0,
-      completedOrders: 0,
-      cancelledOrders: 0,
-      totalVolume: '0',
-      averageOrderSize: '0',
-      successRate: 0,
-      favoriteTokens: [],
-      ordersByType: {
-        limit: 0,
-        twap: 0,
-        options: 0,
-        fusion: 0
-      },
-      performanceMetrics: {
-        avgExecutionTime: 0,
-        slippageStats: {
-          average: 0,
-          min: 0,
-          max: 0
-        }
-      }
-    };
+    if (!(period in ANALYTICS_PERIODS)) {
+      return res.status(400).json({
+        error: 'Invalid period',
+        message: `period must be one of ${Object.keys(ANALYTICS_PERIODS).join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    const analytics = await services.analytics.getMakerAnalytics(address, { period });
 
     res.json({
       success: true,
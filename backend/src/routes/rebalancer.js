@@ -0,0 +1,317 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import cron from 'node-cron';
+import { swapRateLimiter } from '../middleware/rateLimiter.js';
+import { REBALANCE_PLAN_STATUSES } from '../services/rebalancerService.js';
+
+const router = Router();
+
+const cronExpression = Joi.string().custom((value, helpers) =>
+  cron.validate(value) ? value : helpers.message('schedule must be a valid cron expression')
+);
+
+// Weights are percentages summing to 100
+const targetsSchema = Joi.array().items(Joi.object({
+  token: Joi.string().required(),
+  weight: Joi.number().greater(0).max(100).required()
+})).min(2).max(20).custom((targets, helpers) => {
+  const total = targets.reduce((sum, target) => sum + target.weight, 0);
+  return Math.abs(total - 100) > 1e-6
+    ? helpers.message(`target weights must sum to 100, got ${total}`)
+    : targets;
+});
+
+// Rebalance plan validation schema; driftThreshold is in percentage points
+// and slippage in percent
+const rebalancePlanSchema = Joi.object({
+  chainId: Joi.number().required(),
+  maker: Joi.string().required(),
+  targets: targetsSchema.required(),
+  schedule: cronExpression.required(),
+  timezone: Joi.string().default('UTC'),
+  driftThreshold: Joi.number().min(0).max(100).default(5),
+  minTradeUsd: Joi.number().min(0).default(10),
+  mode: Joi.string().valid('swap', 'limit_order').default('swap'),
+  slippage: Joi.number().min(0.1).max(50).default(1),
+  orderDuration: Joi.number().integer().min(60).max(30 * 86400).default(3600)
+});
+
+const rebalancePlanUpdateSchema = Joi.object({
+  targets: targetsSchema,
+  schedule: cronExpression,
+  timezone: Joi.string(),
+  driftThreshold: Joi.number().min(0).max(100),
+  minTradeUsd: Joi.number().min(0),
+  mode: Joi.string().valid('swap', 'limit_order'),
+  slippage: Joi.number().min(0.1).max(50),
+  orderDuration: Joi.number().integer().min(60).max(30 * 86400)
+}).min(1);
+
+// Validation middleware
+function validateRequest(schema) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => ({
+          field: d.path.join('.'),
+          message: d.message
+        }))
+      });
+    }
+    req.validatedData = value;
+    next();
+  };
+}
+
+function errorStatus(error) {
+  if (error.name === 'NotFoundError') return 404;
+  if (error.name === 'ConflictError') return 409;
+  return 500;
+}
+
+// Create rebalance plan
+router.post('/', swapRateLimiter, validateRequest(rebalancePlanSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const planData = req.validatedData;
+
+    logger.info('Creating rebalance plan', planData);
+
+    const plan = await services.rebalancer.createPlan(planData);
+
+    res.status(201).json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Rebalance plan creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create rebalance plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// List rebalance plans
+router.get('/', async (req, res) => {
+  try {
+    const { services } = req;
+    const { maker, status } = req.query;
+
+    if (status && !Object.values(REBALANCE_PLAN_STATUSES).includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of ${Object.values(REBALANCE_PLAN_STATUSES).join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    const plans = services.rebalancer.listPlans({ maker, status });
+
+    res.json({
+      success: true,
+      plans,
+      count: plans.length,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error listing rebalance plans:', error);
+    res.status(500).json({
+      error: 'Failed to list rebalance plans',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Get rebalance plan
+router.get('/:planId', async (req, res) => {
+  try {
+    const plan = req.services.rebalancer.requirePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching rebalance plan:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to fetch rebalance plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Recorded rebalances of a plan
+router.get('/:planId/rebalances', async (req, res) => {
+  try {
+    const plan = req.services.rebalancer.requirePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      planId: plan.id,
+      rebalances: plan.rebalances,
+      count: plan.rebalances.length,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching rebalances:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to fetch rebalances',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Current allocation and the trades a rebalance would place
+router.get('/:planId/preview', async (req, res) => {
+  try {
+    const preview = await req.services.rebalancer.previewPlan(req.params.planId);
+
+    res.json({
+      success: true,
+      preview,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Rebalance preview error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to preview rebalance',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Rebalance now, outside the schedule
+router.post('/:planId/rebalance', swapRateLimiter, async (req, res) => {
+  try {
+    req.logger.info('Rebalancing plan', { planId: req.params.planId });
+
+    const rebalance = await req.services.rebalancer.rebalancePlan(req.params.planId, { trigger: 'manual' });
+
+    res.json({
+      success: true,
+      rebalance,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Manual rebalance error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to rebalance',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Update targets, schedule or thresholds
+router.patch('/:planId', swapRateLimiter, validateRequest(rebalancePlanUpdateSchema), async (req, res) => {
+  try {
+    const { services, logger } = req;
+    const { planId } = req.params;
+    const updates = req.validatedData;
+
+    logger.info('Updating rebalance plan', { planId, updates });
+
+    const plan = await services.rebalancer.updatePlan(planId, updates);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Rebalance plan update error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to update rebalance plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Pause rebalance plan
+router.post('/:planId/pause', async (req, res) => {
+  try {
+    req.logger.info('Pausing rebalance plan', { planId: req.params.planId });
+
+    const plan = await req.services.rebalancer.pausePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Rebalance plan pause error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to pause rebalance plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Resume rebalance plan
+router.post('/:planId/resume', async (req, res) => {
+  try {
+    req.logger.info('Resuming rebalance plan', { planId: req.params.planId });
+
+    const plan = await req.services.rebalancer.resumePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Rebalance plan resume error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to resume rebalance plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+// Cancel rebalance plan; the plan and its records are kept
+router.delete('/:planId', async (req, res) => {
+  try {
+    req.logger.info('Cancelling rebalance plan', { planId: req.params.planId });
+
+    const plan = await req.services.rebalancer.cancelPlan(req.params.planId);
+
+    res.json({
+      success: true,
+      plan,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Rebalance plan cancellation error:', error);
+    res.status(errorStatus(error)).json({
+      error: 'Failed to cancel rebalance plan',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+export default router;
@@ -95,6 +95,7 @@ router.get('/status', async (req, res) => {
       },
       sui: suiResolverInfo,
       performance: resolverStatus.metrics || {},
+      inventory: resolverStatus.inventory || null,
       timestamp: new Date().toISOString()
     };
 
@@ -349,15 +350,19 @@ router.get('/swaps', async (req, res) => {
     });
 
     let swaps = [];
+    let bids = [];
 
     // Get swaps from resolver bot
     if (services.resolverBot) {
       const activeSwaps = services.resolverBot.getActiveSwaps();
       const completedSwaps = services.resolverBot.getCompletedSwaps(100);
       const failedSwaps = services.resolverBot.getFailedSwaps(100);
+      // Fusion+ auctions waiting for their fill time
+      bids = services.resolverBot.getPendingBids();
 
       swaps = [
-        ...activeSwaps.map(swap => ({ ...swap, status: 'active' })),
+        // Active swaps keep their state machine state next to the status
+        ...activeSwaps.map(swap => ({ ...swap, state: swap.status, status: 'active' })),
         ...completedSwaps,
         ...failedSwaps
       ];
@@ -414,6 +419,7 @@ router.get('/swaps', async (req, res) => {
         totalPages: Math.ceil(swaps.length / parseInt(limit))
       },
       filters: { status, fromChain, toChain, startDate, endDate },
+      bids,
       requestId: req.id
     });
 
@@ -0,0 +1,225 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import { swapRateLimiter } from '../middleware/rateLimiter.js';
+
+const router = Router();
+
+// Definitions are sent either parsed (object) or as YAML / JSON text; the
+// DSL itself is validated by the service against its JSON Schema
+const definitionSource = {
+  definition: Joi.alternatives().try(Joi.object(), Joi.string()).required(),
+  format: Joi.string().valid('yaml', 'json').default('yaml')
+};
+
+const definitionSchema = Joi.object({
+  ...definitionSource,
+  note: Joi.string().max(500).optional()
+});
+
+const validateSchema = Joi.object(definitionSource);
+
+const deploySchema = Joi.object({
+  version: Joi.number().integer().min(1).optional(),
+  maker: Joi.string().required(),
+  makingAmount: Joi.string().pattern(/^\d+$/).optional(),
+  metadata: Joi.object().optional(),
+  dryRun: Joi.boolean().default(false)
+});
+
+// Validation middleware
+function validateRequest(schema) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => ({
+          field: d.path.join('.'),
+          message: d.message
+        }))
+      });
+    }
+    req.validatedData = value;
+    next();
+  };
+}
+
+function errorStatus(error) {
+  if (error.name === 'ValidationError') return 400;
+  if (error.name === 'NotFoundError') return 404;
+  if (error.name === 'ConflictError') return 409;
+  return 500;
+}
+
+function errorBody(req, error, message) {
+  return {
+    error: message,
+    message: error.message,
+    ...(error.details && { details: error.details }),
+    requestId: req.id
+  };
+}
+
+// Validate and compile a definition without saving it
+router.post('/validate', validateRequest(validateSchema), async (req, res) => {
+  try {
+    const { definition, format } = req.validatedData;
+    const compiled = req.services.strategyDefinitions.compile(definition, format);
+
+    res.json({
+      success: true,
+      valid: true,
+      ...compiled,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, valid: false, ...errorBody(req, error, 'Invalid strategy definition') });
+    }
+    req.logger.error('Strategy definition validation error:', error);
+    res.status(500).json(errorBody(req, error, 'Failed to validate strategy definition'));
+  }
+});
+
+// Create a definition (version 1)
+router.post('/', validateRequest(definitionSchema), async (req, res) => {
+  try {
+    const { definition, format, note } = req.validatedData;
+
+    req.logger.info('Creating strategy definition', { format });
+
+    const record = await req.services.strategyDefinitions.createDefinition({ source: definition, format, note });
+
+    res.status(201).json({
+      success: true,
+      definition: record,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Strategy definition creation error:', error);
+    res.status(errorStatus(error)).json(errorBody(req, error, 'Failed to create strategy definition'));
+  }
+});
+
+// List definitions
+router.get('/', async (req, res) => {
+  try {
+    const definitions = req.services.strategyDefinitions.listDefinitions({ name: req.query.name });
+
+    res.json({
+      success: true,
+      definitions,
+      count: definitions.length,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error listing strategy definitions:', error);
+    res.status(500).json(errorBody(req, error, 'Failed to list strategy definitions'));
+  }
+});
+
+// Get a definition with all its versions and deployments
+router.get('/:definitionId', async (req, res) => {
+  try {
+    const definition = req.services.strategyDefinitions.requireDefinition(req.params.definitionId);
+
+    res.json({
+      success: true,
+      definition,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching strategy definition:', error);
+    res.status(errorStatus(error)).json(errorBody(req, error, 'Failed to fetch strategy definition'));
+  }
+});
+
+// Get one saved version
+router.get('/:definitionId/versions/:version', async (req, res) => {
+  try {
+    const { strategyDefinitions } = req.services;
+    const record = strategyDefinitions.requireDefinition(req.params.definitionId);
+    const version = strategyDefinitions.requireVersion(record, req.params.version);
+
+    res.json({
+      success: true,
+      definitionId: record.id,
+      version,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Error fetching strategy definition version:', error);
+    res.status(errorStatus(error)).json(errorBody(req, error, 'Failed to fetch strategy definition version'));
+  }
+});
+
+// Save a new version; earlier versions stay deployable
+router.post('/:definitionId/versions', validateRequest(definitionSchema), async (req, res) => {
+  try {
+    const { definitionId } = req.params;
+    const { definition, format, note } = req.validatedData;
+
+    req.logger.info('Adding strategy definition version', { definitionId, format });
+
+    const version = await req.services.strategyDefinitions.addVersion(definitionId, {
+      source: definition,
+      format,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      definitionId,
+      version,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Strategy definition version error:', error);
+    res.status(errorStatus(error)).json(errorBody(req, error, 'Failed to add strategy definition version'));
+  }
+});
+
+// Deploy a saved version (the latest unless one is given) as a custom strategy order
+router.post('/:definitionId/deploy', swapRateLimiter, validateRequest(deploySchema), async (req, res) => {
+  try {
+    const { definitionId } = req.params;
+    const params = req.validatedData;
+
+    req.logger.info('Deploying strategy definition', { definitionId, version: params.version, dryRun: params.dryRun });
+
+    const result = await req.services.strategyDefinitions.deploy(definitionId, params);
+
+    if (result.dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        definitionId,
+        version: result.version,
+        predicate: result.predicate,
+        simulation: result.simulation,
+        requestId: req.id
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      definitionId,
+      version: result.version,
+      strategyId: result.orderHash,
+      onchainOrder: result,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    req.logger.error('Strategy definition deployment error:', error);
+    res.status(errorStatus(error)).json(errorBody(req, error, 'Failed to deploy strategy definition'));
+  }
+});
+
+export default router;
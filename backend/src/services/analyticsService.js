@@ -0,0 +1,423 @@
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+// Lookback windows accepted by the analytics endpoints
+export const ANALYTICS_PERIODS = {
+  '1d': DAY,
+  '7d': 7 * DAY,
+  '30d': 30 * DAY,
+  '90d': 90 * DAY,
+  all: null
+};
+
+/**
+ * Resolve a period name to a time window. PnL is bucketed hourly for a
+ * one-day window and daily otherwise.
+ */
+export function resolvePeriod(period = '7d', now = Date.now()) {
+  if (!(period in ANALYTICS_PERIODS)) {
+    throw new Error(`Unsupported period: ${period}`);
+  }
+
+  const length = ANALYTICS_PERIODS[period];
+  const bucketMs = length !== null && length <= DAY ? HOUR : DAY;
+
+  return {
+    period,
+    from: length === null ? null : now - length,
+    to: now,
+    bucketMs,
+    periodsPerYear: (365 * DAY) / bucketMs
+  };
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function known(values) {
+  return values.filter(value => value !== null && value !== undefined && Number.isFinite(value));
+}
+
+function toUnits(amount, decimals) {
+  return decimals === null || decimals === undefined ? null : Number(amount) / 10 ** decimals;
+}
+
+/**
+ * Compute trading metrics from recorded fills
+ * @param {Object} params - Metric inputs
+ * @param {Array} params.fills - Fill records inside the window
+ * @param {Array} params.orders - Tracked orders the fills belong to
+ * @param {number} params.unrealizedPnlUsd - PnL of unfilled amounts at their limit price vs. the mark
+ * @param {Object} params.window - Window from resolvePeriod()
+ * @returns {Object} Performance, risk and execution metrics
+ */
+export function calculateTradeMetrics({ fills, orders, unrealizedPnlUsd = 0, window }) {
+  const sorted = [...fills].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  const realizedPnl = sum(known(sorted.map(fill => fill.realizedPnlUsd)));
+  const volume = sum(known(sorted.map(fill => fill.volumeUsd)));
+  const slippages = known(sorted.map(fill => fill.slippageBps));
+
+  // Bucket realized PnL over the window; empty buckets count as zero returns
+  const start = window.from ?? (sorted.length ? Date.parse(sorted[0].timestamp) : window.to);
+  const bucketCount = Math.max(1, Math.ceil((window.to - start) / window.bucketMs));
+  const buckets = new Array(bucketCount).fill(0);
+  for (const fill of sorted) {
+    if (fill.realizedPnlUsd === null || fill.realizedPnlUsd === undefined) continue;
+    const index = Math.min(bucketCount - 1, Math.floor((Date.parse(fill.timestamp) - start) / window.bucketMs));
+    buckets[Math.max(0, index)] += fill.realizedPnlUsd;
+  }
+
+  let cumulative = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  for (const pnl of buckets) {
+    cumulative += pnl;
+    peak = Math.max(peak, cumulative);
+    maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+  }
+
+  // Returns are PnL over the USD value committed to the orders
+  const capital = sum(known(orders.map(order => order.basisUsd)));
+  let sharpeRatio = null;
+  let volatility = null;
+  if (capital > 0 && buckets.length > 1) {
+    const returns = buckets.map(pnl => pnl / capital);
+    const mean = sum(returns) / returns.length;
+    const std = Math.sqrt(sum(returns.map(r => (r - mean) ** 2)) / (returns.length - 1));
+    volatility = std * Math.sqrt(window.periodsPerYear);
+    sharpeRatio = std > 0 ? (mean / std) * Math.sqrt(window.periodsPerYear) : null;
+  }
+
+  // Historical 95% VaR: the loss exceeded in only 5% of buckets
+  const ordered = [...buckets].sort((a, b) => a - b);
+  const var95 = Math.max(0, -ordered[Math.floor(0.05 * ordered.length)]);
+
+  const fillFractions = orders
+    .filter(order => BigInt(order.makingAmount || 0) > 0n)
+    .map(order => Number(BigInt(order.filledAmount || 0) * 10000n / BigInt(order.makingAmount)) / 10000);
+
+  // Time from order creation to its last fill, for completely filled orders
+  const lastFillAt = new Map();
+  for (const fill of sorted) {
+    lastFillAt.set(fill.orderHash, Date.parse(fill.timestamp));
+  }
+  const executionTimes = orders
+    .filter(order => order.status === 'filled' && order.createdAt && lastFillAt.has(order.orderHash))
+    .map(order => (lastFillAt.get(order.orderHash) - Date.parse(order.createdAt)) / 1000);
+
+  const countStatus = status => orders.filter(order => order.status === status).length;
+
+  return {
+    performance: {
+      realizedPnl,
+      unrealizedPnl: unrealizedPnlUsd,
+      totalPnl: realizedPnl + unrealizedPnlUsd,
+      totalVolume: volume,
+      averageFillSize: sorted.length ? volume / sorted.length : 0,
+      fillRate: fillFractions.length ? sum(fillFractions) / fillFractions.length : 0,
+      averageExecutionTime: executionTimes.length ? sum(executionTimes) / executionTimes.length : null,
+      slippage: {
+        averageBps: slippages.length ? sum(slippages) / slippages.length : null,
+        minBps: slippages.length ? Math.min(...slippages) : null,
+        maxBps: slippages.length ? Math.max(...slippages) : null
+      }
+    },
+    risk: {
+      maxDrawdown,
+      sharpeRatio,
+      volatility,
+      var95,
+      capital,
+      observations: buckets.length
+    },
+    execution: {
+      totalOrders: orders.length,
+      filledOrders: countStatus('filled'),
+      partiallyFilledOrders: countStatus('partially_filled'),
+      cancelledOrders: countStatus('cancelled'),
+      expiredOrders: countStatus('expired'),
+      fills: sorted.length,
+      partialFills: sorted.filter(fill => fill.partial).length
+    },
+    lastExecution: sorted.length ? sorted[sorted.length - 1].timestamp : null
+  };
+}
+
+/**
+ * Records strategy order fills with the prices they executed at and
+ * computes PnL, execution and risk analytics from them. Amounts are valued
+ * in USD with 1inch spot prices so strategies on different pairs can be
+ * aggregated per maker.
+ */
+export class AnalyticsService {
+  constructor({ storage, oneInchService, logger }) {
+    this.logger = logger;
+    this.oneInchService = oneInchService;
+    this.fillRepository = storage.repository('fills');
+    this.strategyRepository = storage.repository('strategies');
+  }
+
+  // Fills recorded before records had a parent id kept the strategy id in
+  // their status column; move it to the parent id
+  async migrateFills() {
+    let migrated = 0;
+    for (const { id, parentId, data } of await this.fillRepository.list()) {
+      if (parentId || !data.strategyId) continue;
+      await this.fillRepository.save(id, data, { status: null, parentId: data.strategyId });
+      migrated++;
+    }
+
+    if (migrated > 0) {
+      this.logger.info('Fills migrated to strategy parent ids', { count: migrated });
+    }
+    return migrated;
+  }
+
+  async getUsdPrices(chainId, tokens) {
+    const response = await this.oneInchService.getTokenPrice(chainId, tokens, 'USD');
+    const prices = {};
+    for (const [address, price] of Object.entries(response || {})) {
+      prices[address.toLowerCase()] = Number(price);
+    }
+
+    return tokens.map(token => {
+      const price = prices[token.toLowerCase()];
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`No USD price for ${token} on chain ${chainId}`);
+      }
+      return price;
+    });
+  }
+
+  // Market price of the maker asset in taker asset units, plus USD prices
+  async getMarket(order) {
+    const makerDecimals = await this.oneInchService.getTokenDecimals(order.chainId, order.makerAsset);
+    const takerDecimals = await this.oneInchService.getTokenDecimals(order.chainId, order.takerAsset);
+    const [makerUsd, takerUsd] = await this.getUsdPrices(order.chainId, [order.makerAsset, order.takerAsset]);
+
+    return { makerDecimals, takerDecimals, makerUsd, takerUsd, price: makerUsd / takerUsd };
+  }
+
+  /**
+   * Snapshot the market price each order was placed at; fills are measured
+   * against it. Orders without asset details or prices are left unquoted.
+   */
+  async quoteOrders(orders) {
+    for (const order of orders) {
+      if (!order.makerAsset || !order.takerAsset || order.quotePrice) continue;
+
+      try {
+        const market = await this.getMarket(order);
+        order.quotePrice = market.price;
+        order.basisUsd = toUnits(order.makingAmount, market.makerDecimals) * market.makerUsd;
+      } catch (error) {
+        this.logger.warn('Failed to quote order for analytics', {
+          orderHash: order.orderHash,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Record a fill observed on a strategy order. The maker always gives the
+   * maker asset; orders with a takingAmount fill at their limit price,
+   * market-priced orders at the spot price when the fill is observed.
+   * Realized PnL is what the maker received against the mark (that spot
+   * price) of what it gave; slippage is measured against the placement quote.
+   * @param {Object} params - Fill details
+   * @param {string} params.strategyId - Strategy the order belongs to
+   * @param {Object} params.order - Tracked order, already updated with the new fill
+   * @param {bigint} params.amount - Maker amount filled since the last observation
+   * @returns {Promise<Object>} Fill record
+   */
+  async recordFill({ strategyId, order, amount }) {
+    const fill = {
+      id: `${order.orderHash}:${order.filledAmount}`,
+      strategyId,
+      orderHash: order.orderHash,
+      chainId: order.chainId,
+      maker: order.maker?.toLowerCase() ?? null,
+      makerAsset: order.makerAsset ?? null,
+      takerAsset: order.takerAsset ?? null,
+      amount: amount.toString(),
+      partial: BigInt(order.filledAmount) < BigInt(order.makingAmount),
+      quotePrice: order.quotePrice ?? null,
+      marketPrice: null,
+      executionPrice: null,
+      slippageBps: null,
+      volumeUsd: null,
+      realizedPnlUsd: null,
+      timestamp: new Date().toISOString()
+    };
+
+    if (fill.makerAsset && fill.takerAsset) {
+      try {
+        const market = await this.getMarket(order);
+        const baseAmount = toUnits(amount, market.makerDecimals);
+        const limitPrice = BigInt(order.takingAmount || 0) > 0n
+          ? toUnits(order.takingAmount, market.takerDecimals) / toUnits(order.makingAmount, market.makerDecimals)
+          : null;
+
+        fill.marketPrice = market.price;
+        fill.executionPrice = limitPrice ?? market.price;
+        fill.volumeUsd = baseAmount * market.makerUsd;
+
+        fill.realizedPnlUsd = baseAmount * (fill.executionPrice - market.price) * market.takerUsd;
+
+        // Positive slippage means the fill was worse than the placement quote
+        if (fill.quotePrice) {
+          fill.slippageBps = (fill.quotePrice - fill.executionPrice) / fill.quotePrice * 10000;
+        }
+      } catch (error) {
+        this.logger.warn('Failed to price fill; recording amounts only', {
+          orderHash: order.orderHash,
+          error: error.message
+        });
+      }
+    }
+
+    await this.fillRepository.save(fill.id, fill, { parentId: strategyId });
+    this.logger.info('Fill recorded', {
+      strategyId,
+      orderHash: order.orderHash,
+      amount: fill.amount,
+      executionPrice: fill.executionPrice
+    });
+
+    return fill;
+  }
+
+  // Value the unfilled amounts of open limit orders at their limit price
+  // against the current mark
+  async calculateUnrealizedPnl(orders) {
+    let total = 0;
+
+    for (const order of orders) {
+      if (!['submitted', 'partially_filled'].includes(order.status) || !(BigInt(order.takingAmount || 0) > 0n)) continue;
+
+      try {
+        const market = await this.getMarket(order);
+        const limitPrice = toUnits(order.takingAmount, market.takerDecimals) / toUnits(order.makingAmount, market.makerDecimals);
+        const remaining = BigInt(order.makingAmount) - BigInt(order.filledAmount || 0);
+        total += toUnits(remaining, market.makerDecimals) * (limitPrice - market.price) * market.takerUsd;
+      } catch (error) {
+        this.logger.warn('Failed to mark order to market', {
+          orderHash: order.orderHash,
+          error: error.message
+        });
+      }
+    }
+
+    return total;
+  }
+
+  filterWindow(fills, window) {
+    return fills.filter(fill => {
+      const time = Date.parse(fill.timestamp);
+      return (window.from === null || time >= window.from) && time <= window.to;
+    });
+  }
+
+  /**
+   * Analytics for one strategy over a period
+   * @param {string} strategyId - Strategy ID
+   * @param {Object} options - Options
+   * @param {string} options.period - 1d, 7d, 30d, 90d or all
+   * @returns {Promise<Object|null>} Analytics, or null for an unknown strategy
+   */
+  async getStrategyAnalytics(strategyId, { period } = {}) {
+    try {
+      const strategy = await this.strategyRepository.get(strategyId);
+      if (!strategy) return null;
+
+      const window = resolvePeriod(period);
+      const fills = (await this.fillRepository.list({ parentId: strategyId })).map(({ data }) => data);
+
+      const metrics = calculateTradeMetrics({
+        fills: this.filterWindow(fills, window),
+        orders: strategy.orders,
+        unrealizedPnlUsd: await this.calculateUnrealizedPnl(strategy.orders),
+        window
+      });
+
+      return {
+        strategyId,
+        type: strategy.kind,
+        status: strategy.status,
+        period: window.period,
+        ...metrics,
+        ...(strategy.params?.greeks && { greeks: strategy.params.greeks }),
+        timestamps: {
+          createdAt: strategy.createdAt,
+          updatedAt: strategy.updatedAt,
+          lastExecution: metrics.lastExecution
+        }
+      };
+    } catch (error) {
+      this.logger.error('Error computing strategy analytics:', error);
+      throw new Error(`Failed to compute strategy analytics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Analytics across every strategy order placed by a maker
+   * @param {string} address - Maker address
+   * @param {Object} options - Options
+   * @param {string} options.period - 1d, 7d, 30d, 90d or all
+   * @returns {Promise<Object>} Aggregated analytics
+   */
+  async getMakerAnalytics(address, { period } = {}) {
+    try {
+      const maker = address.toLowerCase();
+      const window = resolvePeriod(period);
+
+      const strategies = (await this.strategyRepository.list())
+        .map(({ data }) => data)
+        .filter(strategy => strategy.orders?.some(order => order.maker?.toLowerCase() === maker));
+      const orders = strategies.flatMap(strategy =>
+        strategy.orders
+          .filter(order => order.maker?.toLowerCase() === maker)
+          .map(order => ({ ...order, kind: strategy.kind }))
+      );
+
+      const fills = [];
+      for (const strategy of strategies) {
+        const records = await this.fillRepository.list({ parentId: strategy.id });
+        fills.push(...records.map(({ data }) => data).filter(fill => fill.maker === maker));
+      }
+
+      const metrics = calculateTradeMetrics({
+        fills: this.filterWindow(fills, window),
+        orders,
+        unrealizedPnlUsd: await this.calculateUnrealizedPnl(orders),
+        window
+      });
+
+      const ordersByType = {};
+      const tokenCounts = {};
+      for (const order of orders) {
+        ordersByType[order.kind] = (ordersByType[order.kind] || 0) + 1;
+        for (const token of [order.makerAsset, order.takerAsset].filter(Boolean)) {
+          tokenCounts[token.toLowerCase()] = (tokenCounts[token.toLowerCase()] || 0) + 1;
+        }
+      }
+
+      return {
+        address,
+        period: window.period,
+        strategies: strategies.length,
+        ...metrics,
+        ordersByType,
+        favoriteTokens: Object.entries(tokenCounts)
+          .sort(([, a], [, b]) => b - a)
+          .slice(0, 5)
+          .map(([token, count]) => ({ token, orders: count }))
+      };
+    } catch (error) {
+      this.logger.error('Error computing maker analytics:', error);
+      throw new Error(`Failed to compute maker analytics: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,558 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import {
+  EnhancedTWAPStrategy,
+  BarrierOptionsStrategy,
+  DynamicDeltaHedgingStrategy
+} from './enhancedStrategies.js';
+import {
+  ConcentratedLiquidityStrategy,
+  buildConcentratedLiquidityParams
+} from './limitOrderService.js';
+import { PredicateDecoder } from './predicateDecoder.js';
+import { toUnixSeconds } from './predicateBuilder.js';
+import { MarketDataService } from './marketDataService.js';
+
+// Predicates compare against Chainlink-style USD prices with 8 decimals
+const ORACLE_DECIMALS = 8;
+
+const COLUMN_ALIASES = {
+  timestamp: ['timestamp', 'time', 'date', 'datetime', 't'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'vol', 'v']
+};
+
+const CANDLE_FIELDS = Object.keys(COLUMN_ALIASES);
+
+function parseTimestamp(value) {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return toUnixSeconds(value);
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? NaN : Math.floor(ms / 1000);
+}
+
+function normalizeCandle(raw, row) {
+  const candle = Array.isArray(raw)
+    ? Object.fromEntries(CANDLE_FIELDS.map((field, i) => [field, raw[i]]))
+    : Object.fromEntries(CANDLE_FIELDS.map(field => [
+      field,
+      raw[COLUMN_ALIASES[field].find(alias => raw[alias] !== undefined)]
+    ]));
+
+  const normalized = {
+    timestamp: parseTimestamp(candle.timestamp),
+    open: Number(candle.open),
+    high: Number(candle.high),
+    low: Number(candle.low),
+    close: Number(candle.close),
+    volume: candle.volume === undefined || candle.volume === '' ? 0 : Number(candle.volume)
+  };
+
+  const invalid = CANDLE_FIELDS.find(field => !Number.isFinite(normalized[field]));
+  if (invalid) {
+    throw new Error(`Invalid candle at row ${row}: ${invalid} is missing or not a number`);
+  }
+  if (normalized.close <= 0 || normalized.low > normalized.high) {
+    throw new Error(`Invalid candle at row ${row}: prices are inconsistent`);
+  }
+
+  return normalized;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.some(cell => Number.isNaN(Number(cell)) && Number.isNaN(Date.parse(cell)));
+
+  return (hasHeader ? lines.slice(1) : lines).map(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    return hasHeader ? Object.fromEntries(header.map((name, i) => [name, cells[i]])) : cells;
+  });
+}
+
+/**
+ * Parse OHLCV candles from CSV or JSON. CSV may have a header row naming
+ * the columns, otherwise columns are timestamp,open,high,low,close,volume.
+ * JSON may be an array of [t, o, h, l, c, v] tuples or candle objects, or
+ * an object with a `candles` array.
+ * @param {string|Array} input - Raw file contents or already parsed rows
+ * @param {string} format - 'csv' or 'json'; inferred when omitted
+ * @returns {Array<Object>} Candles sorted by timestamp (unix seconds)
+ */
+export function parseCandles(input, format) {
+  let rows = input;
+
+  if (typeof input === 'string') {
+    const text = input.trim();
+    const type = format || (text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv');
+    if (type === 'json') {
+      const parsed = JSON.parse(text);
+      rows = Array.isArray(parsed) ? parsed : parsed.candles;
+    } else {
+      rows = parseCsv(text);
+    }
+  }
+
+  if (!Array.isArray(rows)) {
+    throw new Error('Candle data must be an array of candles');
+  }
+
+  const candles = rows
+    .map((row, i) => normalizeCandle(row, i + 1))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (candles.length < 2) {
+    throw new Error('At least two candles are required');
+  }
+
+  return candles;
+}
+
+// Stands in for LimitOrderService while a strategy builds its orders
+class RecordingOrderService {
+  constructor() {
+    this.orders = [];
+  }
+
+  async createLimitOrder(params) {
+    const order = {
+      ...params,
+      orderHash: `backtest-${this.orders.length}`,
+      status: 'simulated'
+    };
+    this.orders.push(order);
+    return order;
+  }
+
+  // Replayed orders fill at candle prices, so their limit is only nominal
+  async getMinReturn() {
+    return 1n;
+  }
+}
+
+// Position and cash in quote units, average-cost accounting
+class Ledger {
+  constructor(initialPosition, initialPrice) {
+    this.position = initialPosition;
+    this.avgCost = initialPrice;
+    this.cash = 0;
+    this.realizedPnl = 0;
+    this.fees = 0;
+    this.initialEquity = initialPosition * initialPrice;
+  }
+
+  trade(quantity, price, fee) {
+    if (this.position !== 0 && Math.sign(quantity) !== Math.sign(this.position)) {
+      const closing = Math.min(Math.abs(quantity), Math.abs(this.position));
+      this.realizedPnl += closing * (price - this.avgCost) * Math.sign(this.position);
+    }
+
+    const position = this.position + quantity;
+    if (position === 0) {
+      this.avgCost = 0;
+    } else if (this.position === 0 || Math.sign(position) !== Math.sign(this.position)) {
+      this.avgCost = price;
+    } else if (Math.sign(quantity) === Math.sign(this.position)) {
+      this.avgCost = (this.avgCost * this.position + price * quantity) / position;
+    }
+
+    this.position = position;
+    this.cash -= quantity * price + fee;
+    this.realizedPnl -= fee;
+    this.fees += fee;
+  }
+
+  equity(price) {
+    return this.cash + this.position * price;
+  }
+
+  unrealizedPnl(price) {
+    return this.position * (price - this.avgCost);
+  }
+}
+
+/**
+ * Replays historical OHLCV candles through a strategy's predicates and
+ * fill logic. Each candle stands in for one block: its timestamp is
+ * block.timestamp, its price (priceField) is what every price feed reports
+ * and its volume is what volume oracles report.
+ */
+export class Backtester {
+  constructor({ logger, dataDir = 'data/candles' }) {
+    this.logger = logger;
+    this.dataDir = path.resolve(dataDir);
+  }
+
+  /**
+   * Run a backtest
+   * @param {Object} request - Backtest request
+   * @param {string} request.strategy - enhanced_twap, barrier_options, dynamic_delta_hedging or concentrated_liquidity
+   * @param {Object} request.params - Same params as the strategy's create endpoint
+   * @param {Array} request.candles - Inline candles
+   * @param {string} request.data - Raw CSV or JSON candle data
+   * @param {string} request.file - Candle file inside the data directory
+   * @param {string} request.format - 'csv' or 'json'
+   * @param {string} request.priceField - Candle price used for predicates and fills
+   * @param {number} request.makerDecimals - Decimals of raw order amounts
+   * @param {Object} request.fees - { bps, fixed } charged per fill in quote units
+   * @param {Object} request.slippage - { model: 'fixed'|'volume', bps, impactBps }
+   * @param {number} request.maxParticipation - Max share of a candle's volume one fill may take
+   * @returns {Promise<Object>} Fills, PnL, drawdown and TWAP benchmark
+   */
+  async run(request) {
+    try {
+      const candles = await this.loadCandles(request);
+      const context = {
+        priceField: request.priceField || 'close',
+        makerDecimals: request.makerDecimals ?? 18,
+        fees: { bps: 0, fixed: 0, ...request.fees },
+        slippage: { model: 'fixed', bps: 0, impactBps: 0, ...request.slippage },
+        maxParticipation: request.maxParticipation ?? null,
+        decoder: new PredicateDecoder({ chainId: request.params.chainId })
+      };
+
+      const simulation = request.strategy === 'dynamic_delta_hedging'
+        ? await this.runDeltaHedging(request.params, candles, context)
+        : await this.runOrders(request.strategy, request.params, candles, context);
+
+      const result = {
+        strategy: request.strategy,
+        period: {
+          start: new Date(candles[0].timestamp * 1000).toISOString(),
+          end: new Date(candles[candles.length - 1].timestamp * 1000).toISOString(),
+          candles: candles.length
+        },
+        ...simulation,
+        benchmark: this.calculateBenchmark(simulation.fills, candles)
+      };
+
+      this.logger.info('Backtest completed', {
+        strategy: request.strategy,
+        candles: candles.length,
+        fills: simulation.fills.length,
+        totalPnl: simulation.performance.totalPnl
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Error running backtest:', error);
+      throw new Error(`Failed to run backtest: ${error.message}`);
+    }
+  }
+
+  async loadCandles({ candles, data, file, format }) {
+    if (candles) {
+      return parseCandles(candles);
+    }
+    if (data) {
+      return parseCandles(data, format);
+    }
+    if (!file) {
+      throw new Error('Provide candles, data or file');
+    }
+
+    // Only files inside the data directory can be read
+    const filePath = path.resolve(this.dataDir, file);
+    if (!filePath.startsWith(this.dataDir + path.sep)) {
+      throw new Error('Candle file must be inside the backtest data directory');
+    }
+
+    const contents = await readFile(filePath, 'utf8');
+    return parseCandles(contents, format || path.extname(filePath).slice(1).toLowerCase());
+  }
+
+  // Let the strategy build its orders as it would live, then fill each one
+  // on the candles where its predicate passes
+  async runOrders(strategyType, params, candles, context) {
+    const recorder = new RecordingOrderService();
+    const initialPrice = candles[0][context.priceField];
+
+    switch (strategyType) {
+      case 'enhanced_twap':
+        await new EnhancedTWAPStrategy({ ...params, startTime: candles[0].timestamp }).execute(recorder);
+        break;
+      case 'barrier_options':
+        await new BarrierOptionsStrategy(params).execute(recorder);
+        break;
+      case 'concentrated_liquidity':
+        await new ConcentratedLiquidityStrategy(buildConcentratedLiquidityParams(params), recorder).execute();
+        break;
+      default:
+        throw new Error(`Unsupported backtest strategy: ${strategyType}`);
+    }
+
+    const orders = recorder.orders.map(order => ({
+      id: order.orderHash,
+      predicate: order.predicate || '0x',
+      tree: context.decoder.decode(order.predicate || '0x'),
+      amount: this.toUnits(order.makingAmount, context.makerDecimals),
+      filled: 0
+    }));
+
+    const totalAmount = orders.reduce((sum, order) => sum + order.amount, 0);
+    const ledger = new Ledger(totalAmount, initialPrice);
+    const fills = [];
+    const equityCurve = [];
+
+    for (const [index, candle] of candles.entries()) {
+      const market = this.getMarketState(candle, context);
+      let available = context.maxParticipation === null
+        ? Infinity
+        : candle.volume * context.maxParticipation;
+
+      for (const order of orders) {
+        const remaining = order.amount - order.filled;
+        if (remaining <= 0 || available <= 0 || !this.passes(order.tree, market)) continue;
+
+        const quantity = Math.min(remaining, available);
+        fills.push(this.fill(ledger, order.id, -quantity, candle, index, context));
+        order.filled += quantity;
+        available -= quantity;
+      }
+
+      equityCurve.push(ledger.equity(candle[context.priceField]));
+    }
+
+    const filledAmount = orders.reduce((sum, order) => sum + order.filled, 0);
+
+    return {
+      orders: orders.map(order => ({
+        id: order.id,
+        predicate: order.predicate,
+        amount: order.amount,
+        filledAmount: order.filled,
+        status: order.filled === 0 ? 'unfilled' : order.filled < order.amount ? 'partially_filled' : 'filled'
+      })),
+      fills,
+      performance: this.calculatePerformance(ledger, candles, equityCurve, context, {
+        fillRate: totalAmount > 0 ? filledAmount / totalAmount : 0
+      })
+    };
+  }
+
+  // Delta hedging trades against a moving target rather than fixed orders:
+  // the initial hedge fills once its predicate passes, then every time the
+  // monitor predicate passes (at most once per monitoring.frequency) the
+  // hedge is topped up to the strategy's required hedge. Greeks are taken at
+  // each candle's price and time; realized volatility only sees the candles
+  // replayed so far, one bar per candle.
+  async runDeltaHedging(params, candles, context) {
+    const strategy = new DynamicDeltaHedgingStrategy(params);
+    const size = this.toUnits(strategy.optionPosition.quantity, context.makerDecimals);
+    const hedgeTree = context.decoder.decode(strategy.createDeltaHedgePredicate());
+    const monitorTree = context.decoder.decode(strategy.createDeltaMonitorPredicate());
+    const { frequency = 60, maxRebalances = 10 } = strategy.monitoring;
+    const marketData = new MarketDataService({
+      logger: this.logger,
+      barInterval: Math.max(1, candles[1].timestamp - candles[0].timestamp),
+      maxAge: candles[candles.length - 1].timestamp - candles[0].timestamp + 1
+    });
+
+    // Required hedge in makerAsset units, or null while there is too little
+    // history to estimate volatility
+    const requiredHedge = candle => {
+      let greeks;
+      try {
+        greeks = strategy.greeksAt(candle[context.priceField], { marketData, now: candle.timestamp * 1000 });
+      } catch {
+        return null;
+      }
+      return {
+        amount: this.toUnits(strategy.calculateRequiredHedge(greeks), context.makerDecimals),
+        needed: strategy.needsRebalance(greeks)
+      };
+    };
+
+    // Sized on the first candle with greeks, as execute() does at creation;
+    // null once placed or when no initial hedge is needed
+    let initialHedge;
+    let lastRebalance = -Infinity;
+    let rebalances = 0;
+
+    const ledger = new Ledger(0, candles[0][context.priceField]);
+    const fills = [];
+    const equityCurve = [];
+
+    for (const [index, candle] of candles.entries()) {
+      const market = this.getMarketState(candle, context);
+      marketData.recordSample(params.chainId, params.underlying, candle[context.priceField], candle.timestamp * 1000);
+
+      if (initialHedge === undefined) {
+        const hedge = requiredHedge(candle);
+        if (hedge) initialHedge = hedge.needed ? hedge.amount : null;
+      }
+
+      if (initialHedge && this.passes(hedgeTree, market)) {
+        fills.push(this.fill(ledger, 'delta_hedge', initialHedge, candle, index, context));
+        initialHedge = null;
+        lastRebalance = candle.timestamp;
+      } else if (
+        initialHedge === null &&
+        rebalances < maxRebalances &&
+        candle.timestamp - lastRebalance >= frequency &&
+        this.passes(monitorTree, market)
+      ) {
+        const hedge = requiredHedge(candle);
+        const trade = hedge ? hedge.amount - ledger.position : 0;
+
+        if (Math.abs(trade) > strategy.rebalanceThreshold * size) {
+          fills.push(this.fill(ledger, `rebalance-${rebalances + 1}`, trade, candle, index, context));
+          rebalances++;
+          lastRebalance = candle.timestamp;
+        }
+      }
+
+      equityCurve.push(ledger.equity(candle[context.priceField]));
+    }
+
+    return {
+      orders: [],
+      fills,
+      performance: this.calculatePerformance(ledger, candles, equityCurve, context, {
+        rebalances,
+        hedgePosition: ledger.position
+      })
+    };
+  }
+
+  getMarketState(candle, context) {
+    return {
+      timestamp: BigInt(candle.timestamp),
+      price: BigInt(Math.round(candle[context.priceField] * 10 ** ORACLE_DECIMALS)),
+      volume: BigInt(Math.round(candle.volume * 10 ** context.makerDecimals))
+    };
+  }
+
+  passes(tree, market) {
+    if (!tree) return true;
+    const { ok, value } = this.evaluate(tree, market);
+    return ok && value === 1n;
+  }
+
+  // Mirrors the v4 router: comparisons over a failed call are false and
+  // not() of a failed call is true
+  evaluate(node, market) {
+    const bool = condition => ({ ok: true, value: condition ? 1n : 0n });
+
+    switch (node.type) {
+      case 'and':
+        return bool(node.children.every(child => this.passes(child, market)));
+      case 'or':
+        return bool(node.children.some(child => this.passes(child, market)));
+      case 'not': {
+        const { ok, value } = this.evaluate(node.child, market);
+        return bool(!ok || value === 0n);
+      }
+      case 'timestamp':
+        return bool(this.compare(node.operator, market.timestamp, BigInt(node.value)));
+      case 'comparison': {
+        const { ok, value } = this.evaluate(node.call, market);
+        return bool(ok && this.compare(node.operator, value, BigInt(node.value)));
+      }
+      case 'staticCall':
+        if (node.source === 'price_feed') return { ok: true, value: market.price };
+        if (node.source === 'volume_oracle') return { ok: true, value: market.volume };
+        if (node.source === 'block_timestamp') return { ok: true, value: market.timestamp };
+        return { ok: false, value: 0n };
+      default:
+        // Epoch checks, legacy v3 calls and unknown calls can't be replayed
+        return { ok: false, value: 0n };
+    }
+  }
+
+  compare(operator, observed, value) {
+    switch (operator) {
+      case 'lt': return observed < value;
+      case 'gt': return observed > value;
+      default: return observed === value;
+    }
+  }
+
+  // Fill at the candle price moved against us by the slippage model, then
+  // charge fees. Positive quantities buy, negative quantities sell.
+  fill(ledger, orderId, quantity, candle, index, context) {
+    const { fees, slippage } = context;
+    const price = candle[context.priceField];
+    const amount = Math.abs(quantity);
+
+    let slippageBps = slippage.bps;
+    if (slippage.model === 'volume' && candle.volume > 0) {
+      slippageBps += slippage.impactBps * (amount / candle.volume);
+    }
+
+    const side = quantity > 0 ? 'buy' : 'sell';
+    const executionPrice = price * (1 + (side === 'buy' ? 1 : -1) * slippageBps / 10000);
+    const fee = amount * executionPrice * fees.bps / 10000 + fees.fixed;
+
+    ledger.trade(quantity, executionPrice, fee);
+
+    return {
+      orderId,
+      candleIndex: index,
+      timestamp: new Date(candle.timestamp * 1000).toISOString(),
+      side,
+      amount,
+      marketPrice: price,
+      executionPrice,
+      slippageBps,
+      fee
+    };
+  }
+
+  calculatePerformance(ledger, candles, equityCurve, context, extra = {}) {
+    const lastPrice = candles[candles.length - 1][context.priceField];
+    const totalPnl = ledger.equity(lastPrice) - ledger.initialEquity;
+
+    let peak = ledger.initialEquity;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = ledger.initialEquity > 0 ? 0 : null;
+    for (const equity of equityCurve) {
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+      // Drawdown percentages are only meaningful against a funded start
+      if (ledger.initialEquity > 0) {
+        maxDrawdownPct = Math.max(maxDrawdownPct, (peak - equity) / peak);
+      }
+    }
+
+    return {
+      realizedPnl: ledger.realizedPnl,
+      unrealizedPnl: ledger.unrealizedPnl(lastPrice),
+      totalPnl,
+      returnPct: ledger.initialEquity > 0 ? totalPnl / ledger.initialEquity : null,
+      fees: ledger.fees,
+      maxDrawdown,
+      maxDrawdownPct,
+      finalPosition: ledger.position,
+      ...extra
+    };
+  }
+
+  // TWAP of the typical price from the first candle to the last fill.
+  // executionVsTwapBps is positive when fills beat the benchmark.
+  calculateBenchmark(fills, candles) {
+    if (fills.length === 0) {
+      return { twap: null, averageExecutionPrice: null, executionVsTwapBps: null };
+    }
+
+    const window = candles.slice(0, fills[fills.length - 1].candleIndex + 1);
+    const twap = window.reduce((sum, c) => sum + (c.high + c.low + c.close) / 3, 0) / window.length;
+
+    const totalAmount = fills.reduce((sum, f) => sum + f.amount, 0);
+    const averageExecutionPrice = fills.reduce((sum, f) => sum + f.amount * f.executionPrice, 0) / totalAmount;
+    const improvement = fills.reduce((sum, f) => {
+      const bps = (f.executionPrice - twap) / twap * 10000;
+      return sum + f.amount * (f.side === 'sell' ? bps : -bps);
+    }, 0) / totalAmount;
+
+    return { twap, averageExecutionPrice, executionVsTwapBps: improvement };
+  }
+
+  toUnits(amount, decimals) {
+    return Number(amount) / 10 ** decimals;
+  }
+}
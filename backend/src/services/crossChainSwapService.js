@@ -10,7 +10,7 @@ import { getContractAddresses } from '../config/contracts.js';
  * Coordinates 1inch swaps, Wormhole bridging, and Cetus DEX operations
  */
 export class CrossChainSwapService {
-  constructor({ oneInchApiKey, network = 'testnet', logger }) {
+  constructor({ oneInchApiKey, network = 'testnet', logger, storage }) {
     this.network = network;
     this.logger = logger;
 
@@ -45,8 +45,9 @@ export class CrossChainSwapService {
       sui: network === 'testnet' ? 'sui:testnet' : 'sui:mainnet'
     };
 
-    // Swap state tracking
+    // Swap state tracking (write-through to storage when configured)
     this.activeSwaps = new Map();
+    this.swapRepository = storage?.repository('cross_chain_swaps') || null;
 
     this.initialized = false;
   }
@@ -629,6 +630,24 @@ export class CrossChainSwapService {
     }));
   }
 
+  /**
+   * Reload persisted swaps into the in-memory registry
+   * @returns {Promise<number>} Number of swaps restored
+   */
+  async restoreSwaps() {
+    if (!this.swapRepository) {
+      return 0;
+    }
+
+    const records = await this.swapRepository.list();
+    for (const { id, data } of records) {
+      this.activeSwaps.set(id, data);
+    }
+
+    this.logger.info('Cross-chain swaps restored from storage', { count: records.length });
+    return records.length;
+  }
+
   /**
    * Generate unique swap ID
    * @private
@@ -643,10 +662,15 @@ export class CrossChainSwapService {
    */
   _updateSwapState(swapId, updates) {
     const currentState = this.activeSwaps.get(swapId) || {};
-    this.activeSwaps.set(swapId, {
+    const nextState = {
       ...currentState,
       ...updates,
       updatedAt: new Date().toISOString()
+    };
+    this.activeSwaps.set(swapId, nextState);
+
+    this.swapRepository?.save(swapId, nextState).catch((error) => {
+      this.logger.error('Failed to persist swap state:', error, { swapId });
     });
   }
 }
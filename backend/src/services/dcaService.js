@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { ScheduledPlanService, PLAN_STATUSES } from './scheduledPlanService.js';
+
+export const DCA_PLAN_STATUSES = PLAN_STATUSES;
+
+// Periods kept in a plan's execution log; executionCount keeps the total
+const MAX_EXECUTIONS = 100;
+
+/**
+ * Recurring dollar-cost averaging plans. Every tick of a plan's cron
+ * schedule spends `amount` of srcToken on dstToken, either as a limit order
+ * valid for orderDuration seconds or as a classic swap transaction for the
+ * maker to sign. Plans and the last MAX_EXECUTIONS periods of their
+ * execution logs are persisted.
+ */
+export class DcaService extends ScheduledPlanService {
+  constructor({ oneInchService, storage, logger }) {
+    super({
+      storage,
+      logger,
+      repository: 'dca_plans',
+      name: 'DCA plan',
+      updatableFields: ['amount', 'schedule', 'timezone', 'endAt', 'maxExecutions', 'slippage', 'orderDuration']
+    });
+
+    this.oneInchService = oneInchService;
+  }
+
+  /**
+   * Create and schedule a plan
+   * @param {Object} params - Plan parameters (see dcaPlanSchema in routes/dca.js)
+   * @returns {Promise<Object>} Created plan
+   */
+  async createPlan(params) {
+    try {
+      this.validatePlan(params);
+
+      const now = new Date().toISOString();
+      const plan = {
+        id: `dca_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        ...params,
+        status: DCA_PLAN_STATUSES.ACTIVE,
+        executionCount: 0,
+        executions: [],
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.addPlan(plan);
+
+      this.logger.info('DCA plan created', {
+        planId: plan.id,
+        schedule: plan.schedule,
+        mode: plan.mode
+      });
+
+      return plan;
+    } catch (error) {
+      this.logger.error('Error creating DCA plan:', error);
+      throw new Error(`Failed to create DCA plan: ${error.message}`);
+    }
+  }
+
+  runScheduledPlan(planId) {
+    return this.executePlan(planId);
+  }
+
+  // Run one period of a plan; overlapping ticks of the same plan are skipped
+  async executePlan(planId) {
+    const plan = this.plans.get(planId);
+    if (!plan || plan.status !== DCA_PLAN_STATUSES.ACTIVE || this.running.has(planId)) {
+      return null;
+    }
+
+    this.running.add(planId);
+    try {
+      if (this.isFinished(plan)) {
+        await this.completePlan(plan);
+        return null;
+      }
+
+      const period = plan.executionCount + 1;
+      const execution = { period, mode: plan.mode, executedAt: new Date().toISOString() };
+
+      try {
+        Object.assign(execution, plan.mode === 'swap'
+          ? await this.buildSwap(plan)
+          : await this.placeLimitOrder(plan));
+        plan.executionCount = period;
+      } catch (error) {
+        execution.status = 'failed';
+        execution.error = error.message;
+        this.logger.error('DCA period failed:', error, { planId, period });
+      }
+
+      plan.executions = [...plan.executions, execution].slice(-MAX_EXECUTIONS);
+      plan.updatedAt = execution.executedAt;
+      this.emit('dca_execution', { planId, ...execution });
+
+      if (this.isFinished(plan)) {
+        await this.completePlan(plan);
+      } else {
+        await this.savePlan(plan);
+      }
+
+      return execution;
+    } finally {
+      this.running.delete(planId);
+    }
+  }
+
+  isFinished(plan) {
+    if (plan.maxExecutions && plan.executionCount >= plan.maxExecutions) return true;
+    return Boolean(plan.endAt) && Date.now() >= new Date(plan.endAt).getTime();
+  }
+
+  // Minimum output from the current quote less the plan's slippage (percent)
+  async getMinReturn(plan) {
+    return this.oneInchService.getMinReturn({
+      chainId: plan.chainId,
+      src: plan.srcToken,
+      dst: plan.dstToken,
+      amount: plan.amount,
+      slippage: plan.slippage
+    });
+  }
+
+  // Limit order at the quoted price less slippage, expiring after orderDuration
+  async placeLimitOrder(plan) {
+    const { quoted, minReturn } = await this.getMinReturn(plan);
+    const expiry = Math.floor(Date.now() / 1000) + plan.orderDuration;
+
+    const order = await this.oneInchService.createLimitOrder({
+      chainId: plan.chainId,
+      maker: plan.maker,
+      makerAsset: plan.srcToken,
+      takerAsset: plan.dstToken,
+      makingAmount: plan.amount,
+      takingAmount: minReturn.toString(),
+      expiry,
+      salt: ethers.randomBytes(32)
+    });
+
+    return {
+      status: order.status === 'pending_signature' ? 'pending_signature' : 'submitted',
+      orderHash: order.orderHash,
+      quotedAmount: quoted.toString(),
+      minReturn: minReturn.toString(),
+      expiresAt: new Date(expiry * 1000).toISOString(),
+      ...(order.typedData && { typedData: order.typedData })
+    };
+  }
+
+  // Classic swap transaction; the maker signs and broadcasts it
+  async buildSwap(plan) {
+    const swap = await this.oneInchService.getClassicSwap({
+      chainId: plan.chainId,
+      src: plan.srcToken,
+      dst: plan.dstToken,
+      amount: plan.amount,
+      from: plan.maker,
+      slippage: plan.slippage
+    });
+
+    return {
+      status: 'pending_signature',
+      quotedAmount: swap.toAmount ?? swap.dstAmount,
+      tx: swap.tx
+    };
+  }
+}
@@ -1,12 +1,13 @@
 import { ethers } from 'ethers';
-import { PredicateBuilder } from './limitOrderService.js';
+import { PredicateBuilder, toUnixSeconds } from './predicateBuilder.js';
+import { ORDER_STATUSES, isOpenOrder } from './strategyLifecycle.js';
+import { SECONDS_PER_YEAR, analyzePayoff, blackScholes, impliedVolatility, yearsUntil } from './optionsMath.js';
 
 // Enhanced TWAP Strategy with Slippage Protection
 export class EnhancedTWAPStrategy {
   constructor(params) {
     this.params = params;
-    this.predicateBuilder = new PredicateBuilder();
-    this.abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    this.predicateBuilder = new PredicateBuilder({ chainId: params.chainId });
 
     // Enhanced TWAP parameters
     this.totalAmount = params.totalAmount;
@@ -17,52 +18,42 @@ export class EnhancedTWAPStrategy {
       priceImpactThreshold: 0.005, // 0.5% default
       emergencyStop: true
     };
-    this.dynamicAdjustment = params.dynamicAdjustment || {
+    this.dynamicAdjustment = {
       enabled: true,
-      marketConditionThreshold: 0.02, // 2% volatility threshold
-      intervalAdjustmentFactor: 0.5 // Reduce intervals by 50% in high volatility
+      marketConditionThreshold: 0.02, // 2% volatility over the TWAP duration
+      intervalAdjustmentFactor: 0.5, // Reduce intervals by 50% in high volatility
+      volatilityWindow: 3600, // Seconds of price history the estimate uses
+      ...params.dynamicAdjustment
     };
     this.partialFillHandling = params.partialFillHandling || {
       enabled: true,
-      merkleTreeSecrets: true, // Use 1inch's Merkle tree approach
       retryFailedIntervals: true
     };
   }
 
+  // Slices are plain limit orders: no escrow is involved, so they carry no
+  // hashlock secrets
   async execute(limitOrderService) {
     const orders = [];
-    const secrets = [];
 
     // Calculate dynamic intervals based on market conditions
-    const adjustedIntervals = await this.calculateDynamicIntervals();
+    const adjustedIntervals = await this.calculateDynamicIntervals(limitOrderService.marketData, limitOrderService.logger);
     const amountPerInterval = Math.floor(this.totalAmount / adjustedIntervals);
     const intervalDuration = Math.floor(this.duration / adjustedIntervals);
 
-    // Generate Merkle tree secrets for partial fills (following 1inch approach)
-    if (this.partialFillHandling.merkleTreeSecrets) {
-      for (let i = 0; i < adjustedIntervals; i++) {
-        const secret = ethers.randomBytes(32);
-        const secretHash = ethers.keccak256(secret);
-        secrets.push({
-          index: i,
-          secret: secret,
-          secretHash: secretHash,
-          fillRange: {
-            start: i / adjustedIntervals,
-            end: (i + 1) / adjustedIntervals
-          }
-        });
-      }
-    }
+    // startTime lets the backtester replay the schedule over historical candles
+    const now = this.params.startTime
+      ? toUnixSeconds(this.params.startTime)
+      : Math.floor(Date.now() / 1000);
 
     for (let i = 0; i < adjustedIntervals; i++) {
-      const startTime = Date.now() + (i * intervalDuration * 1000);
-      const endTime = startTime + (intervalDuration * 1000);
+      const startTime = now + (i * intervalDuration);
+      const endTime = startTime + intervalDuration;
 
       // Create enhanced predicate with slippage protection
       const timePredicate = this.predicateBuilder.createTimePredicate(startTime, endTime);
       const slippagePredicate = this.createSlippageProtectionPredicate();
-      const priceImpactPredicate = this.createPriceImpactPredicate();
+      const priceImpactPredicate = this.createPriceImpactPredicate(amountPerInterval);
 
       // Combine predicates with AND logic
       const compoundPredicate = this.predicateBuilder.createCompoundPredicate([
@@ -71,46 +62,53 @@ export class EnhancedTWAPStrategy {
         { predicate: priceImpactPredicate, operator: 0 }
       ]);
 
-      // Create interaction data for partial fill handling
-      const interaction = this.createPartialFillInteraction(i, secrets[i]);
+      // Each slice takes at least the quote less maxSlippage
+      const takingAmount = await limitOrderService.getMinReturn({
+        chainId: this.params.chainId,
+        makerAsset: this.params.makerAsset,
+        takerAsset: this.params.takerAsset,
+        makingAmount: amountPerInterval,
+        slippage: this.slippageProtection.maxSlippage * 100
+      });
 
       const order = await limitOrderService.createLimitOrder({
         chainId: this.params.chainId,
         makerAsset: this.params.makerAsset,
         takerAsset: this.params.takerAsset,
         makingAmount: amountPerInterval.toString(),
-        takingAmount: '0', // Market will determine
+        takingAmount: takingAmount.toString(),
         maker: this.params.maker,
         predicate: compoundPredicate,
-        interaction,
+        allowPartialFills: this.partialFillHandling.enabled,
+        // An interval can't fill after its window, so it expires with it
+        expiry: endTime,
         salt: ethers.randomBytes(32)
       });
 
       orders.push({
         ...order,
         interval: i,
-        secret: secrets[i],
-        fillRange: secrets[i]?.fillRange
+        fillRange: {
+          start: i / adjustedIntervals,
+          end: (i + 1) / adjustedIntervals
+        }
       });
     }
 
     return {
       orders,
       strategy: 'enhanced_twap',
-      secrets,
-      merkleRoot: this.calculateMerkleRoot(secrets),
       dynamicIntervals: adjustedIntervals
     };
   }
 
-  async calculateDynamicIntervals() {
+  async calculateDynamicIntervals(marketData, logger) {
     if (!this.dynamicAdjustment.enabled) {
       return this.intervals;
     }
 
     try {
-      // Get market volatility (this would integrate with price feeds)
-      const volatility = await this.getMarketVolatility();
+      const volatility = await this.getMarketVolatility(marketData);
 
       if (volatility > this.dynamicAdjustment.marketConditionThreshold) {
         // Reduce intervals in high volatility
@@ -120,74 +118,74 @@ export class EnhancedTWAPStrategy {
       return this.intervals;
     } catch (error) {
       // Fallback to original intervals
+      logger?.warn('Volatility unavailable, keeping the configured TWAP intervals', {
+        makerAsset: this.params.makerAsset,
+        intervals: this.intervals,
+        error: error.message
+      });
       return this.intervals;
     }
   }
 
-  async getMarketVolatility() {
-    // This would integrate with price feeds to calculate volatility
-    // For now, return a mock value
-    return 0.015; // 1.5% volatility
+  // Realized volatility of the maker asset scaled to the TWAP duration.
+  // Parkinson uses the bar ranges and is preferred when bars have them.
+  async getMarketVolatility(marketData) {
+    if (!marketData) {
+      throw new Error('Market data service not configured');
+    }
+
+    const { parkinson, closeToClose } = marketData.getVolatility(this.params.chainId, this.params.makerAsset, {
+      window: this.dynamicAdjustment.volatilityWindow,
+      horizon: this.duration
+    });
+    const volatility = parkinson ?? closeToClose;
+    if (volatility === null) {
+      throw new Error(`Not enough price history for ${this.params.makerAsset}`);
+    }
+
+    return volatility;
   }
 
+  // Keep the maker asset's oracle price within maxSlippage of the reference
+  // price; skipped when no reference price was given
   createSlippageProtectionPredicate() {
-    return this.predicateBuilder.createPricePredicate(
-      this.params.takerAsset,
-      this.slippageProtection.maxSlippage,
-      'call',
-      Date.now() + this.duration * 1000
-    );
-  }
+    const { referencePrice, maxSlippage } = this.slippageProtection;
+    if (!referencePrice) return null;
 
-  createPriceImpactPredicate() {
-    return this.predicateBuilder.createVolumePredicate(
+    const reference = BigInt(referencePrice);
+    const slippageBps = BigInt(Math.round(maxSlippage * 10000));
+
+    return this.predicateBuilder.createRangePredicate(
       this.params.makerAsset,
-      this.slippageProtection.priceImpactThreshold,
-      this.slippageProtection.priceImpactThreshold * 2,
-      this.duration
+      reference * (10000n - slippageBps) / 10000n,
+      reference * (10000n + slippageBps) / 10000n
     );
   }
 
-  createPartialFillInteraction(intervalIndex, secret) {
-    if (!this.partialFillHandling.enabled) return '0x';
+  // Only fill while the slice stays under priceImpactThreshold of the traded
+  // volume; needs a volume oracle for the maker asset
+  createPriceImpactPredicate(sliceAmount) {
+    if (!this.predicateBuilder.hasVolumeOracle(this.params.makerAsset)) return null;
 
-    return this.abiCoder.encode(
-      ['uint256', 'bytes32', 'uint256', 'uint256'],
-      [
-        intervalIndex,
-        secret.secretHash,
-        secret.fillRange.start * 10000, // Convert to basis points
-        secret.fillRange.end * 10000
-      ]
+    const minVolume = Math.ceil(sliceAmount / this.slippageProtection.priceImpactThreshold);
+    return this.predicateBuilder.createVolumePredicate(
+      this.params.makerAsset,
+      BigInt(minVolume),
+      null,
+      this.duration
     );
   }
-
-  calculateMerkleRoot(secrets) {
-    if (!secrets || secrets.length === 0) return ethers.ZeroHash;
-
-    // Simple Merkle tree calculation
-    let hashes = secrets.map(s => s.secretHash);
-
-    while (hashes.length > 1) {
-      const newHashes = [];
-      for (let i = 0; i < hashes.length; i += 2) {
-        const left = hashes[i];
-        const right = i + 1 < hashes.length ? hashes[i + 1] : left;
-        const combined = ethers.concat([left, right]);
-        newHashes.push(ethers.keccak256(combined));
-      }
-      hashes = newHashes;
-    }
-
-    return hashes[0];
-  }
 }
 
+// Fastest barrier check interval in seconds when the price nears the barrier
+const MIN_BARRIER_FREQUENCY = 30;
+
 // Barrier Options Strategy (Knock-in/Knock-out)
 export class BarrierOptionsStrategy {
-  constructor(params) {
+  constructor(params, limitOrderService) {
     this.params = params;
-    this.predicateBuilder = new PredicateBuilder();
+    this.limitOrderService = limitOrderService;
+    this.predicateBuilder = new PredicateBuilder({ chainId: params.chainId });
     this.abiCoder = ethers.AbiCoder.defaultAbiCoder();
 
     this.barrierType = params.barrierType; // 'knock-in', 'knock-out'
@@ -195,10 +193,13 @@ export class BarrierOptionsStrategy {
     this.strikePrice = params.strikePrice;
     this.expiry = params.expiry;
     this.optionType = params.optionType; // 'call', 'put'
-    this.monitoring = params.monitoring || {
+    // Joi defaults an omitted monitoring object to {}, so merge field by field
+    this.monitoring = {
       frequency: 300, // 5 minutes
-      continuous: true
+      continuous: true,
+      ...params.monitoring
     };
+    this.baseFrequency = this.monitoring.frequency;
   }
 
   async execute(limitOrderService) {
@@ -210,21 +211,15 @@ export class BarrierOptionsStrategy {
     // Create option execution predicate
     const optionPredicate = this.createOptionPredicate();
 
-    // Combine predicates based on barrier type
-    let finalPredicate;
-    if (this.barrierType === 'knock-in') {
-      // For knock-in: barrier must be hit AND option conditions must be met
-      finalPredicate = this.predicateBuilder.createCompoundPredicate([
-        { predicate: barrierPredicate, operator: 0 },
-        { predicate: optionPredicate, operator: 0 }
-      ], 'AND');
-    } else {
-      // For knock-out: barrier must NOT be hit AND option conditions must be met
-      finalPredicate = this.predicateBuilder.createCompoundPredicate([
-        { predicate: barrierPredicate, operator: 1 }, // NOT barrier
-        { predicate: optionPredicate, operator: 0 }
-      ], 'AND');
-    }
+    // The barrier predicate already carries the knock-in (crossed) or
+    // knock-out (not crossed) condition. Both are checked against the spot
+    // price at fill time only: a knock-in whose barrier was touched earlier
+    // but is no longer crossed can't fill, and a knock-out that touched its
+    // barrier earlier fills once the price is back inside it.
+    const finalPredicate = this.predicateBuilder.createCompoundPredicate([
+      { predicate: barrierPredicate, operator: 0 },
+      { predicate: optionPredicate, operator: 0 }
+    ], 'AND');
 
     // Create interaction for barrier monitoring
     const interaction = this.createBarrierInteraction();
@@ -258,16 +253,22 @@ export class BarrierOptionsStrategy {
   }
 
   createBarrierPredicate() {
-    // Create predicate that monitors barrier level
-    return this.abiCoder.encode(
-      ['address', 'uint256', 'uint256', 'uint8'],
-      [
-        this.params.underlying,
-        this.barrierLevel,
-        this.monitoring.frequency,
-        this.barrierType === 'knock-in' ? 1 : 0
-      ]
-    );
+    // Barriers above the strike are crossed from below and vice versa. The
+    // knock-out side is built as the complementary comparison rather than
+    // not(), which would also pass if the oracle call failed.
+    const barrier = BigInt(this.barrierLevel);
+    const isUpBarrier = barrier > BigInt(this.strikePrice);
+    const price = this.predicateBuilder.oraclePrice(this.params.underlying);
+
+    if (this.barrierType === 'knock-in') {
+      return isUpBarrier
+        ? this.predicateBuilder.gt(barrier - 1n, price)
+        : this.predicateBuilder.lt(barrier + 1n, price);
+    }
+
+    return isUpBarrier
+      ? this.predicateBuilder.lt(barrier, price)
+      : this.predicateBuilder.gt(barrier, price);
   }
 
   createOptionPredicate() {
@@ -286,101 +287,225 @@ export class BarrierOptionsStrategy {
         this.barrierLevel,
         this.strikePrice,
         this.optionType === 'call' ? 1 : 0,
-        this.monitoring.frequency
+        this.baseFrequency
       ]
     );
   }
+
+  // Check the underlying against the barrier. With continuous monitoring the
+  // strategy is checked four times as often (at most every 30s) while the
+  // barrier is within two standard deviations of hourly realized volatility.
+  async monitor() {
+    const marketData = this.limitOrderService?.marketData;
+    if (!marketData) return {};
+
+    const price = await this.limitOrderService.getOraclePrice(this.params.chainId, this.params.underlying);
+    const barrier = BigInt(this.barrierLevel);
+    const isUpBarrier = barrier > BigInt(this.strikePrice);
+    const { parkinson, closeToClose } = marketData.getVolatility(this.params.chainId, this.params.underlying);
+    const volatility = parkinson ?? closeToClose;
+    const distance = Math.abs(Math.log(Number(barrier) / Number(price)));
+    const deviations = volatility ? distance / volatility : null;
+
+    if (this.monitoring.continuous) {
+      this.monitoring.frequency = deviations !== null && deviations < 2
+        ? Math.max(MIN_BARRIER_FREQUENCY, Math.floor(this.baseFrequency / 4))
+        : this.baseFrequency;
+    }
+
+    return {
+      barrier: {
+        price: price.toString(),
+        barrierLevel: this.barrierLevel.toString(),
+        barrierHit: isUpBarrier ? price >= barrier : price <= barrier,
+        distance,
+        volatility,
+        deviations,
+        frequency: this.monitoring.frequency
+      }
+    };
+  }
 }
 
-// Dynamic Delta Hedging Strategy
+// Dynamic Delta Hedging Strategy. The option position is on `underlying`
+// (priced by its oracle, strike in the same 8-decimal units); hedges trade
+// makerAsset, which tracks the underlying, against hedgingAsset.
 export class DynamicDeltaHedgingStrategy {
-  constructor(params) {
+  constructor(params, limitOrderService) {
     this.params = params;
-    this.predicateBuilder = new PredicateBuilder();
+    this.limitOrderService = limitOrderService;
+    this.predicateBuilder = new PredicateBuilder({ chainId: params.chainId });
     this.abiCoder = ethers.AbiCoder.defaultAbiCoder();
 
-    this.optionPosition = params.optionPosition;
+    this.optionPosition = params.optionPosition; // { quantity, side, premium?, impliedVolatility? }
     this.deltaTarget = params.deltaTarget || 0; // Target delta (0 = delta-neutral)
     this.rebalanceThreshold = params.rebalanceThreshold || 0.1; // 10% delta change
     this.hedgingAsset = params.hedgingAsset;
-    this.monitoring = params.monitoring || {
+    this.expiry = params.expiry;
+    this.riskFreeRate = params.riskFreeRate || 0;
+    this.volatilityWindow = params.volatilityWindow || 3600;
+    this.monitoring = {
       frequency: 60, // 1 minute
-      maxRebalances: 10
+      maxRebalances: 10,
+      ...params.monitoring
     };
   }
 
   async execute(limitOrderService) {
     const orders = [];
 
-    // Calculate initial delta
-    const initialDelta = await this.calculateOptionDelta();
-    const requiredHedge = this.calculateRequiredHedge(initialDelta);
+    // Calculate initial greeks from the oracle spot price
+    const greeks = await this.calculateGreeks(limitOrderService);
+    const requiredHedge = this.calculateRequiredHedge(greeks);
 
-    if (Math.abs(requiredHedge) > this.rebalanceThreshold) {
-      // Create hedging order
-      const hedgePredicate = this.createDeltaHedgePredicate();
-      const hedgeInteraction = this.createDeltaHedgeInteraction(requiredHedge);
+    // monitor() reports when a later rebalance is due; there is no price to
+    // put on an order placed ahead of it
+    if (this.needsRebalance(greeks)) {
+      orders.push(await this.createHedgeOrder(limitOrderService, requiredHedge, greeks));
+    }
 
-      const hedgeOrder = await limitOrderService.createLimitOrder({
-        chainId: this.params.chainId,
-        makerAsset: this.params.makerAsset,
-        takerAsset: this.hedgingAsset,
-        makingAmount: Math.abs(requiredHedge).toString(),
-        takingAmount: '0',
-        maker: this.params.maker,
-        predicate: hedgePredicate,
-        interaction: hedgeInteraction,
-        salt: ethers.randomBytes(32)
-      });
+    return {
+      orders,
+      strategy: 'dynamic_delta_hedging',
+      initialDelta: greeks.positionDelta,
+      targetDelta: this.deltaTarget,
+      rebalanceThreshold: this.rebalanceThreshold,
+      requiredHedge: requiredHedge.toString(),
+      greeks
+    };
+  }
 
-      orders.push({
-        ...hedgeOrder,
-        type: 'delta_hedge',
-        delta: initialDelta,
-        hedgeAmount: requiredHedge
-      });
+  /**
+   * Black-Scholes greeks of the option position at the current oracle price
+   * @returns {Promise<Object>} Per-unit price (USD), delta, gamma, vega (per 1%
+   *   volatility) and theta (per day), the position delta and their inputs
+   */
+  async calculateGreeks(limitOrderService = this.limitOrderService) {
+    const spotPrice = await limitOrderService.getOraclePrice(this.params.chainId, this.params.underlying);
+    return this.greeksAt(Number(spotPrice) / 1e8, { marketData: limitOrderService.marketData });
+  }
+
+  // Greeks at a given USD spot price and time (ms), e.g. a backtest candle
+  greeksAt(spot, { marketData, now = Date.now() } = {}) {
+    const option = {
+      spot,
+      strike: Number(this.params.strikePrice) / 1e8,
+      timeToExpiry: yearsUntil(this.expiry, now),
+      rate: this.riskFreeRate,
+      optionType: this.params.optionType
+    };
+    const { volatility, source } = this.getVolatility(option, marketData);
+    const greeks = blackScholes({ ...option, volatility });
+    const sign = this.optionPosition.side === 'short' ? -1 : 1;
+
+    return {
+      ...greeks,
+      positionDelta: sign * greeks.delta,
+      spot: option.spot,
+      strike: option.strike,
+      timeToExpiry: option.timeToExpiry,
+      volatility,
+      volatilitySource: source,
+      calculatedAt: new Date(now).toISOString()
+    };
+  }
+
+  // Volatility from, in order: an explicit implied volatility, the implied
+  // volatility of the position's premium, or annualized realized volatility
+  getVolatility(option, marketData) {
+    const { impliedVolatility: quoted, premium } = this.optionPosition;
+    if (quoted) {
+      return { volatility: quoted, source: 'quoted' };
+    }
+    if (premium && option.timeToExpiry > 0) {
+      return {
+        volatility: impliedVolatility({ ...option, price: Number(premium) / 1e8 }),
+        source: 'implied'
+      };
+    }
+
+    if (!marketData) {
+      throw new Error('No volatility available: give a premium or configure market data');
+    }
+    const { parkinson, closeToClose } = marketData.getVolatility(this.params.chainId, this.params.underlying, {
+      window: this.volatilityWindow,
+      horizon: SECONDS_PER_YEAR
+    });
+    const realized = parkinson ?? closeToClose;
+    if (realized === null) {
+      throw new Error(`Not enough price history for ${this.params.underlying}`);
     }
+    return { volatility: realized, source: 'realized' };
+  }
+
+  // Signed makerAsset amount (base units) that brings the position delta to
+  // deltaTarget: positive buys makerAsset, negative sells it
+  calculateRequiredHedge(greeks) {
+    const deltaDifference = this.deltaTarget - greeks.positionDelta;
+    const scaled = BigInt(Math.round(deltaDifference * 1e6));
+    return scaled * BigInt(this.optionPosition.quantity) / 1000000n;
+  }
+
+  needsRebalance(greeks) {
+    return Math.abs(this.deltaTarget - greeks.positionDelta) > this.rebalanceThreshold;
+  }
 
-    // Create monitoring order for future rebalancing
-    const monitorPredicate = this.createDeltaMonitorPredicate();
-    const monitorInteraction = this.createDeltaMonitorInteraction();
+  // Buys spend the hedgingAsset value of the hedge at oracle prices; either
+  // way the order takes at least the quote less slippage
+  async createHedgeOrder(limitOrderService, requiredHedge, greeks) {
+    const isBuy = requiredHedge > 0n;
+    const amount = isBuy ? requiredHedge : -requiredHedge;
+    const makingAmount = isBuy ? await this.getHedgeCost(limitOrderService, amount) : amount;
+    const makerAsset = isBuy ? this.hedgingAsset : this.params.makerAsset;
+    const takerAsset = isBuy ? this.params.makerAsset : this.hedgingAsset;
+    const takingAmount = await limitOrderService.getMinReturn({
+      chainId: this.params.chainId,
+      makerAsset,
+      takerAsset,
+      makingAmount,
+      slippage: this.params.slippage
+    });
 
-    const monitorOrder = await limitOrderService.createLimitOrder({
+    const hedgeOrder = await limitOrderService.createLimitOrder({
       chainId: this.params.chainId,
-      makerAsset: this.params.makerAsset,
-      takerAsset: this.hedgingAsset,
-      makingAmount: '0', // Will be calculated dynamically
-      takingAmount: '0',
+      makerAsset,
+      takerAsset,
+      makingAmount: makingAmount.toString(),
+      takingAmount: takingAmount.toString(),
       maker: this.params.maker,
-      predicate: monitorPredicate,
-      interaction: monitorInteraction,
+      predicate: this.createDeltaHedgePredicate(),
+      interaction: this.createDeltaHedgeInteraction(requiredHedge),
       salt: ethers.randomBytes(32)
     });
 
-    orders.push({
-      ...monitorOrder,
-      type: 'delta_monitor',
-      targetDelta: this.deltaTarget
-    });
-
     return {
-      orders,
-      strategy: 'dynamic_delta_hedging',
-      initialDelta,
-      targetDelta: this.deltaTarget,
-      rebalanceThreshold: this.rebalanceThreshold
+      ...hedgeOrder,
+      type: 'delta_hedge',
+      delta: greeks.positionDelta,
+      hedgeAmount: requiredHedge.toString()
     };
   }
 
-  async calculateOptionDelta() {
-    // This would integrate with options pricing models
-    // For now, return a mock delta
-    return 0.6; // 60% delta
+  async getHedgeCost(limitOrderService, amount) {
+    const { chainId, makerAsset } = this.params;
+    const makerDecimals = await limitOrderService.oneInchService.getTokenDecimals(chainId, makerAsset);
+    const hedgingDecimals = await limitOrderService.oneInchService.getTokenDecimals(chainId, this.hedgingAsset);
+    const makerPrice = await limitOrderService.getOraclePrice(chainId, makerAsset);
+    const hedgingPrice = await limitOrderService.getOraclePrice(chainId, this.hedgingAsset);
+
+    return amount * makerPrice * 10n ** BigInt(hedgingDecimals) /
+      (hedgingPrice * 10n ** BigInt(makerDecimals));
   }
 
-  calculateRequiredHedge(currentDelta) {
-    const deltaDifference = currentDelta - this.deltaTarget;
-    return -deltaDifference; // Negative because we hedge opposite to delta
+  async monitor() {
+    const greeks = await this.calculateGreeks();
+
+    return {
+      greeks,
+      requiredHedge: this.calculateRequiredHedge(greeks).toString(),
+      rebalanceNeeded: this.needsRebalance(greeks),
+      params: { greeks }
+    };
   }
 
   createDeltaHedgePredicate() {
@@ -388,46 +513,370 @@ export class DynamicDeltaHedgingStrategy {
       this.params.underlying,
       this.params.strikePrice,
       this.params.optionType,
-      Date.now() + 86400 * 1000 // 24 hours
+      Math.floor(Date.now() / 1000) + 86400 // 24 hours
     );
   }
 
+  // Signed hedge amount; the threshold is in basis points of delta
   createDeltaHedgeInteraction(hedgeAmount) {
     return this.abiCoder.encode(
-      ['uint256', 'uint256', 'uint8'],
+      ['int256', 'uint256', 'uint8'],
       [
         hedgeAmount,
-        this.rebalanceThreshold,
+        Math.round(this.rebalanceThreshold * 10000),
         this.params.optionType === 'call' ? 1 : 0
       ]
     );
   }
 
+  // Fillable once the underlying moves more than rebalanceThreshold away
+  // from the strike in either direction
   createDeltaMonitorPredicate() {
-    return this.predicateBuilder.createVolumePredicate(
-      this.params.underlying,
-      this.rebalanceThreshold,
-      this.rebalanceThreshold * 2,
-      this.monitoring.frequency
+    const strike = BigInt(this.params.strikePrice);
+    const thresholdBps = BigInt(Math.round(this.rebalanceThreshold * 10000));
+    const price = this.predicateBuilder.oraclePrice(this.params.underlying);
+
+    return this.predicateBuilder.or(
+      this.predicateBuilder.lt(strike * (10000n - thresholdBps) / 10000n, price),
+      this.predicateBuilder.gt(strike * (10000n + thresholdBps) / 10000n, price)
     );
   }
 
-  createDeltaMonitorInteraction() {
-    return this.abiCoder.encode(
-      ['uint256', 'uint256', 'uint256'],
-      [
-        this.deltaTarget,
-        this.rebalanceThreshold,
-        this.monitoring.maxRebalances
-      ]
-    );
+}
+
+function packageError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+// Structures the original `spreadType` field maps to; horizontal and diagonal
+// spreads span two expiries, which a package cannot price
+const SPREAD_TYPE_STRUCTURES = {
+  vertical: 'vertical_spread'
+};
+
+// Multi-leg options package: spreads, straddles, strangles and iron condors
+// on one underlying and expiry. Each leg is a limit order gated by the same
+// price predicate as a barrier option's option leg; side, quantity (units of
+// the underlying) and premium (8-decimal oracle units per unit) drive the
+// payoff. The package is validated before any leg is built.
+export class MultiLegOptionsStrategy {
+  constructor(params) {
+    this.params = params;
+    this.predicateBuilder = new PredicateBuilder({ chainId: params.chainId });
+
+    this.spreadType = params.spreadType || null;
+    this.structure = params.structure || SPREAD_TYPE_STRUCTURES[params.spreadType] || null;
+    this.legs = params.legs;
+    this.limits = params.limits || {};
+  }
+
+  // Legs in oracle units converted to prices for the payoff math
+  getPayoffLegs() {
+    return this.legs.map(leg => ({
+      optionType: leg.optionType,
+      strike: Number(leg.strikePrice) / 1e8,
+      side: leg.side,
+      quantity: leg.quantity,
+      premium: Number(leg.premium || 0) / 1e8
+    }));
+  }
+
+  getPayoff(options) {
+    return analyzePayoff(this.getPayoffLegs(), options);
+  }
+
+  /**
+   * Check the legs form the declared structure and that net premium and max
+   * loss are within limits
+   * @returns {Object} Payoff analysis
+   * @throws {Error} ValidationError describing the first problem found
+   */
+  validate() {
+    const legs = this.legs;
+    const [first] = legs;
+
+    if (!this.structure && this.spreadType) {
+      throw packageError(`A ${this.spreadType} spread spans several expiries; only vertical spreads are supported`);
+    }
+    if (legs.some(leg => leg.underlying.toLowerCase() !== first.underlying.toLowerCase())) {
+      throw packageError('All legs must be on the same underlying');
+    }
+    if (legs.some(leg => leg.expiry !== first.expiry)) {
+      throw packageError('All legs must share one expiry');
+    }
+    if (first.expiry <= Math.floor(Date.now() / 1000)) {
+      throw packageError('Expiry must be in the future');
+    }
+    if (legs.some(leg => leg.quantity !== first.quantity)) {
+      throw packageError('All legs must have the same quantity');
+    }
+
+    this.validateStructure();
+
+    const payoff = this.getPayoff();
+    const { maxNetPremium, maxLoss } = this.limits;
+    if (maxNetPremium !== undefined && payoff.netPremium > maxNetPremium) {
+      throw packageError(`Net premium ${payoff.netPremium} exceeds limit ${maxNetPremium}`);
+    }
+    if (payoff.maxLoss === null && !this.limits.allowUnboundedLoss) {
+      throw packageError('Package has unbounded loss; set limits.allowUnboundedLoss to accept it');
+    }
+    if (maxLoss !== undefined && (payoff.maxLoss === null || payoff.maxLoss > maxLoss)) {
+      throw packageError(`Max loss ${payoff.maxLoss ?? 'unbounded'} exceeds limit ${maxLoss}`);
+    }
+
+    return payoff;
+  }
+
+  validateStructure() {
+    const legs = this.legs;
+    const strike = leg => BigInt(leg.strikePrice);
+    const calls = legs.filter(leg => leg.optionType === 'call');
+    const puts = legs.filter(leg => leg.optionType === 'put');
+    const expectLegs = count => {
+      if (legs.length !== count) {
+        throw packageError(`A ${this.structure} has ${count} legs, got ${legs.length}`);
+      }
+    };
+
+    switch (this.structure) {
+      case 'vertical_spread': {
+        expectLegs(2);
+        const [a, b] = legs;
+        if (a.optionType !== b.optionType || strike(a) === strike(b) || a.side === b.side) {
+          throw packageError('A vertical spread buys and sells the same option type at two strikes');
+        }
+        break;
+      }
+      case 'straddle':
+      case 'strangle': {
+        expectLegs(2);
+        if (calls.length !== 1 || puts.length !== 1 || calls[0].side !== puts[0].side) {
+          throw packageError(`A ${this.structure} is a call and a put on the same side`);
+        }
+        if (this.structure === 'straddle' && strike(calls[0]) !== strike(puts[0])) {
+          throw packageError('Straddle legs must share a strike');
+        }
+        if (this.structure === 'strangle' && strike(puts[0]) >= strike(calls[0])) {
+          throw packageError('Strangle put strike must be below the call strike');
+        }
+        break;
+      }
+      case 'iron_condor': {
+        expectLegs(4);
+        const byStrike = (x, y) => (strike(x) < strike(y) ? -1 : 1);
+        const [lowPut, highPut] = [...puts].sort(byStrike);
+        const [lowCall, highCall] = [...calls].sort(byStrike);
+        if (puts.length !== 2 || calls.length !== 2 ||
+            !(strike(lowPut) < strike(highPut) && strike(highPut) < strike(lowCall) && strike(lowCall) < strike(highCall))) {
+          throw packageError('An iron condor is two puts below two calls at four increasing strikes');
+        }
+        if (highPut.side !== lowCall.side || lowPut.side !== highCall.side || lowPut.side === highPut.side) {
+          throw packageError('Iron condor inner legs must be on one side and wings on the other');
+        }
+        break;
+      }
+      default:
+        throw packageError(`Unknown package structure: ${this.structure}`);
+    }
+  }
+
+  // Post every leg; if one fails, the legs built so far are rolled back. Legs
+  // already on the orderbook can only be cancelled on-chain, so they are
+  // attached to the error with one cancel transaction for the maker to send.
+  async execute(limitOrderService) {
+    const orders = [];
+
+    try {
+      for (const [index, leg] of this.legs.entries()) {
+        // Legs without a minimum take the quote less slippage
+        const takingAmount = leg.takingAmount || await limitOrderService.getMinReturn({
+          chainId: this.params.chainId,
+          makerAsset: leg.makerAsset,
+          takerAsset: leg.takerAsset,
+          makingAmount: leg.amount,
+          slippage: this.params.slippage
+        });
+
+        const order = await limitOrderService.createLimitOrder({
+          chainId: this.params.chainId,
+          makerAsset: leg.makerAsset,
+          takerAsset: leg.takerAsset,
+          makingAmount: leg.amount,
+          takingAmount: takingAmount.toString(),
+          maker: this.params.maker,
+          predicate: this.predicateBuilder.createPricePredicate(
+            leg.underlying,
+            leg.strikePrice,
+            leg.optionType,
+            leg.expiry
+          ),
+          expiry: leg.expiry,
+          salt: ethers.randomBytes(32)
+        });
+
+        orders.push({
+          ...order,
+          leg: {
+            index,
+            optionType: leg.optionType,
+            strikePrice: leg.strikePrice,
+            side: leg.side,
+            quantity: leg.quantity
+          }
+        });
+      }
+    } catch (error) {
+      const rollback = new Error(`Leg ${orders.length} failed to post, package rolled back: ${error.message}`);
+      rollback.postedOrders = orders.filter(order => order.status === 'submitted');
+      rollback.transaction = rollback.postedOrders.length > 0
+        ? limitOrderService.buildCancelOrdersTx(
+          this.params.chainId,
+          rollback.postedOrders.map(order => ({ ...order, makerTraits: order.order.makerTraits }))
+        )
+        : null;
+      throw rollback;
+    }
+
+    return {
+      orders,
+      strategy: 'multi_leg_options',
+      structure: this.structure,
+      spreadType: this.spreadType
+    };
+  }
+
+  async cancel() {}
+}
+
+// Grid Trading Strategy for range-bound markets
+export class GridTradingStrategy {
+  constructor(params) {
+    this.params = params;
+
+    this.lowerPrice = params.lowerPrice; // quote per base
+    this.upperPrice = params.upperPrice;
+    this.levels = params.levels; // orders per side
+    this.gridType = params.gridType || 'arithmetic'; // 'arithmetic', 'geometric'
+    this.amountPerLevel = params.amountPerLevel; // base token units
+  }
+
+  // 2 * levels + 1 prices from lowerPrice to upperPrice. Buys rest below the
+  // middle price and sells above it; the middle level starts empty.
+  getGridPrices() {
+    const steps = this.levels * 2;
+
+    return Array.from({ length: steps + 1 }, (_, i) => {
+      if (this.gridType === 'geometric') {
+        return this.lowerPrice * (this.upperPrice / this.lowerPrice) ** (i / steps);
+      }
+      return this.lowerPrice + (this.upperPrice - this.lowerPrice) * i / steps;
+    });
+  }
+
+  async getDecimals(limitOrderService) {
+    const { chainId, baseToken, quoteToken } = this.params;
+
+    return {
+      base: this.params.baseDecimals ??
+        await limitOrderService.oneInchService.getTokenDecimals(chainId, baseToken),
+      quote: this.params.quoteDecimals ??
+        await limitOrderService.oneInchService.getTokenDecimals(chainId, quoteToken)
+    };
+  }
+
+  async execute(limitOrderService) {
+    const prices = this.getGridPrices();
+    const decimals = await this.getDecimals(limitOrderService);
+    const orders = [];
+
+    for (let level = 0; level < prices.length; level++) {
+      if (level === this.levels) continue;
+
+      const side = level < this.levels ? 'buy' : 'sell';
+      orders.push(await this.placeLevel(limitOrderService, side, level, prices, decimals));
+    }
+
+    return {
+      orders,
+      strategy: 'grid_trading',
+      gridType: this.gridType,
+      prices,
+      profitPerRoundTrip: this.getProfitPerRoundTrip(prices)
+    };
   }
+
+  // Sells give amountPerLevel base for quote at the level price; buys give
+  // the equivalent quote amount for amountPerLevel base
+  async placeLevel(limitOrderService, side, level, prices, decimals) {
+    const price = prices[level];
+    const baseAmount = BigInt(this.amountPerLevel);
+    const quoteAmount = baseAmount *
+      ethers.parseUnits(price.toFixed(decimals.quote), decimals.quote) /
+      10n ** BigInt(decimals.base);
+
+    if (quoteAmount === 0n) {
+      throw new Error(`amountPerLevel is too small to price grid level ${level}`);
+    }
+
+    const isSell = side === 'sell';
+    const order = await limitOrderService.createLimitOrder({
+      chainId: this.params.chainId,
+      makerAsset: isSell ? this.params.baseToken : this.params.quoteToken,
+      takerAsset: isSell ? this.params.quoteToken : this.params.baseToken,
+      makingAmount: (isSell ? baseAmount : quoteAmount).toString(),
+      takingAmount: (isSell ? quoteAmount : baseAmount).toString(),
+      maker: this.params.maker,
+      salt: ethers.randomBytes(32)
+    });
+
+    return {
+      ...order,
+      leg: { side, level, price }
+    };
+  }
+
+  // A filled buy is followed by a sell one level up and a filled sell by a
+  // buy one level down, so each round trip captures one grid step
+  async onOrderFilled(order, limitOrderService) {
+    const { side, level } = order.leg || {};
+    if (!side) return [];
+
+    const prices = this.getGridPrices();
+    const next = side === 'buy' ? level + 1 : level - 1;
+    if (next < 0 || next >= prices.length) return [];
+
+    const decimals = await this.getDecimals(limitOrderService);
+    const opposite = side === 'buy' ? 'sell' : 'buy';
+    return [await this.placeLevel(limitOrderService, opposite, next, prices, decimals)];
+  }
+
+  // Quote earned per round trip at each step, in quote per base
+  getProfitPerRoundTrip(prices) {
+    return prices.slice(1).map((price, i) => price - prices[i]);
+  }
+
+  async monitor({ orders = [] } = {}) {
+    const open = orders.filter(isOpenOrder);
+    const filled = orders.filter(order => order.status === ORDER_STATUSES.FILLED);
+
+    return {
+      openBuys: open.filter(order => order.leg?.side === 'buy').length,
+      openSells: open.filter(order => order.leg?.side === 'sell').length,
+      filledBuys: filled.filter(order => order.leg?.side === 'buy').length,
+      filledSells: filled.filter(order => order.leg?.side === 'sell').length
+    };
+  }
+
+  async cancel() {}
 }
 
 // Custom Strategy Builder
 export class CustomStrategyBuilder {
-  constructor() {
-    this.predicateBuilder = new PredicateBuilder();
+  constructor({ chainId } = {}) {
+    this.predicateBuilder = new PredicateBuilder({ chainId });
     this.abiCoder = ethers.AbiCoder.defaultAbiCoder();
   }
 
@@ -457,10 +906,15 @@ export class CustomStrategyBuilder {
       interactions.push(this.buildActions(config.actions));
     }
 
+    const logic = config.logic || 'AND';
+
     return {
       predicates,
       interactions,
-      logic: config.logic || 'AND',
+      // Every condition of every type joined by the configured logic
+      predicate: this.predicateBuilder.createCompoundPredicate(predicates.flat(), logic),
+      interaction: interactions[0] || '0x',
+      logic,
       metadata: config.metadata || {}
     };
   }
@@ -538,4 +992,4 @@ export class CustomStrategyBuilder {
 
     return this.abiCoder.encode(['bytes[]'], [encodedActions]);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,383 @@
+import { ethers } from 'ethers';
+import { getLimitOrderProtocolAddress } from '../config/contracts.js';
+
+// EIP-712 domain used by Limit Order Protocol v4 (Aggregation Router v6)
+export const LIMIT_ORDER_DOMAIN_NAME = '1inch Aggregation Router';
+export const LIMIT_ORDER_DOMAIN_VERSION = '6';
+
+export const ORDER_TYPES = {
+  Order: [
+    { name: 'salt', type: 'uint256' },
+    { name: 'maker', type: 'address' },
+    { name: 'receiver', type: 'address' },
+    { name: 'makerAsset', type: 'address' },
+    { name: 'takerAsset', type: 'address' },
+    { name: 'makingAmount', type: 'uint256' },
+    { name: 'takingAmount', type: 'uint256' },
+    { name: 'makerTraits', type: 'uint256' }
+  ]
+};
+
+/**
+ * MakerTraits bit layout (uint256):
+ * 255 NO_PARTIAL_FILLS, 254 ALLOW_MULTIPLE_FILLS, 252 PRE_INTERACTION_CALL,
+ * 251 POST_INTERACTION_CALL, 250 NEED_CHECK_EPOCH_MANAGER, 249 HAS_EXTENSION,
+ * 248 USE_PERMIT2, 247 UNWRAP_WETH.
+ * Low 200 bits: allowedSender (uint80) | expiration (uint40) | nonceOrEpoch (uint40) | series (uint40)
+ */
+export const MAKER_TRAITS_FLAGS = {
+  NO_PARTIAL_FILLS: 255n,
+  ALLOW_MULTIPLE_FILLS: 254n,
+  PRE_INTERACTION_CALL: 252n,
+  POST_INTERACTION_CALL: 251n,
+  NEED_CHECK_EPOCH_MANAGER: 250n,
+  HAS_EXTENSION: 249n,
+  USE_PERMIT2: 248n,
+  UNWRAP_WETH: 247n
+};
+
+const UINT40_MAX = (1n << 40n) - 1n;
+const UINT80_MAX = (1n << 80n) - 1n;
+const UINT160_MAX = (1n << 160n) - 1n;
+
+const ALLOWED_SENDER_OFFSET = 0n;
+const EXPIRATION_OFFSET = 80n;
+const NONCE_OR_EPOCH_OFFSET = 120n;
+const SERIES_OFFSET = 160n;
+
+// Extension fields in the order their end offsets are packed into the header
+export const EXTENSION_FIELDS = [
+  'makerAssetSuffix',
+  'takerAssetSuffix',
+  'makingAmountData',
+  'takingAmountData',
+  'predicate',
+  'makerPermit',
+  'preInteraction',
+  'postInteraction'
+];
+
+function assertUint40(name, value) {
+  if (value < 0n || value > UINT40_MAX) {
+    throw new Error(`${name} does not fit in uint40: ${value}`);
+  }
+  return value;
+}
+
+function hasFlag(traits, bit) {
+  return ((traits >> bit) & 1n) === 1n;
+}
+
+/**
+ * Encode MakerTraits
+ * @param {Object} params - Trait parameters
+ * @param {string} params.allowedSender - Only this taker may fill (zero address = anyone)
+ * @param {number} params.expiry - Expiration unix timestamp in seconds (0 = never)
+ * @param {number|bigint} params.nonce - Nonce or epoch
+ * @param {number|bigint} params.series - Epoch series
+ * @param {boolean} params.allowPartialFills - Allow partial fills (default true)
+ * @param {boolean} params.allowMultipleFills - Allow multiple fills (default true)
+ * @returns {bigint} Encoded makerTraits
+ */
+export function encodeMakerTraits({
+  allowedSender,
+  expiry = 0,
+  nonce = 0,
+  series = 0,
+  allowPartialFills = true,
+  allowMultipleFills = true,
+  hasExtension = false,
+  preInteraction = false,
+  postInteraction = false,
+  needEpochCheck = false,
+  usePermit2 = false,
+  unwrapWeth = false
+} = {}) {
+  let traits = 0n;
+
+  if (allowedSender && allowedSender !== ethers.ZeroAddress) {
+    traits |= (BigInt(ethers.getAddress(allowedSender)) & UINT80_MAX) << ALLOWED_SENDER_OFFSET;
+  }
+  traits |= assertUint40('expiry', BigInt(expiry)) << EXPIRATION_OFFSET;
+  traits |= assertUint40('nonce', BigInt(nonce)) << NONCE_OR_EPOCH_OFFSET;
+  traits |= assertUint40('series', BigInt(series)) << SERIES_OFFSET;
+
+  const flags = [
+    [!allowPartialFills, MAKER_TRAITS_FLAGS.NO_PARTIAL_FILLS],
+    [allowMultipleFills, MAKER_TRAITS_FLAGS.ALLOW_MULTIPLE_FILLS],
+    [preInteraction, MAKER_TRAITS_FLAGS.PRE_INTERACTION_CALL],
+    [postInteraction, MAKER_TRAITS_FLAGS.POST_INTERACTION_CALL],
+    [needEpochCheck, MAKER_TRAITS_FLAGS.NEED_CHECK_EPOCH_MANAGER],
+    [hasExtension, MAKER_TRAITS_FLAGS.HAS_EXTENSION],
+    [usePermit2, MAKER_TRAITS_FLAGS.USE_PERMIT2],
+    [unwrapWeth, MAKER_TRAITS_FLAGS.UNWRAP_WETH]
+  ];
+
+  for (const [enabled, bit] of flags) {
+    if (enabled) {
+      traits |= 1n << bit;
+    }
+  }
+
+  return traits;
+}
+
+/**
+ * Decode MakerTraits into its fields
+ * @param {bigint|string} makerTraits - Encoded traits
+ * @returns {Object} Decoded traits
+ */
+export function decodeMakerTraits(makerTraits) {
+  const traits = BigInt(makerTraits);
+  const allowedSender = (traits >> ALLOWED_SENDER_OFFSET) & UINT80_MAX;
+
+  return {
+    allowedSender: allowedSender === 0n ? null : '0x' + allowedSender.toString(16).padStart(20, '0'),
+    expiry: Number((traits >> EXPIRATION_OFFSET) & UINT40_MAX),
+    nonce: (traits >> NONCE_OR_EPOCH_OFFSET) & UINT40_MAX,
+    series: (traits >> SERIES_OFFSET) & UINT40_MAX,
+    allowPartialFills: !hasFlag(traits, MAKER_TRAITS_FLAGS.NO_PARTIAL_FILLS),
+    allowMultipleFills: hasFlag(traits, MAKER_TRAITS_FLAGS.ALLOW_MULTIPLE_FILLS),
+    preInteraction: hasFlag(traits, MAKER_TRAITS_FLAGS.PRE_INTERACTION_CALL),
+    postInteraction: hasFlag(traits, MAKER_TRAITS_FLAGS.POST_INTERACTION_CALL),
+    needEpochCheck: hasFlag(traits, MAKER_TRAITS_FLAGS.NEED_CHECK_EPOCH_MANAGER),
+    hasExtension: hasFlag(traits, MAKER_TRAITS_FLAGS.HAS_EXTENSION),
+    usePermit2: hasFlag(traits, MAKER_TRAITS_FLAGS.USE_PERMIT2),
+    unwrapWeth: hasFlag(traits, MAKER_TRAITS_FLAGS.UNWRAP_WETH)
+  };
+}
+
+/**
+ * Encode an order extension: a 32-byte header of cumulative end offsets
+ * (field i in bits [32*i, 32*i+32)), the fields themselves, then custom data
+ * @param {Object} fields - Extension fields keyed by EXTENSION_FIELDS names, plus customData
+ * @returns {string} Hex encoded extension ('0x' when empty)
+ */
+export function encodeExtension(fields = {}) {
+  const parts = EXTENSION_FIELDS.map(name => ethers.getBytes(fields[name] || '0x'));
+  const customData = ethers.getBytes(fields.customData || '0x');
+
+  if (parts.every(part => part.length === 0) && customData.length === 0) {
+    return '0x';
+  }
+
+  let offsets = 0n;
+  let end = 0;
+  parts.forEach((part, i) => {
+    end += part.length;
+    offsets |= BigInt(end) << BigInt(32 * i);
+  });
+
+  return ethers.concat([ethers.toBeHex(offsets, 32), ...parts, customData]);
+}
+
+/**
+ * Decode an order extension back into its fields
+ * @param {string} extension - Hex encoded extension
+ * @returns {Object} Fields keyed by EXTENSION_FIELDS names, plus customData
+ */
+export function decodeExtension(extension) {
+  const bytes = ethers.getBytes(extension || '0x');
+  const fields = Object.fromEntries(EXTENSION_FIELDS.map(name => [name, '0x']));
+  fields.customData = '0x';
+
+  if (bytes.length === 0) {
+    return fields;
+  }
+  if (bytes.length < 32) {
+    throw new Error('Extension is shorter than its offsets header');
+  }
+
+  const offsets = ethers.toBigInt(bytes.slice(0, 32));
+  const body = bytes.slice(32);
+  let start = 0;
+
+  EXTENSION_FIELDS.forEach((name, i) => {
+    const end = Number((offsets >> BigInt(32 * i)) & 0xffffffffn);
+    if (end < start || end > body.length) {
+      throw new Error(`Invalid extension offset for ${name}`);
+    }
+    fields[name] = ethers.hexlify(body.slice(start, end));
+    start = end;
+  });
+
+  fields.customData = ethers.hexlify(body.slice(start));
+  return fields;
+}
+
+/**
+ * LimitOrderBuilder - builds, hashes and signs 1inch Limit Order Protocol v4 orders
+ */
+export class LimitOrderBuilder {
+  constructor({ logger } = {}) {
+    this.logger = logger;
+  }
+
+  getDomain(chainId) {
+    return {
+      name: LIMIT_ORDER_DOMAIN_NAME,
+      version: LIMIT_ORDER_DOMAIN_VERSION,
+      chainId: Number(chainId),
+      verifyingContract: getLimitOrderProtocolAddress(chainId)
+    };
+  }
+
+  /**
+   * Build a v4 order
+   * @param {Object} params - Order parameters
+   * @param {number} params.chainId - Chain ID
+   * @param {string} params.maker - Maker address
+   * @param {string} params.receiver - Receiver of taker asset (defaults to maker)
+   * @param {string} params.makerAsset - Token the maker sells
+   * @param {string} params.takerAsset - Token the maker buys
+   * @param {string} params.makingAmount - Amount of maker asset
+   * @param {string} params.takingAmount - Amount of taker asset, at least 1
+   * @param {string|Uint8Array|bigint} params.salt - Salt; its upper 96 bits are kept
+   * @param {number} params.expiry - Expiration unix timestamp in seconds
+   * @param {number} params.nonce - Nonce or epoch
+   * @param {string} params.allowedSender - Private order taker
+   * @param {boolean} params.allowPartialFills - Allow partial fills
+   * @param {boolean} params.allowMultipleFills - Allow multiple fills
+   * @param {string} params.predicate - Predicate calldata
+   * @param {string} params.makerPermit - Maker permit
+   * @param {string} params.preInteraction - Pre-interaction (target + calldata)
+   * @param {string} params.postInteraction - Post-interaction (target + calldata)
+   * @param {string} params.customData - Extra data carried in the extension
+   * @returns {Object} { order, extension, orderHash, typedData }
+   */
+  buildOrder(params) {
+    const {
+      chainId,
+      maker,
+      receiver,
+      makerAsset,
+      takerAsset,
+      makingAmount,
+      takingAmount,
+      salt,
+      expiry = 0,
+      nonce = 0,
+      series = 0,
+      allowedSender,
+      allowPartialFills = true,
+      allowMultipleFills = true,
+      needEpochCheck = false,
+      usePermit2 = false,
+      unwrapWeth = false
+    } = params;
+
+    // A zero takingAmount gives the maker's assets away to any taker
+    if (BigInt(takingAmount ?? 0) <= 0n) {
+      throw new Error('takingAmount must be greater than zero');
+    }
+
+    const extension = encodeExtension({
+      predicate: params.predicate,
+      makerPermit: params.makerPermit,
+      preInteraction: params.preInteraction,
+      postInteraction: params.postInteraction,
+      makerAssetSuffix: params.makerAssetSuffix,
+      takerAssetSuffix: params.takerAssetSuffix,
+      makingAmountData: params.makingAmountData,
+      takingAmountData: params.takingAmountData,
+      customData: params.customData
+    });
+    const hasExtension = extension !== '0x';
+
+    const makerTraits = encodeMakerTraits({
+      allowedSender,
+      expiry,
+      nonce,
+      series,
+      allowPartialFills,
+      allowMultipleFills,
+      hasExtension,
+      preInteraction: ethers.dataLength(params.preInteraction || '0x') > 0,
+      postInteraction: ethers.dataLength(params.postInteraction || '0x') > 0,
+      needEpochCheck,
+      usePermit2,
+      unwrapWeth
+    });
+
+    const order = {
+      salt: this.buildSalt(salt, extension).toString(),
+      maker: ethers.getAddress(maker),
+      receiver: ethers.getAddress(receiver || ethers.ZeroAddress),
+      makerAsset: ethers.getAddress(makerAsset),
+      takerAsset: ethers.getAddress(takerAsset),
+      makingAmount: BigInt(makingAmount).toString(),
+      takingAmount: BigInt(takingAmount).toString(),
+      makerTraits: makerTraits.toString()
+    };
+
+    return {
+      order,
+      extension,
+      orderHash: this.getOrderHash(chainId, order),
+      typedData: this.getTypedData(chainId, order)
+    };
+  }
+
+  /**
+   * Orders with an extension must carry keccak256(extension) in the low 160 bits of the salt
+   */
+  buildSalt(salt, extension) {
+    const base = salt === undefined || salt === null
+      ? ethers.toBigInt(ethers.randomBytes(32))
+      : ethers.toBigInt(salt);
+
+    if (extension === '0x') {
+      return base;
+    }
+
+    const upper = (base >> 160n) || ethers.toBigInt(ethers.randomBytes(12));
+    return (upper << 160n) | (ethers.toBigInt(ethers.keccak256(extension)) & UINT160_MAX);
+  }
+
+  getTypedData(chainId, order) {
+    return {
+      domain: this.getDomain(chainId),
+      types: ORDER_TYPES,
+      primaryType: 'Order',
+      message: order
+    };
+  }
+
+  getOrderHash(chainId, order) {
+    return ethers.TypedDataEncoder.hash(this.getDomain(chainId), ORDER_TYPES, order);
+  }
+
+  /**
+   * Sign an order with an ethers signer
+   * @returns {Promise<string>} EIP-712 signature
+   */
+  async signOrder(chainId, order, signer) {
+    return signer.signTypedData(this.getDomain(chainId), ORDER_TYPES, order);
+  }
+
+  /**
+   * Check that an EOA signature was produced by the order maker
+   */
+  verifySignature(chainId, order, signature) {
+    try {
+      const signer = ethers.verifyTypedData(this.getDomain(chainId), ORDER_TYPES, order, signature);
+      return signer.toLowerCase() === order.maker.toLowerCase();
+    } catch (error) {
+      this.logger?.debug('Order signature verification failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Check that an extension matches the hash committed in the order salt
+   */
+  verifyExtension(order, extension) {
+    const traits = decodeMakerTraits(order.makerTraits);
+    if (!extension || extension === '0x') {
+      return !traits.hasExtension;
+    }
+    const committed = BigInt(order.salt) & UINT160_MAX;
+    return traits.hasExtension &&
+      committed === (ethers.toBigInt(ethers.keccak256(extension)) & UINT160_MAX);
+  }
+}
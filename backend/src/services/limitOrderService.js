@@ -1,68 +1,50 @@
 import { ethers } from 'ethers';
 import axios from 'axios';
+import { EventEmitter } from 'events';
 import {
   EnhancedTWAPStrategy,
   BarrierOptionsStrategy,
   DynamicDeltaHedgingStrategy,
+  GridTradingStrategy,
+  MultiLegOptionsStrategy,
   CustomStrategyBuilder
 } from './enhancedStrategies.js';
+import { PredicateBuilder } from './predicateBuilder.js';
+import { compileStrategyDefinition } from './strategyDsl.js';
+import { PredicateDecoder } from './predicateDecoder.js';
+import { decodeMakerTraits } from './limitOrderBuilder.js';
+import { NonceManager } from './nonceManager.js';
+import { getLimitOrderProtocolAddress } from '../config/contracts.js';
+import {
+  STRATEGY_STATES,
+  ORDER_STATUSES,
+  assertTransition,
+  canTransition,
+  deriveStrategyState,
+  isOpenOrder,
+  isTerminalState
+} from './strategyLifecycle.js';
+
+export { PredicateBuilder };
+
+const LIMIT_ORDER_PROTOCOL_INTERFACE = new ethers.Interface([
+  'function cancelOrder(uint256 makerTraits, bytes32 orderHash)',
+  'function cancelOrders(uint256[] makerTraits, bytes32[] orderHashes)'
+]);
+
+function serviceError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
 
-// Enhanced predicate types for advanced strategies
-export class PredicateBuilder {
-  constructor() {
-    this.abiCoder = ethers.AbiCoder.defaultAbiCoder();
-  }
-
-  // Time-based predicates (already implemented, enhanced)
-  createTimePredicate(startTime, endTime) {
-    return this.abiCoder.encode(
-      ['uint256', 'uint256'],
-      [startTime, endTime]
-    );
-  }
-
-  // Price-based predicates (already implemented, enhanced)
-  createPricePredicate(token, strikePrice, optionType, expiry) {
-    return this.abiCoder.encode(
-      ['address', 'uint256', 'uint8', 'uint256'],
-      [token, strikePrice, optionType === 'call' ? 1 : 0, expiry]
-    );
-  }
-
-  // NEW: Volume-based predicates
-  createVolumePredicate(token, minVolume, maxVolume, timeframe) {
-    return this.abiCoder.encode(
-      ['address', 'uint256', 'uint256', 'uint256'],
-      [token, minVolume, maxVolume, timeframe]
-    );
-  }
-
-  // NEW: Compound predicates (combining multiple conditions)
-  createCompoundPredicate(predicates, logicOperator = 'AND') {
-    const encodedPredicates = predicates.map(p => p.predicate);
-    const operators = predicates.map(p => p.operator || 0); // 0 = AND, 1 = OR
-
-    return this.abiCoder.encode(
-      ['bytes[]', 'uint8[]', 'uint8'],
-      [encodedPredicates, operators, logicOperator === 'AND' ? 0 : 1]
-    );
-  }
-
-  // NEW: Custom logic predicates
-  createCustomLogicPredicate(conditions, customLogic) {
-    return this.abiCoder.encode(
-      ['bytes', 'bytes'],
-      [conditions, customLogic]
-    );
-  }
-
-  // NEW: Range-based predicates for concentrated liquidity
-  createRangePredicate(token, lowerPrice, upperPrice, rebalanceThreshold) {
-    return this.abiCoder.encode(
-      ['address', 'uint256', 'uint256', 'uint256'],
-      [token, lowerPrice, upperPrice, rebalanceThreshold]
-    );
-  }
+// Token a volatility-sized strategy estimates its volatility on
+function volatilityToken(strategy) {
+  const params = strategy?.params || {};
+  return {
+    chainId: params.chainId,
+    token: strategy instanceof EnhancedTWAPStrategy ? params.makerAsset : params.underlying
+  };
 }
 
 // Advanced strategy base class
@@ -87,9 +69,9 @@ export class AdvancedStrategy {
     throw new Error('adjust() must be implemented by subclass');
   }
 
-  async cancel() {
-    throw new Error('cancel() must be implemented by subclass');
-  }
+  // Orders are invalidated by the service; strategies only drop their own
+  // monitoring state
+  async cancel() {}
 }
 
 // Concentrated liquidity strategy implementation
@@ -104,6 +86,7 @@ export class ConcentratedLiquidityStrategy extends AdvancedStrategy {
     this.liquidityDistribution = params.liquidityDistribution;
     this.rebalanceThreshold = params.rebalanceThreshold;
     this.impermanentLossProtection = params.impermanentLossProtection;
+    this.slippage = params.slippage; // percent below the quote each range accepts
     this.limitOrderService = limitOrderService;
   }
 
@@ -112,19 +95,29 @@ export class ConcentratedLiquidityStrategy extends AdvancedStrategy {
     const orders = [];
 
     for (const range of this.priceRange.ranges) {
-      const predicate = new PredicateBuilder().createRangePredicate(
+      const predicate = new PredicateBuilder({
+        chainId: this.execution.chainId
+      }).createRangePredicate(
         this.conditions.makerAsset, // Use makerAsset instead of token
         range.lowerPrice,
         range.upperPrice,
         this.rebalanceThreshold
       );
 
+      const takingAmount = await this.limitOrderService.getMinReturn({
+        chainId: this.execution.chainId,
+        makerAsset: this.conditions.makerAsset,
+        takerAsset: this.conditions.takerAsset,
+        makingAmount: range.liquidityAmount,
+        slippage: this.slippage
+      });
+
       const order = await this.limitOrderService.createLimitOrder({
         chainId: this.execution.chainId,
         makerAsset: this.conditions.makerAsset,
         takerAsset: this.conditions.takerAsset,
         makingAmount: range.liquidityAmount,
-        takingAmount: '0', // Market will determine
+        takingAmount: takingAmount.toString(),
         maker: this.execution.maker,
         predicate,
         interaction: this.createRebalanceInteraction(range)
@@ -145,63 +138,622 @@ export class ConcentratedLiquidityStrategy extends AdvancedStrategy {
     );
   }
 
+  // Outer edges of the configured ranges
+  getPriceBounds() {
+    const lowers = this.priceRange.ranges.map(range => BigInt(range.lowerPrice));
+    const uppers = this.priceRange.ranges.map(range => BigInt(range.upperPrice));
+    return {
+      lowest: lowers.reduce((a, b) => (b < a ? b : a)),
+      highest: uppers.reduce((a, b) => (b > a ? b : a))
+    };
+  }
+
+  // Monitor price movements against the ranges; flag a rebalance once the
+  // price leaves them by more than rebalanceThreshold percent
   async monitor() {
-    // Monitor price movements and liquidity distribution
-    // Trigger rebalancing when thresholds are met
+    const price = await this.limitOrderService.getOraclePrice(
+      this.execution.chainId,
+      this.conditions.makerAsset
+    );
+    const { lowest, highest } = this.getPriceBounds();
+    const thresholdBps = BigInt(Math.round(this.rebalanceThreshold * 100));
+
+    this.lastPrice = price.toString();
+    this.needsRebalance =
+      price < lowest * (10000n - thresholdBps) / 10000n ||
+      price > highest * (10000n + thresholdBps) / 10000n;
+
+    return {
+      price: this.lastPrice,
+      inRange: price >= lowest && price <= highest,
+      needsRebalance: this.needsRebalance
+    };
   }
 
-  async adjust() {
-    // Adjust liquidity distribution based on market conditions
+  // Place liquidity for new ranges: explicit ones, or the current ranges
+  // re-centred on the market price when a rebalance is due. The open range
+  // orders are superseded so the old liquidity doesn't stay on the book.
+  async adjust(adjustments = {}, { orders: tracked = [] } = {}) {
+    if (adjustments.rebalanceThreshold !== undefined) {
+      this.rebalanceThreshold = adjustments.rebalanceThreshold;
+    }
+
+    if (adjustments.priceRange) {
+      this.priceRange = adjustments.priceRange;
+    } else if (adjustments.recenter || this.needsRebalance) {
+      this.priceRange = await this.recenterRanges();
+    } else {
+      return { orders: [], params: { rebalanceThreshold: this.rebalanceThreshold } };
+    }
+
+    const { orders } = await this.execute();
+    this.needsRebalance = false;
+
+    return {
+      orders,
+      supersedes: tracked.filter(isOpenOrder).map(order => order.orderHash),
+      params: { priceRange: this.priceRange, rebalanceThreshold: this.rebalanceThreshold }
+    };
+  }
+
+  async recenterRanges() {
+    const price = await this.limitOrderService.getOraclePrice(
+      this.execution.chainId,
+      this.conditions.makerAsset
+    );
+    const { lowest, highest } = this.getPriceBounds();
+    const shift = price - (lowest + highest) / 2n;
+
+    return {
+      ...this.priceRange,
+      ranges: this.priceRange.ranges.map(range => ({
+        ...range,
+        lowerPrice: (BigInt(range.lowerPrice) + shift).toString(),
+        upperPrice: (BigInt(range.upperPrice) + shift).toString()
+      }))
+    };
+  }
+
+  async cancel() {
+    this.needsRebalance = false;
+  }
+}
+
+// Map request params to the concentrated liquidity strategy format
+export function buildConcentratedLiquidityParams(params) {
+  return {
+    conditions: {
+      makerAsset: params.makerAsset,
+      takerAsset: params.takerAsset
+    },
+    execution: {
+      chainId: params.chainId,
+      maker: params.maker
+    },
+    priceRange: params.priceRange,
+    rebalanceThreshold: params.rebalanceThreshold,
+    impermanentLossProtection: params.impermanentLossProtection,
+    slippage: params.slippage
+  };
+}
+
+// Custom strategy built from user-defined predicates
+export class CustomStrategy extends AdvancedStrategy {
+  constructor(params, limitOrderService) {
+    super({
+      type: 'custom',
+      ...params
+    });
+
+    this.config = params.config;
+    this.predicate = params.predicate || '0x';
+    this.metadata = params.metadata || {};
+    this.limitOrderService = limitOrderService;
+  }
+
+  // Re-evaluate the predicate on-chain when a simulator is configured
+  async monitor() {
+    const simulator = this.limitOrderService.predicateSimulator;
+    if (!simulator || this.predicate === '0x') {
+      return null;
+    }
+
+    const simulation = await simulator.simulate(this.predicate, { chainId: this.execution?.chainId });
+    return { predicatePasses: simulation.result, passesAt: simulation.passesAt };
+  }
+
+  // Conditions are baked into the signed order; only metadata can change
+  async adjust(adjustments = {}) {
+    const { metadata, ...rest } = adjustments;
+    if (Object.keys(rest).length > 0) {
+      throw new Error('Custom strategy conditions cannot be changed after creation; create a new strategy instead');
+    }
+
+    this.metadata = { ...this.metadata, ...metadata };
+    return { orders: [], params: { metadata: this.metadata } };
+  }
+}
+
+// Stop-loss: an order that only becomes fillable once the oracle price of
+// priceToken crosses triggerPrice (8-decimal oracle units). 'below' protects
+// a long position, 'above' a short one.
+export class StopLossStrategy extends AdvancedStrategy {
+  constructor(params, limitOrderService) {
+    super({
+      type: 'stop_loss',
+      ...params
+    });
+
+    this.params = params;
+    this.direction = params.direction || 'below';
+    this.priceToken = params.priceToken || params.makerAsset;
+    this.triggerPrice = params.triggerPrice ? BigInt(params.triggerPrice) : null;
+    // Every order of the strategy shares one bit-invalidator nonce, so only
+    // one of them can ever fill. A superseded order could still be the one
+    // that fills, at its stale trigger, so it is cancelled on-chain as well.
+    this.nonce = params.nonce ?? BigInt(ethers.hexlify(ethers.randomBytes(5))).toString();
+    this.limitOrderService = limitOrderService;
+  }
+
+  // price <= trigger for 'below', price >= trigger for 'above'
+  createStopPredicate(triggerPrice) {
+    const builder = new PredicateBuilder({ chainId: this.params.chainId });
+    const price = builder.oraclePrice(this.priceToken);
+
+    return this.direction === 'below'
+      ? builder.lt(triggerPrice + 1n, price)
+      : builder.gt(triggerPrice - 1n, price);
+  }
+
+  async placeStopOrder(triggerPrice) {
+    const order = await this.limitOrderService.createLimitOrder({
+      chainId: this.params.chainId,
+      makerAsset: this.params.makerAsset,
+      takerAsset: this.params.takerAsset,
+      makingAmount: this.params.makingAmount,
+      takingAmount: this.params.takingAmount, // minimum received
+      maker: this.params.maker,
+      predicate: this.createStopPredicate(triggerPrice),
+      expiry: this.params.expiry,
+      nonce: this.nonce,
+      allowPartialFills: false,
+      allowMultipleFills: false,
+      salt: ethers.randomBytes(32)
+    });
+
+    return {
+      ...order,
+      leg: { type: 'stop', triggerPrice: triggerPrice.toString() }
+    };
+  }
+
+  getStrategyParams() {
+    return { nonce: this.nonce, triggerPrice: this.triggerPrice.toString() };
+  }
+
+  async execute() {
+    const order = await this.placeStopOrder(this.triggerPrice);
+
+    return {
+      orders: [order],
+      strategy: this.type,
+      triggerPrice: this.triggerPrice.toString(),
+      params: this.getStrategyParams()
+    };
+  }
+
+  isTriggered(price) {
+    return this.direction === 'below' ? price <= this.triggerPrice : price >= this.triggerPrice;
+  }
+
+  async monitor() {
+    const price = await this.limitOrderService.getOraclePrice(this.params.chainId, this.priceToken);
+
+    return {
+      price: price.toString(),
+      triggerPrice: this.triggerPrice.toString(),
+      triggered: this.isTriggered(price)
+    };
+  }
+}
+
+// Trailing stop: the trigger follows the best price seen (high-water mark
+// for 'below', low-water mark for 'above') at trailingPercent or
+// trailingAmount behind it. When the trigger moves by reissueThreshold
+// percent the monitor supersedes the order with one carrying the new predicate.
+export class TrailingStopStrategy extends StopLossStrategy {
+  constructor(params, limitOrderService) {
+    super(params, limitOrderService);
+
+    this.type = 'trailing_stop';
+    this.trailingPercent = params.trailingPercent;
+    this.trailingAmount = params.trailingAmount ? BigInt(params.trailingAmount) : null;
+    this.reissueThreshold = params.reissueThreshold ?? 0.5;
+    this.highWaterMark = params.highWaterMark ? BigInt(params.highWaterMark) : null;
+  }
+
+  computeTrigger(mark) {
+    const isLong = this.direction === 'below';
+
+    if (this.trailingAmount !== null) {
+      return isLong ? mark - this.trailingAmount : mark + this.trailingAmount;
+    }
+
+    const bps = BigInt(Math.round(this.trailingPercent * 100));
+    return isLong ? mark * (10000n - bps) / 10000n : mark * (10000n + bps) / 10000n;
+  }
+
+  isFavorable(price) {
+    return this.direction === 'below' ? price > this.highWaterMark : price < this.highWaterMark;
+  }
+
+  getStrategyParams() {
+    return { ...super.getStrategyParams(), highWaterMark: this.highWaterMark.toString() };
+  }
+
+  async execute() {
+    if (this.highWaterMark === null) {
+      this.highWaterMark = await this.limitOrderService.getOraclePrice(this.params.chainId, this.priceToken);
+    }
+    this.triggerPrice = this.computeTrigger(this.highWaterMark);
+    if (this.triggerPrice <= 0n) {
+      throw new Error('Trailing distance is larger than the current price');
+    }
+
+    const result = await super.execute();
+    return { ...result, highWaterMark: this.highWaterMark.toString() };
+  }
+
+  async monitor({ orders = [] } = {}) {
+    const price = await this.limitOrderService.getOraclePrice(this.params.chainId, this.priceToken);
+    const live = orders.filter(isOpenOrder);
+    const result = {
+      price: price.toString(),
+      highWaterMark: this.highWaterMark.toString(),
+      triggerPrice: this.triggerPrice.toString(),
+      triggered: this.isTriggered(price)
+    };
+
+    // Nothing left to trail once the stop has filled or was cancelled
+    if (live.length === 0 || !this.isFavorable(price)) {
+      return result;
+    }
+
+    this.highWaterMark = price;
+    const trigger = this.computeTrigger(price);
+    const moveBps = (trigger - this.triggerPrice) * 10000n / this.triggerPrice;
+    const thresholdBps = BigInt(Math.round(this.reissueThreshold * 100));
+
+    result.highWaterMark = price.toString();
+    if ((moveBps < 0n ? -moveBps : moveBps) < thresholdBps) {
+      return { ...result, params: { highWaterMark: this.highWaterMark.toString() } };
+    }
+
+    this.triggerPrice = trigger;
+    const order = await this.placeStopOrder(trigger);
+
+    return {
+      ...result,
+      triggerPrice: trigger.toString(),
+      reissued: true,
+      orders: [order],
+      supersedes: live.map(tracked => tracked.orderHash),
+      params: this.getStrategyParams()
+    };
   }
 }
 
+// Iceberg: only a visibleAmount slice of totalAmount rests on the book at
+// once. Each filled slice is followed by the next one, signed with a fresh
+// salt and nonce so slices can't be linked by their order fields.
+export class IcebergStrategy extends AdvancedStrategy {
+  constructor(params, limitOrderService) {
+    super({
+      type: 'iceberg',
+      ...params
+    });
+
+    this.params = params;
+    this.totalAmount = BigInt(params.totalAmount);
+    this.visibleAmount = BigInt(params.visibleAmount);
+    this.takingAmount = BigInt(params.takingAmount); // minimum for the whole size
+    this.priceRandomization = {
+      enabled: false,
+      maxBps: 25,
+      ...params.priceRandomization
+    };
+    this.limitOrderService = limitOrderService;
+
+    if (this.visibleAmount <= 0n || this.visibleAmount > this.totalAmount) {
+      throw new Error('visibleAmount must be positive and no larger than totalAmount');
+    }
+  }
+
+  // Slice at the limit price, or up to maxBps above it when randomized so
+  // the price never gets worse than the maker's limit
+  async placeSlice(index, offset) {
+    const makingAmount = this.totalAmount - offset < this.visibleAmount
+      ? this.totalAmount - offset
+      : this.visibleAmount;
+
+    let takingAmount = (this.takingAmount * makingAmount + this.totalAmount - 1n) / this.totalAmount;
+    if (this.priceRandomization.enabled) {
+      const bps = BigInt(Math.floor(Math.random() * (this.priceRandomization.maxBps + 1)));
+      takingAmount = takingAmount * (10000n + bps) / 10000n;
+    }
+
+    const order = await this.limitOrderService.createLimitOrder({
+      chainId: this.params.chainId,
+      makerAsset: this.params.makerAsset,
+      takerAsset: this.params.takerAsset,
+      makingAmount: makingAmount.toString(),
+      takingAmount: takingAmount.toString(),
+      maker: this.params.maker,
+      expiry: this.params.expiry,
+      nonce: BigInt(ethers.hexlify(ethers.randomBytes(5))),
+      salt: ethers.randomBytes(32)
+    });
+
+    return {
+      ...order,
+      leg: { slice: index, offset: offset.toString(), amount: makingAmount.toString() }
+    };
+  }
 
+  async execute() {
+    const order = await this.placeSlice(0, 0n);
+
+    return {
+      orders: [order],
+      strategy: 'iceberg',
+      slices: Number((this.totalAmount + this.visibleAmount - 1n) / this.visibleAmount)
+    };
+  }
+
+  // Next slice once the current one is fully filled, until the total is placed
+  async onOrderFilled(order) {
+    const { slice, offset, amount } = order.leg || {};
+    if (slice === undefined) return [];
+
+    const nextOffset = BigInt(offset) + BigInt(amount);
+    if (nextOffset >= this.totalAmount) return [];
+
+    return [await this.placeSlice(slice + 1, nextOffset)];
+  }
 
+  async monitor({ orders = [] } = {}) {
+    const filled = orders.reduce((sum, order) => sum + BigInt(order.filledAmount || 0), 0n);
 
+    return {
+      filledAmount: filled.toString(),
+      remainingAmount: (this.totalAmount - filled).toString(),
+      slicesPlaced: orders.length
+    };
+  }
+}
 
 // Main Limit Order Service
-export class LimitOrderService {
-  constructor({ apiKey, baseUrl, logger, oneInchService }) {
+export class LimitOrderService extends EventEmitter {
+  constructor({ apiKey, baseUrl, logger, oneInchService, storage, predicateSimulator, analyticsService, marketDataService, nonceManager }) {
+    super();
+
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
     this.logger = logger;
     this.oneInchService = oneInchService;
+    this.predicateSimulator = predicateSimulator || null;
+    this.analyticsService = analyticsService || null;
+    this.marketData = marketDataService || null;
+    this.nonceManager = nonceManager || new NonceManager({ storage, logger });
     this.predicateBuilder = new PredicateBuilder();
 
-    // Strategy registry
+    // Strategy registry (write-through to storage when configured) and the
+    // lifecycle of each strategy: state, tracked orders, transition history
     this.strategies = new Map();
+    this.lifecycles = new Map();
     this.activeOrders = new Map();
+    this.strategyRepository = storage?.repository('strategies') || null;
   }
 
   // Register a new strategy
-  registerStrategy(strategyId, strategy) {
+  async registerStrategy(strategyId, strategy, definition = {}) {
+    const now = new Date().toISOString();
+    const orders = (definition.orders || []).map(order => this.trackOrder(order));
+    const state = deriveStrategyState(orders);
+    await this.analyticsService?.quoteOrders(orders);
+
     this.strategies.set(strategyId, strategy);
-    this.logger.info('Strategy registered', { strategyId, type: strategy.type });
+    this.trackMarketData(strategyId, strategy);
+    this.lifecycles.set(strategyId, {
+      kind: definition.kind,
+      params: definition.params,
+      state,
+      orders,
+      history: [{ from: null, to: state, reason: 'registered', at: now }],
+      createdAt: now,
+      updatedAt: now
+    });
+    this.logger.info('Strategy registered', { strategyId, type: strategy.type, state });
+
+    await this.persistStrategy(strategyId);
+  }
+
+  // Order as tracked by the lifecycle (fill progress is refreshed by monitorOrder)
+  trackOrder(order) {
+    return {
+      orderHash: order.orderHash,
+      chainId: order.chainId,
+      maker: order.order?.maker ?? order.maker ?? null,
+      makerAsset: order.order?.makerAsset ?? order.makerAsset ?? null,
+      takerAsset: order.order?.takerAsset ?? order.takerAsset ?? null,
+      makingAmount: (order.order?.makingAmount ?? order.makingAmount ?? '0').toString(),
+      takingAmount: (order.order?.takingAmount ?? order.takingAmount ?? '0').toString(),
+      makerTraits: order.order?.makerTraits ?? null,
+      // Strategy-specific position of the order, e.g. a grid level
+      leg: order.leg ?? null,
+      filledAmount: '0',
+      status: order.status === ORDER_STATUSES.PENDING_SIGNATURE
+        ? ORDER_STATUSES.PENDING_SIGNATURE
+        : ORDER_STATUSES.SUBMITTED,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async persistStrategy(strategyId) {
+    if (!this.strategyRepository) return;
+
+    const lifecycle = this.lifecycles.get(strategyId);
+    try {
+      await this.strategyRepository.save(strategyId, {
+        id: strategyId,
+        kind: lifecycle.kind,
+        params: lifecycle.params,
+        status: lifecycle.state,
+        orders: lifecycle.orders,
+        history: lifecycle.history,
+        pendingCancel: lifecycle.pendingCancel || null,
+        createdAt: lifecycle.createdAt,
+        updatedAt: lifecycle.updatedAt
+      });
+    } catch (error) {
+      this.logger.error('Failed to persist strategy:', error, { strategyId });
+    }
+  }
+
+  // Move a strategy to a new lifecycle state, rejecting invalid transitions
+  async transitionStrategy(strategyId, to, reason) {
+    const lifecycle = this.lifecycles.get(strategyId);
+    if (!lifecycle) {
+      throw new Error('Strategy not found');
+    }
+
+    const from = lifecycle.state;
+    if (from === to) return lifecycle;
+
+    assertTransition(from, to);
+
+    const at = new Date().toISOString();
+    lifecycle.state = to;
+    lifecycle.updatedAt = at;
+    lifecycle.history.push({ from, to, reason, at });
+    // Orders that filled or expired first leave nothing for the cancel to confirm
+    if (from === STRATEGY_STATES.CANCELLING) {
+      lifecycle.pendingCancel = null;
+    }
+    if (isTerminalState(to)) {
+      this.untrackMarketData(strategyId);
+    }
+    await this.persistStrategy(strategyId);
+
+    this.logger.info('Strategy state changed', { strategyId, from, to, reason });
+    this.emit('strategy_state_changed', {
+      strategyId,
+      type: this.strategies.get(strategyId)?.type || lifecycle.kind,
+      from,
+      to,
+      reason,
+      timestamp: at
+    });
+
+    return lifecycle;
+  }
+
+  // Reload persisted live strategies on boot
+  async restoreStrategies() {
+    if (!this.strategyRepository) {
+      return 0;
+    }
+
+    const records = await this.strategyRepository.list();
+
+    for (const { id, status, data } of records) {
+      // Finished strategies are only kept while they still have open orders,
+      // e.g. a failed package whose posted legs await cancellation
+      if (isTerminalState(status) && !(data.orders || []).some(isOpenOrder)) continue;
+
+      try {
+        const strategy = this.hydrateStrategy(data);
+        this.strategies.set(id, strategy);
+        if (!isTerminalState(status)) {
+          this.trackMarketData(id, strategy);
+        }
+        this.lifecycles.set(id, {
+          kind: data.kind,
+          params: data.params,
+          // Records written before lifecycle tracking were stored as 'active'
+          state: status === 'active' ? STRATEGY_STATES.SUBMITTED : status,
+          orders: data.orders || [],
+          history: data.history || [],
+          pendingCancel: data.pendingCancel || null,
+          createdAt: data.createdAt,
+          updatedAt: data.updatedAt || data.createdAt
+        });
+      } catch (error) {
+        this.logger.error('Failed to restore strategy:', error, { strategyId: id });
+      }
+    }
+
+    this.logger.info('Strategies restored from storage', { count: this.strategies.size });
+    return this.strategies.size;
+  }
+
+  // Sample the token a volatility-sized strategy prices on from registration
+  // until it finishes, so the next execution on it has history to estimate from
+  trackMarketData(strategyId, strategy) {
+    const { chainId, token } = volatilityToken(strategy);
+    if (this.marketData && chainId && token) {
+      this.marketData.track(chainId, token, strategyId);
+    }
+  }
+
+  untrackMarketData(strategyId) {
+    const { chainId, token } = volatilityToken(this.strategies.get(strategyId));
+    if (this.marketData && chainId && token) {
+      this.marketData.untrack(chainId, token, strategyId);
+    }
+  }
+
+  // Rebuild a strategy instance from its persisted definition
+  hydrateStrategy({ kind, params }) {
+    switch (kind) {
+      case 'concentrated_liquidity':
+        return new ConcentratedLiquidityStrategy(params, this);
+      case 'enhanced_twap':
+        return new EnhancedTWAPStrategy(params);
+      case 'barrier_options':
+        return new BarrierOptionsStrategy(params, this);
+      case 'dynamic_delta_hedging':
+        return new DynamicDeltaHedgingStrategy(params, this);
+      case 'grid_trading':
+        return new GridTradingStrategy(params);
+      case 'multi_leg_options':
+        return new MultiLegOptionsStrategy(params);
+      case 'custom':
+        return new CustomStrategy(params, this);
+      case 'stop_loss':
+        return new StopLossStrategy(params, this);
+      case 'trailing_stop':
+        return new TrailingStopStrategy(params, this);
+      case 'iceberg':
+        return new IcebergStrategy(params, this);
+      default:
+        throw new Error(`Unknown strategy kind: ${kind}`);
+    }
   }
 
   // Create concentrated liquidity order
   async createConcentratedLiquidityOrder(params) {
     try {
-      // Map params to strategy format
-      const strategyParams = {
-        conditions: {
-          makerAsset: params.makerAsset,
-          takerAsset: params.takerAsset
-        },
-        execution: {
-          chainId: params.chainId,
-          maker: params.maker
-        },
-        priceRange: params.priceRange,
-        rebalanceThreshold: params.rebalanceThreshold,
-        impermanentLossProtection: params.impermanentLossProtection
-      };
-
+      const strategyParams = buildConcentratedLiquidityParams(params);
       const strategy = new ConcentratedLiquidityStrategy(strategyParams, this);
       const result = await strategy.execute();
 
       // Store strategy for monitoring
-      this.registerStrategy(result.orders[0].orderHash, strategy);
+      await this.registerStrategy(result.orders[0].orderHash, strategy, {
+        kind: 'concentrated_liquidity',
+        params: strategyParams,
+        orders: result.orders
+      });
 
       this.logger.info('Concentrated liquidity order created', {
         orderCount: result.orders.length,
@@ -215,33 +767,173 @@ export class LimitOrderService {
     }
   }
 
-    // Create multi-leg options order (placeholder for future implementation)
+  // Create stop-loss or trailing-stop order
+  async createStopOrder(kind, params) {
+    try {
+      const strategy = kind === 'trailing_stop'
+        ? new TrailingStopStrategy(params, this)
+        : new StopLossStrategy(params, this);
+      const result = await strategy.execute();
+
+      // Params carry the nonce and trigger so a restored strategy keeps trailing
+      await this.registerStrategy(result.orders[0].orderHash, strategy, {
+        kind,
+        params: { ...params, ...result.params },
+        orders: result.orders
+      });
+
+      this.logger.info('Stop order created', {
+        kind,
+        orderHash: result.orders[0].orderHash,
+        triggerPrice: result.triggerPrice,
+        direction: strategy.direction
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Error creating stop order:', error);
+      throw new Error(`Failed to create ${kind.replace('_', '-')} order: ${error.message}`);
+    }
+  }
+
+  // Create iceberg order: one visible slice at a time
+  async createIcebergOrder(params) {
+    try {
+      const strategy = new IcebergStrategy(params, this);
+      const result = await strategy.execute();
+
+      await this.registerStrategy(result.orders[0].orderHash, strategy, {
+        kind: 'iceberg',
+        params,
+        orders: result.orders
+      });
+
+      this.logger.info('Iceberg order created', {
+        orderHash: result.orders[0].orderHash,
+        totalAmount: params.totalAmount,
+        visibleAmount: params.visibleAmount,
+        slices: result.slices
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Error creating iceberg order:', error);
+      throw new Error(`Failed to create iceberg order: ${error.message}`);
+    }
+  }
+
+  // Create a multi-leg options package; legs are validated as a whole and
+  // posted together, and the package id is the first leg's order hash
   async createMultiLegOptionsOrder(params) {
     try {
-      this.logger.info('Multi-leg options order requested (not implemented in Phase 2)', {
-        params
+      const strategy = new MultiLegOptionsStrategy(params);
+      const payoff = strategy.validate();
+      const result = await strategy.execute(this);
+      const packageId = result.orders[0].orderHash;
+
+      await this.registerStrategy(packageId, strategy, {
+        kind: 'multi_leg_options',
+        params,
+        orders: result.orders
       });
 
-      throw new Error('Multi-leg options not implemented in Phase 2. Use barrier options instead.');
+      this.logger.info('Multi-leg options package created', {
+        packageId,
+        structure: result.structure,
+        legs: result.orders.length,
+        netPremium: payoff.netPremium
+      });
+
+      return {
+        ...result,
+        packageId,
+        netPremium: payoff.netPremium,
+        maxProfit: payoff.maxProfit,
+        maxLoss: payoff.maxLoss,
+        breakevens: payoff.breakevens
+      };
     } catch (error) {
       this.logger.error('Error creating multi-leg options order:', error);
-      throw new Error(`Failed to create multi-leg options order: ${error.message}`);
+      const wrapped = new Error(`Failed to create multi-leg options order: ${error.message}`);
+      wrapped.name = error.name;
+      if (error.postedOrders?.length) {
+        wrapped.packageId = await this.registerFailedPackage(params, error);
+        wrapped.cancelledOrders = error.postedOrders.map(order => order.orderHash);
+        wrapped.transaction = error.transaction;
+      }
+      throw wrapped;
+    }
+  }
+
+  // Track the legs a rolled-back package already posted: the package is
+  // failed but its legs stay open until cancelled through cancelOrder()
+  async registerFailedPackage(params, error) {
+    const packageId = error.postedOrders[0].orderHash;
+    try {
+      await this.registerStrategy(packageId, new MultiLegOptionsStrategy(params), {
+        kind: 'multi_leg_options',
+        params,
+        orders: error.postedOrders
+      });
+      await this.transitionStrategy(packageId, STRATEGY_STATES.FAILED, error.message);
+    } catch (registerError) {
+      this.logger.error('Failed to track rolled-back package:', registerError, { packageId });
     }
+    return packageId;
   }
 
-    // Create enhanced TWAP order with slippage protection
+  /**
+   * Expiry payoff of a multi-leg options package, in USD
+   * @param {string} packageId - Package ID
+   * @param {Object} options - Chart options (points, from, to)
+   * @returns {Promise<Object>} Payoff analysis plus the current spot when available
+   */
+  async getMultiLegPayoff(packageId, options = {}) {
+    const lifecycle = this.lifecycles.get(packageId);
+    if (!lifecycle || lifecycle.kind !== 'multi_leg_options') {
+      const error = new Error('Multi-leg options package not found');
+      error.name = 'NotFoundError';
+      throw error;
+    }
+
+    const strategy = this.strategies.get(packageId);
+    const { chainId } = lifecycle.params;
+    const [{ underlying, expiry }] = lifecycle.params.legs;
+
+    let spot = null;
+    try {
+      spot = Number(await this.getOraclePrice(chainId, underlying)) / 1e8;
+    } catch (error) {
+      this.logger.warn('Spot price unavailable for payoff chart', { packageId, error: error.message });
+    }
+
+    return {
+      packageId,
+      structure: strategy.structure,
+      state: lifecycle.state,
+      underlying,
+      expiry,
+      spot,
+      ...strategy.getPayoff(options)
+    };
+  }
+
+  // Create enhanced TWAP order with slippage protection
   async createEnhancedTWAPOrder(params) {
     try {
       const strategy = new EnhancedTWAPStrategy(params);
       const result = await strategy.execute(this);
 
       // Store strategy for monitoring
-      this.registerStrategy(result.orders[0].orderHash, strategy);
+      await this.registerStrategy(result.orders[0].orderHash, strategy, {
+        kind: 'enhanced_twap',
+        params,
+        orders: result.orders
+      });
 
       this.logger.info('Enhanced TWAP order created', {
         orderCount: result.orders.length,
-        dynamicIntervals: result.dynamicIntervals,
-        merkleRoot: result.merkleRoot
+        dynamicIntervals: result.dynamicIntervals
       });
 
       return result;
@@ -251,14 +943,45 @@ export class LimitOrderService {
     }
   }
 
+  // Create grid trading order: levels buys below and levels sells above the grid middle
+  async createGridTradingOrder(params) {
+    try {
+      const strategy = new GridTradingStrategy(params);
+      const result = await strategy.execute(this);
+
+      // Store strategy for monitoring; fills re-place the opposite side
+      await this.registerStrategy(result.orders[0].orderHash, strategy, {
+        kind: 'grid_trading',
+        params,
+        orders: result.orders
+      });
+
+      this.logger.info('Grid trading order created', {
+        orderCount: result.orders.length,
+        gridType: result.gridType,
+        lowerPrice: params.lowerPrice,
+        upperPrice: params.upperPrice
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Error creating grid trading order:', error);
+      throw new Error(`Failed to create grid trading order: ${error.message}`);
+    }
+  }
+
   // Create barrier options order
   async createBarrierOptionsOrder(params) {
     try {
-      const strategy = new BarrierOptionsStrategy(params);
+      const strategy = new BarrierOptionsStrategy(params, this);
       const result = await strategy.execute(this);
 
       // Store strategy for monitoring
-      this.registerStrategy(result.orders[0].orderHash, strategy);
+      await this.registerStrategy(result.orders[0].orderHash, strategy, {
+        kind: 'barrier_options',
+        params,
+        orders: result.orders
+      });
 
       this.logger.info('Barrier options order created', {
         barrierType: result.barrierType,
@@ -276,11 +999,15 @@ export class LimitOrderService {
   // Create dynamic delta hedging order
   async createDynamicDeltaHedgingOrder(params) {
     try {
-      const strategy = new DynamicDeltaHedgingStrategy(params);
+      const strategy = new DynamicDeltaHedgingStrategy(params, this);
       const result = await strategy.execute(this);
 
-      // Store strategy for monitoring
-      this.registerStrategy(result.orders[0].orderHash, strategy);
+      // Store strategy for monitoring; monitor() refreshes the greeks
+      await this.registerStrategy(result.orders[0].orderHash, strategy, {
+        kind: 'dynamic_delta_hedging',
+        params: { ...params, greeks: result.greeks },
+        orders: result.orders
+      });
 
       this.logger.info('Dynamic delta hedging order created', {
         initialDelta: result.initialDelta,
@@ -295,33 +1022,89 @@ export class LimitOrderService {
     }
   }
 
-  // Create custom strategy order using builder
+  /**
+   * Create a custom strategy order, either from a strategy definition (see
+   * strategyDsl.js) or from a legacy builder config. All conditions are
+   * compiled into one compound predicate.
+   * @param {Object} params - { chainId, maker, definition, metadata, dryRun } or
+   *   { chainId, maker, makerAsset, takerAsset, amount, takingAmount, slippage, config,
+   *   metadata, dryRun }; without a takingAmount the legacy order takes the quote less
+   *   slippage (percent)
+   * @returns {Promise<Object>} Created order, or the simulation for a dry run
+   */
   async createCustomStrategyOrder(params) {
     try {
-      const builder = new CustomStrategyBuilder();
-      const strategyConfig = builder.buildStrategy(params.config);
-
-      // Create order with custom predicates and interactions
-      const order = await this.createLimitOrder({
-        chainId: params.chainId,
+      const strategyConfig = params.definition
+        ? compileStrategyDefinition(params.definition)
+        : new CustomStrategyBuilder({ chainId: params.chainId }).buildStrategy(params.config);
+      const chainId = params.definition?.chainId ?? params.chainId;
+      const { predicate, interaction, preInteraction, postInteraction } = strategyConfig;
+      const order = strategyConfig.order || {
         makerAsset: params.makerAsset,
         takerAsset: params.takerAsset,
         makingAmount: params.amount,
-        takingAmount: '0',
+        takingAmount: params.takingAmount
+      };
+
+      // Dry run: evaluate the predicate on-chain without creating the order
+      if (params.dryRun) {
+        if (!this.predicateSimulator) {
+          throw new Error('Predicate simulation is not configured (set PREDICATE_SIMULATION_RPC_URL)');
+        }
+
+        const simulation = await this.predicateSimulator.simulate(predicate, { chainId });
+
+        this.logger.info('Custom strategy dry run completed', {
+          type: params.type,
+          result: simulation.result
+        });
+
+        return {
+          dryRun: true,
+          strategy: 'custom',
+          predicate,
+          simulation,
+          config: strategyConfig,
+          metadata: params.metadata
+        };
+      }
+
+      // Legacy configs without a price take the quote less slippage
+      if (!order.takingAmount) {
+        order.takingAmount = (await this.getMinReturn({ chainId, ...order, slippage: params.slippage })).toString();
+      }
+
+      // Create order with custom predicates and interactions
+      const created = await this.createLimitOrder({
+        chainId,
+        ...order,
         maker: params.maker,
-        predicate: strategyConfig.predicates[0]?.predicate || '0x',
-        interaction: strategyConfig.interactions[0] || '0x',
+        predicate,
+        interaction,
+        preInteraction,
+        postInteraction,
+        ...(strategyConfig.expiry && { expiry: strategyConfig.expiry }),
         salt: ethers.randomBytes(32)
       });
 
       const result = {
-        orderHash: order.orderHash,
+        orderHash: created.orderHash,
         strategy: 'custom',
         config: strategyConfig,
         metadata: params.metadata
       };
 
-      this.registerStrategy(result.orderHash, { type: 'custom', config: strategyConfig });
+      const customParams = {
+        config: strategyConfig,
+        predicate,
+        metadata: params.metadata,
+        execution: { chainId, maker: params.maker }
+      };
+      await this.registerStrategy(result.orderHash, new CustomStrategy(customParams, this), {
+        kind: 'custom',
+        params: customParams,
+        orders: [created]
+      });
 
       this.logger.info('Custom strategy order created', {
         type: params.type,
@@ -331,82 +1114,653 @@ export class LimitOrderService {
       return result;
     } catch (error) {
       this.logger.error('Error creating custom strategy order:', error);
-      throw new Error(`Failed to create custom strategy order: ${error.message}`);
+      const wrapped = new Error(`Failed to create custom strategy order: ${error.message}`);
+      wrapped.name = error.name;
+      wrapped.details = error.details;
+      throw wrapped;
     }
   }
 
-  // Monitor order status
+  // Monitor a strategy: refresh its orders' fill status, run the strategy's
+  // own monitor() and move the lifecycle to the state its orders imply
   async monitorOrder(orderHash) {
     try {
       const strategy = this.strategies.get(orderHash);
-      if (!strategy) {
+      const lifecycle = this.lifecycles.get(orderHash);
+      if (!strategy || !lifecycle) {
         throw new Error('Strategy not found for order hash');
       }
 
-      await strategy.monitor();
+      if (isTerminalState(lifecycle.state)) {
+        return { status: 'monitored', orderHash, state: lifecycle.state, orders: lifecycle.orders };
+      }
+
+      await this.refreshOrders(orderHash, lifecycle.orders);
+      // A strategy being cancelled only has its orders followed until the
+      // cancel transaction is confirmed; it places and re-issues nothing
+      const cancelling = lifecycle.state === STRATEGY_STATES.CANCELLING;
+      if (!cancelling) {
+        await this.replaceFilledOrders(orderHash);
+      }
+      const { orders: reissued, supersedes, params, ...monitorResult } = !cancelling && typeof strategy.monitor === 'function'
+        ? (await strategy.monitor({ state: lifecycle.state, orders: lifecycle.orders })) || {}
+        : {};
+
+      if (params) {
+        lifecycle.params = { ...lifecycle.params, ...params };
+      }
+      let cancellation = null;
+      if (reissued?.length) {
+        cancellation = await this.supersedeOrders(orderHash, supersedes || [], reissued);
+      }
 
-      this.logger.info('Order monitoring completed', { orderHash });
-      return { status: 'monitored', orderHash };
+      lifecycle.lastMonitoredAt = new Date().toISOString();
+      if (lifecycle.orders.length > 0) {
+        const next = deriveStrategyState(lifecycle.orders);
+        // A submitted strategy whose re-issued order awaits the maker's
+        // signature stays submitted rather than going back to draft
+        if (next !== lifecycle.state && canTransition(lifecycle.state, next) &&
+            !(isTerminalState(next) && this.hasPendingFollowUps(orderHash))) {
+          await this.transitionStrategy(orderHash, next, 'order status update');
+        }
+      }
+      await this.persistStrategy(orderHash);
+
+      this.logger.info('Order monitoring completed', { orderHash, state: lifecycle.state });
+      return {
+        status: 'monitored',
+        orderHash,
+        state: lifecycle.state,
+        orders: lifecycle.orders,
+        ...(Object.keys(monitorResult).length > 0 && { monitor: monitorResult }),
+        ...(cancellation?.transaction && {
+          cancelledOrders: cancellation.cancelledOrders,
+          transaction: cancellation.transaction
+        })
+      };
     } catch (error) {
       this.logger.error('Error monitoring order:', error);
       throw new Error(`Failed to monitor order: ${error.message}`);
     }
   }
 
+  // Update fill progress of open orders from the orderbook, record new
+  // fills and expire orders whose makerTraits expiration has passed
+  async refreshOrders(strategyId, orders) {
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const order of orders.filter(isOpenOrder)) {
+      try {
+        const remote = await this.oneInchService.getLimitOrder(order.chainId, order.orderHash);
+        if (remote) {
+          const making = BigInt(order.makingAmount);
+          const remaining = BigInt(remote.remainingMakerAmount ?? making);
+          const filled = making - remaining;
+          const previouslyFilled = BigInt(order.filledAmount || 0);
+
+          order.filledAmount = filled.toString();
+          order.invalidReason = remote.orderInvalidReason || null;
+          if (remaining === 0n) {
+            order.status = ORDER_STATUSES.FILLED;
+          } else {
+            order.status = remaining < making
+              ? ORDER_STATUSES.PARTIALLY_FILLED
+              : ORDER_STATUSES.SUBMITTED;
+          }
+
+          if (filled > previouslyFilled && this.analyticsService) {
+            await this.analyticsService.recordFill({
+              strategyId,
+              order,
+              amount: filled - previouslyFilled
+            });
+          }
+        }
+      } catch (error) {
+        this.logger.warn('Failed to refresh order status', {
+          orderHash: order.orderHash,
+          error: error.message
+        });
+      }
+
+      const expiry = order.makerTraits ? decodeMakerTraits(order.makerTraits).expiry : 0;
+      if (isOpenOrder(order) && expiry > 0 && expiry <= now) {
+        order.status = ORDER_STATUSES.EXPIRED;
+      }
+    }
+  }
+
+  // Replace orders a strategy re-issued (trailing stops, re-centred ranges):
+  // the old orders are marked cancelled and point at their replacements.
+  // Superseded orders that were posted stay fillable until the maker sends
+  // the returned cancel transaction.
+  async supersedeOrders(strategyId, orderHashes, orders) {
+    const lifecycle = this.lifecycles.get(strategyId);
+    const tracked = orders.map(order => this.trackOrder(order));
+    await this.analyticsService?.quoteOrders(tracked);
+
+    const superseded = lifecycle.orders.filter(order =>
+      orderHashes.includes(order.orderHash) && isOpenOrder(order)
+    );
+    const posted = superseded.filter(order => order.status !== ORDER_STATUSES.PENDING_SIGNATURE);
+    for (const order of superseded) {
+      order.status = ORDER_STATUSES.CANCELLED;
+      order.supersededBy = tracked.map(next => next.orderHash);
+    }
+    // Kept on the order so re-issues made by the monitor can be cancelled later
+    for (const order of posted) {
+      order.cancelTransaction = this.buildCancelOrderTx(order.chainId, { order, orderHash: order.orderHash });
+    }
+    lifecycle.orders.push(...tracked);
+    lifecycle.updatedAt = new Date().toISOString();
+
+    this.logger.info('Strategy orders re-issued', {
+      strategyId,
+      superseded: orderHashes,
+      orderHashes: tracked.map(order => order.orderHash)
+    });
+    return {
+      cancelledOrders: superseded.map(order => order.orderHash),
+      transaction: posted.length > 0 ? this.buildCancelOrdersTx(posted[0].chainId, posted) : null
+    };
+  }
+
+  // Let strategies that react to fills (grid, iceberg) place follow-up
+  // orders; each filled order is handled once
+  async replaceFilledOrders(strategyId) {
+    const strategy = this.strategies.get(strategyId);
+    const lifecycle = this.lifecycles.get(strategyId);
+    if (typeof strategy?.onOrderFilled !== 'function') return [];
+
+    const placed = [];
+    const filled = lifecycle.orders.filter(order =>
+      order.status === ORDER_STATUSES.FILLED && !order.replacedBy
+    );
+
+    for (const order of filled) {
+      // Claim the order before awaiting so a concurrent event doesn't replace it twice
+      order.replacedBy = [];
+      try {
+        const orders = (await strategy.onOrderFilled(order, this)).map(next => this.trackOrder(next));
+        await this.analyticsService?.quoteOrders(orders);
+
+        order.replacedBy = orders.map(next => next.orderHash);
+        lifecycle.orders.push(...orders);
+        placed.push(...orders);
+      } catch (error) {
+        delete order.replacedBy;
+        this.logger.error('Failed to place follow-up order:', error, {
+          strategyId,
+          orderHash: order.orderHash
+        });
+      }
+    }
+
+    if (placed.length > 0) {
+      lifecycle.updatedAt = new Date().toISOString();
+      await this.persistStrategy(strategyId);
+      this.logger.info('Follow-up orders placed', {
+        strategyId,
+        orderHashes: placed.map(order => order.orderHash)
+      });
+    }
+
+    return placed;
+  }
+
+  // Filled orders whose follow-up could not be placed yet; the strategy
+  // must not finish until the next attempt
+  hasPendingFollowUps(strategyId) {
+    if (typeof this.strategies.get(strategyId)?.onOrderFilled !== 'function') return false;
+    if (this.lifecycles.get(strategyId).state === STRATEGY_STATES.CANCELLING) return false;
+
+    return this.lifecycles.get(strategyId).orders.some(order =>
+      order.status === ORDER_STATUSES.FILLED && !order.replacedBy
+    );
+  }
+
+  // React to an order_filled event: refresh the order from the orderbook
+  // and place any follow-up orders without waiting for the next monitor tick
+  async handleOrderFilled(event) {
+    const orderHash = event?.orderHash || event?.orderId;
+    if (!orderHash) return null;
+
+    for (const { id } of this.getLiveStrategies()) {
+      const lifecycle = this.lifecycles.get(id);
+      const order = lifecycle.orders.find(tracked => tracked.orderHash === orderHash);
+      if (!order) continue;
+
+      await this.refreshOrders(id, [order]);
+      const placed = lifecycle.state === STRATEGY_STATES.CANCELLING ? [] : await this.replaceFilledOrders(id);
+
+      const next = deriveStrategyState(lifecycle.orders);
+      if (next !== lifecycle.state && canTransition(lifecycle.state, next) &&
+          !(isTerminalState(next) && this.hasPendingFollowUps(id))) {
+        await this.transitionStrategy(id, next, 'order filled');
+      }
+
+      return { strategyId: id, orderHash, placed: placed.map(tracked => tracked.orderHash) };
+    }
+
+    return null;
+  }
+
   // Adjust strategy parameters
   async adjustStrategy(strategyId, adjustments) {
     try {
       const strategy = this.strategies.get(strategyId);
-      if (!strategy) {
+      const lifecycle = this.lifecycles.get(strategyId);
+      if (!strategy || !lifecycle) {
         throw new Error('Strategy not found');
       }
+      if (typeof strategy.adjust !== 'function') {
+        throw new Error(`Strategy type ${lifecycle.kind} does not support adjustments`);
+      }
+      if (isTerminalState(lifecycle.state) || lifecycle.state === STRATEGY_STATES.CANCELLING) {
+        throw new Error(`Strategy is already ${lifecycle.state}`);
+      }
 
-      // Apply adjustments
-      Object.assign(strategy, adjustments);
+      // Execute adjustment; new orders join the strategy's lifecycle and
+      // replace the ones they supersede
+      const result = await strategy.adjust(adjustments, { state: lifecycle.state, orders: lifecycle.orders });
 
-      // Execute adjustment
-      await strategy.adjust();
+      if (result?.params) {
+        lifecycle.params = { ...lifecycle.params, ...result.params };
+      }
 
-      this.logger.info('Strategy adjusted', { strategyId, adjustments });
-      return { status: 'adjusted', strategyId };
+      const { cancelledOrders = [], transaction = null } = result?.orders?.length
+        ? await this.supersedeOrders(strategyId, result.supersedes || [], result.orders)
+        : {};
+      lifecycle.updatedAt = new Date().toISOString();
+      await this.persistStrategy(strategyId);
+
+      this.logger.info('Strategy adjusted', { strategyId, adjustments, superseded: cancelledOrders.length });
+      return {
+        status: 'adjusted',
+        strategyId,
+        state: lifecycle.state,
+        newOrders: result?.orders?.map(order => order.orderHash) || [],
+        cancelledOrders,
+        transaction
+      };
     } catch (error) {
       this.logger.error('Error adjusting strategy:', error);
       throw new Error(`Failed to adjust strategy: ${error.message}`);
     }
   }
 
-  // Cancel order
+  /**
+   * Cancel a strategy and every open order it placed (TWAP intervals, grid
+   * levels, ranges, follow-ups). Orders still awaiting the maker's signature
+   * were never posted and are simply dropped. Posted ones stay fillable until
+   * the maker sends the returned transaction, so the strategy is only
+   * 'cancelling' until confirmOrderCancel() has seen it mined. A failed
+   * strategy with orders left open (a rolled-back package) only has those
+   * cancelled. Asking again while the cancel is pending returns the same
+   * transaction.
+   * @param {string} orderHash - Strategy ID
+   * @returns {Promise<Object>} { status, orderHash, cancelledOrders, transaction }
+   */
   async cancelOrder(orderHash) {
     try {
       const strategy = this.strategies.get(orderHash);
-      if (!strategy) {
-        throw new Error('Strategy not found for order hash');
+      const lifecycle = this.lifecycles.get(orderHash);
+      if (!strategy || !lifecycle) {
+        throw serviceError('NotFoundError', 'Strategy not found for order hash');
+      }
+
+      if (lifecycle.pendingCancel) {
+        return {
+          status: 'cancelling',
+          orderHash,
+          cancelledOrders: lifecycle.pendingCancel.orderHashes,
+          transaction: lifecycle.pendingCancel.transaction
+        };
       }
 
-      await strategy.cancel();
+      const open = lifecycle.orders.filter(isOpenOrder);
+      const failed = lifecycle.state === STRATEGY_STATES.FAILED && open.length > 0;
+      if (!failed) {
+        assertTransition(lifecycle.state, STRATEGY_STATES.CANCELLED);
+      }
+
+      const posted = open.filter(order => order.status !== ORDER_STATUSES.PENDING_SIGNATURE);
+      if (posted.length === 0) {
+        await this.cancelStrategy(orderHash, 'cancelled by user');
+
+        this.logger.info('Order cancelled', { orderHash, orders: open.length, onchain: 0 });
+        return {
+          status: 'cancelled',
+          orderHash,
+          cancelledOrders: open.map(order => order.orderHash),
+          transaction: null
+        };
+      }
 
-      // Remove from active orders
-      this.strategies.delete(orderHash);
+      await strategy.cancel?.();
+
+      const requestedAt = new Date().toISOString();
+      for (const order of open.filter(order => order.status === ORDER_STATUSES.PENDING_SIGNATURE)) {
+        order.status = ORDER_STATUSES.CANCELLED;
+        order.cancelledAt = requestedAt;
+      }
+      const transaction = this.buildCancelOrdersTx(posted[0].chainId, posted);
+      lifecycle.pendingCancel = {
+        chainId: posted[0].chainId,
+        maker: posted[0].maker,
+        orderHashes: posted.map(order => order.orderHash),
+        transaction,
+        requestedAt
+      };
+      lifecycle.updatedAt = requestedAt;
 
-      this.logger.info('Order cancelled', { orderHash });
-      return { status: 'cancelled', orderHash };
+      if (failed) {
+        await this.persistStrategy(orderHash);
+      } else {
+        await this.transitionStrategy(orderHash, STRATEGY_STATES.CANCELLING, 'cancel requested by user');
+      }
+
+      this.logger.info('Order cancel requested', { orderHash, orders: open.length, onchain: posted.length });
+      return {
+        status: 'cancelling',
+        orderHash,
+        cancelledOrders: open.map(order => order.orderHash),
+        transaction
+      };
     } catch (error) {
       this.logger.error('Error cancelling order:', error);
-      throw new Error(`Failed to cancel order: ${error.message}`);
+      const wrapped = new Error(`Failed to cancel order: ${error.message}`);
+      wrapped.name = error.name;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Finish a cancel once the maker's cancel transaction is mined: it has to
+   * call the protocol from the maker and cover every order that was posted
+   * @param {string} orderHash - Strategy ID
+   * @param {string} txHash - Hash of the cancel transaction
+   * @returns {Promise<Object>} { status, orderHash, cancelledOrders, transactionHash }
+   */
+  async confirmOrderCancel(orderHash, txHash) {
+    try {
+      const lifecycle = this.lifecycles.get(orderHash);
+      if (!lifecycle) {
+        throw serviceError('NotFoundError', 'Strategy not found for order hash');
+      }
+      const pending = lifecycle.pendingCancel;
+      if (!pending) {
+        throw serviceError('ConflictError', `No cancel is pending for strategy ${orderHash}`);
+      }
+
+      const provider = this.nonceManager.getProvider(pending.chainId);
+      const [tx, receipt] = await Promise.all([
+        provider.getTransaction(txHash),
+        provider.getTransactionReceipt(txHash)
+      ]);
+      if (!tx || !receipt) {
+        throw serviceError('NotFoundError', `Transaction ${txHash} is not mined yet`);
+      }
+
+      const call = tx.to?.toLowerCase() === getLimitOrderProtocolAddress(pending.chainId).toLowerCase()
+        ? LIMIT_ORDER_PROTOCOL_INTERFACE.parseTransaction({ data: tx.data })
+        : null;
+      const cancelled = call?.name === 'cancelOrder'
+        ? [call.args.orderHash]
+        : call?.name === 'cancelOrders' ? Array.from(call.args.orderHashes) : [];
+      const covered = new Set(cancelled.map(hash => hash.toLowerCase()));
+      if (tx.from.toLowerCase() !== pending.maker.toLowerCase() ||
+          !pending.orderHashes.every(hash => covered.has(hash.toLowerCase()))) {
+        throw serviceError('ValidationError', `Transaction ${txHash} does not cancel the strategy's orders from ${pending.maker}`);
+      }
+      if (receipt.status !== 1) {
+        throw serviceError('ConflictError', `Transaction ${txHash} reverted`);
+      }
+
+      await this.cancelStrategy(orderHash, 'cancel confirmed on-chain');
+      lifecycle.pendingCancel = null;
+      await this.persistStrategy(orderHash);
+
+      this.logger.info('Order cancelled', { orderHash, onchain: pending.orderHashes.length, txHash });
+      return {
+        status: 'cancelled',
+        orderHash,
+        cancelledOrders: pending.orderHashes,
+        transactionHash: txHash
+      };
+    } catch (error) {
+      this.logger.error('Error confirming order cancel:', error);
+      const wrapped = new Error(`Failed to confirm order cancel: ${error.message}`);
+      wrapped.name = error.name;
+      throw wrapped;
     }
   }
 
+  /**
+   * Cancel every live strategy of a maker on a chain. Advancing the maker's
+   * epoch invalidates all of its epoch-checked orders, including ones this
+   * service does not track; single-fill orders use bit invalidators instead
+   * and are cancelled one by one.
+   * @param {string} maker - Maker address
+   * @param {Object} options - Cancellation options
+   * @param {number} options.chainId - Chain ID
+   * @param {number} options.series - Epoch series to advance
+   * @returns {Promise<Object>} { maker, chainId, series, epoch, strategies,
+   *   cancelledOrders, transactions } where transactions are the calls the
+   *   maker has to send
+   */
+  async cancelMakerOrders(maker, { chainId, series = 0 }) {
+    try {
+      const address = maker.toLowerCase();
+      const strategyIds = this.getLiveStrategies()
+        .map(({ id }) => id)
+        .filter(id => {
+          const { orders } = this.lifecycles.get(id);
+          return orders.length > 0 && orders.every(order =>
+            order.maker?.toLowerCase() === address && Number(order.chainId) === Number(chainId)
+          );
+        });
+
+      const open = strategyIds.flatMap(id => this.lifecycles.get(id).orders.filter(isOpenOrder));
+      const uncovered = open.filter(order => {
+        if (order.status === ORDER_STATUSES.PENDING_SIGNATURE || !order.makerTraits) return false;
+        const traits = decodeMakerTraits(order.makerTraits);
+        return !traits.needEpochCheck || traits.series !== BigInt(series);
+      });
+
+      // Without an RPC URL no order was built with an epoch, so there is none to advance
+      const advance = this.nonceManager.hasProvider(chainId)
+        ? await this.nonceManager.advanceEpoch(chainId, maker, series)
+        : null;
+      const epoch = advance?.epoch ?? null;
+      const transactions = advance ? [{ type: 'increase_epoch', ...advance.transaction }] : [];
+      if (uncovered.length > 0) {
+        transactions.push({ type: 'cancel_orders', ...this.buildCancelOrdersTx(chainId, uncovered) });
+      }
+
+      for (const id of strategyIds) {
+        await this.cancelStrategy(id, 'maker orders cancelled');
+      }
+
+      this.logger.info('Maker orders cancelled', {
+        maker,
+        chainId,
+        series,
+        epoch,
+        strategies: strategyIds.length,
+        orders: open.length
+      });
+
+      return {
+        maker,
+        chainId,
+        series,
+        epoch,
+        strategies: strategyIds,
+        cancelledOrders: open.map(order => order.orderHash),
+        transactions
+      };
+    } catch (error) {
+      this.logger.error('Error cancelling maker orders:', error);
+      throw new Error(`Failed to cancel maker orders: ${error.message}`);
+    }
+  }
+
+  // Stop the strategy and mark its open orders cancelled; a strategy that
+  // already finished keeps its state
+  async cancelStrategy(strategyId, reason) {
+    const strategy = this.strategies.get(strategyId);
+    const lifecycle = this.lifecycles.get(strategyId);
+
+    await strategy.cancel?.();
+
+    const cancelledAt = new Date().toISOString();
+    for (const order of lifecycle.orders.filter(isOpenOrder)) {
+      order.status = ORDER_STATUSES.CANCELLED;
+      order.cancelledAt = cancelledAt;
+    }
+
+    if (isTerminalState(lifecycle.state)) {
+      lifecycle.updatedAt = cancelledAt;
+      await this.persistStrategy(strategyId);
+      return;
+    }
+    await this.transitionStrategy(strategyId, STRATEGY_STATES.CANCELLED, reason);
+  }
+
+  // Transaction the maker sends to cancel a posted order on-chain
+  buildCancelOrderTx(chainId, { order, orderHash }) {
+    return {
+      to: getLimitOrderProtocolAddress(chainId),
+      data: LIMIT_ORDER_PROTOCOL_INTERFACE.encodeFunctionData('cancelOrder', [order.makerTraits, orderHash])
+    };
+  }
+
+  // One cancelOrder call, or a cancelOrders batch, for tracked orders
+  buildCancelOrdersTx(chainId, orders) {
+    if (orders.length === 1) {
+      return this.buildCancelOrderTx(chainId, { order: orders[0], orderHash: orders[0].orderHash });
+    }
+
+    return {
+      to: getLimitOrderProtocolAddress(chainId),
+      data: LIMIT_ORDER_PROTOCOL_INTERFACE.encodeFunctionData('cancelOrders', [
+        orders.map(order => order.makerTraits),
+        orders.map(order => order.orderHash)
+      ])
+    };
+  }
+
+  // Current USD price in Chainlink feed units (8 decimals) so it compares
+  // directly with the prices used in oracle predicates
+  async getOraclePrice(chainId, token) {
+    const prices = await this.oneInchService.getTokenPrice(chainId, [token], 'USD');
+    const price = prices?.[token] ?? prices?.[token.toLowerCase()];
+    if (price === undefined || price === null) {
+      throw new Error(`No price available for ${token} on chain ${chainId}`);
+    }
+    return BigInt(Math.round(Number(price) * 1e8));
+  }
+
+  // Minimum takingAmount for an order that has no price of its own: the
+  // quote for its makingAmount less slippage (percent)
+  async getMinReturn({ chainId, makerAsset, takerAsset, makingAmount, slippage }) {
+    const { minReturn } = await this.oneInchService.getMinReturn({
+      chainId,
+      src: makerAsset,
+      dst: takerAsset,
+      amount: makingAmount.toString(),
+      slippage
+    });
+    return minReturn;
+  }
+
+  // Decode predicate calldata into a readable tree
+  explainPredicate(predicate, chainId = 1) {
+    try {
+      return new PredicateDecoder({ chainId }).explain(predicate);
+    } catch (error) {
+      this.logger.error('Error explaining predicate:', error);
+      const wrapped = new Error(`Failed to explain predicate: ${error.message}`);
+      wrapped.name = error.name;
+      wrapped.offset = error.offset;
+      throw wrapped;
+    }
+  }
+
+  // Strategies that have not reached a terminal state
+  getLiveStrategies() {
+    return Array.from(this.strategies.entries())
+      .filter(([id]) => !isTerminalState(this.lifecycles.get(id)?.state))
+      .map(([id, strategy]) => ({ id, strategy }));
+  }
+
+  // Signed, unfilled strategy orders selling makerAsset for takerAsset
+  getOpenOrders({ chainId, makerAsset, takerAsset }) {
+    const maker = makerAsset.toLowerCase();
+    const taker = takerAsset.toLowerCase();
+
+    return this.getLiveStrategies().flatMap(({ id }) =>
+      this.lifecycles.get(id).orders.filter(order =>
+        isOpenOrder(order) &&
+        order.status !== ORDER_STATUSES.PENDING_SIGNATURE &&
+        Number(order.chainId) === Number(chainId) &&
+        order.makerAsset?.toLowerCase() === maker &&
+        order.takerAsset?.toLowerCase() === taker
+      )
+    );
+  }
+
+  getStrategyLifecycle(strategyId) {
+    return this.lifecycles.get(strategyId) || null;
+  }
+
   // Get active strategies
   getActiveStrategies() {
-    return Array.from(this.strategies.entries()).map(([id, strategy]) => ({
-      id,
-      type: strategy.type,
-      status: 'active'
-    }));
+    return this.getLiveStrategies().map(({ id, strategy }) => {
+      const lifecycle = this.lifecycles.get(id);
+      return {
+        id,
+        type: strategy.type || lifecycle.kind,
+        status: lifecycle.state,
+        orders: lifecycle.orders.length,
+        updatedAt: lifecycle.updatedAt
+      };
+    });
   }
 
-  // Helper method to create limit order using existing service
+  // Helper method to create a v4 limit order using existing service.
+  // Strategy interaction blobs are encoded strategy metadata rather than
+  // target + calldata, so they travel as extension custom data; calls the
+  // protocol should make on fill come as preInteraction / postInteraction.
   async createLimitOrder(params) {
-    return this.oneInchService.createLimitOrder(params);
+    const { interaction, postInteraction, ...orderParams } = params;
+
+    return this.oneInchService.createLimitOrder({
+      ...orderParams,
+      ...(await this.getEpochTraits(params)),
+      interaction: postInteraction && postInteraction !== '0x' ? postInteraction : undefined,
+      customData: interaction && interaction !== '0x' ? interaction : undefined
+    });
+  }
+
+  // Orders that allow multiple partial fills carry the maker's current
+  // on-chain epoch so cancelMakerOrders can invalidate them all at once.
+  // Single-fill orders use the bit invalidator, which the epoch check can't
+  // be combined with, and an explicit nonce opts out. Without an RPC URL for
+  // the chain the epoch can't be read and orders are cancelled one by one.
+  async getEpochTraits({ chainId, maker, nonce, series = 0, allowPartialFills = true, allowMultipleFills = true }) {
+    if (nonce !== undefined || !allowPartialFills || !allowMultipleFills) {
+      return {};
+    }
+    if (!this.nonceManager.hasProvider(chainId)) {
+      return {};
+    }
+
+    return {
+      needEpochCheck: true,
+      series,
+      nonce: await this.nonceManager.getEpoch(chainId, maker, series)
+    };
   }
 }
\ No newline at end of file
@@ -0,0 +1,228 @@
+import { EventEmitter } from 'events';
+
+// Parkinson's constant: variance = mean(ln(high / low)^2) / (4 ln 2)
+const PARKINSON_FACTOR = 1 / (4 * Math.log(2));
+
+// Fewest returns (close-to-close) or ranges (Parkinson) an estimate is based on
+const MIN_OBSERVATIONS = 2;
+
+function sampleKey(chainId, token) {
+  return `${chainId}:${token.toLowerCase()}`;
+}
+
+function standardDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Rolling USD price samples per token, polled from the 1inch price API,
+ * and realized volatility estimates over them. Samples are bucketed into
+ * OHLC bars of barInterval seconds; close-to-close volatility uses the bar
+ * closes and Parkinson volatility the bar ranges of bars with at least two
+ * samples. Both are scaled from one bar to the requested horizon.
+ *
+ * A token is sampled while a strategy holds it (track with an owner) or
+ * for idleTimeout seconds after it was last asked about; after that it is
+ * dropped along with its samples.
+ */
+export class MarketDataService extends EventEmitter {
+  constructor({
+    priceService,
+    logger,
+    pollInterval = 60000,
+    maxAge = 24 * 3600, // seconds of samples kept per token
+    idleTimeout = 3600, // seconds an unowned token is sampled after its last request
+    window = 3600,
+    barInterval = 300
+  }) {
+    super();
+
+    this.priceService = priceService;
+    this.logger = logger;
+    this.pollInterval = pollInterval;
+    this.maxAge = maxAge;
+    this.idleTimeout = idleTimeout;
+    this.defaults = { window, barInterval };
+
+    this.samples = new Map();
+    this.tracked = new Map();
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  // Start collecting samples for a token; an owner keeps it sampled until
+  // it calls untrack()
+  track(chainId, token, owner) {
+    const key = sampleKey(chainId, token);
+    let entry = this.tracked.get(key);
+    if (!entry) {
+      entry = { chainId: Number(chainId), token, owners: new Set(), requestedAt: 0 };
+      this.tracked.set(key, entry);
+      this.logger.info('Tracking token prices', { chainId, token });
+    }
+
+    entry.requestedAt = Date.now();
+    if (owner) {
+      entry.owners.add(owner);
+    }
+    return key;
+  }
+
+  // Release an owner's hold on a token; it is dropped once idle
+  untrack(chainId, token, owner) {
+    return this.tracked.get(sampleKey(chainId, token))?.owners.delete(owner) || false;
+  }
+
+  // Drop tokens nobody holds or has asked about within idleTimeout
+  pruneIdle(now = Date.now()) {
+    const cutoff = now - this.idleTimeout * 1000;
+    for (const [key, { chainId, token, owners, requestedAt }] of this.tracked) {
+      if (owners.size === 0 && requestedAt < cutoff) {
+        this.tracked.delete(key);
+        this.samples.delete(key);
+        this.logger.info('Stopped tracking token prices', { chainId, token });
+      }
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => this.logger.error('Market data poll failed:', error));
+    }, this.pollInterval);
+    this.logger.info('Market data polling started', { pollInterval: this.pollInterval });
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.logger.info('Market data polling stopped');
+  }
+
+  // One price request per chain for all tracked tokens on it
+  async poll() {
+    if (this.isPolling) return;
+    this.pruneIdle();
+    if (this.tracked.size === 0) return;
+    this.isPolling = true;
+
+    try {
+      const byChain = new Map();
+      for (const { chainId, token } of this.tracked.values()) {
+        byChain.set(chainId, [...(byChain.get(chainId) || []), token]);
+      }
+
+      const timestamp = Date.now();
+      for (const [chainId, tokens] of byChain) {
+        try {
+          const prices = await this.priceService.getTokenPrice(chainId, tokens, 'USD');
+          for (const token of tokens) {
+            const price = Number(prices?.[token] ?? prices?.[token.toLowerCase()]);
+            if (Number.isFinite(price) && price > 0) {
+              this.recordSample(chainId, token, price, timestamp);
+            }
+          }
+        } catch (error) {
+          this.logger.warn('Failed to poll token prices', { chainId, error: error.message });
+        }
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  recordSample(chainId, token, price, timestamp = Date.now()) {
+    const key = sampleKey(chainId, token);
+    const samples = this.samples.get(key) || [];
+
+    samples.push({ timestamp, price });
+    const cutoff = timestamp - this.maxAge * 1000;
+    while (samples.length > 0 && samples[0].timestamp < cutoff) {
+      samples.shift();
+    }
+
+    this.samples.set(key, samples);
+    this.emit('price_sample', { chainId, token, price, timestamp });
+  }
+
+  getSamples(chainId, token) {
+    return this.samples.get(sampleKey(chainId, token)) || [];
+  }
+
+  getLatestPrice(chainId, token) {
+    const samples = this.getSamples(chainId, token);
+    return samples.length > 0 ? samples[samples.length - 1] : null;
+  }
+
+  // OHLC bars of barInterval seconds over the last window seconds of samples
+  getBars(chainId, token, { window = this.defaults.window, barInterval = this.defaults.barInterval } = {}) {
+    const samples = this.getSamples(chainId, token);
+    if (samples.length === 0) return [];
+
+    const end = samples[samples.length - 1].timestamp;
+    const barMs = barInterval * 1000;
+    const bars = new Map();
+
+    for (const { timestamp, price } of samples) {
+      if (timestamp <= end - window * 1000) continue;
+
+      const start = Math.floor(timestamp / barMs) * barMs;
+      const bar = bars.get(start);
+      if (!bar) {
+        bars.set(start, { timestamp: start, open: price, high: price, low: price, close: price, samples: 1 });
+      } else {
+        bar.high = Math.max(bar.high, price);
+        bar.low = Math.min(bar.low, price);
+        bar.close = price;
+        bar.samples++;
+      }
+    }
+
+    return Array.from(bars.values()).sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Realized volatility of a token
+   * @param {number} chainId - Chain ID
+   * @param {string} token - Token address
+   * @param {Object} options - Estimation options
+   * @param {number} options.window - Lookback in seconds
+   * @param {number} options.barInterval - Bar length in seconds
+   * @param {number} options.horizon - Seconds the volatility is scaled to (defaults to window)
+   * @returns {Object} { closeToClose, parkinson, bars, samples, ... }; estimates are null
+   *   while there is too little data
+   */
+  getVolatility(chainId, token, options = {}) {
+    this.track(chainId, token);
+
+    const window = options.window ?? this.defaults.window;
+    const barInterval = options.barInterval ?? this.defaults.barInterval;
+    const horizon = options.horizon ?? window;
+    const bars = this.getBars(chainId, token, { window, barInterval });
+    const scale = Math.sqrt(horizon / barInterval);
+
+    const returns = bars.slice(1).map((bar, i) => Math.log(bar.close / bars[i].close));
+    const ranges = bars
+      .filter(bar => bar.samples >= 2)
+      .map(bar => Math.log(bar.high / bar.low) ** 2);
+
+    return {
+      chainId: Number(chainId),
+      token,
+      window,
+      barInterval,
+      horizon,
+      samples: this.getSamples(chainId, token).length,
+      bars: bars.length,
+      closeToClose: returns.length >= MIN_OBSERVATIONS ? standardDeviation(returns) * scale : null,
+      parkinson: ranges.length >= MIN_OBSERVATIONS
+        ? Math.sqrt(PARKINSON_FACTOR * ranges.reduce((sum, value) => sum + value, 0) / ranges.length) * scale
+        : null
+    };
+  }
+}
@@ -0,0 +1,197 @@
+import { ethers } from 'ethers';
+import { getLimitOrderProtocolAddress } from '../config/contracts.js';
+
+const EPOCH_MANAGER_INTERFACE = new ethers.Interface([
+  'function epoch(address maker, uint96 series) view returns (uint256)',
+  'function increaseEpoch(uint96 series)'
+]);
+
+function nonceError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Per-maker epochs of the Limit Order Protocol epoch manager. Orders built
+ * with NEED_CHECK_EPOCH_MANAGER carry the maker's current epoch for a series
+ * in their nonce field and stop being fillable once the maker calls
+ * increaseEpoch(series), so one transaction cancels all of them.
+ *
+ * The protocol contract is the source of truth: epochs are read on-chain
+ * with epoch(maker, series) whenever an order is built, and the last value
+ * read is kept per chain, maker and series. Advancing an epoch only builds
+ * the increaseEpoch transaction and records it as pending; the new epoch is
+ * applied once confirmEpochAdvance() has seen that transaction succeed.
+ */
+export class NonceManager {
+  constructor({ storage, logger, rpcUrls = {} }) {
+    this.logger = logger;
+    this.repository = storage?.repository('maker_nonces') || null;
+    this.rpcUrls = rpcUrls;
+    this.providers = new Map();
+
+    // `${chainId}:${maker}` -> { chainId, maker, epochs: { [series]: epoch },
+    //   pending: { [series]: { epoch, requestedAt } }, updatedAt }
+    this.makers = new Map();
+  }
+
+  key(chainId, maker) {
+    return `${Number(chainId)}:${maker.toLowerCase()}`;
+  }
+
+  // Epochs can only be read, and so only be used, on chains with an RPC URL
+  hasProvider(chainId) {
+    return Boolean(this.rpcUrls[chainId]);
+  }
+
+  getProvider(chainId) {
+    if (!this.providers.has(chainId)) {
+      const rpcUrl = this.rpcUrls[chainId];
+      if (!rpcUrl) {
+        throw new Error(`No RPC URL configured for chain ${chainId}`);
+      }
+      this.providers.set(chainId, new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true }));
+    }
+    return this.providers.get(chainId);
+  }
+
+  /**
+   * Current epoch of a maker for a series, read from the protocol contract
+   * @returns {Promise<number>} Epoch
+   */
+  async getEpoch(chainId, maker, series = 0) {
+    const protocol = new ethers.Contract(
+      getLimitOrderProtocolAddress(chainId),
+      EPOCH_MANAGER_INTERFACE,
+      this.getProvider(chainId)
+    );
+    const epoch = Number(await protocol.epoch(maker, series));
+
+    await this.recordEpoch(chainId, maker, series, epoch);
+    return epoch;
+  }
+
+  getMakerNonces(chainId, maker) {
+    return this.makers.get(this.key(chainId, maker)) || {
+      chainId: Number(chainId),
+      maker: maker.toLowerCase(),
+      epochs: {},
+      pending: {},
+      updatedAt: null
+    };
+  }
+
+  // Keep the epoch last read on-chain; a pending advance it reached is done
+  async recordEpoch(chainId, maker, series, epoch) {
+    const record = this.getMakerNonces(chainId, maker);
+    const pending = record.pending?.[series];
+    if (record.epochs[series] === epoch && !(pending && epoch >= pending.epoch)) {
+      return record;
+    }
+
+    record.epochs = { ...record.epochs, [series]: epoch };
+    if (pending && epoch >= pending.epoch) {
+      const { [series]: done, ...rest } = record.pending;
+      record.pending = rest;
+    }
+    record.updatedAt = new Date().toISOString();
+    this.makers.set(this.key(chainId, maker), record);
+    await this.saveMaker(record);
+    return record;
+  }
+
+  /**
+   * Build the transaction that advances a maker's epoch for a series. The
+   * tracked epoch doesn't move until the transaction is confirmed.
+   * @param {number} chainId - Chain ID
+   * @param {string} maker - Maker address
+   * @param {number} series - Epoch series
+   * @returns {Promise<Object>} { series, previousEpoch, epoch, transaction } where
+   *   transaction is the increaseEpoch call the maker has to send and epoch
+   *   the one it will move to
+   */
+  async advanceEpoch(chainId, maker, series = 0) {
+    const previousEpoch = await this.getEpoch(chainId, maker, series);
+    const epoch = previousEpoch + 1;
+
+    const record = this.getMakerNonces(chainId, maker);
+    record.pending = { ...record.pending, [series]: { epoch, requestedAt: new Date().toISOString() } };
+    record.updatedAt = new Date().toISOString();
+    this.makers.set(this.key(chainId, maker), record);
+    await this.saveMaker(record);
+
+    this.logger.info('Maker epoch advance requested', { chainId, maker, series, epoch });
+    return {
+      series,
+      previousEpoch,
+      epoch,
+      transaction: this.buildIncreaseEpochTx(chainId, series)
+    };
+  }
+
+  /**
+   * Apply an epoch advance once the maker's increaseEpoch transaction is mined
+   * @param {number} chainId - Chain ID
+   * @param {string} maker - Maker address
+   * @param {string} txHash - Hash of the increaseEpoch transaction
+   * @returns {Promise<Object>} { series, epoch, transactionHash }
+   */
+  async confirmEpochAdvance(chainId, maker, txHash) {
+    const provider = this.getProvider(chainId);
+    const [tx, receipt] = await Promise.all([
+      provider.getTransaction(txHash),
+      provider.getTransactionReceipt(txHash)
+    ]);
+    if (!tx || !receipt) {
+      throw nonceError('NotFoundError', `Transaction ${txHash} is not mined yet`);
+    }
+
+    const call = tx.to?.toLowerCase() === getLimitOrderProtocolAddress(chainId).toLowerCase()
+      ? EPOCH_MANAGER_INTERFACE.parseTransaction({ data: tx.data })
+      : null;
+    if (call?.name !== 'increaseEpoch' || tx.from.toLowerCase() !== maker.toLowerCase()) {
+      throw nonceError('ValidationError', `Transaction ${txHash} is not an increaseEpoch call by ${maker}`);
+    }
+    if (receipt.status !== 1) {
+      throw nonceError('ConflictError', `Transaction ${txHash} reverted`);
+    }
+
+    const series = Number(call.args.series);
+    const epoch = await this.getEpoch(chainId, maker, series);
+
+    this.logger.info('Maker epoch advanced', { chainId, maker, series, epoch, txHash });
+    return { series, epoch, transactionHash: txHash };
+  }
+
+  buildIncreaseEpochTx(chainId, series = 0) {
+    return {
+      to: getLimitOrderProtocolAddress(chainId),
+      data: EPOCH_MANAGER_INTERFACE.encodeFunctionData('increaseEpoch', [series])
+    };
+  }
+
+  async saveMaker(record) {
+    if (!this.repository) return;
+
+    try {
+      await this.repository.save(this.key(record.chainId, record.maker), record);
+    } catch (error) {
+      this.logger.error('Failed to persist maker nonces:', error, { maker: record.maker });
+    }
+  }
+
+  async restoreNonces() {
+    if (!this.repository) {
+      return 0;
+    }
+
+    const records = await this.repository.list();
+    for (const { id, data } of records) {
+      this.makers.set(id, data);
+    }
+
+    this.logger.info('Maker nonces restored from storage', { count: records.length });
+    return records.length;
+  }
+}
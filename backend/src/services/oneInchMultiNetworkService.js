@@ -10,6 +10,7 @@ export class OneInchMultiNetworkService {
   constructor(config = {}) {
     this.apiKey = config.apiKey || process.env.ONEINCH_API_KEY;
     this.baseUrl = 'https://api.1inch.dev/swap/v6.0';
+    this.priceUrl = 'https://api.1inch.dev/price/v1.1';
     this.logger = config.logger || console;
 
     // Supported networks with their configurations
@@ -160,8 +161,8 @@ export class OneInchMultiNetworkService {
       const request = this.requestQueue.shift();
       this.activeRequests++;
 
-      // Process request with delay
-      this._executeAPICall(request).finally(() => {
+      // Process request with delay; failures reach the caller through request.reject
+      this._executeAPICall(request).catch(() => {}).finally(() => {
         this.activeRequests--;
       });
 
@@ -184,7 +185,11 @@ export class OneInchMultiNetworkService {
    */
   async _executeAPICall(request, retryCount = 0, maxRetries = 3) {
     try {
-      const response = await fetch(`${this.baseUrl}${request.endpoint}`, {
+      // Endpoints are relative to the swap API unless given as a full URL
+      const url = /^https?:\/\//.test(request.endpoint)
+        ? request.endpoint
+        : `${this.baseUrl}${request.endpoint}`;
+      const response = await fetch(url, {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'accept': 'application/json'
@@ -338,18 +343,22 @@ export class OneInchMultiNetworkService {
   }
 
   /**
-   * Get token price in USD
+   * Get token prices (USD by default) from the 1inch spot price API
    */
-  async getTokenPrice(chainId, tokenAddresses) {
+  async getTokenPrice(chainId, tokenAddresses, currency = 'USD') {
     try {
-      // 1inch doesn't have a direct price endpoint in v6.0
-      // For now, return placeholder prices
-      // In production, you'd integrate with a price feed service
-      const prices = {};
+      const addresses = tokenAddresses.map(address => address.toLowerCase()).join(',');
+      const prices = await this._callAPI(`${this.priceUrl}/${chainId}/${addresses}?currency=${currency}`);
+
+      // The API keys prices by lowercase address; return them keyed as requested
+      const result = {};
       for (const address of tokenAddresses) {
-        prices[address] = '1.00'; // Placeholder
+        const price = prices[address.toLowerCase()] ?? prices[address];
+        if (price !== undefined) {
+          result[address] = price;
+        }
       }
-      return prices;
+      return result;
     } catch (error) {
       this.logger.error(`Failed to get token prices for chain ${chainId}:`, error);
       throw error;
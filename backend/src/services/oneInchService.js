@@ -18,14 +18,62 @@ const {
 
 // SDK components are now directly imported above
 import { randomBytes } from 'crypto';
+import { LimitOrderBuilder } from './limitOrderBuilder.js';
+import { PredicateBuilder } from './predicateBuilder.js';
+
+// 1inch escrow factory: SrcEscrowCreated carries the source escrow and what
+// the destination escrow owes; destination escrows are deployed with their
+// immutables as the call's first argument
+const ESCROW_IMMUTABLES = 'tuple(bytes32 orderHash, bytes32 hashlock, uint256 maker, uint256 taker, uint256 token, uint256 amount, uint256 safetyDeposit, uint256 timelocks)';
+const ESCROW_FACTORY_INTERFACE = new ethers.Interface([
+  `event SrcEscrowCreated(${ESCROW_IMMUTABLES} srcImmutables, tuple(uint256 maker, uint256 amount, uint256 token, uint256 safetyDeposit, uint256 chainId) dstImmutablesComplement)`,
+  'event DstEscrowCreated(address escrow, bytes32 hashlock, uint256 taker)',
+  'function ESCROW_DST_IMPLEMENTATION() view returns (address)'
+]);
+
+// Timelocks pack the stage offsets below the deployment time (top 32 bits)
+const TIMELOCK_OFFSETS_MASK = (1n << 224n) - 1n;
+const TIMELOCK_DEPLOYED_AT_OFFSET = 224n;
+
+// Escrows are minimal proxies (EIP-1167) of the factory's implementation,
+// deployed with CREATE2 and keccak256(abi.encode(immutables)) as the salt
+function escrowProxyBytecodeHash(implementation) {
+  return ethers.keccak256(ethers.concat([
+    '0x3d602d80600a3d3981f3363d3d373d3d3d363d73',
+    implementation,
+    '0x5af43d82803e903d91602b57fd5bf3'
+  ]));
+}
+
+function computeEscrowAddress(factory, implementation, immutables) {
+  const salt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode([ESCROW_IMMUTABLES], [immutables]));
+  return ethers.getCreate2Address(factory, salt, escrowProxyBytecodeHash(implementation));
+}
+
+function fusionSecretId(orderHash, idx) {
+  return `fusion:${orderHash}:${idx}`;
+}
 
 export class OneInchService {
-  constructor({ apiKey, baseUrl, logger }) {
+  constructor({ apiKey, baseUrl, logger, orderSignerPrivateKey, secretVault, rpcUrls = {} }) {
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
     this.logger = logger;
     this.sdkInitialized = false;
 
+    // Fusion+ order secrets, released per fill once its escrows are verified
+    // on-chain through the configured RPC endpoints
+    this.secretVault = secretVault || null;
+    this.rpcUrls = rpcUrls;
+    this.providers = new Map();
+
+    // Limit Order Protocol v4 order builder and optional server-side signer
+    this.orderBuilder = new LimitOrderBuilder({ logger });
+    this.orderSigner = orderSignerPrivateKey ? new ethers.Wallet(orderSignerPrivateKey) : null;
+
+    // Token decimals by chain, loaded once per chain from the token list
+    this.tokenDecimals = new Map();
+
     // Create axios instance for classic/fusion operations
     this.client = axios.create({
       baseURL: baseUrl,
@@ -127,6 +175,9 @@ export class OneInchService {
       if (!this.crossChainSDK) {
         throw new Error('Cross-chain SDK not initialized. Call initializeCrossChainSDK first.');
       }
+      if (!this.secretVault) {
+        throw new Error('Secret vault not configured');
+      }
 
       const {
         quote,
@@ -158,6 +209,19 @@ export class OneInchService {
         secretHashes
       });
 
+      // Seal the secrets; each is released once its fill's escrows match the order
+      const timelocks = (order.timeLocks.build() & TIMELOCK_OFFSETS_MASK).toString();
+      for (const [idx, secret] of secrets.entries()) {
+        await this.secretVault.seal(fusionSecretId(hash, idx), secret, {
+          hashAlgorithm: 'keccak256',
+          terms: {
+            src: { maxAmount: order.makingAmount.toString(), timelocks },
+            dst: { timelocks }
+          },
+          context: { orderHash: hash, idx }
+        });
+      }
+
       this.logger.info('Cross-chain order created', {
         orderHash: hash,
         quoteId
@@ -167,7 +231,6 @@ export class OneInchService {
         orderHash: hash,
         quoteId,
         order,
-        secrets,
         secretHashes
       };
     } catch (error) {
@@ -246,6 +309,108 @@ export class OneInchService {
     }
   }
 
+  /**
+   * Submit a fill's secret, released by the vault only after both escrows
+   * were read on-chain and match the order
+   * @param {string} orderHash - Order hash
+   * @param {Object} fill - Fill ready to accept its secret (idx and escrow deploy tx hashes)
+   * @param {Object} chains - { srcChainId, dstChainId } of the order
+   */
+  async submitVerifiedSecret(orderHash, fill, { srcChainId, dstChainId }) {
+    const id = fusionSecretId(orderHash, fill.idx);
+    const { src, dst, dstAmount } = await this.getFusionFillEscrows(srcChainId, dstChainId, fill);
+
+    // The destination escrow has to lock what the order owes for this fill
+    await this.secretVault.setTerms(id, { dst: { minAmount: dstAmount } });
+    const secret = await this.secretVault.reveal(id, {
+      src,
+      dst,
+      purpose: 'fusion_submit_secret',
+      requester: `relayer:${orderHash}`
+    });
+
+    return this.submitSecret(orderHash, secret);
+  }
+
+  // Both escrows of a fill as deployed on-chain
+  async getFusionFillEscrows(srcChainId, dstChainId, { srcEscrowDeployTxHash, dstEscrowDeployTxHash }) {
+    const srcReceipt = await this.getProvider(srcChainId).getTransactionReceipt(srcEscrowDeployTxHash);
+    const { srcImmutables, dstImmutablesComplement } = this.findEscrowEvent(srcReceipt, 'SrcEscrowCreated').args;
+
+    const dstProvider = this.getProvider(dstChainId);
+    const dstReceipt = await dstProvider.getTransactionReceipt(dstEscrowDeployTxHash);
+    const dstEvent = this.findEscrowEvent(dstReceipt, 'DstEscrowCreated');
+    const dstTx = await dstProvider.getTransaction(dstEscrowDeployTxHash);
+
+    // Resolvers deploy through their own contracts with the factory's arguments
+    const [dstImmutables] = ethers.AbiCoder.defaultAbiCoder().decode(
+      [ESCROW_IMMUTABLES, 'uint256'],
+      ethers.dataSlice(dstTx.data, 4)
+    );
+    if (dstImmutables.hashlock !== dstEvent.args.hashlock) {
+      throw new Error('Destination escrow deploy call does not match its event');
+    }
+
+    // The factory stamps the block time into the timelocks before deriving
+    // the escrow address, so the immutables only describe the escrow that
+    // was deployed if they lead to the address the event reports
+    const block = await dstProvider.getBlock(dstReceipt.blockNumber);
+    const factory = new ethers.Contract(dstEvent.address, ESCROW_FACTORY_INTERFACE, dstProvider);
+    const deployed = [...dstImmutables];
+    deployed[7] = (dstImmutables.timelocks & TIMELOCK_OFFSETS_MASK) |
+      (BigInt(block.timestamp) << TIMELOCK_DEPLOYED_AT_OFFSET);
+    const expectedEscrow = computeEscrowAddress(
+      dstEvent.address,
+      await factory.ESCROW_DST_IMPLEMENTATION(),
+      deployed
+    );
+    if (expectedEscrow.toLowerCase() !== dstEvent.args.escrow.toLowerCase()) {
+      throw new Error(`Destination escrow ${dstEvent.args.escrow} is not the one its immutables deploy to`);
+    }
+
+    return {
+      src: {
+        hashlock: srcImmutables.hashlock,
+        amount: srcImmutables.amount.toString(),
+        timelocks: (srcImmutables.timelocks & TIMELOCK_OFFSETS_MASK).toString()
+      },
+      dst: {
+        escrow: dstEvent.args.escrow,
+        hashlock: dstImmutables.hashlock,
+        amount: dstImmutables.amount.toString(),
+        timelocks: (dstImmutables.timelocks & TIMELOCK_OFFSETS_MASK).toString()
+      },
+      dstAmount: dstImmutablesComplement.amount.toString()
+    };
+  }
+
+  findEscrowEvent(receipt, name) {
+    if (!receipt) {
+      throw new Error('Escrow deploy transaction not found');
+    }
+
+    for (const log of receipt.logs) {
+      try {
+        const event = ESCROW_FACTORY_INTERFACE.parseLog(log);
+        if (event?.name === name) return { args: event.args, address: log.address };
+      } catch {
+        // Not an escrow factory event
+      }
+    }
+    throw new Error(`No ${name} event in transaction ${receipt.hash}`);
+  }
+
+  getProvider(chainId) {
+    if (!this.providers.has(chainId)) {
+      const rpcUrl = this.rpcUrls[chainId];
+      if (!rpcUrl) {
+        throw new Error(`No RPC URL configured for chain ${chainId}`);
+      }
+      this.providers.set(chainId, new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true }));
+    }
+    return this.providers.get(chainId);
+  }
+
   // Legacy method names for backward compatibility
   async getFusionQuote(params) {
     return this.getCrossChainQuote(params);
@@ -262,46 +427,150 @@ export class OneInchService {
   }
 
   // Limit Order Protocol Methods for Advanced Strategies
+
+  /**
+   * Build a Limit Order Protocol v4 order and submit it to the orderbook.
+   * The order is signed with `signature` when provided, otherwise with the
+   * configured signer if it is the maker. Without either, the unsigned order
+   * and its EIP-712 typed data are returned for the maker to sign and submit.
+   * @param {Object} params - Order parameters (see LimitOrderBuilder.buildOrder)
+   * @param {string} params.permit - Maker permit
+   * @param {string} params.interaction - Post-interaction (target + calldata)
+   * @param {string} params.signature - External EIP-712 signature
+   * @returns {Promise<Object>} Built order with status 'submitted' or 'pending_signature'
+   */
   async createLimitOrder(params) {
     try {
-      const {
+      const { chainId, maker, permit, interaction, signature } = params;
+
+      const built = this.orderBuilder.buildOrder({
+        ...params,
+        makerPermit: permit,
+        postInteraction: interaction
+      });
+
+      let orderSignature = signature;
+      if (!orderSignature && this.orderSigner &&
+          this.orderSigner.address.toLowerCase() === maker.toLowerCase()) {
+        orderSignature = await this.orderBuilder.signOrder(chainId, built.order, this.orderSigner);
+      }
+
+      if (!orderSignature) {
+        this.logger.info('Limit order built, awaiting maker signature', {
+          chainId,
+          orderHash: built.orderHash
+        });
+
+        return { ...built, chainId, status: 'pending_signature' };
+      }
+
+      return await this.submitLimitOrder({
         chainId,
-        makerAsset,
-        takerAsset,
-        makingAmount,
-        takingAmount,
-        maker,
-        predicate,
-        permit,
-        interaction
-      } = params;
+        order: built.order,
+        extension: built.extension,
+        signature: orderSignature
+      });
+    } catch (error) {
+      this.logger.error('Error creating limit order:', error);
+      throw new Error(`Failed to create limit order: ${error.message}`);
+    }
+  }
 
-      const orderData = {
-        salt: Date.now(),
-        makerAsset,
-        takerAsset,
-        maker,
-        receiver: maker,
-        allowedSender: '0x0000000000000000000000000000000000000000',
-        makingAmount,
-        takingAmount,
-        predicate,
-        permit,
-        interaction
-      };
+  /**
+   * Submit a signed v4 order to the 1inch orderbook
+   * @param {Object} params - Submission parameters
+   * @param {number} params.chainId - Chain ID
+   * @param {Object} params.order - Order struct as returned by the builder
+   * @param {string} params.extension - Order extension
+   * @param {string} params.signature - Maker EIP-712 signature
+   * @returns {Promise<Object>} Submitted order
+   */
+  async submitLimitOrder({ chainId, order, extension = '0x', signature }) {
+    try {
+      if (!this.orderBuilder.verifyExtension(order, extension)) {
+        throw new Error('Order extension does not match the salt/makerTraits commitment');
+      }
 
-      const response = await this.client.post(`/orderbook/v3.0/${chainId}/order`, orderData);
+      if (!this.orderBuilder.verifySignature(chainId, order, signature)) {
+        throw new Error('Signature was not produced by the order maker');
+      }
 
-      this.logger.info('Limit order created', {
+      const orderHash = this.orderBuilder.getOrderHash(chainId, order);
+
+      const response = await this.client.post(`/orderbook/v4.0/${chainId}`, {
+        orderHash,
+        signature,
+        data: { ...order, extension }
+      });
+
+      this.logger.info('Limit order submitted', {
         chainId,
-        makerAsset,
-        takerAsset
+        orderHash,
+        makerAsset: order.makerAsset,
+        takerAsset: order.takerAsset
       });
 
+      return {
+        orderHash,
+        order,
+        extension,
+        signature,
+        chainId,
+        status: 'submitted',
+        response: response.data
+      };
+    } catch (error) {
+      this.logger.error('Error submitting limit order:', error);
+      throw new Error(`Failed to submit limit order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a v4 order from the orderbook
+   * @param {number} chainId - Chain ID
+   * @param {string} orderHash - Order hash
+   * @returns {Promise<Object|null>} Orderbook entry (remainingMakerAmount,
+   *   orderInvalidReason, ...) or null when the orderbook doesn't know it
+   */
+  async getLimitOrder(chainId, orderHash) {
+    try {
+      const response = await this.client.get(`/orderbook/v4.0/${chainId}/order/${orderHash}`);
       return response.data;
     } catch (error) {
-      this.logger.error('Error creating limit order:', error);
-      throw new Error(`Failed to create limit order: ${error.message}`);
+      if (error.response?.status === 404) {
+        return null;
+      }
+      this.logger.error('Error getting limit order:', error);
+      throw new Error(`Failed to get limit order: ${error.message}`);
+    }
+  }
+
+  /**
+   * List orderbook orders for a pair
+   * @param {number} chainId - Chain ID
+   * @param {Object} filter - Filter
+   * @param {string} filter.makerAsset - Asset the makers sell
+   * @param {string} filter.takerAsset - Asset the makers buy
+   * @param {number} filter.page - Page (1-based)
+   * @param {number} filter.limit - Page size (max 500)
+   * @param {Array<number>} filter.statuses - 1 valid, 2 temporarily invalid, 3 invalid
+   * @returns {Promise<Array>} Orderbook entries
+   */
+  async getOrderbookOrders(chainId, { makerAsset, takerAsset, page = 1, limit = 100, statuses = [1] } = {}) {
+    try {
+      const response = await this.client.get(`/orderbook/v4.0/${chainId}/all`, {
+        params: {
+          page,
+          limit,
+          statuses: statuses.join(','),
+          ...(makerAsset && { makerAsset }),
+          ...(takerAsset && { takerAsset })
+        }
+      });
+      return response.data;
+    } catch (error) {
+      this.logger.error('Error getting orderbook orders:', error);
+      throw new Error(`Failed to get orderbook orders: ${error.message}`);
     }
   }
 
@@ -315,26 +584,36 @@ export class OneInchService {
         totalAmount,
         intervals,
         duration,
-        maker
+        maker,
+        slippage
       } = params;
 
       const orders = [];
       const amountPerInterval = Math.floor(totalAmount / intervals);
       const intervalDuration = Math.floor(duration / intervals);
 
+      const now = Math.floor(Date.now() / 1000);
+
       for (let i = 0; i < intervals; i++) {
-        const startTime = Date.now() + (i * intervalDuration * 1000);
-        const endTime = startTime + (intervalDuration * 1000);
+        const startTime = now + (i * intervalDuration);
+        const endTime = startTime + intervalDuration;
 
         // Create predicate for time-based execution
-        const predicate = this.createTimePredicate(startTime, endTime);
+        const predicate = this.createTimePredicate(chainId, startTime, endTime);
+        const { minReturn } = await this.getMinReturn({
+          chainId,
+          src: makerAsset,
+          dst: takerAsset,
+          amount: amountPerInterval.toString(),
+          slippage
+        });
 
         const order = await this.createLimitOrder({
           chainId,
           makerAsset,
           takerAsset,
           makingAmount: amountPerInterval.toString(),
-          takingAmount: '0', // Will be filled by market
+          takingAmount: minReturn.toString(),
           maker,
           predicate
         });
@@ -369,7 +648,7 @@ export class OneInchService {
       } = params;
 
       // Create predicate that checks oracle price
-      const predicate = this.createPricePredicate(takerAsset, strikePrice, optionType, expiry);
+      const predicate = this.createPricePredicate(chainId, takerAsset, strikePrice, optionType, expiry);
 
       const order = await this.createLimitOrder({
         chainId,
@@ -410,6 +689,24 @@ export class OneInchService {
     }
   }
 
+  /**
+   * Minimum taking amount for a limit order: the classic swap quote for its
+   * making amount less slippage
+   * @param {Object} params - { chainId, src, dst, amount, slippage } with slippage in percent
+   * @returns {Promise<Object>} { quoted, minReturn } as bigints
+   */
+  async getMinReturn({ chainId, src, dst, amount, slippage = 1 }) {
+    const quote = await this.getClassicQuote({ chainId, src, dst, amount });
+    const quoted = BigInt(quote.toAmount ?? quote.dstAmount ?? 0);
+    const slippageBps = BigInt(Math.round(slippage * 100));
+    const minReturn = quoted * (10000n - slippageBps) / 10000n;
+
+    if (minReturn <= 0n) {
+      throw new Error(`No usable quote for ${amount} of ${src} to ${dst}`);
+    }
+    return { quoted, minReturn };
+  }
+
   async getClassicSwap(params) {
     try {
       const { chainId, src, dst, amount, from, slippage } = params;
@@ -436,10 +733,27 @@ export class OneInchService {
     }
   }
 
-  async getTokenPrice(chainId, addresses) {
+  async getTokenDecimals(chainId, token) {
+    if (!this.tokenDecimals.has(chainId)) {
+      const { tokens = {} } = await this.getTokens(chainId);
+      const decimals = new Map();
+      for (const [address, info] of Object.entries(tokens)) {
+        decimals.set(address.toLowerCase(), info.decimals);
+      }
+      this.tokenDecimals.set(chainId, decimals);
+    }
+
+    const decimals = this.tokenDecimals.get(chainId).get(token.toLowerCase());
+    if (decimals === undefined) {
+      throw new Error(`Unknown token ${token} on chain ${chainId}`);
+    }
+    return decimals;
+  }
+
+  async getTokenPrice(chainId, addresses, currency) {
     try {
       const response = await this.client.get(`/price/v1.1/${chainId}`, {
-        params: { tokens: addresses.join(',') }
+        params: { tokens: addresses.join(','), ...(currency && { currency }) }
       });
       return response.data;
     } catch (error) {
@@ -464,14 +778,19 @@ export class OneInchService {
     }
   }
 
-  async getBalances(address, chainIds) {
+  /**
+   * Token balances of a wallet on one chain
+   * @param {string} address - Wallet address
+   * @param {number} chainId - Chain ID
+   * @param {Array<string>} tokens - Only these tokens (all tokens when empty)
+   * @returns {Promise<Object>} Token address => balance in base units
+   */
+  async getBalances(address, chainId, tokens = []) {
     try {
-      const response = await this.client.get('/balance/v1.2/balances', {
-        params: {
-          addresses: address,
-          'chain_ids': chainIds.join(',')
-        }
-      });
+      const url = `/balance/v1.2/${chainId}/balances/${address}`;
+      const response = tokens.length > 0
+        ? await this.client.post(url, { tokens })
+        : await this.client.get(url);
       return response.data;
     } catch (error) {
       this.logger.error('Error getting balances:', error);
@@ -508,22 +827,12 @@ export class OneInchService {
   }
 
   // Helper Methods for Predicates
-  createTimePredicate(startTime, endTime) {
-    // This would be the actual predicate bytecode for time-based orders
-    // For demo purposes, returning a placeholder
-    return ethers.AbiCoder.defaultAbiCoder().encode(
-      ['uint256', 'uint256'],
-      [startTime, endTime]
-    );
+  createTimePredicate(chainId, startTime, endTime) {
+    return new PredicateBuilder({ chainId }).createTimePredicate(startTime, endTime);
   }
 
-  createPricePredicate(token, strikePrice, optionType, expiry) {
-    // This would be the actual predicate bytecode for price-based orders
-    // For demo purposes, returning a placeholder
-    return ethers.AbiCoder.defaultAbiCoder().encode(
-      ['address', 'uint256', 'uint8', 'uint256'],
-      [token, strikePrice, optionType === 'call' ? 1 : 0, expiry]
-    );
+  createPricePredicate(chainId, token, strikePrice, optionType, expiry) {
+    return new PredicateBuilder({ chainId }).createPricePredicate(token, strikePrice, optionType, expiry);
   }
 
   // WebSocket Methods for Real-time Updates
@@ -656,31 +965,39 @@ export class OneInchService {
     }
   }
 
-  // Monitor order execution with automatic secret submission
-  async monitorAndExecuteOrder(orderHash, secrets) {
+  // Monitor order execution with automatic secret submission; secrets come
+  // from the vault once each fill's escrows are verified
+  async monitorAndExecuteOrder(orderHash) {
     if (!this.crossChainSDK) {
       throw new Error('Cross-chain SDK not initialized');
     }
 
     this.logger.info('Starting order monitoring', { orderHash });
+    const handledFills = new Set();
 
     while (true) {
       try {
         // Check for secrets ready to be shared
         const secretsToShare = await this.getReadyToAcceptSecrets(orderHash);
 
-        if (secretsToShare.fills && secretsToShare.fills.length > 0) {
-          for (const { idx } of secretsToShare.fills) {
-            if (secrets[idx]) {
-              await this.submitSecret(orderHash, secrets[idx]);
-              this.logger.info('Secret submitted', { orderHash, idx });
-            }
-          }
-        }
-
         // Check order status
         const status = await this.getCrossChainOrderStatus(orderHash);
 
+        for (const fill of secretsToShare.fills || []) {
+          if (handledFills.has(fill.idx)) continue;
+
+          try {
+            await this.submitVerifiedSecret(orderHash, fill, status);
+            this.logger.info('Secret submitted', { orderHash, idx: fill.idx });
+          } catch (error) {
+            // Escrows that don't match the order never get the secret;
+            // lookup failures are retried on the next pass
+            if (error.name !== 'SecretRevealDeniedError') throw error;
+            this.logger.error('Secret withheld from fill', { orderHash, idx: fill.idx, error: error.message });
+          }
+          handledFills.add(fill.idx);
+        }
+
         if (status.status === OrderStatus.Executed ||
             status.status === OrderStatus.Expired ||
             status.status === OrderStatus.Refunded) {
@@ -0,0 +1,199 @@
+// Black-Scholes pricing for European options. Times are in years, rates
+// and volatilities are annualized decimals (0.8 = 80%).
+
+export const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+// Implied volatility search bounds and tolerance (in option price units)
+const MIN_VOLATILITY = 1e-4;
+const MAX_VOLATILITY = 10;
+const IV_TOLERANCE = 1e-8;
+const IV_MAX_ITERATIONS = 100;
+
+export function normPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+// Abramowitz & Stegun 26.2.17, absolute error below 7.5e-8
+export function normCdf(x) {
+  if (x < 0) return 1 - normCdf(-x);
+
+  const t = 1 / (1 + 0.2316419 * x);
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return 1 - normPdf(x) * poly;
+}
+
+// Years from now until a unix timestamp (seconds); 0 once expired
+export function yearsUntil(expiry, now = Date.now()) {
+  return Math.max(0, (expiry - now / 1000) / SECONDS_PER_YEAR);
+}
+
+function intrinsicValue({ spot, strike, optionType }) {
+  return optionType === 'call' ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+}
+
+/**
+ * Black-Scholes price and greeks
+ * @param {Object} params - Option parameters
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.strike - Strike price, in the same units as spot
+ * @param {number} params.timeToExpiry - Years until expiry
+ * @param {number} params.volatility - Annualized volatility
+ * @param {number} params.rate - Annualized risk-free rate, continuously compounded
+ * @param {string} params.optionType - 'call' or 'put'
+ * @returns {Object} { price, delta, gamma, vega, theta }; vega is per 1% volatility
+ *   and theta per calendar day
+ */
+export function blackScholes({ spot, strike, timeToExpiry, volatility, rate = 0, optionType }) {
+  if (!(spot > 0) || !(strike > 0)) {
+    throw new Error('spot and strike must be positive');
+  }
+  if (optionType !== 'call' && optionType !== 'put') {
+    throw new Error(`Unknown option type: ${optionType}`);
+  }
+
+  const isCall = optionType === 'call';
+
+  // At expiry (or with no volatility) the option is worth its discounted
+  // forward intrinsic value and delta is a step
+  if (timeToExpiry <= 0 || volatility <= 0) {
+    const discount = Math.exp(-rate * Math.max(0, timeToExpiry));
+    const forwardStrike = strike * discount;
+    const inTheMoney = isCall ? spot > forwardStrike : spot < forwardStrike;
+
+    return {
+      price: intrinsicValue({ spot, strike: forwardStrike, optionType }),
+      delta: inTheMoney ? (isCall ? 1 : -1) : 0,
+      gamma: 0,
+      vega: 0,
+      theta: 0
+    };
+  }
+
+  const sqrtT = Math.sqrt(timeToExpiry);
+  const d1 = (Math.log(spot / strike) + (rate + volatility ** 2 / 2) * timeToExpiry) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+  const discount = Math.exp(-rate * timeToExpiry);
+  const pdf = normPdf(d1);
+
+  const price = isCall
+    ? spot * normCdf(d1) - strike * discount * normCdf(d2)
+    : strike * discount * normCdf(-d2) - spot * normCdf(-d1);
+  const decay = -spot * pdf * volatility / (2 * sqrtT);
+  const carry = isCall
+    ? -rate * strike * discount * normCdf(d2)
+    : rate * strike * discount * normCdf(-d2);
+
+  return {
+    price,
+    delta: isCall ? normCdf(d1) : normCdf(d1) - 1,
+    gamma: pdf / (spot * volatility * sqrtT),
+    vega: spot * pdf * sqrtT / 100,
+    theta: (decay + carry) / 365
+  };
+}
+
+/**
+ * Volatility at which the Black-Scholes price matches a market price.
+ * Newton's method, falling back to bisection when vega is too small.
+ * @param {Object} params - blackScholes() parameters without volatility, plus price
+ * @returns {number} Annualized implied volatility
+ */
+export function impliedVolatility({ price, spot, strike, timeToExpiry, rate = 0, optionType }) {
+  if (timeToExpiry <= 0) {
+    throw new Error('Cannot imply volatility of an expired option');
+  }
+
+  const option = { spot, strike, timeToExpiry, rate, optionType };
+  const priceAt = volatility => blackScholes({ ...option, volatility }).price;
+
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  if (price < priceAt(low) - IV_TOLERANCE || price > priceAt(high) + IV_TOLERANCE) {
+    throw new Error('Option price is outside the range any volatility produces');
+  }
+
+  let volatility = 0.5;
+  for (let i = 0; i < IV_MAX_ITERATIONS; i++) {
+    const { price: modelPrice, vega } = blackScholes({ ...option, volatility });
+    const diff = modelPrice - price;
+    if (Math.abs(diff) < IV_TOLERANCE) return volatility;
+
+    if (diff > 0) high = volatility;
+    else low = volatility;
+
+    // vega is per 1% volatility
+    const step = vega > 0 ? diff / (vega * 100) : Infinity;
+    const next = volatility - step;
+    volatility = next > low && next < high ? next : (low + high) / 2;
+  }
+
+  return volatility;
+}
+
+// Value at expiry of one leg net of its premium. Legs are
+// { optionType, strike, side: 'long'|'short', quantity, premium } with
+// strike and premium per unit of the underlying.
+export function legPayoff(leg, price) {
+  const sign = leg.side === 'short' ? -1 : 1;
+  const intrinsic = intrinsicValue({ spot: price, strike: leg.strike, optionType: leg.optionType });
+  return sign * leg.quantity * (intrinsic - (leg.premium || 0));
+}
+
+export function packagePayoff(legs, price) {
+  return legs.reduce((total, leg) => total + legPayoff(leg, price), 0);
+}
+
+/**
+ * Expiry payoff profile of a package of legs on one underlying. The payoff is
+ * piecewise linear with kinks at the strikes, so extremes are found at 0, the
+ * strikes, or are unbounded when the slope above the top strike is non-zero.
+ * @param {Array} legs - Legs (see legPayoff)
+ * @param {Object} options - Chart options
+ * @param {number} options.points - Evenly spaced chart points
+ * @param {number} options.from - Lowest charted price (default 80% of the lowest strike)
+ * @param {number} options.to - Highest charted price (default 120% of the highest strike)
+ * @returns {Object} netPremium (positive = debit), maxProfit / maxLoss (null when
+ *   unbounded), breakevens and chart points
+ */
+export function analyzePayoff(legs, { points = 50, from, to } = {}) {
+  const strikes = [...new Set(legs.map(leg => leg.strike))].sort((a, b) => a - b);
+  const kinks = [0, ...strikes];
+  const values = kinks.map(price => packagePayoff(legs, price));
+
+  // Only calls pay off above the top strike
+  const upperSlope = legs
+    .filter(leg => leg.optionType === 'call')
+    .reduce((slope, leg) => slope + (leg.side === 'short' ? -1 : 1) * leg.quantity, 0);
+
+  const breakevens = [];
+  for (let i = 0; i < kinks.length; i++) {
+    const [a, va] = [kinks[i], values[i]];
+    if (va === 0 && (values[i - 1] !== 0 || values[i + 1] !== 0)) breakevens.push(a);
+    if (i + 1 < kinks.length && va * values[i + 1] < 0) {
+      breakevens.push(a + (kinks[i + 1] - a) * va / (va - values[i + 1]));
+    }
+  }
+  const last = values[values.length - 1];
+  if (upperSlope !== 0 && last * upperSlope < 0) {
+    breakevens.push(kinks[kinks.length - 1] - last / upperSlope);
+  }
+
+  const low = from ?? strikes[0] * 0.8;
+  const high = to ?? strikes[strikes.length - 1] * 1.2;
+  const prices = new Set(Array.from({ length: points }, (_, i) => low + (high - low) * i / (points - 1)));
+  for (const price of [...strikes, ...breakevens]) {
+    if (price >= low && price <= high) prices.add(price);
+  }
+
+  return {
+    netPremium: legs.reduce(
+      (total, leg) => total + (leg.side === 'short' ? -1 : 1) * leg.quantity * (leg.premium || 0),
+      0
+    ),
+    maxProfit: upperSlope > 0 ? null : Math.max(...values),
+    maxLoss: upperSlope < 0 ? null : Math.max(0, -Math.min(...values)),
+    breakevens,
+    strikes,
+    points: [...prices].sort((a, b) => a - b).map(price => ({ price, payoff: packagePayoff(legs, price) }))
+  };
+}
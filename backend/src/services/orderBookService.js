@@ -0,0 +1,308 @@
+import { EventEmitter } from 'events';
+
+// Levels are grouped on prices rounded to this many significant digits
+const PRICE_PRECISION = 8;
+
+function toUnits(amount, decimals) {
+  return Number(amount) / 10 ** decimals;
+}
+
+function bookKey({ chainId, baseToken, quoteToken, depth }) {
+  return `${chainId}:${baseToken.toLowerCase()}:${quoteToken.toLowerCase()}:${depth}`;
+}
+
+/**
+ * Aggregates resting limit orders for a base/quote pair from the 1inch
+ * orderbook and our own strategy orders into price levels. Asks are orders
+ * selling the base token, bids are orders selling the quote token; prices
+ * are quote per base and amounts are in base token units.
+ */
+export class OrderBookService extends EventEmitter {
+  constructor({ oneInchService, limitOrderService, logger, pollInterval = 10000 }) {
+    super();
+
+    this.oneInchService = oneInchService;
+    this.limitOrderService = limitOrderService;
+    this.logger = logger;
+    this.pollInterval = pollInterval;
+
+    // Books with WebSocket subscribers: last published levels and sequence
+    this.watchers = new Map();
+    this.timer = null;
+    this.isRefreshing = false;
+
+    this.onStrategyChanged = () => {
+      this.refreshAll().catch(error => this.logger.error('Order book refresh failed:', error));
+    };
+  }
+
+  /**
+   * Build the aggregated book
+   * @param {Object} params - Book parameters
+   * @param {number} params.chainId - Chain ID
+   * @param {string} params.baseToken - Base token address
+   * @param {string} params.quoteToken - Quote token address
+   * @param {number} params.depth - Price levels per side
+   * @returns {Promise<Object>} Bids, asks, spread and mid price
+   */
+  async getOrderBook({ chainId, baseToken, quoteToken, depth = 10 }) {
+    try {
+      const baseDecimals = await this.oneInchService.getTokenDecimals(chainId, baseToken);
+      const quoteDecimals = await this.oneInchService.getTokenDecimals(chainId, quoteToken);
+      const sources = {};
+
+      const askOrders = await this.collectOrders(chainId, baseToken, quoteToken, sources);
+      const bidOrders = await this.collectOrders(chainId, quoteToken, baseToken, sources);
+
+      const asks = this.buildLevels(
+        askOrders.map(order => {
+          const making = toUnits(order.makingAmount, baseDecimals);
+          return {
+            price: toUnits(order.takingAmount, quoteDecimals) / making,
+            amount: toUnits(order.remainingMakerAmount, baseDecimals),
+            source: order.source
+          };
+        }),
+        (a, b) => a - b,
+        depth
+      );
+
+      const bids = this.buildLevels(
+        bidOrders.map(order => {
+          const price = toUnits(order.makingAmount, quoteDecimals) / toUnits(order.takingAmount, baseDecimals);
+          return {
+            price,
+            amount: toUnits(order.remainingMakerAmount, quoteDecimals) / price,
+            source: order.source
+          };
+        }),
+        (a, b) => b - a,
+        depth
+      );
+
+      const bestBid = bids[0]?.price ?? null;
+      const bestAsk = asks[0]?.price ?? null;
+      const hasBothSides = bestBid !== null && bestAsk !== null;
+      const midPrice = hasBothSides ? (bestBid + bestAsk) / 2 : null;
+
+      return {
+        chainId,
+        baseToken,
+        quoteToken,
+        depth,
+        timestamp: new Date().toISOString(),
+        bids,
+        asks,
+        bestBid,
+        bestAsk,
+        spread: hasBothSides ? bestAsk - bestBid : null,
+        spreadBps: hasBothSides ? (bestAsk - bestBid) / midPrice * 10000 : null,
+        midPrice,
+        sources
+      };
+    } catch (error) {
+      this.logger.error('Error building order book:', error);
+      throw new Error(`Failed to build order book: ${error.message}`);
+    }
+  }
+
+  // Open orders selling makerAsset for takerAsset. Our own orders that the
+  // orderbook already knows are taken from the orderbook, which has the
+  // authoritative remaining amount.
+  async collectOrders(chainId, makerAsset, takerAsset, sources) {
+    const orders = new Map();
+
+    try {
+      const remote = await this.oneInchService.getOrderbookOrders(chainId, {
+        makerAsset,
+        takerAsset,
+        limit: 500
+      });
+      for (const entry of remote || []) {
+        orders.set(entry.orderHash, {
+          orderHash: entry.orderHash,
+          makingAmount: entry.data.makingAmount,
+          takingAmount: entry.data.takingAmount,
+          remainingMakerAmount: entry.remainingMakerAmount,
+          source: '1inch'
+        });
+      }
+      sources.oneInch = { status: 'ok' };
+    } catch (error) {
+      // Still show our own liquidity when the orderbook API is down
+      this.logger.warn('1inch orderbook unavailable, using local orders only', {
+        chainId,
+        error: error.message
+      });
+      sources.oneInch = { status: 'unavailable', error: error.message };
+    }
+
+    for (const order of this.limitOrderService.getOpenOrders({ chainId, makerAsset, takerAsset })) {
+      if (orders.has(order.orderHash)) continue;
+      orders.set(order.orderHash, {
+        orderHash: order.orderHash,
+        makingAmount: order.makingAmount,
+        takingAmount: order.takingAmount,
+        remainingMakerAmount: (BigInt(order.makingAmount) - BigInt(order.filledAmount || 0)).toString(),
+        source: 'local'
+      });
+    }
+    sources.local = { status: 'ok' };
+
+    // Market-priced orders (takingAmount 0) have no price to rest at
+    return Array.from(orders.values()).filter(order =>
+      BigInt(order.makingAmount) > 0n &&
+      BigInt(order.takingAmount) > 0n &&
+      BigInt(order.remainingMakerAmount) > 0n
+    );
+  }
+
+  buildLevels(entries, compare, depth) {
+    const levels = new Map();
+
+    for (const { price, amount, source } of entries) {
+      if (!Number.isFinite(price) || price <= 0 || amount <= 0) continue;
+
+      const key = price.toPrecision(PRICE_PRECISION);
+      const level = levels.get(key) || { price: Number(key), amount: 0, orders: 0, sources: [] };
+      level.amount += amount;
+      level.orders += 1;
+      if (!level.sources.includes(source)) level.sources.push(source);
+      levels.set(key, level);
+    }
+
+    let total = 0;
+    return Array.from(levels.values())
+      .sort((a, b) => compare(a.price, b.price))
+      .slice(0, depth)
+      .map(level => {
+        total += level.amount;
+        return { ...level, total };
+      });
+  }
+
+  /**
+   * Start publishing incremental updates for a book
+   * @returns {Promise<{key: string, book: Object}>} Watch key and current snapshot
+   */
+  async subscribe(params) {
+    const key = bookKey(params);
+    let watcher = this.watchers.get(key);
+
+    if (!watcher) {
+      watcher = { params, subscribers: 0, sequence: 0, book: null };
+      this.watchers.set(key, watcher);
+    }
+
+    // Only count the subscriber once its snapshot has loaded
+    if (!watcher.book) {
+      try {
+        watcher.book = await this.getOrderBook(params);
+      } catch (error) {
+        if (watcher.subscribers === 0 && this.watchers.get(key) === watcher) {
+          this.watchers.delete(key);
+        }
+        throw error;
+      }
+    }
+    watcher.subscribers++;
+    this.start();
+
+    return { key, sequence: watcher.sequence, book: watcher.book };
+  }
+
+  unsubscribe(key) {
+    const watcher = this.watchers.get(key);
+    if (!watcher) return;
+
+    watcher.subscribers--;
+    if (watcher.subscribers <= 0) {
+      this.watchers.delete(key);
+    }
+    if (this.watchers.size === 0) {
+      this.stop();
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.limitOrderService.on('strategy_state_changed', this.onStrategyChanged);
+    this.timer = setInterval(() => {
+      this.refreshAll().catch(error => this.logger.error('Order book refresh failed:', error));
+    }, this.pollInterval);
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.limitOrderService.off('strategy_state_changed', this.onStrategyChanged);
+  }
+
+  async refreshAll() {
+    if (this.isRefreshing) return;
+    this.isRefreshing = true;
+
+    try {
+      // One failing book must not hold back the others
+      for (const key of this.watchers.keys()) {
+        try {
+          await this.refresh(key);
+        } catch (error) {
+          this.logger.error('Order book refresh failed:', error, { key });
+        }
+      }
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  // Rebuild a watched book and emit only the levels that changed; a level
+  // whose amount is 0 has been removed
+  async refresh(key) {
+    const watcher = this.watchers.get(key);
+    if (!watcher) return null;
+
+    const book = await this.getOrderBook(watcher.params);
+    const bids = this.diffLevels(watcher.book?.bids || [], book.bids);
+    const asks = this.diffLevels(watcher.book?.asks || [], book.asks);
+    watcher.book = book;
+
+    if (bids.length === 0 && asks.length === 0) return null;
+
+    watcher.sequence++;
+    const update = {
+      key,
+      chainId: book.chainId,
+      baseToken: book.baseToken,
+      quoteToken: book.quoteToken,
+      sequence: watcher.sequence,
+      bids,
+      asks,
+      bestBid: book.bestBid,
+      bestAsk: book.bestAsk,
+      spread: book.spread,
+      midPrice: book.midPrice,
+      sources: book.sources
+    };
+    this.emit('book_update', update);
+    return update;
+  }
+
+  diffLevels(previous, next) {
+    const before = new Map(previous.map(level => [level.price, level.amount]));
+    const after = new Map(next.map(level => [level.price, level.amount]));
+    const changes = [];
+
+    for (const [price, amount] of after) {
+      if (before.get(price) !== amount) changes.push({ price, amount });
+    }
+    for (const price of before.keys()) {
+      if (!after.has(price)) changes.push({ price, amount: 0 });
+    }
+
+    return changes;
+  }
+}
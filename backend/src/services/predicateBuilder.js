@@ -0,0 +1,227 @@
+import { ethers } from 'ethers';
+import { getMulticallAddress, getPriceFeed } from '../config/contracts.js';
+
+/**
+ * Predicate helpers exposed by the Limit Order Protocol v4 contract.
+ * A predicate is calldata the protocol staticcalls on itself before a
+ * fill; the order is only fillable while that call returns 1.
+ */
+export const PREDICATE_ABI = [
+  'function and(uint256 offsets, bytes data) view returns (bool)',
+  'function or(uint256 offsets, bytes data) view returns (bool)',
+  'function not(bytes data) view returns (bool)',
+  'function eq(uint256 value, bytes data) view returns (bool)',
+  'function lt(uint256 value, bytes data) view returns (bool)',
+  'function gt(uint256 value, bytes data) view returns (bool)',
+  'function arbitraryStaticCall(address target, bytes data) view returns (uint256)'
+];
+
+// External contracts predicates read from via arbitraryStaticCall
+export const ORACLE_ABI = [
+  'function latestAnswer() view returns (int256)',
+  'function getCurrentBlockTimestamp() view returns (uint256 timestamp)',
+  'function volume(address token, uint256 timeframe) view returns (uint256)'
+];
+
+export const predicateInterface = new ethers.Interface(PREDICATE_ABI);
+export const oracleInterface = new ethers.Interface(ORACLE_ABI);
+
+// and()/or() pack cumulative uint32 end offsets into a single uint256
+export const MAX_PREDICATE_OPERANDS = 8;
+
+/**
+ * Normalize a timestamp to unix seconds. Strategy params have historically
+ * mixed Date.now() milliseconds and seconds, while the chain only knows
+ * seconds.
+ */
+export function toUnixSeconds(time) {
+  const value = Number(time);
+  return Math.floor(value > 1e12 ? value / 1000 : value);
+}
+
+function isEmpty(predicate) {
+  return !predicate || predicate === '0x';
+}
+
+// Enhanced predicate types for advanced strategies
+export class PredicateBuilder {
+  /**
+   * @param {Object} options - Builder options
+   * @param {number} options.chainId - Chain the predicates will be evaluated on
+   * @param {Object} options.priceFeeds - Extra token => price feed overrides
+   * @param {Object} options.volumeOracles - Token => volume oracle addresses
+   */
+  constructor({ chainId = 1, priceFeeds = {}, volumeOracles = {} } = {}) {
+    this.chainId = chainId;
+    this.priceFeeds = Object.fromEntries(
+      Object.entries(priceFeeds).map(([token, feed]) => [token.toLowerCase(), feed])
+    );
+    this.volumeOracles = Object.fromEntries(
+      Object.entries(volumeOracles).map(([token, oracle]) => [token.toLowerCase(), oracle])
+    );
+  }
+
+  // Logical operators
+
+  and(...predicates) {
+    return this.combine('and', predicates);
+  }
+
+  or(...predicates) {
+    return this.combine('or', predicates);
+  }
+
+  // Careful: not() is also true when the wrapped call fails (e.g. a dead
+  // oracle), so prefer the complementary comparison where one exists
+  not(predicate) {
+    return predicateInterface.encodeFunctionData('not', [predicate]);
+  }
+
+  // Comparisons against the uint256 returned by a nested call
+
+  eq(value, data) {
+    return predicateInterface.encodeFunctionData('eq', [BigInt(value), data]);
+  }
+
+  lt(value, data) {
+    return predicateInterface.encodeFunctionData('lt', [BigInt(value), data]);
+  }
+
+  gt(value, data) {
+    return predicateInterface.encodeFunctionData('gt', [BigInt(value), data]);
+  }
+
+  arbitraryStaticCall(target, data) {
+    return predicateInterface.encodeFunctionData('arbitraryStaticCall', [target, data]);
+  }
+
+  // Building blocks
+
+  currentTimestamp() {
+    return this.arbitraryStaticCall(
+      getMulticallAddress(this.chainId),
+      oracleInterface.encodeFunctionData('getCurrentBlockTimestamp')
+    );
+  }
+
+  // block.timestamp < time
+  timestampBelow(time) {
+    return this.lt(toUnixSeconds(time), this.currentTimestamp());
+  }
+
+  // block.timestamp >= time
+  timestampAbove(time) {
+    return this.gt(Math.max(toUnixSeconds(time) - 1, 0), this.currentTimestamp());
+  }
+
+  resolvePriceFeed(token) {
+    const feed = this.priceFeeds[token?.toLowerCase()] || getPriceFeed(this.chainId, token);
+    if (!feed) {
+      throw new Error(`No price feed configured for ${token} on chain ${this.chainId}`);
+    }
+    return feed;
+  }
+
+  // Oracle answer for a token (Chainlink USD feeds report 8 decimals)
+  oraclePrice(token) {
+    return this.arbitraryStaticCall(
+      this.resolvePriceFeed(token),
+      oracleInterface.encodeFunctionData('latestAnswer')
+    );
+  }
+
+  // Time-based predicates (already implemented, enhanced)
+  createTimePredicate(startTime, endTime) {
+    return this.and(
+      startTime ? this.timestampAbove(startTime) : null,
+      endTime ? this.timestampBelow(endTime) : null
+    );
+  }
+
+  // Price-based predicates: calls fill above the strike, puts below it
+  createPricePredicate(token, strikePrice, optionType, expiry) {
+    const price = this.oraclePrice(token);
+    const condition = optionType === 'call'
+      ? this.gt(strikePrice, price)
+      : this.lt(strikePrice, price);
+
+    return this.and(condition, expiry ? this.timestampBelow(expiry) : null);
+  }
+
+  // NEW: Volume-based predicates, strictly between minVolume and maxVolume
+  createVolumePredicate(token, minVolume, maxVolume, timeframe) {
+    const oracle = this.volumeOracles[token?.toLowerCase()];
+    if (!oracle) {
+      throw new Error(`No volume oracle configured for ${token} on chain ${this.chainId}`);
+    }
+
+    const volume = this.arbitraryStaticCall(
+      oracle,
+      oracleInterface.encodeFunctionData('volume', [token, BigInt(timeframe)])
+    );
+
+    return this.and(
+      minVolume != null ? this.gt(minVolume, volume) : null,
+      maxVolume != null ? this.lt(maxVolume, volume) : null
+    );
+  }
+
+  hasVolumeOracle(token) {
+    return Boolean(this.volumeOracles[token?.toLowerCase()]);
+  }
+
+  /**
+   * NEW: Compound predicates (combining multiple conditions)
+   * @param {Array<string|{predicate: string}>} predicates - Operands, empty ones are skipped
+   * @param {string} logicOperator - 'AND' or 'OR'
+   * @returns {string} Predicate calldata
+   */
+  createCompoundPredicate(predicates, logicOperator = 'AND') {
+    const operands = predicates.map(p => (typeof p === 'string' ? p : p?.predicate));
+    return logicOperator === 'OR' ? this.or(...operands) : this.and(...operands);
+  }
+
+  // NEW: Custom logic predicates - a condition contract that must return 1
+  createCustomLogicPredicate(conditions, customLogic) {
+    if (!ethers.isAddress(conditions)) {
+      throw new Error('Custom logic conditions must be the condition contract address');
+    }
+    return this.eq(1, this.arbitraryStaticCall(conditions, customLogic));
+  }
+
+  // NEW: Range-based predicates for concentrated liquidity. The rebalance
+  // threshold is enforced off-chain by the strategy monitor, not in calldata.
+  createRangePredicate(token, lowerPrice, upperPrice, rebalanceThreshold) {
+    const price = this.oraclePrice(token);
+    return this.and(
+      this.gt(lowerPrice, price),
+      this.lt(upperPrice, price)
+    );
+  }
+
+  // Pack operands as and()/or() calldata, nesting when there are more than fit
+  combine(operator, predicates) {
+    const operands = predicates.filter(p => !isEmpty(p));
+
+    if (operands.length === 0) {
+      return '0x';
+    }
+    if (operands.length === 1) {
+      return operands[0];
+    }
+    if (operands.length > MAX_PREDICATE_OPERANDS) {
+      const head = operands.slice(0, MAX_PREDICATE_OPERANDS - 1);
+      const tail = operands.slice(MAX_PREDICATE_OPERANDS - 1);
+      return this.combine(operator, [...head, this.combine(operator, tail)]);
+    }
+
+    let offsets = 0n;
+    let end = 0;
+    operands.forEach((operand, i) => {
+      end += ethers.dataLength(operand);
+      offsets |= BigInt(end) << BigInt(32 * i);
+    });
+
+    return predicateInterface.encodeFunctionData(operator, [offsets, ethers.concat(operands)]);
+  }
+}
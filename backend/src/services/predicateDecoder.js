@@ -0,0 +1,269 @@
+import { ethers } from 'ethers';
+import { PRICE_FEEDS, getMulticallAddress } from '../config/contracts.js';
+import { predicateInterface, oracleInterface } from './predicateBuilder.js';
+
+// Calls that older tooling (LOP v3) put in predicates. The v4 router no
+// longer has them, so an order carrying one can never be filled.
+const legacyInterface = new ethers.Interface([
+  'function timestampBelow(uint256 time) view returns (bool)',
+  'function timestampBelowAndNonceEquals(uint256 timeNonceAccount) view returns (bool)',
+  'function nonceEquals(address makerAddress, uint256 makerNonce) view returns (bool)'
+]);
+
+// Other v4 router views that are valid predicate operands
+const routerInterface = new ethers.Interface([
+  'function epochEquals(address maker, uint256 series, uint256 makerEpoch) view returns (bool)'
+]);
+
+const COMPARISON_SYMBOLS = { lt: '<', gt: '>', eq: '==' };
+
+function parse(iface, data) {
+  try {
+    return iface.parseTransaction({ data });
+  } catch {
+    return null;
+  }
+}
+
+function formatArgs(fragment, args) {
+  return fragment.inputs.map((input, i) => ({
+    name: input.name,
+    type: input.type,
+    value: typeof args[i] === 'bigint' ? args[i].toString() : args[i]
+  }));
+}
+
+// Malformed calldata, located by its byte offset in the full predicate
+function decodeError(message, offset) {
+  const error = new Error(`${message} at byte ${offset}`);
+  error.name = 'ValidationError';
+  error.offset = offset;
+  return error;
+}
+
+// Where the contents of a call's dynamic bytes argument start
+function bytesArgOffset(data, index) {
+  const pointer = ethers.toBigInt(ethers.dataSlice(data, 4 + 32 * index, 36 + 32 * index));
+  return 4 + Number(pointer) + 32;
+}
+
+function formatTimestamp(seconds) {
+  const ms = Number(seconds) * 1000;
+  return Number.isSafeInteger(ms) && ms < 8.64e15 ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Decodes Limit Order Protocol predicate calldata back into a tree so
+ * support can see why an order is not fillable
+ */
+export class PredicateDecoder {
+  /**
+   * @param {Object} options - Decoder options
+   * @param {number} options.chainId - Chain the predicate was built for
+   * @param {boolean} options.includeCalldata - Keep each node's calldata so it can be evaluated on its own
+   */
+  constructor({ chainId = 1, includeCalldata = false } = {}) {
+    this.chainId = chainId;
+    this.includeCalldata = includeCalldata;
+    this.multicall = getMulticallAddress(chainId).toLowerCase();
+
+    // Reverse lookup of configured price feeds
+    this.feedTokens = {};
+    for (const [token, feed] of Object.entries(PRICE_FEEDS[chainId] || {})) {
+      (this.feedTokens[feed.toLowerCase()] ||= []).push(token);
+    }
+  }
+
+  /**
+   * Decode predicate calldata
+   * @param {string} predicate - Predicate hex string
+   * @returns {Object|null} Root node, or null for an empty predicate
+   * @throws {Error} ValidationError with the byte offset of malformed calldata
+   */
+  decode(predicate) {
+    if (!predicate || predicate === '0x') {
+      return null;
+    }
+    if (!ethers.isHexString(predicate, true)) {
+      const error = new Error('Predicate must be a hex string of whole bytes');
+      error.name = 'ValidationError';
+      throw error;
+    }
+    return this.decodeNode(predicate, 0);
+  }
+
+  /**
+   * Decode and describe a predicate
+   * @param {string} predicate - Predicate hex string
+   * @returns {{tree: Object|null, summary: string}} Tree and one-line summary
+   */
+  explain(predicate) {
+    const tree = this.decode(predicate);
+    return {
+      tree,
+      summary: tree ? this.describe(tree) : 'No predicate: the order is always fillable'
+    };
+  }
+
+  // offset is where data starts in the full predicate, for error reporting
+  decodeNode(data, offset) {
+    const node = this.decodeCall(data, offset);
+    if (this.includeCalldata) {
+      node.calldata = data;
+    }
+    return node;
+  }
+
+  decodeCall(data, offset) {
+    const tx = parse(predicateInterface, data);
+
+    if (!tx && ethers.dataLength(data) >= 4) {
+      const fragment = predicateInterface.getFunction(ethers.dataSlice(data, 0, 4));
+      if (fragment) {
+        throw decodeError(`Malformed ${fragment.name}() calldata`, offset);
+      }
+    }
+
+    if (tx && (tx.name === 'and' || tx.name === 'or')) {
+      const start = offset + bytesArgOffset(data, 1);
+      return {
+        type: tx.name,
+        children: this.splitOperands(tx.name, tx.args[0], tx.args[1], start)
+          .map(({ data: operand, offset: at }) => this.decodeNode(operand, at))
+      };
+    }
+
+    if (tx?.name === 'not') {
+      return { type: 'not', child: this.decodeNode(tx.args[0], offset + bytesArgOffset(data, 0)) };
+    }
+
+    if (tx && COMPARISON_SYMBOLS[tx.name]) {
+      const value = tx.args[0];
+      const call = this.decodeNode(tx.args[1], offset + bytesArgOffset(data, 1));
+
+      if (call.type === 'staticCall' && call.source === 'block_timestamp') {
+        return {
+          type: 'timestamp',
+          operator: tx.name,
+          value: value.toString(),
+          time: formatTimestamp(value),
+          ...(this.includeCalldata && { call })
+        };
+      }
+
+      return { type: 'comparison', operator: tx.name, value: value.toString(), call };
+    }
+
+    if (tx?.name === 'arbitraryStaticCall') {
+      return this.decodeStaticCall(tx.args[0], tx.args[1]);
+    }
+
+    const routerCall = parse(routerInterface, data);
+    if (routerCall) {
+      return {
+        type: 'call',
+        method: routerCall.signature,
+        args: formatArgs(routerCall.fragment, routerCall.args)
+      };
+    }
+
+    const legacyCall = parse(legacyInterface, data);
+    if (legacyCall) {
+      return {
+        type: 'legacy',
+        method: legacyCall.signature,
+        args: formatArgs(legacyCall.fragment, legacyCall.args),
+        supported: false
+      };
+    }
+
+    return {
+      type: 'unknown',
+      selector: ethers.dataLength(data) >= 4 ? ethers.dataSlice(data, 0, 4) : data,
+      data
+    };
+  }
+
+  decodeStaticCall(target, calldata) {
+    const node = {
+      type: 'staticCall',
+      target,
+      selector: ethers.dataLength(calldata) >= 4 ? ethers.dataSlice(calldata, 0, 4) : calldata,
+      method: null,
+      args: [],
+      source: null
+    };
+
+    const call = parse(oracleInterface, calldata);
+    if (call) {
+      node.method = call.signature;
+      node.args = formatArgs(call.fragment, call.args);
+    }
+
+    const address = target.toLowerCase();
+    if (call?.name === 'getCurrentBlockTimestamp' && address === this.multicall) {
+      node.source = 'block_timestamp';
+    } else if (call?.name === 'latestAnswer') {
+      node.source = 'price_feed';
+      node.tokens = this.feedTokens[address] || [];
+    } else if (call?.name === 'volume') {
+      node.source = 'volume_oracle';
+    }
+
+    return node;
+  }
+
+  // and()/or() data is split at the cumulative uint32 end offsets
+  splitOperands(operator, offsets, data, start) {
+    const operands = [];
+    const length = ethers.dataLength(data);
+    let previous = 0;
+    let packed = BigInt(offsets);
+
+    while (packed > 0n) {
+      const current = Number(packed & 0xffffffffn);
+      if (current === 0) break;
+      if (current < previous || current > length) {
+        throw decodeError(
+          `${operator}() operand ${operands.length} ends at ${current}, outside its ${length}-byte data`,
+          start + previous
+        );
+      }
+      operands.push({ data: ethers.dataSlice(data, previous, current), offset: start + previous });
+      previous = current;
+      packed >>= 32n;
+    }
+
+    return operands;
+  }
+
+  describe(node) {
+    switch (node.type) {
+      case 'and':
+        return `ALL OF (${node.children.map(child => this.describe(child)).join('; ')})`;
+      case 'or':
+        return `ANY OF (${node.children.map(child => this.describe(child)).join('; ')})`;
+      case 'not':
+        return `NOT (${this.describe(node.child)})`;
+      case 'timestamp':
+        return `block.timestamp ${COMPARISON_SYMBOLS[node.operator]} ${node.value}${node.time ? ` (${node.time})` : ''}`;
+      case 'comparison':
+        return `${this.describe(node.call)} ${COMPARISON_SYMBOLS[node.operator]} ${node.value}`;
+      case 'staticCall':
+        if (node.source === 'price_feed') {
+          return `price(${node.tokens.length ? node.tokens.join('/') : 'unknown token'} via ${node.target})`;
+        }
+        return `${node.target}.${node.method || node.selector}`;
+      case 'call':
+        return node.method;
+      case 'legacy':
+        return `${node.method} [not supported by the v4 router - never true]`;
+      default:
+        return `unknown call ${node.selector}`;
+    }
+  }
+}
+
+export function explainPredicate(predicate, { chainId = 1 } = {}) {
+  return new PredicateDecoder({ chainId }).explain(predicate);
+}
@@ -0,0 +1,144 @@
+import { ethers } from 'ethers';
+import { getLimitOrderProtocolAddress } from '../config/contracts.js';
+import { predicateInterface } from './predicateBuilder.js';
+import { PredicateDecoder } from './predicateDecoder.js';
+
+const routerInterface = new ethers.Interface([
+  ...predicateInterface.fragments,
+  'function checkPredicate(bytes predicate) view returns (bool)'
+]);
+
+/**
+ * Evaluates order predicates with eth_call against the Limit Order Protocol
+ * contract on a configurable RPC. Point it at a Hardhat node forking the
+ * order's chain (see contracts/ethereum) to test strategies before submitting.
+ */
+export class PredicateSimulator {
+  constructor({ rpcUrl, logger }) {
+    this.rpcUrl = rpcUrl;
+    this.logger = logger;
+    this.provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+  }
+
+  /**
+   * Evaluate a predicate and every node of its tree
+   * @param {string} predicate - Predicate hex string
+   * @param {Object} options - Simulation options
+   * @param {number} options.chainId - Chain whose LOP deployment to call
+   * @param {string|number} options.blockTag - Block to evaluate at
+   * @returns {Promise<Object>} Overall result, per-node breakdown and the
+   *   earliest time the predicate can pass if only time conditions block it
+   */
+  async simulate(predicate, { chainId = 1, blockTag = 'latest' } = {}) {
+    try {
+      const router = getLimitOrderProtocolAddress(chainId);
+      const block = await this.provider.getBlock(blockTag);
+      const tree = new PredicateDecoder({ chainId, includeCalldata: true }).decode(predicate);
+
+      if (!tree) {
+        return {
+          result: true,
+          blockNumber: block.number,
+          blockTimestamp: block.timestamp,
+          passesAt: block.timestamp,
+          tree: null
+        };
+      }
+
+      const [result] = await this.call(router, 'checkPredicate', [predicate], block.number);
+      const breakdown = await this.evaluateNode(tree, router, block);
+
+      this.logger.info('Predicate simulated', {
+        chainId,
+        blockNumber: block.number,
+        result
+      });
+
+      return {
+        result: Boolean(result),
+        blockNumber: block.number,
+        blockTimestamp: block.timestamp,
+        passesAt: this.estimatePassTime(breakdown, block.timestamp),
+        tree: breakdown
+      };
+    } catch (error) {
+      this.logger.error('Error simulating predicate:', error);
+      throw new Error(`Failed to simulate predicate: ${error.message}`);
+    }
+  }
+
+  async call(router, method, args, blockTag) {
+    const data = routerInterface.encodeFunctionData(method, args);
+    const output = await this.provider.call({ to: router, data, blockTag });
+    return routerInterface.decodeFunctionResult(method, output);
+  }
+
+  // eth_call a node on its own; a revert counts as a failing node
+  async evaluateCalldata(router, calldata, blockNumber) {
+    try {
+      const output = await this.provider.call({ to: router, data: calldata, blockTag: blockNumber });
+      return { value: BigInt(ethers.dataSlice(output, 0, 32)), error: null };
+    } catch (error) {
+      return { value: null, error: error.shortMessage || error.message };
+    }
+  }
+
+  async evaluateNode(node, router, block) {
+    const { calldata, ...rest } = node;
+    const evaluated = { ...rest };
+    const { value, error } = await this.evaluateCalldata(router, calldata, block.number);
+
+    if (node.type === 'staticCall') {
+      evaluated.value = value?.toString() ?? null;
+    } else {
+      evaluated.result = value === 1n;
+    }
+    if (error) {
+      evaluated.error = error;
+    }
+
+    if (node.children) {
+      evaluated.children = [];
+      for (const child of node.children) {
+        evaluated.children.push(await this.evaluateNode(child, router, block));
+      }
+    }
+    if (node.child) {
+      evaluated.child = await this.evaluateNode(node.child, router, block);
+    }
+    if (node.type === 'timestamp') {
+      delete evaluated.call;
+      evaluated.observed = block.timestamp.toString();
+    } else if (node.call) {
+      evaluated.call = await this.evaluateNode(node.call, router, block);
+      evaluated.observed = evaluated.call.value;
+    }
+
+    return evaluated;
+  }
+
+  /**
+   * Earliest unix time the predicate can pass, or null when that depends on
+   * something other than time (prices, volumes, expired windows)
+   */
+  estimatePassTime(node, now) {
+    switch (node.type) {
+      case 'and': {
+        const times = node.children.map(child => this.estimatePassTime(child, now));
+        return times.includes(null) ? null : Math.max(now, ...times);
+      }
+      case 'or': {
+        const times = node.children
+          .map(child => this.estimatePassTime(child, now))
+          .filter(time => time !== null);
+        return times.length ? Math.min(...times) : null;
+      }
+      case 'timestamp':
+        if (node.result) return now;
+        // gt(v) starts passing at v + 1; a failed lt() window has closed
+        return node.operator === 'gt' ? Number(node.value) + 1 : null;
+      default:
+        return node.result ? now : null;
+    }
+  }
+}
@@ -0,0 +1,329 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { ScheduledPlanService, PLAN_STATUSES, planError } from './scheduledPlanService.js';
+
+// Rebalance plans run until cancelled, so they never complete
+export const REBALANCE_PLAN_STATUSES = {
+  ACTIVE: PLAN_STATUSES.ACTIVE,
+  PAUSED: PLAN_STATUSES.PAUSED,
+  CANCELLED: PLAN_STATUSES.CANCELLED
+};
+
+/**
+ * Trades that move a portfolio to its target weights. Weights and the drift
+ * threshold are in percent; nothing is traded until some token's weight is
+ * driftThreshold points away from its target. Overweight tokens are sold into
+ * underweight ones, largest imbalances first, and trades worth less than
+ * minTradeUsd are dropped.
+ * @param {Object} params - Inputs
+ * @param {Array} params.holdings - { token, valueUsd } per target token
+ * @param {Array} params.targets - { token, weight } with weights summing to 100
+ * @param {number} params.driftThreshold - Percentage points
+ * @param {number} params.minTradeUsd - Smallest trade worth placing
+ * @returns {Object} { totalValueUsd, allocations, maxDrift, trades }
+ */
+export function computeRebalanceTrades({ holdings, targets, driftThreshold, minTradeUsd }) {
+  const values = new Map(holdings.map(holding => [holding.token.toLowerCase(), holding.valueUsd]));
+  const totalValueUsd = holdings.reduce((total, holding) => total + holding.valueUsd, 0);
+
+  const allocations = targets.map(({ token, weight }) => {
+    const valueUsd = values.get(token.toLowerCase()) || 0;
+    const currentWeight = totalValueUsd > 0 ? valueUsd / totalValueUsd * 100 : 0;
+    return {
+      token,
+      valueUsd,
+      targetWeight: weight,
+      currentWeight,
+      drift: currentWeight - weight,
+      deltaUsd: totalValueUsd * weight / 100 - valueUsd
+    };
+  });
+  const maxDrift = Math.max(...allocations.map(allocation => Math.abs(allocation.drift)));
+
+  const trades = [];
+  if (totalValueUsd > 0 && maxDrift >= driftThreshold) {
+    const sells = allocations.filter(a => a.deltaUsd < 0).map(a => ({ token: a.token, remaining: -a.deltaUsd }));
+    const buys = allocations.filter(a => a.deltaUsd > 0).map(a => ({ token: a.token, remaining: a.deltaUsd }));
+    sells.sort((a, b) => b.remaining - a.remaining);
+    buys.sort((a, b) => b.remaining - a.remaining);
+
+    for (const sell of sells) {
+      for (const buy of buys) {
+        const amountUsd = Math.min(sell.remaining, buy.remaining);
+        if (amountUsd < minTradeUsd) continue;
+
+        trades.push({ src: sell.token, dst: buy.token, amountUsd });
+        sell.remaining -= amountUsd;
+        buy.remaining -= amountUsd;
+      }
+    }
+  }
+
+  return { totalValueUsd, allocations, maxDrift, trades };
+}
+
+/**
+ * Scheduled portfolio rebalancing for a maker address. On every tick of a
+ * plan's cron schedule the maker's balances of the target tokens are valued
+ * in USD and, if the allocation has drifted past the threshold, the trades
+ * back to the targets are built as classic swaps (for the maker to sign) or
+ * as limit orders. Plans and their rebalance records are persisted.
+ */
+export class RebalancerService extends ScheduledPlanService {
+  constructor({ oneInchService, storage, logger }) {
+    super({
+      storage,
+      logger,
+      repository: 'rebalance_plans',
+      name: 'Rebalance plan',
+      updatableFields: ['targets', 'schedule', 'timezone', 'driftThreshold', 'minTradeUsd', 'mode', 'slippage', 'orderDuration']
+    });
+
+    this.oneInchService = oneInchService;
+  }
+
+  /**
+   * Create and schedule a plan
+   * @param {Object} params - Plan parameters (see rebalancePlanSchema in routes/rebalancer.js)
+   * @returns {Promise<Object>} Created plan
+   */
+  async createPlan(params) {
+    try {
+      this.validatePlan(params);
+
+      const now = new Date().toISOString();
+      const plan = {
+        id: `rebalance_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        ...params,
+        status: REBALANCE_PLAN_STATUSES.ACTIVE,
+        rebalanceCount: 0,
+        rebalances: [],
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.addPlan(plan);
+
+      this.logger.info('Rebalance plan created', {
+        planId: plan.id,
+        maker: plan.maker,
+        tokens: plan.targets.length,
+        schedule: plan.schedule
+      });
+
+      return plan;
+    } catch (error) {
+      this.logger.error('Error creating rebalance plan:', error);
+      throw new Error(`Failed to create rebalance plan: ${error.message}`);
+    }
+  }
+
+  assertTargets(targets) {
+    const tokens = new Set(targets.map(target => target.token.toLowerCase()));
+    if (tokens.size !== targets.length) {
+      throw new Error('Each token may only have one target weight');
+    }
+
+    const total = targets.reduce((sum, target) => sum + target.weight, 0);
+    if (Math.abs(total - 100) > 1e-6) {
+      throw new Error(`Target weights must sum to 100, got ${total}`);
+    }
+  }
+
+  validatePlan(plan) {
+    this.assertTargets(plan.targets);
+    super.validatePlan(plan);
+  }
+
+  runScheduledPlan(planId) {
+    return this.rebalancePlan(planId, { trigger: 'schedule' });
+  }
+
+  // Balances, decimals and USD prices of the plan's target tokens
+  async getHoldings(plan) {
+    const tokens = plan.targets.map(target => target.token);
+    const balances = await this.oneInchService.getBalances(plan.maker, plan.chainId, tokens);
+    const prices = await this.oneInchService.getTokenPrice(plan.chainId, tokens, 'USD');
+    const lower = object => Object.fromEntries(
+      Object.entries(object || {}).map(([token, value]) => [token.toLowerCase(), value])
+    );
+    const balanceOf = lower(balances);
+    const priceOf = lower(prices);
+
+    const holdings = [];
+    for (const token of tokens) {
+      const price = Number(priceOf[token.toLowerCase()]);
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`No USD price for ${token} on chain ${plan.chainId}`);
+      }
+
+      const decimals = await this.oneInchService.getTokenDecimals(plan.chainId, token);
+      const balance = BigInt(balanceOf[token.toLowerCase()] || 0);
+      holdings.push({
+        token,
+        balance: balance.toString(),
+        decimals,
+        priceUsd: price,
+        valueUsd: Number(ethers.formatUnits(balance, decimals)) * price
+      });
+    }
+
+    return holdings;
+  }
+
+  // Current allocation and the trades a rebalance would place, without placing them
+  async previewPlan(planId) {
+    const plan = this.requirePlan(planId);
+
+    try {
+      const holdings = await this.getHoldings(plan);
+      return { planId, holdings, ...this.computeTrades(plan, holdings) };
+    } catch (error) {
+      this.logger.error('Error previewing rebalance:', error);
+      throw new Error(`Failed to preview rebalance: ${error.message}`);
+    }
+  }
+
+  computeTrades(plan, holdings) {
+    const byToken = new Map(holdings.map(holding => [holding.token.toLowerCase(), holding]));
+    const result = computeRebalanceTrades({
+      holdings,
+      targets: plan.targets,
+      driftThreshold: plan.driftThreshold,
+      minTradeUsd: plan.minTradeUsd
+    });
+
+    // Sell amounts in the source token's base units
+    const trades = result.trades.map(trade => {
+      const src = byToken.get(trade.src.toLowerCase());
+      const amount = ethers.parseUnits(
+        (trade.amountUsd / src.priceUsd).toFixed(src.decimals),
+        src.decimals
+      );
+      return { ...trade, amount: amount.toString() };
+    });
+
+    return { ...result, trades };
+  }
+
+  // Rebalance a plan now; overlapping runs of the same plan are skipped
+  async rebalancePlan(planId, { trigger = 'manual' } = {}) {
+    const plan = this.requirePlan(planId);
+    if (plan.status !== REBALANCE_PLAN_STATUSES.ACTIVE) {
+      throw planError('ConflictError', `Cannot rebalance a ${plan.status} plan`);
+    }
+    if (this.running.has(planId)) {
+      throw planError('ConflictError', 'A rebalance of this plan is already running');
+    }
+
+    this.running.add(planId);
+    try {
+      const record = {
+        sequence: plan.rebalanceCount + 1,
+        trigger,
+        mode: plan.mode,
+        startedAt: new Date().toISOString()
+      };
+
+      try {
+        const holdings = await this.getHoldings(plan);
+        const { totalValueUsd, allocations, maxDrift, trades } = this.computeTrades(plan, holdings);
+        Object.assign(record, { totalValueUsd, allocations, maxDrift });
+
+        record.trades = [];
+        for (const trade of trades) {
+          record.trades.push(await this.executeTrade(plan, trade, holdings));
+        }
+
+        const failed = record.trades.filter(trade => trade.status === 'failed').length;
+        if (record.trades.length === 0) record.status = 'skipped';
+        else if (failed === 0) record.status = 'executed';
+        else record.status = failed === record.trades.length ? 'failed' : 'partial';
+      } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        this.logger.error('Rebalance failed:', error, { planId });
+      }
+
+      record.completedAt = new Date().toISOString();
+      plan.rebalanceCount = record.sequence;
+      plan.rebalances.push(record);
+      plan.lastRebalancedAt = record.completedAt;
+      plan.updatedAt = record.completedAt;
+      await this.savePlan(plan);
+
+      this.emit('rebalance', { planId, ...record });
+      this.logger.info('Rebalance recorded', {
+        planId,
+        sequence: record.sequence,
+        status: record.status,
+        trades: record.trades?.length || 0
+      });
+
+      return record;
+    } finally {
+      this.running.delete(planId);
+    }
+  }
+
+  async executeTrade(plan, trade, holdings) {
+    try {
+      return {
+        ...trade,
+        ...(plan.mode === 'swap'
+          ? await this.buildSwap(plan, trade)
+          : await this.placeLimitOrder(plan, trade, holdings))
+      };
+    } catch (error) {
+      this.logger.error('Rebalance trade failed:', error, { planId: plan.id, src: trade.src, dst: trade.dst });
+      return { ...trade, status: 'failed', error: error.message };
+    }
+  }
+
+  // Classic swap transaction; the maker signs and broadcasts it
+  async buildSwap(plan, trade) {
+    const swap = await this.oneInchService.getClassicSwap({
+      chainId: plan.chainId,
+      src: trade.src,
+      dst: trade.dst,
+      amount: trade.amount,
+      from: plan.maker,
+      slippage: plan.slippage
+    });
+
+    return {
+      status: 'pending_signature',
+      quotedAmount: swap.toAmount ?? swap.dstAmount,
+      tx: swap.tx
+    };
+  }
+
+  // Limit order at the USD cross price less slippage (percent), expiring
+  // after orderDuration seconds
+  async placeLimitOrder(plan, trade, holdings) {
+    const dst = holdings.find(holding => holding.token.toLowerCase() === trade.dst.toLowerCase());
+    const expected = ethers.parseUnits((trade.amountUsd / dst.priceUsd).toFixed(dst.decimals), dst.decimals);
+    const slippageBps = BigInt(Math.round(plan.slippage * 100));
+    const minReturn = expected * (10000n - slippageBps) / 10000n;
+    const expiry = Math.floor(Date.now() / 1000) + plan.orderDuration;
+
+    const order = await this.oneInchService.createLimitOrder({
+      chainId: plan.chainId,
+      maker: plan.maker,
+      makerAsset: trade.src,
+      takerAsset: trade.dst,
+      makingAmount: trade.amount,
+      takingAmount: minReturn.toString(),
+      expiry,
+      salt: ethers.randomBytes(32)
+    });
+
+    return {
+      status: order.status === 'pending_signature' ? 'pending_signature' : 'submitted',
+      orderHash: order.orderHash,
+      minReturn: minReturn.toString(),
+      expiresAt: new Date(expiry * 1000).toISOString(),
+      ...(order.typedData && { typedData: order.typedData })
+    };
+  }
+}
@@ -0,0 +1,370 @@
+// Import 1inch SDK using CJS build to avoid module compatibility issues
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const { AuctionCalculator, EvmCrossChainOrder, Extension } = require('@1inch/cross-chain-sdk');
+
+export const BIDDING_DEFAULTS = {
+  sampleIntervalSeconds: 12, // one Ethereum block
+  maxSamples: 100,
+  maxFillAttempts: 3,
+  backoffMs: 5000, // doubled after every competitor fill or failed attempt
+  retentionMs: 60 * 60 * 1000 // settled bids are remembered so re-sent orders are ignored
+};
+
+const PENDING_STATUSES = ['scheduled', 'backing_off', 'filling'];
+const CLOSED_ORDER_STATUSES = ['executed', 'expired', 'cancelled', 'refunding', 'refunded'];
+
+function nowSeconds() {
+  return BigInt(Math.floor(Date.now() / 1000));
+}
+
+function toIso(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * Bids on Fusion+ Dutch auctions. The taking amount of an order starts at
+ * its takingAmount raised by the initial rate bump and falls along the
+ * auction points to the plain takingAmount at the end of the auction, so the
+ * resolver's profit grows over time. The engine samples that curve, prices
+ * every point with the profitability model and schedules the fill at the
+ * earliest profitable one. When another resolver fills the order first the
+ * bid is dropped, or re-planned for the remaining amount after a backoff.
+ */
+export class BiddingEngine {
+  constructor({ oneInchService, profitability, logger, fillOrder, config = {} }) {
+    this.oneInchService = oneInchService;
+    this.profitability = profitability;
+    this.logger = logger;
+    this.fillOrder = fillOrder; // (bid, swap) => Promise, hands the fill to the resolver
+    this.config = { ...BIDDING_DEFAULTS, ...config };
+
+    this.bids = new Map(); // orderHash -> bid
+    this.swaps = new Map(); // orderHash -> swap terms of the bid
+    this.timers = new Map(); // orderHash -> fill timer
+  }
+
+  /**
+   * Start bidding on an order; orders already known are treated as updates
+   * @param {Object} order - Fusion+ order from the order feed
+   * @param {Object} swap - Resolver swap built from the order; srcAmount and
+   *   dstAmount are the order's making and (auction end) taking amounts
+   * @returns {Promise<Object>} Bid
+   */
+  async submit(order, swap) {
+    this.pruneBids();
+
+    const orderHash = order.orderHash ?? order.id;
+    if (this.bids.has(orderHash)) {
+      return this.handleOrderUpdate(order);
+    }
+
+    const now = new Date().toISOString();
+    const bid = {
+      orderHash,
+      swapId: null,
+      status: 'scheduled',
+      srcChainId: swap.srcChainId,
+      makingAmount: String(swap.srcAmount),
+      takingAmount: String(swap.dstAmount),
+      remainingMakerAmount: String(order.remainingMakerAmount ?? swap.srcAmount),
+      auction: null,
+      curve: [],
+      scheduledFor: null,
+      bidTakingAmount: null,
+      profitability: null,
+      attempts: 0,
+      losses: 0,
+      reason: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.bids.set(orderHash, bid);
+    this.swaps.set(orderHash, swap);
+
+    try {
+      bid.calculator = this.getAuctionCalculator(order);
+      bid.auction = {
+        startTime: toIso(bid.calculator.startTime),
+        endTime: toIso(bid.calculator.finishTime),
+        initialRateBump: Number(bid.calculator.initialRateBump)
+      };
+    } catch (error) {
+      this.settle(bid, 'failed', `Cannot reconstruct auction curve: ${error.message}`);
+      return this.describe(bid);
+    }
+
+    await this.plan(bid);
+    return this.describe(bid);
+  }
+
+  /**
+   * Apply an order update from the feed: fills by other resolvers shrink the
+   * remaining amount (or take the whole order) and push the bid back
+   */
+  async handleOrderUpdate(order) {
+    const bid = this.bids.get(order.orderHash ?? order.id);
+    if (!bid || !PENDING_STATUSES.includes(bid.status) || bid.status === 'filling') {
+      return bid ? this.describe(bid) : null;
+    }
+
+    if (order.remainingMakerAmount !== undefined &&
+        BigInt(order.remainingMakerAmount) < BigInt(bid.remainingMakerAmount)) {
+      await this.handleCompetitorFill(bid, BigInt(order.remainingMakerAmount));
+    }
+    return this.describe(bid);
+  }
+
+  // Auction details come with our own orders, with the relayer's order
+  // status, or encoded in the extension of a relayer order
+  getAuctionCalculator(order) {
+    const details = order.customData?.auction ?? (order.initialRateBump !== undefined && {
+      startTime: order.auctionStartDate,
+      duration: order.auctionDuration,
+      initialRateBump: order.initialRateBump,
+      points: order.points
+    });
+
+    if (details) {
+      return new AuctionCalculator(
+        BigInt(details.startTime),
+        BigInt(details.duration),
+        BigInt(details.initialRateBump),
+        (details.points || []).map(({ coefficient, delay }) => ({ coefficient: Number(coefficient), delay: Number(delay) }))
+      );
+    }
+
+    if (order.order && order.extension) {
+      return EvmCrossChainOrder.fromDataAndExtension(order.order, Extension.decode(order.extension)).getCalculator();
+    }
+
+    throw new Error('Order carries no auction data');
+  }
+
+  // Taking amount for the remaining maker amount at an auction timestamp.
+  // The gas bump is ignored: gas is already a cost item of the model, so
+  // bids assume the highest taking amount the curve allows.
+  takingAmountAt(bid, time) {
+    const taking = BigInt(bid.takingAmount) * BigInt(bid.remainingMakerAmount) / BigInt(bid.makingAmount);
+    const rateBump = bid.calculator.calcRateBump(time);
+    return { rateBump, takingAmount: AuctionCalculator.calcAuctionTakingAmount(taking, rateBump) };
+  }
+
+  /**
+   * Price the rest of the auction curve and schedule the fill at the
+   * earliest profitable point, not before notBefore (ms)
+   */
+  async plan(bid, notBefore = 0) {
+    const { calculator } = bid;
+    const start = nowSeconds() > calculator.startTime ? nowSeconds() : calculator.startTime;
+    if (start >= calculator.finishTime) {
+      this.settle(bid, 'expired', 'Auction has ended');
+      return;
+    }
+
+    // The end of the auction is the cheapest point: if it doesn't pay, nothing does
+    const swap = this.swaps.get(bid.orderHash);
+    const end = this.takingAmountAt(bid, calculator.finishTime);
+    const floor = await this.profitability.evaluate({
+      ...swap,
+      srcAmount: bid.remainingMakerAmount,
+      dstAmount: end.takingAmount.toString()
+    });
+    if (!floor.accepted) {
+      bid.profitability = floor;
+      this.settle(bid, 'unprofitable', floor.reason);
+      return;
+    }
+
+    const span = calculator.finishTime - start;
+    const step = BigInt(Math.max(
+      this.config.sampleIntervalSeconds,
+      Math.ceil(Number(span) / this.config.maxSamples)
+    ));
+
+    bid.curve = [];
+    let chosen = null;
+    for (let time = start; ; time += step) {
+      const at = time < calculator.finishTime ? time : calculator.finishTime;
+      const point = this.takingAmountAt(bid, at);
+      const breakdown = this.profitability.reprice(floor, end.takingAmount, point.takingAmount);
+
+      bid.curve.push({
+        at: toIso(at),
+        rateBump: point.rateBump,
+        takingAmount: point.takingAmount.toString(),
+        expectedProfitUsd: breakdown.expectedProfitUsd,
+        accepted: breakdown.accepted
+      });
+
+      if (!chosen && breakdown.accepted && Number(at) * 1000 >= notBefore) {
+        chosen = { at, ...point, breakdown };
+      }
+      if (at === calculator.finishTime) break;
+    }
+
+    // Only a backoff past the end of the auction leaves no profitable point
+    if (!chosen) {
+      this.settle(bid, 'expired', 'Auction ends before the backoff');
+      return;
+    }
+
+    bid.status = notBefore > Date.now() ? 'backing_off' : 'scheduled';
+    bid.scheduledFor = toIso(chosen.at);
+    bid.bidTakingAmount = chosen.takingAmount.toString();
+    bid.rateBump = chosen.rateBump;
+    bid.profitability = chosen.breakdown;
+    bid.updatedAt = new Date().toISOString();
+    this.schedule(bid, Number(chosen.at) * 1000 - Date.now());
+
+    this.logger.info('Auction bid scheduled', {
+      orderHash: bid.orderHash,
+      scheduledFor: bid.scheduledFor,
+      takingAmount: bid.bidTakingAmount,
+      expectedProfitUsd: chosen.breakdown.expectedProfitUsd
+    });
+  }
+
+  schedule(bid, delayMs) {
+    clearTimeout(this.timers.get(bid.orderHash));
+    this.timers.set(bid.orderHash, setTimeout(() => {
+      this.timers.delete(bid.orderHash);
+      this.executeBid(bid).catch(error => {
+        this.logger.error('Error executing auction bid:', error, { orderHash: bid.orderHash });
+      });
+    }, Math.max(0, delayMs)));
+  }
+
+  async executeBid(bid) {
+    if (!PENDING_STATUSES.includes(bid.status)) return;
+
+    // Another resolver may have filled the order since it was planned
+    const status = await this.getOrderStatus(bid.orderHash);
+    if (status) {
+      if (CLOSED_ORDER_STATUSES.includes(status.status)) {
+        this.settle(bid, 'lost', status.status === 'executed' ? 'Filled by another resolver' : `Order ${status.status}`);
+        return;
+      }
+
+      const filled = (status.fills || []).reduce((sum, fill) => sum + BigInt(fill.filledMakerAmount || 0), 0n);
+      const remaining = BigInt(bid.makingAmount) - filled;
+      if (remaining < BigInt(bid.remainingMakerAmount)) {
+        await this.handleCompetitorFill(bid, remaining);
+        return;
+      }
+    }
+
+    bid.status = 'filling';
+    bid.attempts += 1;
+    bid.updatedAt = new Date().toISOString();
+
+    const swap = this.swaps.get(bid.orderHash);
+    try {
+      await this.fillOrder(this.describe(bid), swap);
+      bid.swapId = swap.id;
+      this.settle(bid, 'submitted', null);
+    } catch (error) {
+      this.logger.warn('Auction fill attempt failed', {
+        orderHash: bid.orderHash,
+        attempt: bid.attempts,
+        error: error.message
+      });
+
+      if (bid.attempts >= this.config.maxFillAttempts) {
+        this.settle(bid, 'failed', error.message);
+        return;
+      }
+      bid.reason = error.message;
+      await this.plan(bid, Date.now() + this.backoffDelay(bid.attempts));
+    }
+  }
+
+  async handleCompetitorFill(bid, remaining) {
+    bid.losses += 1;
+    bid.remainingMakerAmount = remaining.toString();
+    this.logger.info('Auction order filled by another resolver', {
+      orderHash: bid.orderHash,
+      remainingMakerAmount: bid.remainingMakerAmount
+    });
+
+    if (remaining <= 0n) {
+      this.settle(bid, 'lost', 'Filled by another resolver');
+      return;
+    }
+
+    bid.reason = 'Partially filled by another resolver';
+    await this.plan(bid, Date.now() + this.backoffDelay(bid.losses));
+  }
+
+  backoffDelay(count) {
+    return this.config.backoffMs * 2 ** (count - 1);
+  }
+
+  // Relayer status of the order; without it the bid goes ahead on what the feed said
+  async getOrderStatus(orderHash) {
+    try {
+      return await this.oneInchService.getCrossChainOrderStatus(orderHash);
+    } catch (error) {
+      this.logger.warn('Could not refresh auction order status', { orderHash, error: error.message });
+      return null;
+    }
+  }
+
+  settle(bid, status, reason) {
+    clearTimeout(this.timers.get(bid.orderHash));
+    this.timers.delete(bid.orderHash);
+
+    bid.status = status;
+    bid.reason = reason;
+    bid.updatedAt = new Date().toISOString();
+    this.swaps.delete(bid.orderHash);
+
+    if (status !== 'submitted') {
+      this.logger.info('Auction bid closed', { orderHash: bid.orderHash, status, reason });
+    }
+  }
+
+  pruneBids() {
+    const cutoff = Date.now() - this.config.retentionMs;
+    for (const [orderHash, bid] of this.bids) {
+      if (!PENDING_STATUSES.includes(bid.status) && new Date(bid.updatedAt).getTime() < cutoff) {
+        this.bids.delete(orderHash);
+      }
+    }
+  }
+
+  // Bid as exposed to callers, without the SDK calculator
+  describe(bid) {
+    const { calculator, ...rest } = bid;
+    return rest;
+  }
+
+  getBid(orderHash) {
+    const bid = this.bids.get(orderHash);
+    return bid ? this.describe(bid) : null;
+  }
+
+  // Bids waiting for their fill time, soonest first
+  getPendingBids() {
+    return Array.from(this.bids.values())
+      .filter(bid => PENDING_STATUSES.includes(bid.status))
+      .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor))
+      .map(bid => this.describe(bid));
+  }
+
+  // Pending bids are dropped; the order feed brings their orders back once
+  // the resolver runs again
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    for (const [orderHash, bid] of this.bids) {
+      if (PENDING_STATUSES.includes(bid.status)) {
+        this.bids.delete(orderHash);
+        this.swaps.delete(orderHash);
+      }
+    }
+  }
+}
@@ -1,12 +1,27 @@
 import { EventEmitter } from 'events';
 import cron from 'node-cron';
+import { ProfitabilityModel } from './resolverProfitability.js';
+import { BiddingEngine } from './resolverBidding.js';
+import { ResolverInventory } from './resolverInventory.js';
+import {
+  SWAP_STATES,
+  ESCROWED_SWAP_STATES,
+  assertSwapTransition,
+  isTerminalSwapState,
+  migrateSwapState
+} from './resolverSwapLifecycle.js';
 
 export class ResolverBot extends EventEmitter {
-  constructor({ oneInchService, suiService, websocketService, logger, enabled = true }) {
+  constructor({ oneInchService, suiService, websocketService, bridgeService, secretVault, ethereumResolver = null, logger, storage, enabled = true, profitability = {}, bidding = {}, inventory = {} }) {
     super();
 
     this.oneInchService = oneInchService;
     this.suiService = suiService;
+    // Ethereum side of the resolver: fills Fusion+ orders and creates, looks
+    // up and refunds Ethereum escrows. Swaps that need it are not taken
+    // without one.
+    this.ethereumResolver = ethereumResolver;
+    this.secretVault = secretVault; // HTLC secrets never live on the swap itself
     this.websocketService = websocketService;
     this.logger = logger;
     this.enabled = enabled;
@@ -16,6 +31,9 @@ export class ResolverBot extends EventEmitter {
     this.activeSwaps = new Map(); // Track ongoing swaps
     this.completedSwaps = new Map(); // Track completed swaps
     this.failedSwaps = new Map(); // Track failed swaps
+    this.advancing = new Set(); // Swaps whose step is running
+    this.tasks = []; // Periodic cron tasks, stopped with the bot
+    this.swapRepository = storage?.repository('resolver_swaps') || null;
 
     // Configuration
     this.config = {
@@ -27,6 +45,36 @@ export class ResolverBot extends EventEmitter {
       retryDelayMs: 5000
     };
 
+    // Expected-profit model; see resolverProfitability.js for the cost items
+    this.profitability = new ProfitabilityModel({
+      oneInchService,
+      bridgeService,
+      config: {
+        minProfitMargin: this.config.minProfitMargin,
+        holdingPeriodMs: this.config.timeoutMinutes * 60 * 1000,
+        ...profitability
+      }
+    });
+
+    // Fusion+ orders are filled at the earliest profitable point of their auction
+    this.bidding = new BiddingEngine({
+      oneInchService,
+      profitability: this.profitability,
+      logger,
+      fillOrder: (bid, swap) => this.fillAuctionBid(bid, swap),
+      config: bidding
+    });
+
+    // Balances per chain and token, reserved by in-flight swaps
+    this.inventory = new ResolverInventory({
+      oneInchService,
+      suiService,
+      bridgeService,
+      logger,
+      config: inventory
+    });
+    this.inventory.on('inventory_alert', (alert) => this.emit('inventory_alert', alert));
+
     // Performance metrics
     this.metrics = {
       totalSwapsProcessed: 0,
@@ -55,6 +103,9 @@ export class ResolverBot extends EventEmitter {
       this.isRunning = true;
       this.logger.info('Starting resolver bot...');
 
+      await this.refreshInventory();
+      await this.resumeSwaps();
+
       // Start monitoring both chains
       await this.startMonitoring();
 
@@ -77,13 +128,21 @@ export class ResolverBot extends EventEmitter {
 
     this.logger.info('Stopping resolver bot...');
     this.isRunning = false;
-
-    // Cancel all active swaps
-    for (const [swapId, swap] of this.activeSwaps) {
-      try {
-        await this.cancelSwap(swapId, 'Bot shutdown');
-      } catch (error) {
-        this.logger.error(`Error cancelling swap ${swapId}:`, error);
+    this.bidding.stop();
+    for (const task of this.tasks) {
+      task.stop();
+    }
+    this.tasks = [];
+
+    // Persisted swaps are reloaded on the next boot, so only cancel
+    // in-flight swaps when there is nowhere to keep them
+    if (!this.swapRepository) {
+      for (const [swapId, swap] of this.activeSwaps) {
+        try {
+          await this.cancelSwap(swapId, 'Bot shutdown');
+        } catch (error) {
+          this.logger.error(`Error cancelling swap ${swapId}:`, error);
+        }
       }
     }
 
@@ -91,6 +150,63 @@ export class ResolverBot extends EventEmitter {
     this.emit('stopped');
   }
 
+  // Reload persisted swaps into the active/completed/failed registries
+  async restoreSwaps() {
+    if (!this.swapRepository) {
+      return;
+    }
+
+    const records = await this.swapRepository.list();
+    for (const { id, status, data } of records) {
+      const swap = { ...data, status: migrateSwapState(data, status) };
+
+      // Secrets used to be persisted on the swap; move them into the vault
+      if (swap.secret) {
+        const { id: secretId, hashlock } = await this.secretVault.seal(`resolver:${id}`, swap.secret, {
+          terms: swap.escrowTerms,
+          context: { swapId: id, type: swap.type }
+        });
+        delete swap.secret;
+        Object.assign(swap, { secretId, hashlock: swap.hashlock || hashlock });
+        await this.swapRepository.save(id, swap, { status });
+      }
+
+      if (!isTerminalSwapState(swap.status)) {
+        this.activeSwaps.set(id, swap);
+      } else if (swap.status === SWAP_STATES.COMPLETED) {
+        this.completedSwaps.set(id, swap);
+      } else {
+        this.failedSwaps.set(id, swap);
+      }
+    }
+
+    this.logger.info('Resolver swaps restored from storage', {
+      active: this.activeSwaps.size,
+      completed: this.completedSwaps.size,
+      failed: this.failedSwaps.size
+    });
+  }
+
+  // Write a swap through to storage under the registry that currently holds it
+  async persistSwap(swap) {
+    if (!this.swapRepository) {
+      return;
+    }
+
+    let registry = 'failed';
+    if (this.activeSwaps.has(swap.id)) {
+      registry = 'active';
+    } else if (this.completedSwaps.has(swap.id)) {
+      registry = 'completed';
+    }
+
+    try {
+      await this.swapRepository.save(swap.id, swap, { status: registry });
+    } catch (error) {
+      this.logger.error('Failed to persist swap:', error, { swapId: swap.id });
+    }
+  }
+
   async startMonitoring() {
     try {
       // Monitor Sui escrow events
@@ -114,20 +230,32 @@ export class ResolverBot extends EventEmitter {
   }
 
   startPeriodicTasks() {
-    // Health check every 5 minutes
-    cron.schedule('*/5 * * * *', () => {
-      this.performHealthCheck();
-    });
-
-    // Cleanup expired swaps every 10 minutes
-    cron.schedule('*/10 * * * *', () => {
-      this.cleanupExpiredSwaps();
-    });
-
-    // Log metrics every hour
-    cron.schedule('0 * * * *', () => {
-      this.logMetrics();
-    });
+    this.tasks = [
+      // Health check every 5 minutes
+      cron.schedule('*/5 * * * *', () => {
+        this.performHealthCheck();
+      }),
+
+      // Refresh inventory balances every 5 minutes
+      cron.schedule('*/5 * * * *', () => {
+        this.refreshInventory();
+      }),
+
+      // Retry failed steps and refund expired escrows every minute
+      cron.schedule('* * * * *', () => {
+        this.driveSwaps();
+      }),
+
+      // Cleanup expired swaps every 10 minutes
+      cron.schedule('*/10 * * * *', () => {
+        this.cleanupExpiredSwaps();
+      }),
+
+      // Log metrics every hour
+      cron.schedule('0 * * * *', () => {
+        this.logMetrics();
+      })
+    ];
   }
 
   async handleSuiEvent(event) {
@@ -159,29 +287,36 @@ export class ResolverBot extends EventEmitter {
       crossChainId
     });
 
-    // Check if this is a cross-chain swap we should handle
-    if (await this.shouldHandleSwap(event)) {
-      const swapId = this.generateSwapId(crossChainId);
+    const swapId = this.generateSwapId(crossChainId);
 
-      const swap = {
-        id: swapId,
-        type: 'SUI_TO_ETH',
-        status: 'PENDING',
-        suiEscrowId: escrowId,
-        sender,
-        recipient,
-        amount,
-        hash,
-        expiry,
-        crossChainId,
-        createdAt: Date.now(),
-        attempts: 0
-      };
+    const swap = {
+      id: swapId,
+      type: 'SUI_TO_ETH',
+      status: SWAP_STATES.PENDING,
+      suiEscrowId: escrowId,
+      sender,
+      recipient,
+      amount,
+      // Escrows hold SUI; the Ethereum side's terms come with the event when known
+      srcToken: event.coinType || '0x2::sui::SUI',
+      srcAmount: amount,
+      dstChainId: event.dstChainId,
+      dstToken: event.dstToken,
+      dstAmount: event.dstAmount,
+      hash,
+      expiry,
+      crossChainId,
+      createdAt: Date.now(),
+      attempts: 0
+    };
 
+    // Check if this is a cross-chain swap we should handle
+    if (await this.shouldHandleSwap(swap)) {
       this.activeSwaps.set(swapId, swap);
+      await this.persistSwap(swap);
 
       // Execute the cross-chain swap
-      await this.executeCrossChainSwap(swap);
+      await this.advanceSwap(swap);
     }
   }
 
@@ -193,10 +328,16 @@ export class ResolverBot extends EventEmitter {
       if (swap.suiEscrowId === escrowId) {
         this.logger.info('Secret revealed for swap', { swapId, escrowId });
 
-        // Use the secret to claim on Ethereum side
-        if (swap.status === 'WAITING_FOR_SECRET') {
-          swap.secret = secret;
-          await this.claimEthereumEscrow(swap);
+        // Seal the secret; it's released to claim on the Ethereum side once
+        // both escrows check out
+        if (swap.status === SWAP_STATES.WAITING_FOR_SECRET && !swap.secretId) {
+          const { id } = await this.secretVault.seal(`resolver:${swapId}`, secret, {
+            terms: swap.escrowTerms,
+            context: { swapId, type: swap.type }
+          });
+          swap.secretId = id;
+          await this.persistSwap(swap);
+          await this.advanceSwap(swap);
         }
         break;
       }
@@ -204,6 +345,11 @@ export class ResolverBot extends EventEmitter {
   }
 
   async handleFusionOrders(orders) {
+    // Polling returns a page of the relayer's active orders
+    if (orders && !Array.isArray(orders) && Array.isArray(orders.items)) {
+      orders = orders.items;
+    }
+
     // Ensure orders is an array
     if (!orders || !Array.isArray(orders)) {
       this.logger.warn('Invalid orders data received:', { orders, type: typeof orders });
@@ -212,7 +358,9 @@ export class ResolverBot extends EventEmitter {
 
     for (const order of orders) {
       try {
-        if (this.isCrossChainOrder(order)) {
+        if (this.bidding.getBid(order.orderHash ?? order.id)) {
+          await this.bidding.handleOrderUpdate(order);
+        } else if (this.isCrossChainOrder(order)) {
           await this.handleFusionCrossChainOrder(order);
         }
       } catch (error) {
@@ -224,15 +372,24 @@ export class ResolverBot extends EventEmitter {
   async handleFusionCrossChainOrder(order) {
     // Check if this order is for ETH -> SUI swap
     if (order.dstChainId === 'sui' || order.customData?.protocol === 'manteia') {
-      const swapId = this.generateSwapId(order.customData?.crossChainId || order.id);
+      const orderHash = order.orderHash ?? order.id;
+      if (!this.ethereumResolver) {
+        this.logger.debug('Fusion order skipped: no Ethereum resolver to fill it', { orderHash });
+        return;
+      }
+      const swapId = this.generateSwapId(order.customData?.crossChainId || orderHash);
 
       const swap = {
         id: swapId,
         type: 'ETH_TO_SUI',
-        status: 'PENDING',
-        fusionOrderId: order.id,
+        status: SWAP_STATES.PENDING,
+        fusionOrderId: orderHash,
         srcChainId: order.srcChainId,
         amount: order.amount,
+        srcToken: order.order?.makerAsset ?? order.makerAsset,
+        srcAmount: order.order?.makingAmount ?? order.makingAmount ?? order.amount,
+        dstToken: order.customData?.dstToken ?? '0x2::sui::SUI',
+        dstAmount: order.order?.takingAmount ?? order.takingAmount,
         hashLock: order.customData?.hashLock,
         timelock: order.customData?.timelock,
         crossChainId: order.customData?.crossChainId,
@@ -240,223 +397,482 @@ export class ResolverBot extends EventEmitter {
         attempts: 0
       };
 
-      this.activeSwaps.set(swapId, swap);
+      // Even the end of the auction needs this much inventory on Sui
+      const leg = this.fundingLeg(swap);
+      const funding = leg
+        ? await this.inventory.checkFunding(leg.chainId, leg.token, leg.amount)
+        : { fundable: false, reason: 'Swap is missing its destination token or amount' };
+      if (!funding.fundable) {
+        this.logger.warn('Fusion order skipped', { orderHash, reason: funding.reason });
+        return;
+      }
 
-      // Execute the cross-chain swap
-      await this.executeCrossChainSwap(swap);
+      // The swap becomes active once the bidding engine decides to fill
+      await this.bidding.submit(order, swap);
     }
   }
 
-  async executeCrossChainSwap(swap) {
-    try {
-      this.logger.info('Executing cross-chain swap', {
-        swapId: swap.id,
-        type: swap.type
-      });
+  // Fill a Fusion+ order at the auction point its bid was scheduled for
+  async fillAuctionBid(bid, swap) {
+    swap.srcAmount = bid.remainingMakerAmount;
+    swap.dstAmount = bid.bidTakingAmount;
+    swap.bid = {
+      orderHash: bid.orderHash,
+      scheduledFor: bid.scheduledFor,
+      rateBump: bid.rateBump,
+      losses: bid.losses
+    };
 
-      swap.status = 'EXECUTING';
-      swap.attempts += 1;
+    // Throws when the inventory is gone; the bidding engine backs off and retries
+    const leg = this.fundingLeg(swap);
+    await this.inventory.reserve(swap.id, leg.chainId, leg.token, leg.amount);
 
-      if (swap.type === 'ETH_TO_SUI') {
-        await this.executeEthToSuiSwap(swap);
-      } else if (swap.type === 'SUI_TO_ETH') {
-        await this.executeSuiToEthSwap(swap);
-      }
+    this.activeSwaps.set(swap.id, swap);
+    await this.persistSwap(swap);
+
+    // Execute the cross-chain swap
+    await this.advanceSwap(swap);
+  }
 
+  /**
+   * Drive a swap through its state machine. Every state has one idempotent
+   * step that checks what already happened (persisted ids, on-chain escrow
+   * state) before acting, so a swap can resume from any persisted state.
+   * Steps run until one makes no progress, e.g. while waiting for a secret.
+   */
+  async advanceSwap(swap) {
+    if (this.advancing.has(swap.id)) return;
+    this.advancing.add(swap.id);
+
+    try {
+      while (!isTerminalSwapState(swap.status)) {
+        const from = swap.status;
+        await this.getStep(swap).call(this, swap);
+        if (swap.status === from) break;
+      }
     } catch (error) {
-      this.logger.error('Error executing cross-chain swap:', error);
-      await this.handleSwapError(swap, error);
+      await this.handleStepError(swap, error);
+    } finally {
+      this.advancing.delete(swap.id);
     }
   }
 
-  async executeEthToSuiSwap(swap) {
-    const startTime = Date.now();
+  getStep(swap) {
+    const steps = {
+      [SWAP_STATES.PENDING]: this.evaluateSwap,
+      [SWAP_STATES.ACCEPTED]: swap.type === 'ETH_TO_SUI' ? this.lockSuiEscrow : this.lockEthereumEscrow,
+      [SWAP_STATES.ESCROW_CREATED]: this.fulfillSwap,
+      [SWAP_STATES.WAITING_FOR_SECRET]: this.claimWithSecret,
+      [SWAP_STATES.REFUNDING]: this.refundSwap
+    };
+    return steps[swap.status];
+  }
 
-    try {
-      // 1. Check profitability
-      const profitable = await this.checkSwapProfitability(swap);
-      if (!profitable) {
-        throw new Error('Swap not profitable');
+  async transition(swap, to, fields = {}) {
+    const from = swap.status;
+    assertSwapTransition(from, to);
+
+    Object.assign(swap, fields, {
+      status: to,
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      updatedAt: Date.now()
+    });
+    swap.history = [...(swap.history || []), { from, to, at: swap.updatedAt }];
+
+    if (isTerminalSwapState(to)) {
+      this.activeSwaps.delete(swap.id);
+      this.inventory.release(swap.id);
+
+      if (to === SWAP_STATES.COMPLETED) {
+        swap.completedAt = swap.updatedAt;
+        swap.executionTime = swap.completedAt - swap.createdAt;
+        this.completedSwaps.set(swap.id, swap);
+        this.updateMetrics(swap, true);
+      } else {
+        this.failedSwaps.set(swap.id, swap);
+        if (to !== SWAP_STATES.CANCELLED) {
+          this.updateMetrics(swap, false);
+        }
       }
+    }
 
-      // 2. Create Sui escrow with same hash and timelock
-      const suiEscrow = await this.suiService.createEscrow({
-        coin: await this.getSuiCoin(swap.amount),
-        recipient: swap.recipient || swap.sender,
-        resolver: this.suiService.address,
-        secret: swap.secret || this.suiService.generateSecret(),
-        duration: swap.timelock || (30 * 60 * 1000), // 30 minutes
-        crossChainId: swap.crossChainId
+    await this.persistSwap(swap);
+    this.logger.info('Swap state changed', { swapId: swap.id, from, to });
+  }
+
+  async handleStepError(swap, error) {
+    if (isTerminalSwapState(swap.status)) return;
+
+    swap.attempts += 1;
+    swap.lastError = error.message;
+    this.logger.error('Swap step failed', {
+      swapId: swap.id,
+      status: swap.status,
+      attempt: swap.attempts,
+      error: error.message
+    });
+
+    // Nothing is locked yet: give up once the retries are used
+    if (!ESCROWED_SWAP_STATES.includes(swap.status) && swap.attempts >= this.config.retryAttempts &&
+        !(await this.mayHaveEscrow(swap))) {
+      await this.transition(swap, SWAP_STATES.FAILED, { error: error.message, failedAt: Date.now() });
+      return;
+    }
+
+    // Escrowed swaps keep retrying until they complete or refund
+    swap.nextAttemptAt = Date.now() + this.config.retryDelayMs * 2 ** Math.min(swap.attempts - 1, 6);
+    await this.persistSwap(swap);
+  }
+
+  // PENDING: take the swap only if it pays
+  async evaluateSwap(swap) {
+    if (await this.checkSwapProfitability(swap)) {
+      await this.transition(swap, SWAP_STATES.ACCEPTED);
+    } else {
+      await this.transition(swap, SWAP_STATES.REJECTED, {
+        error: `Swap not profitable: ${swap.profitability.reason}`
       });
+    }
+  }
 
-      swap.suiEscrowId = suiEscrow.escrowId;
-      swap.secret = suiEscrow.secret || swap.secret;
+  // ACCEPTED (ETH_TO_SUI): lock the destination funds in a Sui escrow. The
+  // secret is persisted before the transaction is sent, and an attempt cut
+  // short by a crash is looked up on-chain by its crossChainId instead of
+  // locking funds twice, so a swap without one is never escrowed. Nor is
+  // one whose Fusion+ order can't be filled: the escrow would only come back
+  // through the timelock refund.
+  async lockSuiEscrow(swap) {
+    if (await this.recoverRequestedEscrow(swap)) return;
+    if (!swap.crossChainId) {
+      await this.transition(swap, SWAP_STATES.REJECTED, { error: 'Swap has no crossChainId to track its escrow by' });
+      return;
+    }
+    if (!this.ethereumResolver) {
+      await this.transition(swap, SWAP_STATES.REJECTED, { error: 'No Ethereum resolver to fill the Fusion+ order' });
+      return;
+    }
 
-      // 3. Execute the Fusion+ order
-      // This would involve calling 1inch contracts to fulfill the order
-      await this.fulfillFusionOrder(swap);
+    const duration = swap.timelock || (30 * 60 * 1000); // 30 minutes
+    if (!swap.secretId) {
+      const { id, hashlock } = await this.secretVault.generate(`resolver:${swap.id}`, {
+        terms: { dst: { amount: swap.dstAmount } },
+        context: { swapId: swap.id, type: swap.type }
+      });
+      swap.secretId = id;
+      swap.hashlock = hashlock;
+    }
+    swap.escrowRequestedAt = Date.now();
+    await this.persistSwap(swap);
+
+    const suiEscrow = await this.suiService.createEscrow({
+      coin: await this.getSuiCoin(swap.dstAmount, swap.dstToken),
+      coinType: swap.dstToken,
+      recipient: swap.recipient || swap.sender,
+      resolver: this.suiService.address,
+      hash: swap.hashlock,
+      duration,
+      crossChainId: swap.crossChainId
+    });
 
-      swap.status = 'COMPLETED';
-      swap.completedAt = Date.now();
-      swap.executionTime = Date.now() - startTime;
+    this.inventory.consume(swap.id);
+    await this.transition(swap, SWAP_STATES.ESCROW_CREATED, {
+      suiEscrowId: suiEscrow.escrowId,
+      refundAfter: swap.escrowRequestedAt + duration
+    });
+  }
 
-      // Move to completed swaps
-      this.completedSwaps.set(swap.id, swap);
-      this.activeSwaps.delete(swap.id);
+  // ACCEPTED (SUI_TO_ETH): lock the Ethereum side, provided the user's Sui
+  // escrow can still be claimed. As on Sui, the request is persisted first
+  // and an interrupted attempt is looked up before locking again.
+  async lockEthereumEscrow(swap) {
+    if (await this.recoverRequestedEscrow(swap)) return;
+    if (!swap.crossChainId) {
+      await this.transition(swap, SWAP_STATES.REJECTED, { error: 'Swap has no crossChainId to track its escrow by' });
+      return;
+    }
+    if (!this.ethereumResolver) {
+      await this.transition(swap, SWAP_STATES.REJECTED, { error: 'No Ethereum resolver to create the escrow' });
+      return;
+    }
+
+    const source = await this.suiService.getEscrowDetails(swap.suiEscrowId);
+    if (source.isClaimed || Date.now() >= Number(source.expiry)) {
+      await this.transition(swap, SWAP_STATES.REJECTED, { error: 'Source escrow is no longer open' });
+      return;
+    }
+
+    swap.escrowRequestedAt = Date.now();
+    await this.persistSwap(swap);
+
+    const ethEscrow = await this.createEthereumEscrow(swap);
+
+    this.inventory.consume(swap.id);
+    await this.transition(swap, SWAP_STATES.WAITING_FOR_SECRET, this.ethereumEscrowFields(swap, source, ethEscrow));
+  }
+
+  // The Ethereum escrow is refunded once the source escrow has expired. The
+  // escrows' terms are what the secret vault checks before releasing the
+  // secret.
+  ethereumEscrowFields(swap, source, ethEscrow) {
+    return {
+      ethEscrowId: ethEscrow.escrowId,
+      refundAfter: Number(source.expiry),
+      escrowTerms: {
+        src: { amount: source.amount, timelocks: source.expiry },
+        dst: { amount: swap.dstAmount, timelocks: ethEscrow.timelocks }
+      }
+    };
+  }
 
-      this.updateMetrics(swap, true);
+  // An ACCEPTED swap whose escrow request went out may have locked funds
+  // even though the result never reached storage. Look the escrow up
+  // on-chain and, if it exists, move the swap on to its escrowed state.
+  async recoverRequestedEscrow(swap) {
+    if (swap.status !== SWAP_STATES.ACCEPTED || !swap.escrowRequestedAt) {
+      return false;
+    }
 
-      this.logger.info('ETH to SUI swap completed', {
-        swapId: swap.id,
-        executionTime: swap.executionTime
+    if (swap.type === 'ETH_TO_SUI') {
+      const existing = await this.suiService.findEscrowByCrossChainId(swap.crossChainId);
+      if (!existing) return false;
+
+      this.inventory.consume(swap.id);
+      await this.transition(swap, SWAP_STATES.ESCROW_CREATED, {
+        suiEscrowId: existing.escrowId,
+        refundAfter: Number(existing.expiry)
       });
+      return true;
+    }
+
+    const existing = await this.findEthereumEscrow(swap);
+    if (!existing) return false;
+
+    const source = await this.suiService.getEscrowDetails(swap.suiEscrowId);
+    this.inventory.consume(swap.id);
+    await this.transition(swap, SWAP_STATES.WAITING_FOR_SECRET, this.ethereumEscrowFields(swap, source, existing));
+    return true;
+  }
 
+  // Whether a swap that isn't escrowed yet may still hold locked funds. A
+  // failed lookup counts as locked, so the swap is retried rather than
+  // cancelled or failed.
+  async mayHaveEscrow(swap) {
+    if (!swap.escrowRequestedAt) return false;
+
+    try {
+      return await this.recoverRequestedEscrow(swap);
     } catch (error) {
-      throw error;
+      this.logger.error('Escrow lookup failed', { swapId: swap.id, error: error.message });
+      return true;
     }
   }
 
-  async executeSuiToEthSwap(swap) {
-    const startTime = Date.now();
+  // ESCROW_CREATED (ETH_TO_SUI): fill the Fusion+ order unless the Sui
+  // escrow expired unclaimed, in which case it is refunded. The swap only
+  // completes with the hash of a fill transaction.
+  async fulfillSwap(swap) {
+    const escrow = await this.suiService.getEscrowDetails(swap.suiEscrowId);
+    if (!escrow.isClaimed && Date.now() >= Number(escrow.expiry)) {
+      await this.transition(swap, SWAP_STATES.REFUNDING);
+      return;
+    }
 
-    try {
-      // 1. Check profitability
-      const profitable = await this.checkSwapProfitability(swap);
-      if (!profitable) {
-        throw new Error('Swap not profitable');
+    if (!swap.fulfillTxHash) {
+      const result = await this.fulfillFusionOrder(swap);
+      if (!result?.txHash) {
+        throw new Error('Fusion+ fill returned no transaction hash');
       }
+      swap.fulfillTxHash = result.txHash;
+      await this.persistSwap(swap);
+    }
 
-      // 2. Create Ethereum escrow (via 1inch Fusion+)
-      const ethEscrow = await this.createEthereumEscrow(swap);
+    await this.transition(swap, SWAP_STATES.COMPLETED);
+  }
 
-      swap.ethEscrowId = ethEscrow.escrowId;
-      swap.status = 'WAITING_FOR_SECRET';
+  // WAITING_FOR_SECRET (SUI_TO_ETH): claim with the revealed secret before
+  // the timelock, refund after it
+  async claimWithSecret(swap) {
+    if (Date.now() >= swap.refundAfter) {
+      await this.transition(swap, SWAP_STATES.REFUNDING);
+      return;
+    }
+    if (!swap.secretId) return;
+
+    // The vault checks both escrows against the terms recorded when they
+    // were created before releasing the secret. Until the Ethereum escrow
+    // can be read there is nothing to check, so the reveal waits for the
+    // next tick instead of auditing a denial on every one.
+    const destination = await this.getEthereumEscrowDetails(swap);
+    if (!destination) {
+      this.logger.warn('Ethereum escrow not readable yet; secret not requested', { swapId: swap.id });
+      return;
+    }
 
-      // 3. Wait for user to claim on Sui and reveal secret
-      // This will be handled by handleSuiEscrowClaimed
+    const source = await this.suiService.getEscrowDetails(swap.suiEscrowId);
+    const secret = await this.secretVault.reveal(swap.secretId, {
+      src: { hashlock: source.hash, amount: source.amount, timelocks: source.expiry },
+      dst: destination,
+      purpose: 'claim_ethereum_escrow',
+      requester: `resolver:${swap.id}`
+    });
 
-      this.logger.info('SUI to ETH swap prepared, waiting for secret reveal', {
-        swapId: swap.id
-      });
+    // Use the revealed secret to claim the Ethereum escrow
+    const result = await this.requireEthereumResolver().claimEscrow({
+      escrowId: swap.ethEscrowId,
+      secret
+    });
 
-    } catch (error) {
-      throw error;
-    }
+    await this.transition(swap, SWAP_STATES.COMPLETED, { claimTxHash: result?.txHash });
+    this.logger.info('SUI to ETH swap completed', {
+      swapId: swap.id,
+      executionTime: swap.executionTime
+    });
   }
 
-  async claimEthereumEscrow(swap) {
-    try {
-      // Use the revealed secret to claim the Ethereum escrow
-      const result = await this.oneInchService.claimEscrow({
-        escrowId: swap.ethEscrowId,
-        secret: swap.secret
-      });
+  // REFUNDING: reclaim the resolver's escrow. A Sui escrow can't be claimed
+  // after its expiry, so one already settled here was refunded by an earlier
+  // attempt.
+  async refundSwap(swap) {
+    if (swap.type === 'ETH_TO_SUI') {
+      const escrow = await this.suiService.getEscrowDetails(swap.suiEscrowId);
+      if (!escrow.isClaimed) {
+        const result = await this.suiService.cancelEscrow({ escrowId: swap.suiEscrowId, coinType: swap.dstToken });
+        swap.refundTxHash = result.digest;
+      }
+    } else {
+      const result = await this.refundEthereumEscrow(swap);
+      swap.refundTxHash = result.txHash;
+    }
 
-      swap.status = 'COMPLETED';
-      swap.completedAt = Date.now();
-      swap.executionTime = Date.now() - swap.createdAt;
+    await this.transition(swap, SWAP_STATES.REFUNDED, { refundedAt: Date.now() });
+    await this.refreshInventory();
+  }
 
-      // Move to completed swaps
-      this.completedSwaps.set(swap.id, swap);
-      this.activeSwaps.delete(swap.id);
+  // Resume every non-terminal swap, e.g. after a restart. Swaps that haven't
+  // locked funds yet need their inventory reserved again.
+  async resumeSwaps() {
+    for (const swap of Array.from(this.activeSwaps.values())) {
+      if (!ESCROWED_SWAP_STATES.includes(swap.status) && !(await this.shouldHandleSwap(swap)) &&
+          !(await this.mayHaveEscrow(swap))) {
+        await this.transition(swap, SWAP_STATES.CANCELLED, { cancelReason: 'Insufficient inventory', cancelledAt: Date.now() });
+        continue;
+      }
+      await this.advanceSwap(swap);
+    }
 
-      this.updateMetrics(swap, true);
+    this.logger.info('Resolver swaps resumed', { active: this.activeSwaps.size });
+  }
 
-      this.logger.info('SUI to ETH swap completed', {
-        swapId: swap.id,
-        secret: swap.secret,
-        executionTime: swap.executionTime
-      });
+  // Advance swaps whose retry delay is over or whose refund is due
+  async driveSwaps() {
+    if (!this.isRunning) return;
 
-    } catch (error) {
-      this.logger.error('Error claiming Ethereum escrow:', error);
-      await this.handleSwapError(swap, error);
+    const now = Date.now();
+    for (const swap of Array.from(this.activeSwaps.values())) {
+      const refundDue = swap.refundAfter && now >= swap.refundAfter;
+      if (refundDue || !swap.nextAttemptAt || now >= swap.nextAttemptAt) {
+        await this.advanceSwap(swap);
+      }
     }
   }
 
+  // Accept a swap only when its expected profit after all costs clears the
+  // minimum margin; the itemized breakdown is kept on the swap and logged
   async checkSwapProfitability(swap) {
-    try {
-      // Get current market rates
-      const srcPrice = await this.getTokenPrice(swap.srcToken, swap.srcChainId);
-      const dstPrice = await this.getTokenPrice(swap.dstToken, swap.dstChainId);
-
-      // Calculate expected profit
-      const marketRate = srcPrice / dstPrice;
-      const swapRate = swap.dstAmount / swap.srcAmount;
-      const profitMargin = (swapRate - marketRate) / marketRate;
-
-      const isProfitable = profitMargin >= this.config.minProfitMargin;
-
-      this.logger.debug('Profitability check', {
-        swapId: swap.id,
-        marketRate,
-        swapRate,
-        profitMargin,
-        isProfitable
-      });
+    const breakdown = await this.profitability.evaluate(swap);
+    swap.profitability = { ...breakdown, evaluatedAt: Date.now() };
 
-      return isProfitable;
-    } catch (error) {
-      this.logger.error('Error checking profitability:', error);
-      return false;
+    if (breakdown.accepted) {
+      this.logger.info('Swap accepted', breakdown);
+    } else {
+      this.logger.warn('Swap rejected', breakdown);
     }
+
+    return breakdown.accepted;
+  }
+
+  // Calls to the Ethereum side throw without a resolver for it, so the step
+  // is retried and escrowed swaps still reach their timelock refund
+  requireEthereumResolver() {
+    if (!this.ethereumResolver) {
+      throw new Error('No Ethereum resolver configured');
+    }
+    return this.ethereumResolver;
   }
 
   async fulfillFusionOrder(swap) {
-    // Implementation would call 1inch Fusion+ resolver contracts
-    // For demo purposes, we'll simulate the fulfillment
     this.logger.info('Fulfilling Fusion+ order', { swapId: swap.id });
-
-    // In practice, this would:
-    // 1. Call the Fusion+ smart contract
-    // 2. Provide proof of Sui escrow creation
-    // 3. Execute the cross-chain transfer
-
-    return { success: true, txHash: 'mock_tx_hash' };
+    return this.requireEthereumResolver().fillFusionOrder(swap);
   }
 
   async createEthereumEscrow(swap) {
-    // Implementation would create escrow on Ethereum via 1inch
-    // For demo purposes, we'll simulate
     this.logger.info('Creating Ethereum escrow', { swapId: swap.id });
+    return this.requireEthereumResolver().createEscrow(swap);
+  }
 
-    return {
-      escrowId: 'mock_eth_escrow_id',
-      hash: swap.hash,
-      timelock: swap.timelock
-    };
+  // Escrow requested for the swap's crossChainId, or null when none exists.
+  // Throws when it can't be looked up, which keeps the swap from being
+  // cancelled or failed.
+  async findEthereumEscrow(swap) {
+    return this.requireEthereumResolver().findEscrow(swap.crossChainId);
   }
 
-  async handleSwapError(swap, error) {
-    swap.status = 'FAILED';
-    swap.error = error.message;
-    swap.failedAt = Date.now();
+  // Hashlock, amount and timelocks read from the Ethereum escrow, or null
+  // while it can't be read
+  async getEthereumEscrowDetails(swap) {
+    if (!this.ethereumResolver) return null;
+    return this.ethereumResolver.getEscrowDetails(swap.ethEscrowId);
+  }
 
-    if (swap.attempts < this.config.retryAttempts) {
-      // Retry after delay
-      setTimeout(() => {
-        this.executeCrossChainSwap(swap);
-      }, this.config.retryDelayMs * swap.attempts);
-    } else {
-      // Move to failed swaps
-      this.failedSwaps.set(swap.id, swap);
-      this.activeSwaps.delete(swap.id);
+  async refundEthereumEscrow(swap) {
+    this.logger.info('Refunding Ethereum escrow', { swapId: swap.id });
+    return this.requireEthereumResolver().refundEscrow(swap);
+  }
 
-      this.updateMetrics(swap, false);
+  // Reserve the inventory the swap needs; swaps the resolver can't fund
+  // are rejected, as are SUI_TO_ETH swaps without an Ethereum resolver to
+  // lock and claim their escrow. Profitability is checked when the swap
+  // executes.
+  async shouldHandleSwap(swap) {
+    const leg = this.fundingLeg(swap);
 
-      this.logger.error('Swap failed permanently', {
-        swapId: swap.id,
-        attempts: swap.attempts,
-        error: error.message
-      });
+    try {
+      if (swap.type === 'SUI_TO_ETH' && !this.ethereumResolver) {
+        throw new Error('No Ethereum resolver to lock and claim the Ethereum escrow');
+      }
+      if (!leg) {
+        throw new Error('Swap is missing its destination token or amount');
+      }
+      await this.inventory.reserve(swap.id, leg.chainId, leg.token, leg.amount);
+      return true;
+    } catch (error) {
+      this.logger.warn('Swap rejected', { swapId: swap.id, reason: error.message });
+      return false;
     }
   }
 
-  async shouldHandleSwap(event) {
-    // Check if we're the designated resolver
-    // Check if we have sufficient liquidity
-    // Check if the swap is profitable
-    return true; // Simplified for demo
+  // What the resolver locks: the destination side of the swap
+  fundingLeg(swap) {
+    if (!swap.dstToken || swap.dstAmount === undefined || swap.dstAmount === null) {
+      return null;
+    }
+
+    return {
+      chainId: swap.type === 'ETH_TO_SUI' ? 'sui' : (swap.dstChainId ?? this.profitability.config.defaultEvmChainId),
+      token: swap.dstToken,
+      amount: swap.dstAmount
+    };
+  }
+
+  async refreshInventory() {
+    try {
+      return await this.inventory.refresh();
+    } catch (error) {
+      this.logger.error('Failed to refresh resolver inventory:', error);
+      return null;
+    }
   }
 
   isCrossChainOrder(order) {
@@ -468,27 +884,9 @@ export class ResolverBot extends EventEmitter {
     return `swap_${crossChainId}_${Date.now()}`;
   }
 
-  async getSuiCoin(amount) {
-    // Get a Sui coin object with sufficient balance
-    const coins = await this.suiService.getCoins(this.suiService.address);
-    const suitableCoin = coins.find(coin => BigInt(coin.balance) >= BigInt(amount));
-
-    if (!suitableCoin) {
-      throw new Error('Insufficient Sui balance for swap');
-    }
-
-    return suitableCoin.coinObjectId;
-  }
-
-  async getTokenPrice(token, chainId) {
-    // Get token price from 1inch or external price oracle
-    try {
-      const price = await this.oneInchService.getTokenPrice(chainId, [token]);
-      return price[token] || 1;
-    } catch (error) {
-      this.logger.error('Error getting token price:', error);
-      return 1; // Fallback price
-    }
+  async getSuiCoin(amount, coinType) {
+    // Get a Sui coin object with sufficient balance, merging coins if needed
+    return this.suiService.getCoinForAmount(amount, coinType);
   }
 
   updateMetrics(swap, success) {
@@ -497,6 +895,8 @@ export class ResolverBot extends EventEmitter {
     if (success) {
       this.metrics.successfulSwaps += 1;
       this.metrics.totalVolume += parseFloat(swap.amount || 0);
+      // Expected, not realized, profit of the completed swap in USD
+      this.metrics.totalProfit += swap.profitability?.expectedProfitUsd || 0;
 
       if (swap.executionTime) {
         this.metrics.averageExecutionTime =
@@ -534,8 +934,9 @@ export class ResolverBot extends EventEmitter {
     const now = Date.now();
     const timeoutMs = this.config.timeoutMinutes * 60 * 1000;
 
+    // Escrowed swaps are left to their timelock refund
     for (const [swapId, swap] of this.activeSwaps) {
-      if (now - swap.createdAt > timeoutMs) {
+      if (!ESCROWED_SWAP_STATES.includes(swap.status) && now - swap.createdAt > timeoutMs) {
         this.logger.warn('Cleaning up expired swap', { swapId });
         await this.cancelSwap(swapId, 'Timeout');
       }
@@ -544,21 +945,16 @@ export class ResolverBot extends EventEmitter {
 
   async cancelSwap(swapId, reason) {
     const swap = this.activeSwaps.get(swapId);
-    if (!swap) return;
-
-    try {
-      // Cancel any pending operations
-      if (swap.suiEscrowId) {
-        await this.suiService.cancelEscrow({ escrowId: swap.suiEscrowId });
-      }
+    if (!swap || this.advancing.has(swapId)) return;
 
-      swap.status = 'CANCELLED';
-      swap.cancelReason = reason;
-      swap.cancelledAt = Date.now();
-
-      this.failedSwaps.set(swapId, swap);
-      this.activeSwaps.delete(swapId);
+    // Locked funds only come back through the timelock refund
+    if (ESCROWED_SWAP_STATES.includes(swap.status) || await this.mayHaveEscrow(swap)) {
+      this.logger.warn('Escrowed swap will be refunded at its timelock instead', { swapId, reason });
+      return;
+    }
 
+    try {
+      await this.transition(swap, SWAP_STATES.CANCELLED, { cancelReason: reason, cancelledAt: Date.now() });
       this.logger.info('Swap cancelled', { swapId, reason });
     } catch (error) {
       this.logger.error('Error cancelling swap:', error);
@@ -574,6 +970,8 @@ export class ResolverBot extends EventEmitter {
       isRunning: this.isRunning,
       enabled: this.enabled,
       activeSwaps: this.activeSwaps.size,
+      pendingBids: this.bidding.getPendingBids().length,
+      inventory: this.inventory.getSnapshot(),
       completedSwaps: this.completedSwaps.size,
       failedSwaps: this.failedSwaps.size,
       metrics: this.metrics,
@@ -591,6 +989,10 @@ export class ResolverBot extends EventEmitter {
     return Array.from(this.activeSwaps.values());
   }
 
+  getPendingBids() {
+    return this.bidding.getPendingBids();
+  }
+
   getCompletedSwaps(limit = 100) {
     return Array.from(this.completedSwaps.values()).slice(-limit);
   }
@@ -0,0 +1,335 @@
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+
+const SUI_COIN_TYPE = '0x2::sui::SUI';
+const MAX_ALERTS = 50;
+
+export const INVENTORY_DEFAULTS = {
+  // Tracked balances: { chainId: number | 'sui', token, symbol, decimals,
+  // minBalance, targetBalance, rebalance } with amounts in base units.
+  // Below minBalance an alert is raised; with `rebalance` set, USDC is
+  // bridged over from the other chain up to targetBalance.
+  tokens: [{ chainId: 'sui', token: SUI_COIN_TYPE, symbol: 'SUI', decimals: 9 }]
+};
+
+function inventoryError(message) {
+  const error = new Error(message);
+  error.name = 'InsufficientInventoryError';
+  return error;
+}
+
+/**
+ * Resolver inventory per chain and token. Accepting a swap reserves the
+ * amount the resolver has to lock on the destination chain, so concurrent
+ * swaps can't spend the same balance; reservations are consumed when the
+ * swap completes and released when it fails or is cancelled. Balances are
+ * refreshed from the 1inch balance API (EVM) and the Sui RPC.
+ */
+export class ResolverInventory extends EventEmitter {
+  constructor({ oneInchService, suiService, bridgeService, logger, config = {} }) {
+    super();
+
+    this.oneInchService = oneInchService;
+    this.suiService = suiService;
+    this.bridgeService = bridgeService || null;
+    this.logger = logger;
+    this.config = { ...INVENTORY_DEFAULTS, ...config };
+
+    this.balances = new Map(); // key -> { chainId, token, balance, updatedAt }
+    this.reservations = new Map(); // swapId -> { swapId, chainId, token, amount, createdAt }
+    this.lowBalances = new Set(); // keys currently below their minimum
+    this.alerts = [];
+    this.rebalancing = false;
+    this.lastRefreshAt = null;
+  }
+
+  // EVM addresses are case-insensitive, Sui coin types are not
+  key(chainId, token) {
+    return chainId === 'sui' ? `sui:${token}` : `${Number(chainId)}:${token.toLowerCase()}`;
+  }
+
+  async refresh() {
+    const evmTokens = new Map();
+    for (const entry of this.config.tokens) {
+      if (entry.chainId === 'sui') {
+        await this.fetchBalance(entry.chainId, entry.token);
+      } else {
+        evmTokens.set(Number(entry.chainId), [...(evmTokens.get(Number(entry.chainId)) || []), entry.token]);
+      }
+    }
+
+    for (const [chainId, tokens] of evmTokens) {
+      await this.fetchEvmBalances(chainId, tokens);
+    }
+
+    this.lastRefreshAt = new Date().toISOString();
+    await this.checkThresholds();
+    return this.getSnapshot();
+  }
+
+  async fetchBalance(chainId, token) {
+    if (chainId !== 'sui') {
+      await this.fetchEvmBalances(Number(chainId), [token]);
+      return this.balances.get(this.key(chainId, token)).balance;
+    }
+
+    if (!this.suiService?.address) {
+      throw new Error('Sui resolver account is not configured');
+    }
+    const { totalBalance } = await this.suiService.getBalance(this.suiService.address, token);
+    this.setBalance(chainId, token, totalBalance);
+    return String(totalBalance);
+  }
+
+  async fetchEvmBalances(chainId, tokens) {
+    if (!this.config.evmAddress) {
+      throw new Error('EVM resolver account is not configured');
+    }
+
+    const balances = await this.oneInchService.getBalances(this.config.evmAddress, chainId, tokens);
+    const balanceOf = Object.fromEntries(
+      Object.entries(balances || {}).map(([token, value]) => [token.toLowerCase(), value])
+    );
+    for (const token of tokens) {
+      this.setBalance(chainId, token, balanceOf[token.toLowerCase()] || '0');
+    }
+  }
+
+  setBalance(chainId, token, balance) {
+    this.balances.set(this.key(chainId, token), {
+      chainId,
+      token,
+      balance: String(balance),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getReserved(chainId, token) {
+    const key = this.key(chainId, token);
+    let reserved = 0n;
+    for (const reservation of this.reservations.values()) {
+      if (this.key(reservation.chainId, reservation.token) === key) {
+        reserved += BigInt(reservation.amount);
+      }
+    }
+    return reserved;
+  }
+
+  // Balance not reserved by in-flight swaps; untracked tokens are looked up on demand
+  async getAvailable(chainId, token) {
+    const key = this.key(chainId, token);
+    if (!this.balances.has(key)) {
+      await this.fetchBalance(chainId, token);
+    }
+    return BigInt(this.balances.get(key).balance) - this.getReserved(chainId, token);
+  }
+
+  /**
+   * Whether the resolver can fund an amount right now
+   * @returns {Promise<Object>} { fundable, available, reason }
+   */
+  async checkFunding(chainId, token, amount) {
+    try {
+      const available = await this.getAvailable(chainId, token);
+      const fundable = available >= BigInt(amount);
+      return {
+        fundable,
+        available: available.toString(),
+        ...(!fundable && { reason: `Insufficient ${token} inventory on ${chainId}: ${available} available, ${amount} needed` })
+      };
+    } catch (error) {
+      return { fundable: false, available: null, reason: `Inventory lookup failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Reserve inventory for a swap; a swap holds at most one reservation
+   * @throws {Error} InsufficientInventoryError when the amount isn't available
+   */
+  async reserve(swapId, chainId, token, amount) {
+    this.reservations.delete(swapId);
+
+    const funding = await this.checkFunding(chainId, token, amount);
+    if (!funding.fundable) {
+      throw inventoryError(funding.reason);
+    }
+
+    const reservation = { swapId, chainId, token, amount: String(amount), createdAt: new Date().toISOString() };
+    this.reservations.set(swapId, reservation);
+    this.logger.debug('Inventory reserved', reservation);
+
+    await this.checkThresholds();
+    return reservation;
+  }
+
+  // Swap failed or was cancelled: the reserved amount was never spent
+  release(swapId) {
+    return this.reservations.delete(swapId);
+  }
+
+  // Swap completed: the reserved amount left the resolver's account
+  consume(swapId) {
+    const reservation = this.reservations.get(swapId);
+    if (!reservation) return;
+
+    this.reservations.delete(swapId);
+    const current = this.balances.get(this.key(reservation.chainId, reservation.token));
+    if (current) {
+      const remaining = BigInt(current.balance) - BigInt(reservation.amount);
+      this.setBalance(reservation.chainId, reservation.token, remaining > 0n ? remaining : 0n);
+    }
+  }
+
+  async checkThresholds() {
+    for (const entry of this.config.tokens) {
+      if (entry.minBalance === undefined) continue;
+
+      const key = this.key(entry.chainId, entry.token);
+      if (!this.balances.has(key)) continue;
+
+      const available = BigInt(this.balances.get(key).balance) - this.getReserved(entry.chainId, entry.token);
+      if (available >= BigInt(entry.minBalance)) {
+        this.lowBalances.delete(key);
+        continue;
+      }
+
+      // Alert once per drop below the threshold
+      if (this.lowBalances.has(key)) continue;
+      this.lowBalances.add(key);
+
+      this.raiseAlert({
+        type: 'low_balance',
+        chainId: entry.chainId,
+        token: entry.token,
+        symbol: entry.symbol,
+        available: available.toString(),
+        minBalance: String(entry.minBalance)
+      });
+
+      // Bridging takes minutes; swaps don't wait for it
+      if (entry.rebalance) {
+        this.rebalance(entry, available);
+      }
+    }
+  }
+
+  raiseAlert(alert) {
+    const record = { ...alert, timestamp: new Date().toISOString() };
+    this.alerts = [...this.alerts, record].slice(-MAX_ALERTS);
+
+    this.logger.warn('Resolver inventory alert', record);
+    this.emit('inventory_alert', record);
+  }
+
+  /**
+   * Top up a low USDC balance from the other chain over Wormhole, up to the
+   * target balance and without taking the other side below its own minimum
+   */
+  async rebalance(entry, available) {
+    if (this.rebalancing) return null;
+
+    const counterpart = this.config.tokens.find(other =>
+      other.symbol === entry.symbol && (other.chainId === 'sui') !== (entry.chainId === 'sui')
+    );
+
+    try {
+      if (entry.symbol !== 'USDC') {
+        throw new Error('Only USDC can be bridged');
+      }
+      if (!this.bridgeService || !counterpart) {
+        throw new Error('No bridge or counterpart balance configured');
+      }
+
+      const needed = BigInt(entry.targetBalance ?? BigInt(entry.minBalance) * 2n) - available;
+      const surplus = await this.getAvailable(counterpart.chainId, counterpart.token) - BigInt(counterpart.minBalance || 0);
+      const amount = needed < surplus ? needed : surplus;
+      if (amount <= 0n) {
+        throw new Error(`No ${entry.symbol} surplus on ${counterpart.chainId} to bridge`);
+      }
+
+      this.rebalancing = true;
+      const toSui = entry.chainId === 'sui';
+      const params = {
+        amount: ethers.formatUnits(amount, entry.decimals ?? 6),
+        fromAddress: toSui ? this.config.evmAddress : this.suiService.address,
+        toAddress: toSui ? this.suiService.address : this.config.evmAddress,
+        signer: { privateKey: toSui ? this.config.evmPrivateKey : this.config.suiPrivateKey }
+      };
+      const result = toSui
+        ? await this.bridgeService.bridgeUSDCToSui(params)
+        : await this.bridgeService.bridgeUSDCToEthereum(params);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      // Redeem the VAA on the destination chain
+      const completion = toSui
+        ? await this.bridgeService.completeUSDCBridgeOnSui({
+          vaa: result.vaa,
+          transfer: result.transfer,
+          suiSigner: { privateKey: this.config.suiPrivateKey }
+        })
+        : await this.bridgeService.completeUSDCBridgeOnEthereum({
+          vaa: result.vaa,
+          transfer: result.transfer,
+          ethSigner: { privateKey: this.config.evmPrivateKey }
+        });
+      if (!completion.success) {
+        throw new Error(completion.error);
+      }
+
+      this.raiseAlert({
+        type: 'rebalanced',
+        chainId: entry.chainId,
+        token: entry.token,
+        symbol: entry.symbol,
+        from: counterpart.chainId,
+        amount: amount.toString(),
+        srcTxHash: result.ethTxHash || result.suiTxHash,
+        dstTxHash: completion.suiTxHash || completion.ethTxHash
+      });
+
+      await this.fetchBalance(entry.chainId, entry.token);
+      await this.fetchBalance(counterpart.chainId, counterpart.token);
+      return completion;
+    } catch (error) {
+      this.raiseAlert({
+        type: 'rebalance_failed',
+        chainId: entry.chainId,
+        token: entry.token,
+        symbol: entry.symbol,
+        error: error.message
+      });
+      return null;
+    } finally {
+      this.rebalancing = false;
+    }
+  }
+
+  getSnapshot() {
+    const tokens = this.config.tokens.map(entry => {
+      const key = this.key(entry.chainId, entry.token);
+      const current = this.balances.get(key);
+      const reserved = this.getReserved(entry.chainId, entry.token);
+
+      return {
+        chainId: entry.chainId,
+        token: entry.token,
+        symbol: entry.symbol,
+        balance: current?.balance ?? null,
+        reserved: reserved.toString(),
+        available: current ? (BigInt(current.balance) - reserved).toString() : null,
+        minBalance: entry.minBalance !== undefined ? String(entry.minBalance) : null,
+        low: this.lowBalances.has(key),
+        updatedAt: current?.updatedAt ?? null
+      };
+    });
+
+    return {
+      tokens,
+      reservations: Array.from(this.reservations.values()),
+      alerts: this.alerts,
+      lastRefreshAt: this.lastRefreshAt
+    };
+  }
+}
@@ -0,0 +1,211 @@
+const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const SUI_COIN_TYPE = '0x2::sui::SUI';
+const SUI_DECIMALS = 9;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+export const PROFITABILITY_DEFAULTS = {
+  minProfitMargin: 0.005, // 0.5% of the value the resolver gives up
+  // EVM gas units of the resolver's side: filling the Fusion+ order, or
+  // creating and claiming the Ethereum escrow
+  evmGasUnits: {
+    ETH_TO_SUI: 250000,
+    SUI_TO_ETH: 350000
+  },
+  suiGasBudget: 10000000, // MIST per swap
+  resolverFeeBps: 10,
+  // Cost of capital of the inventory locked until the swap settles
+  inventoryAnnualRate: 0.08,
+  holdingPeriodMs: 30 * 60 * 1000, // for swaps without a timelock
+  defaultEvmChainId: 1,
+  // Sui coin types priced through an EVM token the 1inch price API knows:
+  // { [coinType]: { chainId, address, decimals } }
+  suiPriceReferences: {}
+};
+
+function toUnits(amount, decimals) {
+  return Number(amount) / 10 ** decimals;
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Gas price API: EIP-1559 tiers ({ medium: { maxFeePerGas } }) or a legacy price
+function gasPriceWei(response) {
+  const price = response?.medium?.maxFeePerGas ?? response?.standard ?? response?.gasPrice;
+  if (price === undefined || price === null || !Number.isFinite(Number(price))) {
+    throw new Error('Gas price API returned no usable price');
+  }
+  return Number(price);
+}
+
+/**
+ * Expected profit of a cross-chain swap for the resolver. The spread
+ * (value received on the source chain minus value given on the destination
+ * chain) is reduced by EVM gas, the Sui gas budget, bridge fees for moving
+ * inventory back, the resolver fee and the holding cost of the inventory
+ * locked until settlement. All values are in USD; any price or fee that
+ * can't be looked up rejects the swap.
+ */
+export class ProfitabilityModel {
+  constructor({ oneInchService, bridgeService, config = {} }) {
+    this.oneInchService = oneInchService;
+    this.bridgeService = bridgeService || null;
+    this.config = {
+      ...PROFITABILITY_DEFAULTS,
+      ...config,
+      evmGasUnits: { ...PROFITABILITY_DEFAULTS.evmGasUnits, ...config.evmGasUnits }
+    };
+  }
+
+  /**
+   * Evaluate a swap
+   * @param {Object} swap - Resolver swap: type, srcToken, dstToken, srcAmount,
+   *   dstAmount (base units), timelock (ms) and the EVM side's chain
+   *   (srcChainId for ETH_TO_SUI, dstChainId for SUI_TO_ETH)
+   * @returns {Promise<Object>} Itemized breakdown with `accepted` and, when
+   *   rejected, `reason`
+   */
+  async evaluate(swap) {
+    const breakdown = {
+      swapId: swap.id,
+      direction: swap.type,
+      minProfitMargin: this.config.minProfitMargin
+    };
+
+    try {
+      for (const field of ['srcToken', 'dstToken', 'srcAmount', 'dstAmount']) {
+        if (swap[field] === undefined || swap[field] === null) {
+          throw new Error(`Swap is missing ${field}`);
+        }
+      }
+
+      const toSui = swap.type === 'ETH_TO_SUI';
+      const evmChainId = (toSui ? swap.srcChainId : swap.dstChainId) ?? this.config.defaultEvmChainId;
+      const src = await this.getTokenValue(toSui ? evmChainId : 'sui', swap.srcToken, swap.srcAmount);
+      const dst = await this.getTokenValue(toSui ? 'sui' : evmChainId, swap.dstToken, swap.dstAmount);
+
+      const costs = {
+        evmGasUsd: await this.estimateEvmGasCost(evmChainId, swap.type),
+        suiGasUsd: await this.estimateSuiGasCost(),
+        bridgeFeeUsd: await this.estimateBridgeCost(swap.type, evmChainId),
+        resolverFeeUsd: src.usd * this.config.resolverFeeBps / 10000,
+        inventoryCostUsd: this.estimateInventoryCost(dst.usd, swap.timelock)
+      };
+
+      return this.summarize(breakdown, src.usd, dst.usd, costs);
+    } catch (error) {
+      return { ...breakdown, accepted: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Re-evaluate an accepted breakdown for a different destination amount,
+   * e.g. the taking amount at another point of a Dutch auction. Prices are
+   * not looked up again: the value given and the inventory cost scale with
+   * the amount, the other costs stay the same.
+   * @param {Object} breakdown - Breakdown returned by evaluate()
+   * @param {string|bigint} dstAmount - Amount the breakdown was evaluated at
+   * @param {string|bigint} newDstAmount - Amount to evaluate
+   * @returns {Object} Breakdown for newDstAmount
+   */
+  reprice(breakdown, dstAmount, newDstAmount) {
+    const ratio = Number(newDstAmount) / Number(dstAmount);
+    const costs = {
+      ...breakdown.costs,
+      inventoryCostUsd: breakdown.costs.inventoryCostUsd * ratio
+    };
+    return this.summarize(
+      { swapId: breakdown.swapId, direction: breakdown.direction, minProfitMargin: breakdown.minProfitMargin },
+      breakdown.receivedUsd,
+      breakdown.givenUsd * ratio,
+      costs
+    );
+  }
+
+  summarize(breakdown, receivedUsd, givenUsd, costs) {
+    const totalCostsUsd = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+    const grossProfitUsd = receivedUsd - givenUsd;
+    const expectedProfitUsd = grossProfitUsd - totalCostsUsd;
+    const profitMargin = givenUsd > 0 ? expectedProfitUsd / givenUsd : -Infinity;
+    const accepted = expectedProfitUsd > 0 && profitMargin >= this.config.minProfitMargin;
+
+    return {
+      ...breakdown,
+      receivedUsd: round(receivedUsd),
+      givenUsd: round(givenUsd),
+      grossProfitUsd: round(grossProfitUsd),
+      costs: Object.fromEntries(Object.entries(costs).map(([key, cost]) => [key, round(cost)])),
+      totalCostsUsd: round(totalCostsUsd),
+      expectedProfitUsd: round(expectedProfitUsd),
+      profitMargin: Number.isFinite(profitMargin) ? round(profitMargin) : null,
+      accepted,
+      ...(!accepted && { reason: 'Expected profit is below the minimum margin' })
+    };
+  }
+
+  // USD value of an amount in base units
+  async getTokenValue(chainId, token, amount) {
+    if (chainId === 'sui') {
+      const reference = this.config.suiPriceReferences[token];
+      if (!reference) {
+        throw new Error(`No price reference configured for Sui coin ${token}`);
+      }
+      const price = await this.getUsdPrice(reference.chainId, reference.address);
+      return { usd: toUnits(amount, reference.decimals) * price, price };
+    }
+
+    const decimals = await this.oneInchService.getTokenDecimals(chainId, token);
+    const price = await this.getUsdPrice(chainId, token);
+    return { usd: toUnits(amount, decimals) * price, price };
+  }
+
+  async getUsdPrice(chainId, token) {
+    const prices = await this.oneInchService.getTokenPrice(chainId, [token], 'USD');
+    const price = Number(prices?.[token] ?? prices?.[token.toLowerCase()]);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`No USD price for ${token} on chain ${chainId}`);
+    }
+    return price;
+  }
+
+  async estimateEvmGasCost(chainId, direction) {
+    const gasUnits = this.config.evmGasUnits[direction];
+    if (!gasUnits) {
+      throw new Error(`No gas estimate for ${direction} swaps`);
+    }
+
+    const weiPerGas = gasPriceWei(await this.oneInchService.getGasPrice(chainId));
+    const nativeUsd = await this.getUsdPrice(chainId, NATIVE_TOKEN);
+    return toUnits(weiPerGas * gasUnits, 18) * nativeUsd;
+  }
+
+  async estimateSuiGasCost() {
+    const { usd } = await this.getTokenValue('sui', SUI_COIN_TYPE, this.config.suiGasBudget);
+    return usd;
+  }
+
+  // Wormhole fee for moving the received inventory back across; it's paid in
+  // the native token of the chain the inventory was received on
+  async estimateBridgeCost(direction, evmChainId) {
+    if (!this.bridgeService) {
+      throw new Error('Bridge fee estimation is not configured');
+    }
+
+    const [from, to] = direction === 'ETH_TO_SUI' ? ['Ethereum', 'Sui'] : ['Sui', 'Ethereum'];
+    const fees = await this.bridgeService.estimateBridgeFees(from, to, 'USDC');
+    const total = Number(fees?.totalFee ?? fees?.total);
+    if (!Number.isFinite(total)) {
+      throw new Error('Bridge fee estimate returned no total');
+    }
+
+    return direction === 'ETH_TO_SUI'
+      ? total * await this.getUsdPrice(evmChainId, NATIVE_TOKEN)
+      : (await this.getTokenValue('sui', SUI_COIN_TYPE, total * 10 ** SUI_DECIMALS)).usd;
+  }
+
+  estimateInventoryCost(lockedUsd, timelockMs) {
+    const seconds = (timelockMs || this.config.holdingPeriodMs) / 1000;
+    return lockedUsd * this.config.inventoryAnnualRate * seconds / SECONDS_PER_YEAR;
+  }
+}
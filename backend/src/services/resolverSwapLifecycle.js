@@ -0,0 +1,99 @@
+// Resolver swap states
+export const SWAP_STATES = {
+  PENDING: 'PENDING', // detected, inventory reserved
+  ACCEPTED: 'ACCEPTED', // profitable; the resolver's escrow is next
+  ESCROW_CREATED: 'ESCROW_CREATED', // ETH_TO_SUI: Sui escrow locked, Fusion+ order to fill
+  WAITING_FOR_SECRET: 'WAITING_FOR_SECRET', // SUI_TO_ETH: Ethereum escrow locked
+  REFUNDING: 'REFUNDING', // timelock passed, reclaiming the resolver's escrow
+  COMPLETED: 'COMPLETED',
+  REFUNDED: 'REFUNDED',
+  REJECTED: 'REJECTED', // not profitable or its source escrow is gone
+  FAILED: 'FAILED', // gave up before any funds were locked
+  CANCELLED: 'CANCELLED'
+};
+
+export const TERMINAL_SWAP_STATES = [
+  SWAP_STATES.COMPLETED,
+  SWAP_STATES.REFUNDED,
+  SWAP_STATES.REJECTED,
+  SWAP_STATES.FAILED,
+  SWAP_STATES.CANCELLED
+];
+
+// States in which the resolver has funds locked in an escrow; these only
+// end by completing or by the timelock refund
+export const ESCROWED_SWAP_STATES = [
+  SWAP_STATES.ESCROW_CREATED,
+  SWAP_STATES.WAITING_FOR_SECRET,
+  SWAP_STATES.REFUNDING
+];
+
+// Allowed transitions; terminal states have none
+const TRANSITIONS = {
+  [SWAP_STATES.PENDING]: [
+    SWAP_STATES.ACCEPTED,
+    SWAP_STATES.REJECTED,
+    SWAP_STATES.FAILED,
+    SWAP_STATES.CANCELLED
+  ],
+  [SWAP_STATES.ACCEPTED]: [
+    SWAP_STATES.ESCROW_CREATED,
+    SWAP_STATES.WAITING_FOR_SECRET,
+    SWAP_STATES.REJECTED,
+    SWAP_STATES.FAILED,
+    SWAP_STATES.CANCELLED
+  ],
+  [SWAP_STATES.ESCROW_CREATED]: [
+    SWAP_STATES.COMPLETED,
+    SWAP_STATES.REFUNDING
+  ],
+  [SWAP_STATES.WAITING_FOR_SECRET]: [
+    SWAP_STATES.COMPLETED,
+    SWAP_STATES.REFUNDING
+  ],
+  [SWAP_STATES.REFUNDING]: [
+    SWAP_STATES.REFUNDED
+  ]
+};
+
+export function isTerminalSwapState(state) {
+  return TERMINAL_SWAP_STATES.includes(state);
+}
+
+export function canSwapTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function assertSwapTransition(from, to) {
+  if (!canSwapTransition(from, to)) {
+    const error = new Error(`Invalid swap transition: ${from} -> ${to}`);
+    error.name = 'ConflictError';
+    throw error;
+  }
+}
+
+/**
+ * State of a swap persisted before the state machine, which only knew
+ * PENDING, EXECUTING, WAITING_FOR_SECRET, COMPLETED, FAILED and CANCELLED
+ * @param {Object} swap - Persisted swap
+ * @param {string} registry - Registry the swap was persisted under
+ * @returns {string} Swap state
+ */
+export function migrateSwapState(swap, registry) {
+  if (Object.values(SWAP_STATES).includes(swap.status) && swap.status !== SWAP_STATES.FAILED) {
+    return swap.status;
+  }
+
+  // FAILED swaps in the active registry were waiting for a retry
+  if (swap.status === SWAP_STATES.FAILED && registry !== 'active') {
+    return SWAP_STATES.FAILED;
+  }
+
+  if (swap.type === 'ETH_TO_SUI' && swap.suiEscrowId) {
+    return SWAP_STATES.ESCROW_CREATED;
+  }
+  if (swap.type === 'SUI_TO_ETH' && swap.ethEscrowId) {
+    return SWAP_STATES.WAITING_FOR_SECRET;
+  }
+  return SWAP_STATES.PENDING;
+}
@@ -0,0 +1,235 @@
+import { EventEmitter } from 'events';
+import cron from 'node-cron';
+
+export const PLAN_STATUSES = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+export function planError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function isClosed(plan) {
+  return plan.status === PLAN_STATUSES.COMPLETED || plan.status === PLAN_STATUSES.CANCELLED;
+}
+
+/**
+ * Base for services that run persisted plans on a cron schedule (DCA,
+ * rebalancing). It owns the plan registry, the cron tasks and the
+ * pause / resume / update / cancel lifecycle; subclasses create plans and
+ * implement runScheduledPlan(), and may override validatePlan() and
+ * isFinished().
+ */
+export class ScheduledPlanService extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage with repository()
+   * @param {Object} options.logger - Logger
+   * @param {string} options.repository - Repository the plans are saved in
+   * @param {string} options.name - Plan name used in messages, e.g. 'DCA plan'
+   * @param {Array<string>} options.updatableFields - Fields updatePlan() may change
+   */
+  constructor({ storage, logger, repository, name, updatableFields }) {
+    super();
+
+    this.logger = logger;
+    this.planRepository = storage?.repository(repository) || null;
+    this.planName = name;
+    this.updatableFields = updatableFields;
+
+    this.plans = new Map();
+    this.tasks = new Map();
+    this.running = new Set();
+  }
+
+  async runScheduledPlan() {
+    throw new Error('runScheduledPlan() must be implemented by subclass');
+  }
+
+  validatePlan(plan) {
+    this.assertSchedule(plan.schedule, plan.timezone);
+  }
+
+  isFinished() {
+    return false;
+  }
+
+  assertSchedule(schedule, timezone) {
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression: ${schedule}`);
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+  }
+
+  // Register a newly created plan and start its schedule
+  async addPlan(plan) {
+    this.plans.set(plan.id, plan);
+    this.schedulePlan(plan);
+    await this.savePlan(plan);
+  }
+
+  schedulePlan(plan) {
+    this.tasks.get(plan.id)?.stop();
+
+    const task = cron.schedule(plan.schedule, () => {
+      this.runScheduledPlan(plan.id).catch(error => {
+        this.logger.error(`Scheduled ${this.planName} run failed:`, error, { planId: plan.id });
+      });
+    }, { timezone: plan.timezone, scheduled: plan.status === PLAN_STATUSES.ACTIVE });
+
+    this.tasks.set(plan.id, task);
+  }
+
+  unschedulePlan(planId) {
+    this.tasks.get(planId)?.stop();
+    this.tasks.delete(planId);
+  }
+
+  async completePlan(plan) {
+    this.unschedulePlan(plan.id);
+    plan.status = PLAN_STATUSES.COMPLETED;
+    plan.updatedAt = new Date().toISOString();
+    await this.savePlan(plan);
+
+    this.logger.info(`${this.planName} completed`, { planId: plan.id });
+  }
+
+  async pausePlan(planId) {
+    const plan = this.requirePlan(planId);
+    if (plan.status !== PLAN_STATUSES.ACTIVE) {
+      throw planError('ConflictError', `Cannot pause a ${plan.status} plan`);
+    }
+
+    this.tasks.get(planId)?.stop();
+    plan.status = PLAN_STATUSES.PAUSED;
+    plan.updatedAt = new Date().toISOString();
+    await this.savePlan(plan);
+
+    this.logger.info(`${this.planName} paused`, { planId });
+    return plan;
+  }
+
+  async resumePlan(planId) {
+    const plan = this.requirePlan(planId);
+    if (plan.status !== PLAN_STATUSES.PAUSED) {
+      throw planError('ConflictError', `Cannot resume a ${plan.status} plan`);
+    }
+
+    plan.status = PLAN_STATUSES.ACTIVE;
+    plan.updatedAt = new Date().toISOString();
+    if (this.isFinished(plan)) {
+      await this.completePlan(plan);
+      return plan;
+    }
+
+    this.schedulePlan(plan);
+    await this.savePlan(plan);
+
+    this.logger.info(`${this.planName} resumed`, { planId });
+    return plan;
+  }
+
+  async updatePlan(planId, updates) {
+    const plan = this.requirePlan(planId);
+    if (isClosed(plan)) {
+      throw planError('ConflictError', `Cannot update a ${plan.status} plan`);
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(updates).filter(([key]) => this.updatableFields.includes(key))
+    );
+    this.validatePlan({ ...plan, ...changes });
+
+    Object.assign(plan, changes, { updatedAt: new Date().toISOString() });
+    if (changes.schedule || changes.timezone) {
+      this.schedulePlan(plan);
+    }
+    await this.savePlan(plan);
+
+    this.logger.info(`${this.planName} updated`, { planId, fields: Object.keys(changes) });
+    return plan;
+  }
+
+  // Cancelling keeps the plan and its log; already placed orders are not touched
+  async cancelPlan(planId) {
+    const plan = this.requirePlan(planId);
+    if (isClosed(plan)) {
+      throw planError('ConflictError', `Plan is already ${plan.status}`);
+    }
+
+    this.unschedulePlan(planId);
+    plan.status = PLAN_STATUSES.CANCELLED;
+    plan.updatedAt = new Date().toISOString();
+    await this.savePlan(plan);
+
+    this.logger.info(`${this.planName} cancelled`, { planId });
+    return plan;
+  }
+
+  getPlan(planId) {
+    return this.plans.get(planId) || null;
+  }
+
+  listPlans({ maker, status } = {}) {
+    return Array.from(this.plans.values()).filter(plan =>
+      (!maker || plan.maker.toLowerCase() === maker.toLowerCase()) &&
+      (!status || plan.status === status)
+    );
+  }
+
+  requirePlan(planId) {
+    const plan = this.plans.get(planId);
+    if (!plan) {
+      throw planError('NotFoundError', `${this.planName} not found`);
+    }
+    return plan;
+  }
+
+  async savePlan(plan) {
+    if (!this.planRepository) return;
+
+    try {
+      await this.planRepository.save(plan.id, plan);
+    } catch (error) {
+      this.logger.error(`Failed to persist ${this.planName}:`, error, { planId: plan.id });
+    }
+  }
+
+  // Reload plans on boot and reschedule the active and paused ones
+  async restorePlans() {
+    if (!this.planRepository) {
+      return 0;
+    }
+
+    const records = await this.planRepository.list();
+    for (const { id, data } of records) {
+      this.plans.set(id, data);
+      if (!isClosed(data)) {
+        try {
+          this.schedulePlan(data);
+        } catch (error) {
+          this.logger.error(`Failed to reschedule ${this.planName}:`, error, { planId: id });
+        }
+      }
+    }
+
+    this.logger.info(`${this.planName}s restored from storage`, { count: records.length });
+    return records.length;
+  }
+
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+  }
+}
@@ -0,0 +1,115 @@
+import Ajv from 'ajv';
+
+/**
+ * JSON Schema validation for user-authored documents (strategy definitions,
+ * template parameters). Failures throw a ValidationError whose details are
+ * { field, message } with dotted field paths, the same shape the routes
+ * report for Joi errors.
+ */
+
+// Shared building blocks
+export const ADDRESS = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+export const UINT_STRING = { type: 'string', pattern: '^\\d+$' };
+export const HEX_BYTES = { type: 'string', pattern: '^0x([0-9a-fA-F]{2})*$' };
+
+const PATTERN_MESSAGES = {
+  [ADDRESS.pattern]: 'must be a 0x-prefixed 20-byte address',
+  [UINT_STRING.pattern]: 'must be an unsigned integer string',
+  [HEX_BYTES.pattern]: 'must be 0x-prefixed hex bytes'
+};
+
+const ajv = new Ajv({ allErrors: true, verbose: true });
+const ajvWithDefaults = new Ajv({ allErrors: true, verbose: true, useDefaults: true });
+
+export function schemaValidationError(details, label = 'Validation failed') {
+  const error = new Error(
+    `${label}: ${details.map(d => (d.field ? `${d.field}: ${d.message}` : d.message)).join('; ')}`
+  );
+  error.name = 'ValidationError';
+  error.details = details;
+  return error;
+}
+
+// JSON pointer (/conditions/all/0) to a dotted field path (conditions.all.0)
+function toField(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .join('.');
+}
+
+export function joinField(...segments) {
+  return segments.filter(segment => segment !== '').join('.');
+}
+
+// Errors of the individual anyOf / oneOf branches and property name checks
+// are summarized by the anyOf / oneOf / propertyNames error itself
+function isBranchError(error) {
+  return /\/(anyOf|oneOf|propertyNames)\//.test(error.schemaPath);
+}
+
+// Names of the properties when every branch just requires one property
+function requiredAlternatives(branches) {
+  return branches.every(branch => branch.required?.length === 1)
+    ? branches.map(branch => branch.required[0]).join(', ')
+    : null;
+}
+
+// Point required/additionalProperties errors at the property itself
+function formatSchemaError(error) {
+  const field = toField(error.instancePath);
+
+  switch (error.keyword) {
+    case 'required':
+      return { field: joinField(field, error.params.missingProperty), message: 'is required' };
+    case 'additionalProperties':
+      return { field: joinField(field, error.params.additionalProperty), message: 'is not allowed' };
+    case 'propertyNames':
+      return {
+        field: joinField(field, error.params.propertyName),
+        message: error.schema.enum
+          ? `is not allowed; expected one of ${error.schema.enum.join(', ')}`
+          : PATTERN_MESSAGES[error.schema.pattern] || 'is not a valid property name'
+      };
+    case 'anyOf': {
+      const alternatives = requiredAlternatives(error.schema);
+      return { field, message: alternatives ? `must set at least one of ${alternatives}` : error.message };
+    }
+    case 'oneOf': {
+      const alternatives = requiredAlternatives(error.schema);
+      return { field, message: alternatives ? `must set exactly one of ${alternatives}` : error.message };
+    }
+    case 'pattern':
+      return { field, message: PATTERN_MESSAGES[error.schema] || error.message };
+    case 'minProperties':
+    case 'maxProperties': {
+      const { minProperties, maxProperties } = error.parentSchema;
+      if (minProperties === maxProperties) {
+        return { field, message: `must have exactly ${minProperties} ${minProperties === 1 ? 'property' : 'properties'}` };
+      }
+      return { field, message: error.message };
+    }
+    default:
+      return { field, message: error.message };
+  }
+}
+
+/**
+ * Compile a schema into a validator
+ * @param {Object} schema - JSON Schema (draft-07)
+ * @param {Object} options - Validator options
+ * @param {boolean} options.useDefaults - Fill in missing properties from their `default` (mutates the input)
+ * @param {string} options.label - Error message prefix
+ * @returns {Function} (data) => data; throws a ValidationError listing every failure
+ */
+export function compileSchema(schema, { useDefaults = false, label } = {}) {
+  const validate = (useDefaults ? ajvWithDefaults : ajv).compile(schema);
+
+  return data => {
+    if (!validate(data)) {
+      throw schemaValidationError(validate.errors.filter(error => !isBranchError(error)).map(formatSchemaError), label);
+    }
+    return data;
+  };
+}
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+const CIPHER = 'aes-256-gcm';
+const SIDES = ['src', 'dst'];
+
+// Hash functions of the escrows a secret can unlock: the Sui escrow module
+// uses sha3-256, 1inch escrows keccak256
+export const HASH_ALGORITHMS = {
+  sha3_256: bytes => crypto.createHash('sha3-256').update(bytes).digest('hex'),
+  keccak256: bytes => ethers.keccak256(bytes).slice(2)
+};
+
+function vaultError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Hashlocks arrive as 0x hex (EVM), bare hex or byte arrays (Sui events)
+function toHex(value) {
+  if (Array.isArray(value) || value instanceof Uint8Array) {
+    return Buffer.from(value).toString('hex');
+  }
+  return String(value).replace(/^0x/, '').toLowerCase();
+}
+
+function sameValue(a, b) {
+  try {
+    return BigInt(a) === BigInt(b);
+  } catch {
+    return String(a) === String(b);
+  }
+}
+
+function parseMasterKey(masterKey) {
+  const key = /^(0x)?[0-9a-fA-F]{64}$/.test(masterKey || '')
+    ? Buffer.from(masterKey.replace(/^0x/, ''), 'hex')
+    : Buffer.from(masterKey || '', 'base64');
+  if (key.length !== 32) {
+    throw new Error('Secret vault master key must be 32 bytes (hex or base64)');
+  }
+  return key;
+}
+
+/**
+ * Vault for HTLC secrets. Secrets are encrypted at rest with AES-256-GCM
+ * under a master key and are only released once both escrows they unlock
+ * have been checked against the terms registered with the secret: the
+ * hashlock of each escrow must be the secret's hash, and its amount and
+ * timelocks must match. Every reveal attempt, granted or denied, is
+ * appended to the secret's audit trail.
+ */
+export class SecretVault {
+  constructor({ storage, masterKey, logger }) {
+    this.logger = logger;
+    this.key = parseMasterKey(masterKey);
+    // Identifies the key entries were sealed with, so a rotated key fails clearly
+    this.keyId = crypto.createHash('sha256').update(this.key).digest('hex').slice(0, 16);
+    this.repository = storage?.repository('secret_vault') || null;
+
+    this.entries = new Map(); // id -> sealed entry, never the plaintext
+  }
+
+  async restore() {
+    if (!this.repository) return 0;
+
+    const records = await this.repository.list();
+    for (const { id, data } of records) {
+      this.entries.set(id, data);
+    }
+
+    this.logger.info('Secret vault restored from storage', { count: this.entries.size });
+    return this.entries.size;
+  }
+
+  /**
+   * Generate and seal a random 32-byte secret
+   * @param {string} id - Vault ID, e.g. derived from the swap or order
+   * @param {Object} options - See seal()
+   * @returns {Promise<Object>} { id, hashlock } - never the secret itself
+   */
+  async generate(id, options = {}) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    // EVM tooling expects 0x-prefixed secrets, the Sui escrow bare hex
+    return this.seal(id, options.hashAlgorithm === 'keccak256' ? `0x${secret}` : secret, options);
+  }
+
+  /**
+   * Seal a secret
+   * @param {string} id - Vault ID
+   * @param {string} secret - Hex-encoded secret
+   * @param {Object} options
+   * @param {string} options.hashAlgorithm - 'sha3_256' (default) or 'keccak256'
+   * @param {Object} options.terms - Expected escrows: { src, dst }, each with
+   *   amount (or minAmount/maxAmount) and timelocks
+   * @param {Object} options.context - Free-form description kept for the audit
+   * @returns {Promise<Object>} { id, hashlock }
+   */
+  async seal(id, secret, { hashAlgorithm = 'sha3_256', terms = {}, context = {} } = {}) {
+    const hash = HASH_ALGORITHMS[hashAlgorithm];
+    if (!hash) {
+      throw vaultError('ValidationError', `Unsupported hash algorithm: ${hashAlgorithm}`);
+    }
+
+    const hashlock = hash(Buffer.from(toHex(secret), 'hex'));
+    const existing = this.entries.get(id);
+    if (existing) {
+      // Sealing the same secret again is a no-op, e.g. after a restart
+      if (existing.hashlock !== hashlock) {
+        throw vaultError('ConflictError', `Secret ${id} is already sealed with a different hashlock`);
+      }
+      return { id, hashlock };
+    }
+
+    const entry = {
+      id,
+      hashAlgorithm,
+      hashlock,
+      keyId: this.keyId,
+      ...this.encrypt(id, hashlock, secret),
+      terms,
+      context,
+      audit: [],
+      createdAt: new Date().toISOString()
+    };
+    this.entries.set(id, entry);
+    await this.saveEntry(entry);
+
+    this.logger.info('Secret sealed', { id, hashlock, hashAlgorithm });
+    return { id, hashlock };
+  }
+
+  // Register or extend the expected escrow terms, e.g. once an amount is known
+  async setTerms(id, terms) {
+    const entry = this.getEntry(id);
+    entry.terms = Object.fromEntries(
+      SIDES.map(side => [side, { ...entry.terms[side], ...terms[side] }])
+    );
+    await this.saveEntry(entry);
+    return entry.terms;
+  }
+
+  /**
+   * Release a secret after verifying both escrows
+   * @param {string} id - Vault ID
+   * @param {Object} request
+   * @param {Object} request.src - Source escrow as found on-chain: { hashlock, amount, timelocks }
+   * @param {Object} request.dst - Destination escrow, same shape
+   * @param {string} request.purpose - Why the secret is needed, for the audit
+   * @param {string} request.requester - Who asks, for the audit
+   * @returns {Promise<string>} The secret
+   * @throws {Error} SecretRevealDeniedError when an escrow doesn't match
+   */
+  async reveal(id, { src, dst, purpose, requester } = {}) {
+    const entry = this.getEntry(id);
+    const mismatches = this.verify(entry, { src, dst });
+
+    if (entry.keyId !== this.keyId) {
+      mismatches.push('secret was sealed with a different master key');
+    }
+
+    const granted = mismatches.length === 0;
+    entry.audit = [...entry.audit, {
+      purpose,
+      requester,
+      granted,
+      ...(!granted && { reasons: mismatches }),
+      escrows: { src, dst },
+      timestamp: new Date().toISOString()
+    }];
+    if (granted) {
+      entry.revealedAt = entry.revealedAt || new Date().toISOString();
+    }
+    await this.saveEntry(entry);
+
+    if (!granted) {
+      this.logger.warn('Secret reveal denied', { id, purpose, requester, reasons: mismatches });
+      throw vaultError('SecretRevealDeniedError', `Secret ${id} not released: ${mismatches.join('; ')}`);
+    }
+
+    this.logger.info('Secret revealed', { id, purpose, requester });
+    return this.decrypt(entry);
+  }
+
+  // Everything that keeps the escrows from matching the registered terms
+  verify(entry, escrows) {
+    const mismatches = [];
+
+    for (const side of SIDES) {
+      const escrow = escrows[side];
+      const terms = entry.terms[side] || {};
+
+      if (!escrow) {
+        mismatches.push(`${side} escrow was not verified`);
+        continue;
+      }
+      if (toHex(escrow.hashlock ?? '') !== entry.hashlock) {
+        mismatches.push(`${side} escrow hashlock does not match`);
+      }
+
+      if (terms.amount === undefined && terms.minAmount === undefined && terms.maxAmount === undefined) {
+        mismatches.push(`no expected ${side} amount registered`);
+      } else if (escrow.amount === undefined || escrow.amount === null) {
+        mismatches.push(`${side} escrow amount is unknown`);
+      } else if (
+        (terms.amount !== undefined && !sameValue(escrow.amount, terms.amount)) ||
+        (terms.minAmount !== undefined && BigInt(escrow.amount) < BigInt(terms.minAmount)) ||
+        (terms.maxAmount !== undefined && BigInt(escrow.amount) > BigInt(terms.maxAmount))
+      ) {
+        mismatches.push(`${side} escrow amount ${escrow.amount} does not match`);
+      }
+
+      if (terms.timelocks === undefined) {
+        mismatches.push(`no expected ${side} timelocks registered`);
+      } else if (!sameValue(escrow.timelocks, terms.timelocks)) {
+        mismatches.push(`${side} escrow timelocks do not match`);
+      }
+    }
+
+    return mismatches;
+  }
+
+  encrypt(id, hashlock, secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    // Bind the ciphertext to its entry so it can't be swapped between entries
+    cipher.setAAD(Buffer.from(`${id}:${hashlock}`));
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  decrypt(entry) {
+    const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAAD(Buffer.from(`${entry.id}:${entry.hashlock}`));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(entry.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  getEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      throw vaultError('NotFoundError', `Secret not found: ${id}`);
+    }
+    return entry;
+  }
+
+  // Entry without its ciphertext
+  describe(id) {
+    const { iv, tag, ciphertext, ...entry } = this.getEntry(id);
+    return entry;
+  }
+
+  getAuditLog(id) {
+    return this.getEntry(id).audit;
+  }
+
+  async saveEntry(entry) {
+    if (!this.repository) return;
+
+    try {
+      await this.repository.save(entry.id, entry, { status: entry.revealedAt ? 'revealed' : 'sealed' });
+    } catch (error) {
+      this.logger.error('Failed to persist secret:', error, { id: entry.id });
+    }
+  }
+}
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import { compileStrategyDefinition, parseStrategyDefinition } from './strategyDsl.js';
+
+function definitionError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Keep the error name (and validation details) for the route's status mapping
+function wrapError(prefix, error) {
+  const wrapped = new Error(`${prefix}: ${error.message}`);
+  wrapped.name = error.name;
+  wrapped.details = error.details;
+  return wrapped;
+}
+
+/**
+ * Versioned strategy definitions written in the strategy DSL (see
+ * strategyDsl.js). Every change is saved as a new immutable version, any
+ * version can be deployed as a custom strategy order, and deployments are
+ * recorded against the version they came from.
+ */
+export class StrategyDefinitionService {
+  constructor({ limitOrderService, storage, logger }) {
+    this.limitOrderService = limitOrderService;
+    this.logger = logger;
+    this.repository = storage?.repository('strategy_definitions') || null;
+
+    this.definitions = new Map();
+  }
+
+  /**
+   * Parse, validate and compile a definition without saving it
+   * @param {string|Object} source - YAML / JSON text or a parsed definition
+   * @param {string} format - 'yaml' or 'json'
+   * @returns {Object} { definition, predicate, preInteraction, postInteraction }
+   */
+  compile(source, format) {
+    const definition = parseStrategyDefinition(source, format);
+    const { predicate, preInteraction, postInteraction } = compileStrategyDefinition(definition);
+    return { definition, predicate, preInteraction, postInteraction };
+  }
+
+  createVersion(version, { source, format, note }) {
+    const { definition, predicate } = this.compile(source, format);
+
+    return {
+      version,
+      definition,
+      // Original text, so YAML comments and layout survive a round trip
+      source: typeof source === 'string' ? source : null,
+      format,
+      note: note || null,
+      predicate,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async createDefinition({ source, format, note }) {
+    try {
+      const version = this.createVersion(1, { source, format, note });
+      const record = {
+        id: `sdef_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        name: version.definition.name,
+        latestVersion: 1,
+        versions: [version],
+        deployments: [],
+        createdAt: version.createdAt,
+        updatedAt: version.createdAt
+      };
+
+      this.definitions.set(record.id, record);
+      await this.saveDefinition(record);
+
+      this.logger.info('Strategy definition created', { definitionId: record.id, name: record.name });
+      return record;
+    } catch (error) {
+      this.logger.error('Error creating strategy definition:', error);
+      throw wrapError('Failed to create strategy definition', error);
+    }
+  }
+
+  async addVersion(definitionId, { source, format, note }) {
+    const record = this.requireDefinition(definitionId);
+
+    try {
+      const version = this.createVersion(record.latestVersion + 1, { source, format, note });
+
+      record.versions.push(version);
+      record.latestVersion = version.version;
+      record.name = version.definition.name;
+      record.updatedAt = version.createdAt;
+      await this.saveDefinition(record);
+
+      this.logger.info('Strategy definition version added', { definitionId, version: version.version });
+      return version;
+    } catch (error) {
+      this.logger.error('Error adding strategy definition version:', error);
+      throw wrapError('Failed to add strategy definition version', error);
+    }
+  }
+
+  /**
+   * Deploy a saved version as a custom strategy order
+   * @param {string} definitionId - Definition ID
+   * @param {Object} params - Deployment parameters
+   * @param {number} params.version - Version to deploy (defaults to the latest)
+   * @param {string} params.maker - Order maker
+   * @param {string} params.makingAmount - Override of the definition's making amount,
+   *   still subject to its risk limits
+   * @param {boolean} params.dryRun - Only simulate the compiled predicate
+   * @returns {Promise<Object>} createCustomStrategyOrder result plus the deployed version
+   */
+  async deploy(definitionId, { version, maker, makingAmount, dryRun = false, metadata = {} }) {
+    const record = this.requireDefinition(definitionId);
+    const saved = this.requireVersion(record, version ?? record.latestVersion);
+
+    try {
+      const definition = makingAmount
+        ? { ...saved.definition, order: { ...saved.definition.order, makingAmount } }
+        : saved.definition;
+
+      const result = await this.limitOrderService.createCustomStrategyOrder({
+        chainId: definition.chainId,
+        maker,
+        definition,
+        dryRun,
+        metadata: { ...metadata, definitionId, definitionVersion: saved.version, name: definition.name }
+      });
+
+      if (!dryRun) {
+        record.deployments.push({
+          version: saved.version,
+          strategyId: result.orderHash,
+          maker,
+          makingAmount: definition.order.makingAmount,
+          deployedAt: new Date().toISOString()
+        });
+        record.updatedAt = new Date().toISOString();
+        await this.saveDefinition(record);
+
+        this.logger.info('Strategy definition deployed', {
+          definitionId,
+          version: saved.version,
+          strategyId: result.orderHash
+        });
+      }
+
+      return { definitionId, version: saved.version, ...result };
+    } catch (error) {
+      this.logger.error('Error deploying strategy definition:', error);
+      throw wrapError('Failed to deploy strategy definition', error);
+    }
+  }
+
+  getDefinition(definitionId) {
+    return this.definitions.get(definitionId) || null;
+  }
+
+  listDefinitions({ name } = {}) {
+    return Array.from(this.definitions.values()).filter(record =>
+      !name || record.name.toLowerCase().includes(name.toLowerCase())
+    );
+  }
+
+  requireDefinition(definitionId) {
+    const record = this.definitions.get(definitionId);
+    if (!record) {
+      throw definitionError('NotFoundError', 'Strategy definition not found');
+    }
+    return record;
+  }
+
+  requireVersion(record, version) {
+    const saved = record.versions.find(v => v.version === Number(version));
+    if (!saved) {
+      throw definitionError('NotFoundError', `Strategy definition version ${version} not found`);
+    }
+    return saved;
+  }
+
+  async saveDefinition(record) {
+    if (!this.repository) return;
+
+    try {
+      await this.repository.save(record.id, record);
+    } catch (error) {
+      this.logger.error('Failed to persist strategy definition:', error, { definitionId: record.id });
+    }
+  }
+
+  async restoreDefinitions() {
+    if (!this.repository) {
+      return 0;
+    }
+
+    const records = await this.repository.list();
+    for (const { id, data } of records) {
+      this.definitions.set(id, data);
+    }
+
+    this.logger.info('Strategy definitions restored from storage', { count: records.length });
+    return records.length;
+  }
+}
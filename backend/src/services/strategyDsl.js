@@ -0,0 +1,291 @@
+import yaml from 'js-yaml';
+import { ethers } from 'ethers';
+import { PredicateBuilder } from './predicateBuilder.js';
+import { ADDRESS, HEX_BYTES, UINT_STRING, compileSchema, joinField, schemaValidationError } from './schemaValidation.js';
+
+/**
+ * Declarative strategy definitions. A definition describes one limit order
+ * (assets and amounts), a tree of conditions that must hold for it to be
+ * fillable, fill-time actions and risk limits. It is written as JSON or YAML,
+ * validated against STRATEGY_DEFINITION_SCHEMA and compiled into a single
+ * predicate plus the order's pre- and post-interactions.
+ *
+ *   name: ETH breakout
+ *   chainId: 1
+ *   order: { makerAsset: 0x..., takerAsset: 0x..., makingAmount: "1000000000", takingAmount: "400000000000000000" }
+ *   conditions:
+ *     all:
+ *       - time: { after: 1767225600 }
+ *       - any:
+ *           - price: { token: 0x..., above: "250000000000" }
+ *           - not: { volume: { token: 0x..., max: "1000000", timeframe: 3600 } }
+ *   actions: { postInteraction: { target: 0x..., calldata: 0x... } }
+ *   risk: { expiresAt: 1769904000, priceBounds: [{ token: 0x..., min: "150000000000" }] }
+ *
+ * Oracle prices are in 8-decimal units, times in unix seconds.
+ */
+
+const timestamp = { type: 'integer', minimum: 0 };
+
+// A call the protocol makes during the fill: target contract and its calldata
+const interaction = {
+  type: 'object',
+  required: ['target'],
+  additionalProperties: false,
+  properties: { target: ADDRESS, calldata: HEX_BYTES }
+};
+
+// Each condition node has exactly one key naming its kind, so errors point
+// at the offending node rather than at every branch of a oneOf
+export const CONDITION_KINDS = ['all', 'any', 'not', 'time', 'price', 'volume', 'custom'];
+
+export const STRATEGY_DEFINITION_SCHEMA = {
+  $id: 'strategy-definition',
+  type: 'object',
+  required: ['name', 'chainId', 'order', 'conditions'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 1000 },
+    chainId: { type: 'integer', minimum: 1 },
+    order: {
+      type: 'object',
+      required: ['makerAsset', 'takerAsset', 'makingAmount', 'takingAmount'],
+      additionalProperties: false,
+      properties: {
+        makerAsset: ADDRESS,
+        takerAsset: ADDRESS,
+        makingAmount: UINT_STRING,
+        takingAmount: UINT_STRING
+      }
+    },
+    conditions: { $ref: '#/definitions/condition' },
+    // Limit Order Protocol hooks: preInteraction runs before the maker's
+    // tokens move, postInteraction after the taker's arrive
+    actions: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: { preInteraction: interaction, postInteraction: interaction }
+    },
+    risk: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        expiresAt: timestamp,
+        maxMakingAmount: UINT_STRING,
+        priceBounds: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['token'],
+            additionalProperties: false,
+            anyOf: [{ required: ['min'] }, { required: ['max'] }],
+            properties: { token: ADDRESS, min: UINT_STRING, max: UINT_STRING }
+          }
+        }
+      }
+    },
+    // Oracle overrides for tokens without a configured feed
+    oracles: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        priceFeeds: { type: 'object', propertyNames: ADDRESS, additionalProperties: ADDRESS },
+        volumeOracles: { type: 'object', propertyNames: ADDRESS, additionalProperties: ADDRESS }
+      }
+    }
+  },
+  definitions: {
+    condition: {
+      type: 'object',
+      minProperties: 1,
+      maxProperties: 1,
+      propertyNames: { enum: CONDITION_KINDS },
+      properties: {
+        all: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } },
+        any: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } },
+        not: { $ref: '#/definitions/condition' },
+        time: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: { after: timestamp, before: timestamp }
+        },
+        price: {
+          type: 'object',
+          required: ['token'],
+          additionalProperties: false,
+          anyOf: [{ required: ['above'] }, { required: ['below'] }],
+          properties: { token: ADDRESS, above: UINT_STRING, below: UINT_STRING }
+        },
+        volume: {
+          type: 'object',
+          required: ['token', 'timeframe'],
+          additionalProperties: false,
+          anyOf: [{ required: ['min'] }, { required: ['max'] }],
+          properties: {
+            token: ADDRESS,
+            min: UINT_STRING,
+            max: UINT_STRING,
+            timeframe: { type: 'integer', minimum: 1 }
+          }
+        },
+        custom: {
+          type: 'object',
+          required: ['contract', 'calldata'],
+          additionalProperties: false,
+          properties: { contract: ADDRESS, calldata: HEX_BYTES }
+        }
+      }
+    }
+  }
+};
+
+const validateSchema = compileSchema(STRATEGY_DEFINITION_SCHEMA, { label: 'Invalid strategy definition' });
+
+// YAML core schema with decimal-only integers: the stock int type reads
+// unquoted 0x addresses as hex numbers
+const YAML_SCHEMA = new yaml.Schema({
+  implicit: [
+    yaml.types.null,
+    yaml.types.bool,
+    new yaml.Type('tag:yaml.org,2002:int', {
+      kind: 'scalar',
+      resolve: data => /^[-+]?(0|[1-9][0-9]*)$/.test(data),
+      construct: data => parseInt(data, 10),
+      predicate: Number.isInteger
+    }),
+    yaml.types.float
+  ],
+  explicit: [yaml.types.seq, yaml.types.map, yaml.types.str]
+});
+
+function dslError(details) {
+  return schemaValidationError(details, 'Invalid strategy definition');
+}
+
+/**
+ * Parse a JSON or YAML definition
+ * @param {string|Object} source - Definition text or an already parsed object
+ * @param {string} format - 'yaml' (default, also accepts JSON) or 'json'
+ * @returns {Object} Parsed definition
+ */
+export function parseStrategyDefinition(source, format = 'yaml') {
+  if (typeof source !== 'string') {
+    return source;
+  }
+
+  try {
+    return format === 'json'
+      ? JSON.parse(source)
+      : yaml.load(source, { schema: YAML_SCHEMA });
+  } catch (error) {
+    const line = error.mark ? `line ${error.mark.line + 1}: ` : '';
+    throw dslError([{ field: '', message: `${line}${error.reason || error.message}` }]);
+  }
+}
+
+// Schema validation plus the checks JSON Schema cannot express
+export function validateStrategyDefinition(definition) {
+  validateSchema(definition);
+
+  const details = [];
+  const { order, risk = {} } = definition;
+
+  if (risk.maxMakingAmount && BigInt(order.makingAmount) > BigInt(risk.maxMakingAmount)) {
+    details.push({ field: 'order.makingAmount', message: `exceeds risk.maxMakingAmount (${risk.maxMakingAmount})` });
+  }
+  if (risk.expiresAt && risk.expiresAt <= Math.floor(Date.now() / 1000)) {
+    details.push({ field: 'risk.expiresAt', message: 'is in the past' });
+  }
+  (risk.priceBounds || []).forEach((bound, i) => {
+    if (bound.min && bound.max && BigInt(bound.min) >= BigInt(bound.max)) {
+      details.push({ field: `risk.priceBounds.${i}`, message: 'min must be below max' });
+    }
+  });
+
+  if (details.length > 0) {
+    throw dslError(details);
+  }
+  return definition;
+}
+
+// Interaction extension field: 20-byte target followed by its calldata
+export function encodeInteraction(action) {
+  if (!action) return '0x';
+  return ethers.concat([ethers.getAddress(action.target), action.calldata || '0x']);
+}
+
+// Price strictly between below and above the given bounds (8-decimal oracle units)
+function pricePredicate(builder, token, above, below) {
+  const price = builder.oraclePrice(token);
+  return builder.and(
+    above ? builder.gt(above, price) : null,
+    below ? builder.lt(below, price) : null
+  );
+}
+
+// Builder errors (missing feeds, bad addresses) reported at the node's path
+function atField(field, build) {
+  try {
+    return build();
+  } catch (error) {
+    throw dslError([{ field, message: error.message }]);
+  }
+}
+
+function compileCondition(builder, node, field) {
+  const [kind, value] = Object.entries(node)[0];
+  const path = joinField(field, kind);
+
+  switch (kind) {
+    case 'all':
+      return builder.and(...value.map((child, i) => compileCondition(builder, child, `${path}.${i}`)));
+    case 'any':
+      return builder.or(...value.map((child, i) => compileCondition(builder, child, `${path}.${i}`)));
+    case 'not':
+      return builder.not(compileCondition(builder, value, path));
+    case 'time':
+      return atField(path, () => builder.createTimePredicate(value.after, value.before));
+    case 'price':
+      return atField(path, () => pricePredicate(builder, value.token, value.above, value.below));
+    case 'volume':
+      return atField(path, () => builder.createVolumePredicate(value.token, value.min, value.max, value.timeframe));
+    case 'custom':
+      return atField(path, () => builder.createCustomLogicPredicate(value.contract, value.calldata));
+    default:
+      throw dslError([{ field: path, message: 'is not a known condition' }]);
+  }
+}
+
+/**
+ * Validate and compile a definition into one compound predicate: the
+ * condition tree AND the risk price bounds. Expiry is enforced through the
+ * order's maker traits rather than the predicate.
+ * @param {Object} definition - Parsed definition
+ * @returns {Object} { predicate, preInteraction, postInteraction, order, expiry, risk }
+ */
+export function compileStrategyDefinition(definition) {
+  validateStrategyDefinition(definition);
+
+  const { chainId, order, actions = {}, risk = {}, oracles = {} } = definition;
+  const builder = new PredicateBuilder({
+    chainId,
+    priceFeeds: oracles.priceFeeds,
+    volumeOracles: oracles.volumeOracles
+  });
+
+  const bounds = (risk.priceBounds || []).map((bound, i) =>
+    atField(`risk.priceBounds.${i}`, () => pricePredicate(builder, bound.token, bound.min, bound.max))
+  );
+
+  return {
+    predicate: builder.and(compileCondition(builder, definition.conditions, 'conditions'), ...bounds),
+    preInteraction: encodeInteraction(actions.preInteraction),
+    postInteraction: encodeInteraction(actions.postInteraction),
+    order,
+    expiry: risk.expiresAt ?? null,
+    risk
+  };
+}
@@ -0,0 +1,127 @@
+// Strategy lifecycle states
+export const STRATEGY_STATES = {
+  DRAFT: 'draft', // orders built, waiting for the maker's signature
+  SUBMITTED: 'submitted',
+  PARTIALLY_FILLED: 'partially_filled',
+  CANCELLING: 'cancelling', // cancel transaction built, waiting for it to be mined
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  FAILED: 'failed'
+};
+
+export const TERMINAL_STATES = [
+  STRATEGY_STATES.FILLED,
+  STRATEGY_STATES.CANCELLED,
+  STRATEGY_STATES.EXPIRED,
+  STRATEGY_STATES.FAILED
+];
+
+// Allowed transitions; terminal states have none
+const TRANSITIONS = {
+  [STRATEGY_STATES.DRAFT]: [
+    STRATEGY_STATES.SUBMITTED,
+    STRATEGY_STATES.PARTIALLY_FILLED,
+    STRATEGY_STATES.FILLED,
+    STRATEGY_STATES.CANCELLED,
+    STRATEGY_STATES.EXPIRED,
+    STRATEGY_STATES.FAILED
+  ],
+  [STRATEGY_STATES.SUBMITTED]: [
+    STRATEGY_STATES.PARTIALLY_FILLED,
+    STRATEGY_STATES.CANCELLING,
+    STRATEGY_STATES.FILLED,
+    STRATEGY_STATES.CANCELLED,
+    STRATEGY_STATES.EXPIRED,
+    STRATEGY_STATES.FAILED
+  ],
+  [STRATEGY_STATES.PARTIALLY_FILLED]: [
+    STRATEGY_STATES.CANCELLING,
+    STRATEGY_STATES.FILLED,
+    STRATEGY_STATES.CANCELLED,
+    STRATEGY_STATES.EXPIRED,
+    STRATEGY_STATES.FAILED
+  ],
+  // Orders can still fill or expire before the cancel transaction is mined
+  [STRATEGY_STATES.CANCELLING]: [
+    STRATEGY_STATES.FILLED,
+    STRATEGY_STATES.CANCELLED,
+    STRATEGY_STATES.EXPIRED,
+    STRATEGY_STATES.FAILED
+  ]
+};
+
+export function isTerminalState(state) {
+  return TERMINAL_STATES.includes(state);
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    const error = new Error(`Invalid strategy transition: ${from} -> ${to}`);
+    error.name = 'ConflictError';
+    throw error;
+  }
+}
+
+// Order-level statuses tracked for each strategy order
+export const ORDER_STATUSES = {
+  PENDING_SIGNATURE: 'pending_signature',
+  SUBMITTED: 'submitted',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  FAILED: 'failed'
+};
+
+const OPEN_ORDER_STATUSES = [
+  ORDER_STATUSES.PENDING_SIGNATURE,
+  ORDER_STATUSES.SUBMITTED,
+  ORDER_STATUSES.PARTIALLY_FILLED
+];
+
+export function isOpenOrder(order) {
+  return OPEN_ORDER_STATUSES.includes(order.status);
+}
+
+/**
+ * Derive the strategy state from the statuses of its orders
+ * @param {Array<{status: string, filledAmount: string}>} orders - Tracked orders
+ * @returns {string} Strategy state
+ */
+export function deriveStrategyState(orders) {
+  if (orders.length === 0) {
+    return STRATEGY_STATES.DRAFT;
+  }
+
+  if (orders.every(order => order.status === ORDER_STATUSES.FILLED)) {
+    return STRATEGY_STATES.FILLED;
+  }
+
+  const open = orders.filter(isOpenOrder);
+  const hasFills = orders.some(order => BigInt(order.filledAmount || 0) > 0n);
+
+  // Nothing left can fill: the strategy ends in whichever way its
+  // unfilled orders ended
+  if (open.length === 0) {
+    if (orders.some(order => order.status === ORDER_STATUSES.FAILED)) {
+      return STRATEGY_STATES.FAILED;
+    }
+    if (orders.some(order => order.status === ORDER_STATUSES.EXPIRED)) {
+      return STRATEGY_STATES.EXPIRED;
+    }
+    return STRATEGY_STATES.CANCELLED;
+  }
+
+  if (hasFills) {
+    return STRATEGY_STATES.PARTIALLY_FILLED;
+  }
+
+  return open.some(order => order.status !== ORDER_STATUSES.PENDING_SIGNATURE)
+    ? STRATEGY_STATES.SUBMITTED
+    : STRATEGY_STATES.DRAFT;
+}
@@ -0,0 +1,77 @@
+import { EventEmitter } from 'events';
+
+// Strategies that don't configure monitoring.frequency are checked every minute
+const DEFAULT_MONITOR_FREQUENCY = 60;
+
+/**
+ * Ticks each live strategy's monitor() on its configured frequency
+ * (monitoring.frequency, in seconds) and re-emits lifecycle changes
+ */
+export class StrategyScheduler extends EventEmitter {
+  constructor({ limitOrderService, logger, tickInterval = 5000 }) {
+    super();
+
+    this.limitOrderService = limitOrderService;
+    this.logger = logger;
+    this.tickInterval = tickInterval;
+    this.timer = null;
+    this.isTicking = false;
+    this.lastRun = new Map();
+
+    this.onStateChanged = (event) => this.emit('strategy_state_changed', event);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.limitOrderService.on('strategy_state_changed', this.onStateChanged);
+    this.timer = setInterval(() => {
+      this.tick().catch(error => this.logger.error('Strategy scheduler tick failed:', error));
+    }, this.tickInterval);
+
+    this.logger.info('Strategy scheduler started', { tickInterval: this.tickInterval });
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.limitOrderService.off('strategy_state_changed', this.onStateChanged);
+
+    this.logger.info('Strategy scheduler stopped');
+  }
+
+  getFrequency(strategy) {
+    return (strategy.monitoring?.frequency || DEFAULT_MONITOR_FREQUENCY) * 1000;
+  }
+
+  // Monitor every strategy that is due; skipped if the previous tick is still running
+  async tick(now = Date.now()) {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      for (const { id, strategy } of this.limitOrderService.getLiveStrategies()) {
+        const lastRun = this.lastRun.get(id) || 0;
+        if (now - lastRun < this.getFrequency(strategy)) continue;
+
+        this.lastRun.set(id, now);
+        try {
+          await this.limitOrderService.monitorOrder(id);
+        } catch (error) {
+          this.logger.error('Scheduled strategy monitor failed:', error, { strategyId: id });
+          this.emit('monitor_failed', { strategyId: id, error: error.message });
+        }
+      }
+
+      // Forget strategies that are no longer live
+      const live = new Set(this.limitOrderService.getLiveStrategies().map(({ id }) => id));
+      for (const id of this.lastRun.keys()) {
+        if (!live.has(id)) this.lastRun.delete(id);
+      }
+    } finally {
+      this.isTicking = false;
+    }
+  }
+}
@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { compileSchema, schemaValidationError } from './schemaValidation.js';
+
+const TEMPLATE_DIRECTORY = fileURLToPath(new URL('../templates/', import.meta.url));
+
+// Cross-field rules: { field, op, than, message } compares two parameters
+const RULE_OPERATORS = {
+  gt: { test: (a, b) => a > b, text: 'greater than' },
+  gte: { test: (a, b) => a >= b, text: 'at least' },
+  lt: { test: (a, b) => a < b, text: 'less than' },
+  lte: { test: (a, b) => a <= b, text: 'at most' }
+};
+
+function templateError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Nested objects are merged, everything else (arrays included) is replaced
+function mergeParameters(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeParameters(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+function getField(params, field) {
+  return field.split('.').reduce((value, key) => value?.[key], params);
+}
+
+// Integer strings (token amounts, oracle prices) compare as BigInt
+function comparable(value) {
+  return typeof value === 'string' && /^\d+$/.test(value) ? BigInt(value) : value;
+}
+
+// The same schema without required properties, for validating saved defaults
+function partialSchema(schema) {
+  const { required, anyOf, oneOf, ...rest } = schema;
+  if (!rest.properties) return rest;
+
+  return {
+    ...rest,
+    properties: Object.fromEntries(
+      Object.entries(rest.properties).map(([key, property]) => [key, partialSchema(property)])
+    )
+  };
+}
+
+// Schema with saved defaults as the `default` of each property, so forms
+// rendered from it start from the user's values
+function withDefaults(schema, defaults) {
+  if (!schema.properties || !isPlainObject(defaults)) {
+    return { ...schema, default: defaults };
+  }
+
+  return {
+    ...schema,
+    properties: Object.fromEntries(
+      Object.entries(schema.properties).map(([key, property]) => [
+        key,
+        key in defaults ? withDefaults(property, defaults[key]) : property
+      ])
+    )
+  };
+}
+
+/**
+ * Strategy templates: built-in templates are JSON files in src/templates
+ * with a JSON Schema for their parameters (defaults and validation rules
+ * included) plus cross-field rules; user templates are saved presets of a
+ * built-in template's parameters. Instantiating a template resolves the
+ * parameters (schema defaults < saved defaults < request) and validates
+ * them; the route turns them into the template's strategy.
+ */
+export class StrategyTemplateRegistry {
+  constructor({ storage, logger, directory = TEMPLATE_DIRECTORY }) {
+    this.logger = logger;
+    this.directory = directory;
+    this.repository = storage?.repository('strategy_templates') || null;
+
+    this.templates = new Map();
+    this.validators = new Map();
+  }
+
+  // Load the built-in templates, then the saved user templates
+  async loadTemplates() {
+    const files = (await readdir(this.directory)).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+      try {
+        this.registerBuiltIn(JSON.parse(await readFile(path.join(this.directory, file), 'utf8')));
+      } catch (error) {
+        throw new Error(`Invalid strategy template ${file}: ${error.message}`);
+      }
+    }
+
+    let saved = 0;
+    if (this.repository) {
+      const records = await this.repository.list();
+      for (const { id, data } of records) {
+        this.templates.set(id, { ...data, builtIn: false });
+      }
+      saved = records.length;
+    }
+
+    this.logger.info('Strategy templates loaded', { builtIn: files.length, saved });
+    return this.templates.size;
+  }
+
+  registerBuiltIn(template) {
+    for (const key of ['id', 'name', 'strategy', 'schema']) {
+      if (!template[key]) {
+        throw new Error(`${key} is required`);
+      }
+    }
+    for (const rule of template.rules || []) {
+      if (!RULE_OPERATORS[rule.op]) {
+        throw new Error(`Unknown rule operator ${rule.op}`);
+      }
+    }
+
+    this.validators.set(template.id, {
+      full: compileSchema(template.schema, { useDefaults: true, label: `Invalid ${template.id} parameters` }),
+      partial: compileSchema(partialSchema(template.schema), { label: `Invalid ${template.id} defaults` })
+    });
+    this.templates.set(template.id, { ...template, rules: template.rules || [], builtIn: true });
+  }
+
+  // Built-in template a template is based on (itself for built-ins)
+  baseTemplate(template) {
+    return template.builtIn ? template : this.requireTemplate(template.baseTemplate);
+  }
+
+  // Template as served to clients; user templates carry their base's schema
+  // with their saved defaults filled in
+  describe(template) {
+    if (template.builtIn) return template;
+
+    const base = this.baseTemplate(template);
+    return {
+      ...template,
+      category: base.category,
+      strategy: base.strategy,
+      endpoint: base.endpoint,
+      complexity: base.complexity,
+      riskLevel: base.riskLevel,
+      features: base.features,
+      schema: withDefaults(base.schema, template.defaults),
+      rules: base.rules
+    };
+  }
+
+  listTemplates({ category, owner } = {}) {
+    return Array.from(this.templates.values())
+      .filter(template =>
+        (template.builtIn || !owner || template.owner?.toLowerCase() === owner.toLowerCase()) &&
+        (!category || this.baseTemplate(template).category === category)
+      )
+      .map(template => this.describe(template));
+  }
+
+  getTemplate(templateId) {
+    const template = this.templates.get(templateId);
+    return template ? this.describe(template) : null;
+  }
+
+  requireTemplate(templateId) {
+    const template = this.templates.get(templateId);
+    if (!template) {
+      throw templateError('NotFoundError', 'Strategy template not found');
+    }
+    return template;
+  }
+
+  /**
+   * Save a parameterized template on top of an existing one
+   * @param {Object} params - Template parameters
+   * @param {string} params.baseTemplate - Template to build on; presets of a
+   *   user template are layered over that template's defaults
+   * @param {string} params.name - Template name
+   * @param {string} params.description - Template description
+   * @param {string} params.owner - Owner address, used to filter listings
+   * @param {Object} params.defaults - Preset parameter values
+   * @returns {Promise<Object>} Saved template
+   */
+  async createUserTemplate({ baseTemplate, name, description, owner, defaults = {} }) {
+    const parent = this.requireTemplate(baseTemplate);
+    const base = this.baseTemplate(parent);
+    const merged = parent.builtIn ? defaults : mergeParameters(parent.defaults, defaults);
+
+    this.validators.get(base.id).partial(merged);
+    this.checkRules(base, merged);
+
+    const now = new Date().toISOString();
+    const template = {
+      id: `tpl_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      name,
+      description: description || base.description,
+      baseTemplate: base.id,
+      owner: owner || null,
+      defaults: merged,
+      createdAt: now,
+      updatedAt: now,
+      builtIn: false
+    };
+
+    this.templates.set(template.id, template);
+    await this.saveTemplate(template);
+
+    this.logger.info('Strategy template saved', { templateId: template.id, baseTemplate: base.id });
+    return this.describe(template);
+  }
+
+  async deleteUserTemplate(templateId) {
+    const template = this.requireTemplate(templateId);
+    if (template.builtIn) {
+      throw templateError('ConflictError', 'Built-in templates cannot be deleted');
+    }
+
+    this.templates.delete(templateId);
+    if (this.repository) {
+      await this.repository.delete(templateId);
+    }
+
+    this.logger.info('Strategy template deleted', { templateId });
+    return this.describe(template);
+  }
+
+  /**
+   * Resolve and validate the parameters of a template instance
+   * @param {string} templateId - Template ID
+   * @param {Object} params - Parameter values; missing ones come from the
+   *   template's saved defaults, then from the schema defaults
+   * @returns {Object} { template, strategy, params }
+   */
+  resolveParameters(templateId, params = {}) {
+    const template = this.requireTemplate(templateId);
+    const base = this.baseTemplate(template);
+    const resolved = mergeParameters(template.defaults || {}, params);
+
+    this.validators.get(base.id).full(resolved);
+    this.checkRules(base, resolved);
+
+    return { template: this.describe(template), strategy: base.strategy, params: resolved };
+  }
+
+  // Rules are skipped while either side is unset
+  checkRules(template, params) {
+    const details = [];
+
+    for (const rule of template.rules) {
+      const value = getField(params, rule.field);
+      const other = getField(params, rule.than);
+      if (value === undefined || other === undefined) continue;
+
+      const operator = RULE_OPERATORS[rule.op];
+      if (!operator.test(comparable(value), comparable(other))) {
+        details.push({ field: rule.field, message: rule.message || `must be ${operator.text} ${rule.than}` });
+      }
+    }
+
+    if (details.length > 0) {
+      throw schemaValidationError(details, `Invalid ${template.id} parameters`);
+    }
+  }
+
+  async saveTemplate(template) {
+    if (!this.repository) return;
+
+    const { builtIn, ...record } = template;
+    try {
+      await this.repository.save(template.id, record);
+    } catch (error) {
+      this.logger.error('Failed to persist strategy template:', error, { templateId: template.id });
+    }
+  }
+}
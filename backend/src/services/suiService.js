@@ -5,6 +5,8 @@ import { fromB64 } from '@mysten/sui.js/utils';
 import crypto from 'crypto';
 import ws from 'ws';
 
+const MERGE_GAS_BUDGET = 20000000; // MIST
+
 export class SuiService {
   constructor({ rpcUrl, privateKey, packageId, logger }) {
     this.rpcUrl = rpcUrl || getFullnodeUrl('testnet');
@@ -49,13 +51,16 @@ export class SuiService {
         recipient,
         resolver,
         secret,
+        hash: hashlock,
         duration,
         crossChainId,
         coinType = '0x2::sui::SUI'
       } = params;
 
-      // Generate hash from secret
-      const hash = crypto.createHash('sha256').update(secret).digest();
+      // Use the given hashlock (e.g. from the secret vault) or hash the secret
+      const hash = hashlock
+        ? Buffer.from(hashlock.replace(/^0x/, ''), 'hex')
+        : crypto.createHash('sha256').update(secret).digest();
 
       const tx = new TransactionBlock();
 
@@ -228,6 +233,37 @@ export class SuiService {
     }
   }
 
+  /**
+   * Find an escrow this account created for a cross-chain ID, e.g. when a
+   * crash left it unknown whether create_escrow went through. Only recent
+   * EscrowCreated events are scanned.
+   * @param {string} crossChainId - Cross-chain ID (hex)
+   * @returns {Promise<Object|null>} { escrowId, expiry, digest } or null
+   */
+  async findEscrowByCrossChainId(crossChainId, limit = 50) {
+    try {
+      const events = await this.client.queryEvents({
+        query: {
+          MoveEventType: `${this.modules.escrow}::EscrowCreated`
+        },
+        limit,
+        order: 'descending'
+      });
+
+      const event = events.data.find(({ parsedJson }) =>
+        parsedJson.sender === this.address &&
+        Buffer.from(parsedJson.cross_chain_id).toString('hex') === crossChainId.replace(/^0x/, '')
+      );
+
+      return event
+        ? { escrowId: event.parsedJson.escrow_id, expiry: event.parsedJson.expiry, digest: event.id.txDigest }
+        : null;
+    } catch (error) {
+      this.logger.error('Error finding Sui escrow:', error);
+      throw new Error(`Failed to find Sui escrow: ${error.message}`);
+    }
+  }
+
   // Resolver Registry Methods
   async registerResolver(params) {
     try {
@@ -550,6 +586,81 @@ export class SuiService {
     }
   }
 
+  /**
+   * Coin object holding at least `amount`, merging coins when no single one does
+   * @param {string|bigint} amount - Amount in base units
+   * @param {string} coinType - Coin type
+   * @returns {Promise<string>} Coin object ID
+   */
+  async getCoinForAmount(amount, coinType = '0x2::sui::SUI') {
+    const needed = BigInt(amount);
+    const coins = await this.getCoins(this.address, coinType, 50);
+
+    const single = coins.find(coin => BigInt(coin.balance) >= needed);
+    if (single) {
+      return single.coinObjectId;
+    }
+
+    // Largest coins first; merged SUI also pays the gas of the merge
+    const isSui = coinType === '0x2::sui::SUI';
+    const target = isSui ? needed + BigInt(MERGE_GAS_BUDGET) : needed;
+    const selected = [];
+    let total = 0n;
+    for (const coin of [...coins].sort((a, b) => (BigInt(b.balance) > BigInt(a.balance) ? 1 : -1))) {
+      selected.push(coin);
+      total += BigInt(coin.balance);
+      if (total >= target) break;
+    }
+
+    if (total < target) {
+      throw new Error('Insufficient Sui balance for swap');
+    }
+
+    try {
+      const tx = new TransactionBlock();
+
+      if (isSui) {
+        // Gas coins are merged into one; split the exact amount off it
+        tx.setGasPayment(selected.map(coin => ({
+          objectId: coin.coinObjectId,
+          version: coin.version,
+          digest: coin.digest
+        })));
+        tx.setGasBudget(MERGE_GAS_BUDGET);
+        const [coin] = tx.splitCoins(tx.gas, [tx.pure(needed.toString())]);
+        tx.transferObjects([coin], tx.pure(this.address));
+      } else {
+        const [primary, ...rest] = selected;
+        tx.mergeCoins(tx.object(primary.coinObjectId), rest.map(coin => tx.object(coin.coinObjectId)));
+      }
+
+      const result = await this.client.signAndExecuteTransactionBlock({
+        signer: this.keypair,
+        transactionBlock: tx,
+        options: {
+          showEffects: true,
+          showObjectChanges: true
+        }
+      });
+
+      this.logger.info('Sui coins merged', {
+        digest: result.digest,
+        coinType,
+        merged: selected.length
+      });
+
+      if (!isSui) {
+        return selected[0].coinObjectId;
+      }
+      return result.objectChanges?.find(
+        change => change.type === 'created' && change.objectType.includes(coinType)
+      )?.objectId;
+    } catch (error) {
+      this.logger.error('Error merging Sui coins:', error);
+      throw new Error(`Failed to merge Sui coins: ${error.message}`);
+    }
+  }
+
   // Cross-chain utilities
   generateSecret() {
     return crypto.randomBytes(32).toString('hex');
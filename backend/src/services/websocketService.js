@@ -2,11 +2,12 @@ import { WebSocketServer } from 'ws';
 import { EventEmitter } from 'events';
 
 export class WebSocketService extends EventEmitter {
-  constructor({ oneInchService, suiService, logger }) {
+  constructor({ oneInchService, suiService, orderBookService, logger }) {
     super();
 
     this.oneInchService = oneInchService;
     this.suiService = suiService;
+    this.orderBookService = orderBookService || null;
     this.logger = logger;
     this.wss = null;
     this.clients = new Map(); // Track connected clients
@@ -20,9 +21,18 @@ export class WebSocketService extends EventEmitter {
       ESCROW_CLAIMED: 'escrow_claimed',
       ESCROW_CANCELLED: 'escrow_cancelled',
       PRICE_UPDATE: 'price_update',
-      RESOLVER_STATUS: 'resolver_status'
+      RESOLVER_STATUS: 'resolver_status',
+      STRATEGY_STATE_CHANGED: 'strategy_state_changed',
+      ORDERBOOK_UPDATE: 'orderbook_update',
+      DCA_EXECUTION: 'dca_execution',
+      REBALANCE: 'rebalance',
+      INVENTORY_ALERT: 'inventory_alert'
     };
 
+    // Order book updates only go to clients watching that book
+    this.onBookUpdate = (update) => this.broadcastOrderBookUpdate(update);
+    this.orderBookService?.on('book_update', this.onBookUpdate);
+
     this.logger.info('WebSocket service initialized');
   }
 
@@ -46,6 +56,7 @@ export class WebSocketService extends EventEmitter {
       ws,
       connectedAt: new Date(),
       subscriptions: new Set(),
+      bookSubscriptions: new Set(),
       isAlive: true
     };
 
@@ -108,6 +119,12 @@ export class WebSocketService extends EventEmitter {
         case 'get_status':
           this.sendResolverStatus(clientId);
           break;
+        case 'subscribe_orderbook':
+          this.handleOrderBookSubscribe(clientId, message);
+          break;
+        case 'unsubscribe_orderbook':
+          this.handleOrderBookUnsubscribe(clientId, message.key);
+          break;
         default:
           this.sendToClient(clientId, {
             type: 'error',
@@ -164,7 +181,62 @@ export class WebSocketService extends EventEmitter {
     });
   }
 
+  // Send the current book, then incremental orderbook_update messages
+  async handleOrderBookSubscribe(clientId, { chainId, baseToken, quoteToken, depth = 10 }) {
+    if (!this.orderBookService) {
+      this.sendToClient(clientId, { type: 'error', message: 'Order book updates are not available' });
+      return;
+    }
+    if (!chainId || !baseToken || !quoteToken) {
+      this.sendToClient(clientId, { type: 'error', message: 'chainId, baseToken and quoteToken are required' });
+      return;
+    }
+
+    try {
+      const { key, sequence, book } = await this.orderBookService.subscribe({
+        chainId: Number(chainId),
+        baseToken,
+        quoteToken,
+        depth: Math.min(Math.max(parseInt(depth) || 10, 1), 100)
+      });
+
+      const client = this.clients.get(clientId);
+      if (!client) {
+        this.orderBookService.unsubscribe(key);
+        return;
+      }
+      if (client.bookSubscriptions.has(key)) {
+        // Already watching: keep a single subscription per client and book
+        this.orderBookService.unsubscribe(key);
+      }
+      client.bookSubscriptions.add(key);
+
+      this.sendToClient(clientId, {
+        type: 'orderbook_snapshot',
+        key,
+        sequence,
+        data: book
+      });
+    } catch (error) {
+      this.logger.error('Error subscribing to order book', { clientId, error });
+      this.sendToClient(clientId, { type: 'error', message: 'Failed to subscribe to order book' });
+    }
+  }
+
+  handleOrderBookUnsubscribe(clientId, key) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.bookSubscriptions.delete(key)) return;
+
+    this.orderBookService.unsubscribe(key);
+    this.sendToClient(clientId, { type: 'unsubscribed_orderbook', key });
+  }
+
   handleDisconnection(clientId) {
+    const client = this.clients.get(clientId);
+    for (const key of client?.bookSubscriptions || []) {
+      this.orderBookService?.unsubscribe(key);
+    }
+
     this.clients.delete(clientId);
     this.logger.info('WebSocket client disconnected', { clientId });
   }
@@ -182,6 +254,9 @@ export class WebSocketService extends EventEmitter {
   }
 
   broadcastOrderFilled(orderData) {
+    // Local listeners (strategies that react to fills) get the raw event
+    this.emit('order_filled', orderData);
+
     this.broadcast(this.eventTypes.ORDER_FILLED, {
       orderId: orderData.orderId,
       filledAmount: orderData.filledAmount,
@@ -251,6 +326,62 @@ export class WebSocketService extends EventEmitter {
     });
   }
 
+  broadcastStrategyStateChanged(stateData) {
+    this.broadcast(this.eventTypes.STRATEGY_STATE_CHANGED, {
+      strategyId: stateData.strategyId,
+      type: stateData.type,
+      from: stateData.from,
+      to: stateData.to,
+      reason: stateData.reason,
+      timestamp: stateData.timestamp
+    });
+  }
+
+  broadcastDcaExecution(execution) {
+    this.broadcast(this.eventTypes.DCA_EXECUTION, {
+      planId: execution.planId,
+      period: execution.period,
+      mode: execution.mode,
+      status: execution.status,
+      orderHash: execution.orderHash,
+      error: execution.error,
+      timestamp: execution.executedAt
+    });
+  }
+
+  broadcastRebalance(rebalance) {
+    this.broadcast(this.eventTypes.REBALANCE, {
+      planId: rebalance.planId,
+      sequence: rebalance.sequence,
+      trigger: rebalance.trigger,
+      status: rebalance.status,
+      maxDrift: rebalance.maxDrift,
+      trades: rebalance.trades?.length || 0,
+      error: rebalance.error,
+      timestamp: rebalance.completedAt
+    });
+  }
+
+  broadcastInventoryAlert(alert) {
+    this.broadcast(this.eventTypes.INVENTORY_ALERT, alert);
+  }
+
+  broadcastOrderBookUpdate(update) {
+    const message = {
+      type: this.eventTypes.ORDERBOOK_UPDATE,
+      key: update.key,
+      sequence: update.sequence,
+      data: update,
+      timestamp: new Date().toISOString()
+    };
+
+    for (const [clientId, client] of this.clients) {
+      if (client.bookSubscriptions.has(update.key)) {
+        this.sendToClient(clientId, message);
+      }
+    }
+  }
+
   // Generic broadcast method
   broadcast(eventType, data) {
     const message = {
@@ -374,6 +505,13 @@ export class WebSocketService extends EventEmitter {
 
   // Cleanup method
   close() {
+    this.orderBookService?.off('book_update', this.onBookUpdate);
+    for (const client of this.clients.values()) {
+      for (const key of client.bookSubscriptions) {
+        this.orderBookService?.unsubscribe(key);
+      }
+    }
+
     if (this.wss) {
       this.wss.clients.forEach((ws) => {
         ws.terminate();
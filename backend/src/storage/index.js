@@ -0,0 +1,53 @@
+import { Repository } from './repository.js';
+
+/**
+ * Storage - persistence layer shared by services that need to survive
+ * restarts (strategies, resolver swaps, cross-chain swaps)
+ */
+export class Storage {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.repositories = new Map();
+  }
+
+  repository(collection) {
+    if (!this.repositories.has(collection)) {
+      this.repositories.set(collection, new Repository(this.adapter, collection));
+    }
+    return this.repositories.get(collection);
+  }
+
+  async close() {
+    await this.adapter.close();
+  }
+}
+
+/**
+ * Create and initialize storage for the configured driver
+ * @param {Object} params - Storage parameters
+ * @param {string} params.driver - 'sqlite' (default) or 'postgres'
+ * @param {string} params.filename - SQLite database file, relative to the backend directory
+ * @param {string} params.connectionString - Postgres connection string
+ * @param {Object} params.logger - Logger instance
+ * @returns {Promise<Storage>} Initialized storage
+ */
+export async function createStorage({ driver = 'sqlite', filename, connectionString, logger }) {
+  let adapter;
+
+  // Drivers are loaded lazily so only the configured client library is required
+  if (driver === 'postgres') {
+    if (!connectionString) {
+      throw new Error('DATABASE_URL is required for the postgres storage driver');
+    }
+    const { PostgresAdapter } = await import('./postgresAdapter.js');
+    adapter = new PostgresAdapter({ connectionString, logger });
+  } else if (driver === 'sqlite') {
+    const { SqliteAdapter } = await import('./sqliteAdapter.js');
+    adapter = new SqliteAdapter({ filename, logger });
+  } else {
+    throw new Error(`Unsupported storage driver: ${driver}`);
+  }
+
+  await adapter.init();
+  return new Storage(adapter);
+}
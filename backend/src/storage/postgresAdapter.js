@@ -0,0 +1,98 @@
+import pg from 'pg';
+import { StorageAdapter, deserializeRecord } from './repository.js';
+
+/**
+ * Postgres storage adapter. Same records layout as SQLite, with the
+ * document stored as JSONB.
+ */
+export class PostgresAdapter extends StorageAdapter {
+  constructor({ connectionString, logger }) {
+    super();
+    this.connectionString = connectionString;
+    this.logger = logger;
+    this.pool = null;
+  }
+
+  async init() {
+    this.pool = new pg.Pool({ connectionString: this.connectionString });
+
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        status TEXT,
+        data JSONB NOT NULL,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+    await this.pool.query(`
+      CREATE INDEX IF NOT EXISTS records_collection_status
+        ON records (collection, status)
+    `);
+    // Databases created before records had a parent id
+    await this.pool.query('ALTER TABLE records ADD COLUMN IF NOT EXISTS parent_id TEXT');
+    await this.pool.query(`
+      CREATE INDEX IF NOT EXISTS records_collection_parent
+        ON records (collection, parent_id)
+    `);
+
+    this.logger.info('Postgres storage initialized');
+  }
+
+  async get(collection, id) {
+    const { rows } = await this.pool.query(
+      'SELECT data FROM records WHERE collection = $1 AND id = $2',
+      [collection, id]
+    );
+    return rows[0] ? deserializeRecord(rows[0].data) : null;
+  }
+
+  async upsert(collection, id, status, data, parentId = null) {
+    const now = Date.now();
+    await this.pool.query(
+      `INSERT INTO records (collection, id, status, parent_id, data, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $6)
+       ON CONFLICT (collection, id) DO UPDATE SET
+         status = EXCLUDED.status,
+         parent_id = EXCLUDED.parent_id,
+         data = EXCLUDED.data,
+         updated_at = EXCLUDED.updated_at`,
+      [collection, id, status, parentId, data, now]
+    );
+  }
+
+  async remove(collection, id) {
+    const { rowCount } = await this.pool.query(
+      'DELETE FROM records WHERE collection = $1 AND id = $2',
+      [collection, id]
+    );
+    return rowCount > 0;
+  }
+
+  async list(collection, { status, parentId } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM records
+       WHERE collection = $1
+         AND ($2::text IS NULL OR status = $2)
+         AND ($3::text IS NULL OR parent_id = $3)
+       ORDER BY created_at ASC`,
+      [collection, status ?? null, parentId ?? null]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      status: row.status,
+      parentId: row.parent_id,
+      data: deserializeRecord(row.data),
+      createdAt: Number(row.created_at),
+      updatedAt: Number(row.updated_at)
+    }));
+  }
+
+  async close() {
+    await this.pool?.end();
+    this.pool = null;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Storage adapter contract. Every backend (SQLite, Postgres, ...) stores
+ * records as JSON documents keyed by (collection, id) with optional indexed
+ * status and parent id columns, so services can persist state without schema
+ * migrations for each new record type. The parent id ties a record to the one
+ * it belongs to (e.g. a fill to its strategy).
+ */
+export class StorageAdapter {
+  async init() {
+    throw new Error('init() must be implemented by subclass');
+  }
+
+  async get(collection, id) {
+    throw new Error('get() must be implemented by subclass');
+  }
+
+  async upsert(collection, id, status, data, parentId = null) {
+    throw new Error('upsert() must be implemented by subclass');
+  }
+
+  async remove(collection, id) {
+    throw new Error('remove() must be implemented by subclass');
+  }
+
+  async list(collection, filter = {}) {
+    throw new Error('list() must be implemented by subclass');
+  }
+
+  async close() {
+    throw new Error('close() must be implemented by subclass');
+  }
+}
+
+// JSON replacer that keeps BigInt amounts and raw byte arrays readable
+function replacer(key, value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value instanceof Uint8Array) {
+    return '0x' + Buffer.from(value).toString('hex');
+  }
+  return value;
+}
+
+export function serializeRecord(record) {
+  return JSON.stringify(record, replacer);
+}
+
+export function deserializeRecord(data) {
+  return typeof data === 'string' ? JSON.parse(data) : data;
+}
+
+/**
+ * Repository for a single collection on top of a storage adapter
+ */
+export class Repository {
+  constructor(adapter, collection) {
+    this.adapter = adapter;
+    this.collection = collection;
+  }
+
+  async get(id) {
+    return this.adapter.get(this.collection, id);
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} id - Record ID
+   * @param {Object} record - Record document
+   * @param {Object} options - Save options
+   * @param {string} options.status - Indexed status (defaults to record.status)
+   * @param {string} options.parentId - Indexed id of the record this one belongs to
+   */
+  async save(id, record, { status, parentId } = {}) {
+    await this.adapter.upsert(
+      this.collection,
+      id,
+      status ?? record.status ?? null,
+      serializeRecord(record),
+      parentId ?? null
+    );
+    return record;
+  }
+
+  async delete(id) {
+    return this.adapter.remove(this.collection, id);
+  }
+
+  /**
+   * List records in the collection
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.status - Only return records with this status
+   * @param {string} filter.parentId - Only return records belonging to this parent
+   * @returns {Promise<Array<{id: string, status: string, parentId: string, data: Object, createdAt: number, updatedAt: number}>>}
+   */
+  async list(filter = {}) {
+    return this.adapter.list(this.collection, filter);
+  }
+}
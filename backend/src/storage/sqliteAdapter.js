@@ -0,0 +1,113 @@
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { StorageAdapter, deserializeRecord } from './repository.js';
+
+// Relative database paths are resolved against the backend directory, not
+// the directory the server happens to be started from
+const BACKEND_DIR = fileURLToPath(new URL('../../', import.meta.url));
+
+/**
+ * SQLite storage adapter (default). Uses a single records table with
+ * WAL journaling so reads from routes don't block service writes.
+ */
+export class SqliteAdapter extends StorageAdapter {
+  constructor({ filename = 'data/manteia.db', logger }) {
+    super();
+    this.filename = filename === ':memory:' ? filename : resolve(BACKEND_DIR, filename);
+    this.logger = logger;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.filename !== ':memory:') {
+      mkdirSync(dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        status TEXT,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE INDEX IF NOT EXISTS records_collection_status
+        ON records (collection, status);
+    `);
+
+    // Databases created before records had a parent id
+    const columns = this.db.prepare('PRAGMA table_info(records)').all();
+    if (!columns.some(column => column.name === 'parent_id')) {
+      this.db.exec('ALTER TABLE records ADD COLUMN parent_id TEXT');
+    }
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS records_collection_parent
+        ON records (collection, parent_id);
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO records (collection, id, status, parent_id, data, created_at, updated_at)
+        VALUES (@collection, @id, @status, @parentId, @data, @now, @now)
+        ON CONFLICT (collection, id) DO UPDATE SET
+          status = excluded.status,
+          parent_id = excluded.parent_id,
+          data = excluded.data,
+          updated_at = excluded.updated_at
+      `),
+      remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      list: this.db.prepare(`
+        SELECT id, status, parent_id, data, created_at, updated_at FROM records
+        WHERE collection = @collection
+          AND (@status IS NULL OR status = @status)
+          AND (@parentId IS NULL OR parent_id = @parentId)
+        ORDER BY created_at ASC
+      `)
+    };
+
+    this.logger.info('SQLite storage initialized', { filename: this.filename });
+  }
+
+  async get(collection, id) {
+    const row = this.statements.get.get(collection, id);
+    return row ? deserializeRecord(row.data) : null;
+  }
+
+  async upsert(collection, id, status, data, parentId = null) {
+    this.statements.upsert.run({ collection, id, status, parentId, data, now: Date.now() });
+  }
+
+  async remove(collection, id) {
+    return this.statements.remove.run(collection, id).changes > 0;
+  }
+
+  async list(collection, { status, parentId } = {}) {
+    const rows = this.statements.list.all({
+      collection,
+      status: status ?? null,
+      parentId: parentId ?? null
+    });
+
+    return rows.map(row => ({
+      id: row.id,
+      status: row.status,
+      parentId: row.parent_id,
+      data: deserializeRecord(row.data),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
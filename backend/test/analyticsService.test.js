@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { AnalyticsService, calculateTradeMetrics, resolvePeriod } from '../src/services/analyticsService.js';
+import { createStorage } from '../src/storage/index.js';
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 0, 8);
+const STRATEGY_ID = `0x${'ab'.repeat(32)}`;
+
+const logger = winston.createLogger({ silent: true });
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+// One fill an hour into each of the first days of the window
+function dailyFills(pnls) {
+  const window = resolvePeriod('7d', NOW);
+  return pnls.map((realizedPnlUsd, day) => ({
+    orderHash: '0x01',
+    realizedPnlUsd,
+    volumeUsd: 100,
+    slippageBps: null,
+    timestamp: new Date(window.from + day * DAY + HOUR).toISOString()
+  }));
+}
+
+test('risk metrics are taken over daily PnL buckets', () => {
+  const { risk } = calculateTradeMetrics({
+    fills: dailyFills([100, -50, -30, 20]),
+    orders: [{ basisUsd: 1000, makingAmount: '1', filledAmount: '0' }],
+    window: resolvePeriod('7d', NOW)
+  });
+
+  // Buckets [100, -50, -30, 20, 0, 0, 0]: equity peaks at 100 and falls to 20
+  assert.equal(risk.observations, 7);
+  assert.equal(risk.maxDrawdown, 80);
+  // Worst of seven buckets is the 5% tail
+  assert.equal(risk.var95, 50);
+  // Returns over 1000 USD of capital, annualized over 365 daily periods
+  assertClose(risk.sharpeRatio, 2.2954679114138856);
+  assertClose(risk.volatility, 0.9086227149346632);
+});
+
+test('the Sharpe ratio needs capital and a non-zero spread of returns', () => {
+  const window = resolvePeriod('7d', NOW);
+
+  assert.equal(calculateTradeMetrics({ fills: dailyFills([100]), orders: [], window }).risk.sharpeRatio, null);
+  assert.equal(calculateTradeMetrics({
+    fills: [],
+    orders: [{ basisUsd: 1000, makingAmount: '1' }],
+    window
+  }).risk.sharpeRatio, null);
+});
+
+test('fill rate averages the filled fraction of each order', () => {
+  const { performance, execution } = calculateTradeMetrics({
+    fills: [],
+    orders: [
+      { status: 'filled', makingAmount: '100', filledAmount: '100' },
+      { status: 'partially_filled', makingAmount: '200', filledAmount: '50' },
+      { status: 'cancelled', makingAmount: '0', filledAmount: '0' }
+    ],
+    window: resolvePeriod('7d', NOW)
+  });
+
+  assert.equal(performance.fillRate, 0.625);
+  assert.equal(execution.filledOrders, 1);
+  assert.equal(execution.partiallyFilledOrders, 1);
+});
+
+test('fills are stored under their strategy and legacy fills are migrated', async () => {
+  const storage = await createStorage({ filename: ':memory:', logger });
+  const analytics = new AnalyticsService({ storage, oneInchService: {}, logger });
+  const fills = storage.repository('fills');
+
+  await analytics.recordFill({
+    strategyId: STRATEGY_ID,
+    order: { orderHash: '0x01', chainId: 1, makingAmount: '100', filledAmount: '40' },
+    amount: 40n
+  });
+  // Written before fills had a parent id
+  await fills.save('0x02:100', { id: '0x02:100', strategyId: STRATEGY_ID }, { status: STRATEGY_ID });
+
+  const [recorded] = await fills.list({ parentId: STRATEGY_ID });
+  assert.equal(recorded.status, null);
+  assert.equal(recorded.data.amount, '40');
+
+  assert.equal(await analytics.migrateFills(), 1);
+  assert.deepEqual((await fills.list({ parentId: STRATEGY_ID })).map(({ id }) => id), ['0x01:40', '0x02:100']);
+  assert.deepEqual(await fills.list({ status: STRATEGY_ID }), []);
+  assert.equal(await analytics.migrateFills(), 0);
+
+  await storage.close();
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { Backtester } from '../src/services/backtester.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const START = 1704067200; // 2024-01-01
+const HOUR = 3600;
+
+const backtester = new Backtester({ logger: winston.createLogger({ silent: true }) });
+
+function candles(prices) {
+  return prices.map((close, i) => ({
+    timestamp: START + i * HOUR,
+    open: close,
+    high: close,
+    low: close,
+    close,
+    volume: 1000
+  }));
+}
+
+function deltaHedgingParams(optionPosition) {
+  return {
+    chainId: 1,
+    maker: '0x733b34e60D3eEa70609364968566f13405802062',
+    makerAsset: WETH,
+    takerAsset: USDC,
+    hedgingAsset: USDC,
+    underlying: WETH,
+    strikePrice: '200000000000',
+    optionType: 'call',
+    expiry: START + 30 * 24 * HOUR,
+    optionPosition,
+    rebalanceThreshold: 0.1,
+    monitoring: { frequency: HOUR, maxRebalances: 5 }
+  };
+}
+
+test('delta hedging sells the long call delta and rebalances as the price rises', async () => {
+  const result = await backtester.run({
+    strategy: 'dynamic_delta_hedging',
+    params: deltaHedgingParams({ quantity: '10000000000000000000', side: 'long', impliedVolatility: 0.6 }),
+    candles: candles([2100, 2150, 2300, 2500, 2700, 2900])
+  });
+
+  const [initial, ...rebalances] = result.fills;
+  assert.equal(initial.orderId, 'delta_hedge');
+  assert.equal(initial.side, 'sell');
+  // 10 units of a call with delta between 0.5 and 1
+  assert.ok(initial.amount > 5 && initial.amount < 10, `initial hedge ${initial.amount}`);
+
+  assert.ok(rebalances.length > 0);
+  assert.ok(rebalances.every(fill => fill.side === 'sell'), 'a rising price deepens the short hedge');
+  assert.equal(result.performance.rebalances, rebalances.length);
+  assert.ok(result.performance.hedgePosition < -initial.amount);
+  assert.ok(result.performance.hedgePosition > -10);
+});
+
+test('delta hedging waits for price history when volatility is realized', async () => {
+  const params = deltaHedgingParams({ quantity: '10000000000000000000', side: 'long' });
+  params.volatilityWindow = 4 * HOUR;
+
+  const result = await backtester.run({
+    strategy: 'dynamic_delta_hedging',
+    params,
+    candles: candles([2100, 2120, 2090, 2140, 2160, 2180])
+  });
+
+  // Close-to-close volatility needs three bars
+  assert.equal(result.fills[0].orderId, 'delta_hedge');
+  assert.equal(result.fills[0].timestamp, new Date((START + 2 * HOUR) * 1000).toISOString());
+});
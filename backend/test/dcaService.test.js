@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { DcaService } from '../src/services/dcaService.js';
+
+const MAKER = '0x733b34e60D3eEa70609364968566f13405802062';
+
+test('the execution log keeps the latest periods only', async () => {
+  const dca = new DcaService({
+    oneInchService: {
+      async getClassicSwap() {
+        return { toAmount: '1000', tx: { to: MAKER, data: '0x' } };
+      }
+    },
+    logger: winston.createLogger({ silent: true })
+  });
+
+  try {
+    const plan = await dca.createPlan({
+      chainId: 1,
+      maker: MAKER,
+      srcToken: MAKER,
+      dstToken: MAKER,
+      amount: '100',
+      schedule: '0 9 * * 1',
+      timezone: 'UTC',
+      mode: 'swap'
+    });
+
+    for (let i = 0; i < 105; i++) {
+      await dca.executePlan(plan.id);
+    }
+
+    assert.equal(plan.executionCount, 105);
+    assert.equal(plan.executions.length, 100);
+    assert.equal(plan.executions[0].period, 6);
+    assert.equal(plan.executions.at(-1).period, 105);
+  } finally {
+    dca.stop();
+  }
+});
@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { ethers } from 'ethers';
+import {
+  LimitOrderBuilder,
+  encodeMakerTraits,
+  decodeMakerTraits,
+  decodeExtension
+} from '../src/services/limitOrderBuilder.js';
+import { OneInchService } from '../src/services/oneInchService.js';
+import { LimitOrderService } from '../src/services/limitOrderService.js';
+import { EnhancedTWAPStrategy } from '../src/services/enhancedStrategies.js';
+
+const MAKER = '0x733b34e60D3eEa70609364968566f13405802062';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+const LIMIT_ORDER_PROTOCOL = '0x111111125421cA6dc452d289314280a0f8842A65';
+const PREDICATE = `0x${'ca'.repeat(36)}`;
+
+const logger = winston.createLogger({ silent: true });
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+function orderParams(overrides = {}) {
+  return {
+    chainId: 1,
+    maker: MAKER,
+    makerAsset: WETH,
+    takerAsset: USDC,
+    makingAmount: '1000000000000000000',
+    takingAmount: '2000000000',
+    salt: 1n,
+    ...overrides
+  };
+}
+
+// 1inch quotes 2000 USDC per WETH
+function quotingOneInch() {
+  const service = new OneInchService({ logger });
+  service.quotes = [];
+  service.getClassicQuote = async params => {
+    service.quotes.push(params);
+    return { dstAmount: (BigInt(params.amount) * 2000000000n / 10n ** 18n).toString() };
+  };
+  return service;
+}
+
+test('orders with a zero takingAmount are rejected', () => {
+  const builder = new LimitOrderBuilder();
+  assert.throws(() => builder.buildOrder(orderParams({ takingAmount: '0' })), /takingAmount must be greater than zero/);
+  assert.throws(() => builder.buildOrder(orderParams({ takingAmount: undefined })), /takingAmount must be greater than zero/);
+  assert.equal(builder.buildOrder(orderParams()).order.takingAmount, '2000000000');
+});
+
+test('the minimum return is the quote less slippage', async () => {
+  const oneInch = quotingOneInch();
+
+  const { quoted, minReturn } = await oneInch.getMinReturn({
+    chainId: 1,
+    src: WETH,
+    dst: USDC,
+    amount: '1000000000000000000',
+    slippage: 0.5
+  });
+  assert.equal(quoted, 2000000000n);
+  assert.equal(minReturn, 1990000000n);
+
+  oneInch.getClassicQuote = async () => ({ dstAmount: '0' });
+  await assert.rejects(oneInch.getMinReturn({ chainId: 1, src: WETH, dst: USDC, amount: '1' }), /No usable quote/);
+});
+
+test('TWAP slices are priced from the quote less maxSlippage', async () => {
+  const oneInch = quotingOneInch();
+  const service = new LimitOrderService({ logger, oneInchService: oneInch });
+  const built = [];
+  service.createLimitOrder = async params => {
+    built.push(params);
+    return { orderHash: `0x${built.length}` };
+  };
+
+  const result = await new EnhancedTWAPStrategy({
+    chainId: 1,
+    maker: MAKER,
+    makerAsset: WETH,
+    takerAsset: USDC,
+    totalAmount: 2e18,
+    intervals: 2,
+    duration: 3600,
+    slippageProtection: { maxSlippage: 0.01, priceImpactThreshold: 0.005 },
+    dynamicAdjustment: { enabled: false },
+    partialFillHandling: { enabled: false }
+  }).execute(service);
+
+  assert.deepEqual(built.map(order => order.takingAmount), ['1980000000', '1980000000']);
+  // Plain limit orders: no hashlock secrets, no interaction
+  assert.equal(result.secrets, undefined);
+  assert.ok(built.every(order => order.interaction === undefined && order.allowPartialFills === false));
+});
+
+test('maker traits put flags and packed fields at their v4 bit positions', () => {
+  const taker = '0x1111111111111111111111111111111111111111';
+  const traits = encodeMakerTraits({
+    allowedSender: taker,
+    expiry: 1767225600,
+    nonce: 7,
+    series: 2,
+    allowPartialFills: false,
+    allowMultipleFills: false,
+    needEpochCheck: true,
+    hasExtension: true,
+    postInteraction: true
+  });
+
+  const bit = n => (traits >> n) & 1n;
+  assert.equal(bit(255n), 1n); // NO_PARTIAL_FILLS
+  assert.equal(bit(254n), 0n); // ALLOW_MULTIPLE_FILLS
+  assert.equal(bit(252n), 0n); // PRE_INTERACTION_CALL
+  assert.equal(bit(251n), 1n); // POST_INTERACTION_CALL
+  assert.equal(bit(250n), 1n); // NEED_CHECK_EPOCH_MANAGER
+  assert.equal(bit(249n), 1n); // HAS_EXTENSION
+  // Low 80 bits of the sender, then uint40 expiry, nonce and series
+  assert.equal(traits & ((1n << 80n) - 1n), BigInt(taker) & ((1n << 80n) - 1n));
+  assert.equal((traits >> 80n) & ((1n << 40n) - 1n), 1767225600n);
+  assert.equal((traits >> 120n) & ((1n << 40n) - 1n), 7n);
+  assert.equal((traits >> 160n) & ((1n << 40n) - 1n), 2n);
+
+  const decoded = decodeMakerTraits(traits);
+  assert.equal(decoded.allowedSender, `0x${'11'.repeat(10)}`);
+  assert.equal(decoded.expiry, 1767225600);
+  assert.equal(decoded.nonce, 7n);
+  assert.equal(decoded.series, 2n);
+  assert.equal(decoded.allowPartialFills, false);
+  assert.equal(decoded.needEpochCheck, true);
+
+  assert.throws(() => encodeMakerTraits({ expiry: 2 ** 40 }), /expiry does not fit in uint40/);
+});
+
+test('orders with an extension commit to its hash in the salt', () => {
+  const builder = new LimitOrderBuilder();
+  const salt = (0xabcdefn << 160n) | 0x1234n;
+  const { order, extension } = builder.buildOrder(orderParams({ salt, predicate: PREDICATE }));
+
+  assert.equal(decodeExtension(extension).predicate, PREDICATE);
+  assert.equal(decodeMakerTraits(order.makerTraits).hasExtension, true);
+  // Upper 96 bits come from the given salt, lower 160 from keccak256(extension)
+  assert.equal(BigInt(order.salt) >> 160n, 0xabcdefn);
+  assert.equal(BigInt(order.salt) & ((1n << 160n) - 1n), BigInt(ethers.keccak256(extension)) & ((1n << 160n) - 1n));
+  assert.equal(builder.verifyExtension(order, extension), true);
+  assert.equal(builder.verifyExtension(order, ethers.concat([extension, '0x00'])), false);
+
+  const plain = builder.buildOrder(orderParams({ salt }));
+  assert.equal(plain.extension, '0x');
+  assert.equal(plain.order.salt, salt.toString());
+  assert.equal(decodeMakerTraits(plain.order.makerTraits).hasExtension, false);
+});
+
+test('the order hash is the v4 EIP-712 hash on the protocol domain', async () => {
+  const builder = new LimitOrderBuilder();
+  const { order, orderHash, typedData } = builder.buildOrder(orderParams());
+
+  // Computed by hand from the protocol's Order and EIP712Domain type strings
+  const orderTypeHash = ethers.id(
+    'Order(uint256 salt,address maker,address receiver,address makerAsset,address takerAsset,' +
+    'uint256 makingAmount,uint256 takingAmount,uint256 makerTraits)'
+  );
+  const domainSeparator = ethers.keccak256(abiCoder.encode(
+    ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+    [
+      ethers.id('EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'),
+      ethers.id('1inch Aggregation Router'),
+      ethers.id('6'),
+      1,
+      LIMIT_ORDER_PROTOCOL
+    ]
+  ));
+  const structHash = ethers.keccak256(abiCoder.encode(
+    ['bytes32', 'uint256', 'address', 'address', 'address', 'address', 'uint256', 'uint256', 'uint256'],
+    [
+      orderTypeHash,
+      order.salt,
+      order.maker,
+      order.receiver,
+      order.makerAsset,
+      order.takerAsset,
+      order.makingAmount,
+      order.takingAmount,
+      order.makerTraits
+    ]
+  ));
+
+  assert.equal(orderHash, ethers.keccak256(ethers.concat(['0x1901', domainSeparator, structHash])));
+  assert.equal(typedData.domain.verifyingContract.toLowerCase(), LIMIT_ORDER_PROTOCOL.toLowerCase());
+
+  const wallet = ethers.Wallet.createRandom();
+  const signed = builder.buildOrder(orderParams({ maker: wallet.address }));
+  const signature = await builder.signOrder(1, signed.order, wallet);
+  assert.equal(ethers.recoverAddress(signed.orderHash, signature), wallet.address);
+  assert.equal(builder.verifySignature(1, signed.order, signature), true);
+  assert.equal(builder.verifySignature(1, order, signature), false);
+});
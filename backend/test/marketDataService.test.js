@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { MarketDataService } from '../src/services/marketDataService.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const HOUR = 3600 * 1000;
+
+test('tokens are sampled while held and dropped once idle', async () => {
+  const polled = [];
+  const marketData = new MarketDataService({
+    priceService: {
+      async getTokenPrice(chainId, tokens) {
+        polled.push(tokens);
+        return Object.fromEntries(tokens.map(token => [token, 1]));
+      }
+    },
+    logger: winston.createLogger({ silent: true })
+  });
+
+  marketData.track(1, WETH, 'strategy-1');
+  marketData.getVolatility(1, USDC);
+  await marketData.poll();
+  assert.deepEqual(polled, [[WETH, USDC]]);
+
+  // An hour later only the held token is still sampled
+  marketData.pruneIdle(Date.now() + HOUR + 1);
+  assert.deepEqual(Array.from(marketData.tracked.values()).map(({ token }) => token), [WETH]);
+  assert.deepEqual(marketData.getSamples(1, USDC), []);
+
+  assert.equal(marketData.untrack(1, WETH, 'strategy-1'), true);
+  assert.equal(marketData.untrack(1, WETH, 'strategy-1'), false);
+  marketData.pruneIdle(Date.now() + HOUR + 1);
+  assert.equal(marketData.tracked.size, 0);
+  assert.deepEqual(marketData.getSamples(1, WETH), []);
+});
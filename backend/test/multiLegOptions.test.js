@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { ethers } from 'ethers';
+import { analyzePayoff } from '../src/services/optionsMath.js';
+import { LimitOrderService } from '../src/services/limitOrderService.js';
+import { MultiLegOptionsStrategy } from '../src/services/enhancedStrategies.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const MAKER = '0x733b34e60D3eEa70609364968566f13405802062';
+
+const leg = (optionType, strike, side, premium) => ({ optionType, strike, side, quantity: 1, premium });
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('debit spread payoff is bounded on both sides', () => {
+  const payoff = analyzePayoff([leg('call', 100, 'long', 5), leg('call', 110, 'short', 2)]);
+
+  assert.equal(payoff.netPremium, 3);
+  assert.equal(payoff.maxProfit, 7);
+  assert.equal(payoff.maxLoss, 3);
+  assert.deepEqual(payoff.breakevens, [103]);
+  assert.deepEqual(payoff.strikes, [100, 110]);
+});
+
+test('short straddle has unbounded loss and two breakevens', () => {
+  const payoff = analyzePayoff([leg('call', 100, 'short', 5), leg('put', 100, 'short', 5)]);
+
+  assert.equal(payoff.netPremium, -10);
+  assert.equal(payoff.maxProfit, 10);
+  assert.equal(payoff.maxLoss, null);
+  assert.deepEqual(payoff.breakevens, [90, 110]);
+});
+
+test('long call has unbounded profit', () => {
+  const payoff = analyzePayoff([leg('call', 100, 'long', 4)]);
+
+  assert.equal(payoff.maxProfit, null);
+  assert.equal(payoff.maxLoss, 4);
+  assert.deepEqual(payoff.breakevens, [104]);
+});
+
+test('iron condor credit, max loss and chart points', () => {
+  const payoff = analyzePayoff([
+    leg('put', 80, 'long', 1),
+    leg('put', 90, 'short', 3),
+    leg('call', 110, 'short', 3),
+    leg('call', 120, 'long', 1)
+  ], { points: 5, from: 70, to: 130 });
+
+  assert.equal(payoff.netPremium, -4);
+  assert.equal(payoff.maxProfit, 4);
+  assert.equal(payoff.maxLoss, 6);
+  assert.deepEqual(payoff.breakevens, [86, 114]);
+
+  // Evenly spaced points plus the strikes and breakevens, in price order
+  const prices = payoff.points.map(point => point.price);
+  assert.deepEqual(prices, [70, 80, 85, 86, 90, 100, 110, 114, 115, 120, 130]);
+  assertClose(payoff.points.find(point => point.price === 100).payoff, 4);
+  assertClose(payoff.points.find(point => point.price === 130).payoff, -6);
+});
+
+test('a package that fails mid-way is tracked as failed and cancellable in one batch', async () => {
+  let posted = 0;
+  const oneInchService = {
+    async createLimitOrder(params) {
+      if (++posted === 3) throw new Error('orderbook unavailable');
+      return {
+        orderHash: ethers.hexlify(ethers.randomBytes(32)),
+        chainId: params.chainId,
+        status: 'submitted',
+        order: { maker: params.maker, makerTraits: '1' }
+      };
+    }
+  };
+  const service = new LimitOrderService({ logger: winston.createLogger({ silent: true }), oneInchService });
+
+  const expiry = Math.floor(Date.now() / 1000) + 30 * 86400;
+  const packageLeg = (optionType, strikePrice, side) => ({
+    underlying: WETH,
+    optionType,
+    strikePrice,
+    side,
+    quantity: 1,
+    premium: '100000000',
+    expiry,
+    makerAsset: WETH,
+    takerAsset: USDC,
+    amount: '1000',
+    takingAmount: '1000'
+  });
+
+  const error = await service.createMultiLegOptionsOrder({
+    chainId: 1,
+    maker: MAKER,
+    structure: 'iron_condor',
+    legs: [
+      packageLeg('put', '180000000000', 'long'),
+      packageLeg('put', '190000000000', 'short'),
+      packageLeg('call', '210000000000', 'short'),
+      packageLeg('call', '220000000000', 'long')
+    ]
+  }).then(() => null, rejection => rejection);
+
+  assert.match(error.message, /Leg 2 failed to post/);
+  assert.equal(error.cancelledOrders.length, 2);
+  assert.equal(error.transaction.data.slice(0, 10), ethers.id('cancelOrders(uint256[],bytes32[])').slice(0, 10));
+
+  const lifecycle = service.getStrategyLifecycle(error.packageId);
+  assert.equal(lifecycle.state, 'failed');
+  assert.deepEqual(lifecycle.orders.map(order => order.status), ['submitted', 'submitted']);
+
+  // The posted legs stay open until the maker's cancel transaction is confirmed
+  const cancelled = await service.cancelOrder(error.packageId);
+  assert.equal(cancelled.status, 'cancelling');
+  assert.deepEqual(cancelled.cancelledOrders, error.cancelledOrders);
+  assert.deepEqual(cancelled.transaction, error.transaction);
+  assert.equal(lifecycle.state, 'failed');
+  assert.deepEqual(lifecycle.pendingCancel.orderHashes, error.cancelledOrders);
+});
+
+test('the original spreadType still selects a structure', () => {
+  const expiry = Math.floor(Date.now() / 1000) + 86400;
+  const spreadLeg = (strikePrice, side) => ({
+    underlying: WETH,
+    optionType: 'call',
+    strikePrice,
+    side,
+    quantity: 1,
+    premium: '0',
+    expiry
+  });
+  const legs = [spreadLeg('200000000000', 'long'), spreadLeg('220000000000', 'short')];
+
+  const vertical = new MultiLegOptionsStrategy({ chainId: 1, spreadType: 'vertical', legs });
+  assert.equal(vertical.structure, 'vertical_spread');
+  assert.equal(vertical.validate().maxLoss, 0);
+
+  const diagonal = new MultiLegOptionsStrategy({ chainId: 1, spreadType: 'diagonal', legs });
+  assert.throws(() => diagonal.validate(), { name: 'ValidationError', message: /only vertical spreads/ });
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { ethers } from 'ethers';
+import { NonceManager } from '../src/services/nonceManager.js';
+import { LimitOrderService } from '../src/services/limitOrderService.js';
+import { getLimitOrderProtocolAddress } from '../src/config/contracts.js';
+
+const MAKER = '0x733b34e60D3eEa70609364968566f13405802062';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+const epochManager = new ethers.Interface([
+  'function epoch(address maker, uint96 series) view returns (uint256)',
+  'function increaseEpoch(uint96 series)'
+]);
+const logger = winston.createLogger({ silent: true });
+
+// Chain with one epoch manager; sending increaseEpoch moves it on the next block
+function fakeChain() {
+  const chain = {
+    epoch: 3,
+    transactions: new Map(),
+    async call(tx) {
+      assert.equal(tx.to.toLowerCase(), getLimitOrderProtocolAddress(1).toLowerCase());
+      return epochManager.encodeFunctionResult('epoch', [chain.epoch]);
+    },
+    async getTransaction(hash) {
+      return chain.transactions.get(hash)?.tx ?? null;
+    },
+    async getTransactionReceipt(hash) {
+      return chain.transactions.get(hash)?.receipt ?? null;
+    },
+    mine(hash, { from = MAKER, data, status = 1 }) {
+      chain.transactions.set(hash, {
+        tx: { hash, from, to: getLimitOrderProtocolAddress(1), data },
+        receipt: { hash, status }
+      });
+      if (status === 1) chain.epoch += 1;
+    }
+  };
+  return chain;
+}
+
+function nonceManager(chain) {
+  const manager = new NonceManager({ logger, rpcUrls: { 1: 'http://localhost:8545' } });
+  manager.providers.set(1, chain);
+  return manager;
+}
+
+test('orders are built against the on-chain epoch', async () => {
+  const chain = fakeChain();
+  let submitted;
+  const service = new LimitOrderService({
+    logger,
+    nonceManager: nonceManager(chain),
+    oneInchService: {
+      async createLimitOrder(params) {
+        submitted = params;
+        return { orderHash: TX_HASH, chainId: 1, status: 'submitted', order: {} };
+      }
+    }
+  });
+
+  await service.createLimitOrder({ chainId: 1, maker: MAKER, makerAsset: WETH, takerAsset: USDC });
+  assert.equal(submitted.needEpochCheck, true);
+  assert.equal(submitted.nonce, 3);
+
+  await service.createLimitOrder({ chainId: 1, maker: MAKER, allowMultipleFills: false });
+  assert.equal(submitted.needEpochCheck, undefined);
+});
+
+test('an epoch advance is only applied once its transaction is confirmed', async () => {
+  const chain = fakeChain();
+  const manager = nonceManager(chain);
+
+  const advance = await manager.advanceEpoch(1, MAKER, 0);
+  assert.equal(advance.previousEpoch, 3);
+  assert.equal(advance.epoch, 4);
+  assert.deepEqual(manager.getMakerNonces(1, MAKER).epochs, { 0: 3 });
+  assert.equal(manager.getMakerNonces(1, MAKER).pending[0].epoch, 4);
+
+  await assert.rejects(manager.confirmEpochAdvance(1, MAKER, TX_HASH), { name: 'NotFoundError' });
+  assert.equal(await manager.getEpoch(1, MAKER, 0), 3);
+
+  chain.mine(TX_HASH, { data: advance.transaction.data });
+  const confirmed = await manager.confirmEpochAdvance(1, MAKER, TX_HASH);
+  assert.deepEqual(confirmed, { series: 0, epoch: 4, transactionHash: TX_HASH });
+  assert.deepEqual(manager.getMakerNonces(1, MAKER).epochs, { 0: 4 });
+  assert.deepEqual(manager.getMakerNonces(1, MAKER).pending, {});
+});
+
+test('only a successful increaseEpoch by the maker confirms an advance', async () => {
+  const chain = fakeChain();
+  const manager = nonceManager(chain);
+  const { transaction } = await manager.advanceEpoch(1, MAKER, 0);
+
+  const other = `0x${'cd'.repeat(32)}`;
+  chain.mine(other, { from: WETH, data: transaction.data, status: 0 });
+  await assert.rejects(manager.confirmEpochAdvance(1, MAKER, other), { name: 'ValidationError' });
+
+  const reverted = `0x${'ef'.repeat(32)}`;
+  chain.mine(reverted, { data: transaction.data, status: 0 });
+  await assert.rejects(manager.confirmEpochAdvance(1, MAKER, reverted), { name: 'ConflictError' });
+  assert.equal(manager.getMakerNonces(1, MAKER).pending[0].epoch, 4);
+});
+
+test('without an RPC URL orders carry no epoch', async () => {
+  let submitted;
+  const service = new LimitOrderService({
+    logger,
+    oneInchService: {
+      async createLimitOrder(params) {
+        submitted = params;
+        return { orderHash: TX_HASH, chainId: 1, status: 'submitted', order: {} };
+      }
+    }
+  });
+
+  await service.createLimitOrder({ chainId: 1, maker: MAKER });
+  assert.equal(submitted.needEpochCheck, undefined);
+
+  const result = await service.cancelMakerOrders(MAKER, { chainId: 1 });
+  assert.equal(result.epoch, null);
+  assert.deepEqual(result.transactions, []);
+});
+
+test('a cancelled strategy stays cancelling until its cancel transaction is confirmed', async () => {
+  const chain = fakeChain();
+  const service = new LimitOrderService({ logger, nonceManager: nonceManager(chain) });
+  const orderHash = `0x${'12'.repeat(32)}`;
+  await service.registerStrategy(orderHash, { type: 'custom' }, {
+    kind: 'custom',
+    orders: [{ orderHash, chainId: 1, order: { maker: MAKER, makerTraits: '1' } }]
+  });
+  const lifecycle = service.getStrategyLifecycle(orderHash);
+
+  const requested = await service.cancelOrder(orderHash);
+  assert.equal(requested.status, 'cancelling');
+  assert.equal(lifecycle.state, 'cancelling');
+  assert.equal(lifecycle.orders[0].status, 'submitted');
+  assert.deepEqual((await service.cancelOrder(orderHash)).transaction, requested.transaction);
+
+  await assert.rejects(service.confirmOrderCancel(orderHash, TX_HASH), { name: 'NotFoundError' });
+
+  const other = `0x${'cd'.repeat(32)}`;
+  chain.mine(other, { from: WETH, data: requested.transaction.data });
+  await assert.rejects(service.confirmOrderCancel(orderHash, other), { name: 'ValidationError' });
+  assert.equal(lifecycle.state, 'cancelling');
+
+  chain.mine(TX_HASH, { data: requested.transaction.data });
+  const confirmed = await service.confirmOrderCancel(orderHash, TX_HASH);
+  assert.deepEqual(confirmed.cancelledOrders, [orderHash]);
+  assert.equal(lifecycle.state, 'cancelled');
+  assert.equal(lifecycle.orders[0].status, 'cancelled');
+  assert.equal(lifecycle.pendingCancel, null);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PredicateBuilder, MAX_PREDICATE_OPERANDS, predicateInterface } from '../src/services/predicateBuilder.js';
+import { PredicateDecoder } from '../src/services/predicateDecoder.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const WETH_FEED = '0x5f4ec3df9cbd43714fe2740f5e3616155c5b8419';
+
+const builder = new PredicateBuilder({ chainId: 1 });
+const decoder = new PredicateDecoder({ chainId: 1 });
+
+test('timestamp predicates decode to their bound', () => {
+  const expiry = 1893456000;
+
+  assert.deepEqual(decoder.decode(builder.timestampBelow(expiry)), {
+    type: 'timestamp',
+    operator: 'lt',
+    value: String(expiry),
+    time: '2030-01-01T00:00:00.000Z'
+  });
+
+  // timestampAbove(t) is encoded as block.timestamp > t - 1
+  const above = decoder.decode(builder.timestampAbove(expiry * 1000));
+  assert.equal(above.operator, 'gt');
+  assert.equal(above.value, String(expiry - 1));
+});
+
+test('oracle comparisons keep the feed and the token it prices', () => {
+  const tree = decoder.decode(builder.gt(3000e8, builder.oraclePrice(WETH)));
+
+  assert.equal(tree.type, 'comparison');
+  assert.equal(tree.operator, 'gt');
+  assert.equal(tree.value, String(3000e8));
+  assert.equal(tree.call.source, 'price_feed');
+  assert.equal(tree.call.target.toLowerCase(), WETH_FEED);
+  assert.ok(tree.call.tokens.includes(WETH.toLowerCase()));
+});
+
+test('and/or/not trees roundtrip', () => {
+  const predicate = builder.or(
+    builder.and(builder.timestampAbove(1700000000), builder.lt(2000e8, builder.oraclePrice(WETH))),
+    builder.not(builder.timestampBelow(1800000000))
+  );
+
+  const tree = decoder.decode(predicate);
+  assert.equal(tree.type, 'or');
+  assert.equal(tree.children.length, 2);
+
+  const [left, right] = tree.children;
+  assert.equal(left.type, 'and');
+  assert.deepEqual(left.children.map(child => child.type), ['timestamp', 'comparison']);
+  assert.equal(right.type, 'not');
+  assert.equal(right.child.value, '1800000000');
+
+  assert.match(
+    decoder.describe(tree),
+    /^ANY OF \(ALL OF \(block\.timestamp > 1699999999 .*; price\(.*0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2 via 0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419\) < 200000000000\); NOT \(block\.timestamp < 1800000000 .*\)\)$/
+  );
+});
+
+test('compound predicates skip empty operands and nest past the operand limit', () => {
+  assert.equal(builder.createCompoundPredicate([null, '0x']), '0x');
+
+  const single = builder.timestampBelow(1800000000);
+  assert.equal(builder.createCompoundPredicate(['0x', { predicate: single }]), single);
+
+  const operands = Array.from({ length: MAX_PREDICATE_OPERANDS + 2 }, (_, i) => builder.timestampBelow(1800000000 + i));
+  const tree = decoder.decode(builder.createCompoundPredicate(operands, 'AND'));
+
+  assert.equal(tree.children.length, MAX_PREDICATE_OPERANDS);
+  const nested = tree.children[MAX_PREDICATE_OPERANDS - 1];
+  assert.equal(nested.type, 'and');
+
+  const values = [...tree.children.slice(0, -1), ...nested.children].map(child => Number(child.value));
+  assert.deepEqual(values, operands.map((_, i) => 1800000000 + i));
+});
+
+test('calldata of each node re-encodes to the original operand', () => {
+  const first = builder.timestampAbove(1700000000);
+  const second = builder.gt(1, builder.oraclePrice(WETH));
+  const tree = new PredicateDecoder({ chainId: 1, includeCalldata: true }).decode(builder.and(first, second));
+
+  assert.deepEqual(tree.children.map(child => child.calldata), [first, second]);
+});
+
+test('empty predicates are always fillable', () => {
+  assert.equal(decoder.decode('0x'), null);
+  assert.equal(decoder.explain(null).summary, 'No predicate: the order is always fillable');
+});
+
+test('malformed calldata reports the offset it fails at', () => {
+  const valid = builder.and(builder.timestampBelow(1800000000), builder.timestampAbove(1700000000));
+
+  // First operand ends at byte 10, the second claims to run past the data
+  const overrun = predicateInterface.encodeFunctionData('and', [(5000n << 32n) | 10n, valid]);
+  assert.throws(() => decoder.decode(overrun), error => error.name === 'ValidationError' && error.offset === 110);
+
+  assert.throws(
+    () => decoder.decode(valid.slice(0, 200)),
+    error => error.name === 'ValidationError' && error.offset === 0 && /Malformed and\(\)/.test(error.message)
+  );
+
+  // A truncated operand is reported at its own position, not the root's
+  const nested = builder.not(valid.slice(0, 200));
+  assert.throws(() => decoder.decode(nested), error => error.offset === 68);
+});
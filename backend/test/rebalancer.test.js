@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { computeRebalanceTrades, RebalancerService } from '../src/services/rebalancerService.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+const MAKER = '0x733b34e60D3eEa70609364968566f13405802062';
+
+test('no trades while drift stays under the threshold', () => {
+  const result = computeRebalanceTrades({
+    holdings: [{ token: WETH, valueUsd: 520 }, { token: USDC, valueUsd: 480 }],
+    targets: [{ token: WETH, weight: 50 }, { token: USDC, weight: 50 }],
+    driftThreshold: 5,
+    minTradeUsd: 10
+  });
+
+  assert.equal(result.totalValueUsd, 1000);
+  assert.equal(result.maxDrift, 2);
+  assert.deepEqual(result.trades, []);
+});
+
+test('overweight tokens are sold into underweight ones', () => {
+  const result = computeRebalanceTrades({
+    holdings: [{ token: WETH, valueUsd: 700 }, { token: USDC, valueUsd: 300 }],
+    targets: [{ token: WETH.toLowerCase(), weight: 50 }, { token: USDC, weight: 50 }],
+    driftThreshold: 5,
+    minTradeUsd: 10
+  });
+
+  assert.equal(result.maxDrift, 20);
+  assert.deepEqual(result.allocations.map(a => a.deltaUsd), [-200, 200]);
+  assert.deepEqual(result.trades, [{ src: WETH.toLowerCase(), dst: USDC, amountUsd: 200 }]);
+});
+
+test('largest imbalances are matched first and small trades dropped', () => {
+  const result = computeRebalanceTrades({
+    holdings: [
+      { token: WETH, valueUsd: 600 },
+      { token: USDC, valueUsd: 395 },
+      { token: WBTC, valueUsd: 5 }
+    ],
+    targets: [
+      { token: WETH, weight: 40 },
+      { token: USDC, weight: 40 },
+      { token: WBTC, weight: 20 }
+    ],
+    driftThreshold: 5,
+    minTradeUsd: 10
+  });
+
+  // WETH is 200 over; WBTC needs 195, USDC 5 which is below minTradeUsd
+  assert.deepEqual(result.trades, [{ src: WETH, dst: WBTC, amountUsd: 195 }]);
+});
+
+test('an empty portfolio produces no trades', () => {
+  const result = computeRebalanceTrades({
+    holdings: [],
+    targets: [{ token: WETH, weight: 100 }],
+    driftThreshold: 1,
+    minTradeUsd: 0
+  });
+
+  assert.equal(result.totalValueUsd, 0);
+  assert.deepEqual(result.trades, []);
+});
+
+test('rebalance plans go through the shared pause, update and cancel lifecycle', async () => {
+  const rebalancer = new RebalancerService({ logger: winston.createLogger({ silent: true }) });
+
+  try {
+    const plan = await rebalancer.createPlan({
+      maker: MAKER,
+      chainId: 1,
+      targets: [{ token: WETH, weight: 60 }, { token: USDC, weight: 40 }],
+      schedule: '0 * * * *',
+      timezone: 'UTC',
+      driftThreshold: 5,
+      minTradeUsd: 10,
+      mode: 'swap'
+    });
+    assert.equal(plan.status, 'active');
+    assert.ok(rebalancer.tasks.has(plan.id));
+
+    await rebalancer.pausePlan(plan.id);
+    await assert.rejects(rebalancer.pausePlan(plan.id), { name: 'ConflictError' });
+    await rebalancer.resumePlan(plan.id);
+
+    await assert.rejects(
+      rebalancer.updatePlan(plan.id, { targets: [{ token: WETH, weight: 60 }] }),
+      /must sum to 100/
+    );
+    const updated = await rebalancer.updatePlan(plan.id, { driftThreshold: 2, maker: USDC });
+    assert.equal(updated.driftThreshold, 2);
+    assert.equal(updated.maker, MAKER);
+
+    await rebalancer.cancelPlan(plan.id);
+    assert.equal(rebalancer.getPlan(plan.id).status, 'cancelled');
+    assert.ok(!rebalancer.tasks.has(plan.id));
+    await assert.rejects(rebalancer.cancelPlan(plan.id), { name: 'ConflictError' });
+    await assert.rejects(rebalancer.resumePlan('missing'), { name: 'NotFoundError' });
+  } finally {
+    rebalancer.stop();
+  }
+});
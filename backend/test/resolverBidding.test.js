@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { BiddingEngine } from '../src/services/resolverBidding.js';
+
+const logger = winston.createLogger({ silent: true });
+
+// Accepts any taking amount up to maxTakingAmount
+function thresholdProfitability(maxTakingAmount) {
+  const breakdown = takingAmount => ({
+    accepted: BigInt(takingAmount) <= maxTakingAmount,
+    expectedProfitUsd: Number(maxTakingAmount - BigInt(takingAmount)),
+    reason: BigInt(takingAmount) <= maxTakingAmount ? undefined : 'Expected profit is below the minimum margin'
+  });
+  return {
+    async evaluate(swap) {
+      return breakdown(swap.dstAmount);
+    },
+    reprice(floor, dstAmount, takingAmount) {
+      return breakdown(takingAmount);
+    }
+  };
+}
+
+function biddingEngine(profitability) {
+  const fills = [];
+  const engine = new BiddingEngine({
+    oneInchService: {},
+    profitability,
+    logger,
+    fillOrder: async bid => fills.push(bid)
+  });
+  return { engine, fills };
+}
+
+// A 120s auction starting 10% above the 1,000,000 taking amount, sampled every 12s
+function auctionOrder(startTime) {
+  return {
+    orderHash: `0x${'aa'.repeat(32)}`,
+    customData: {
+      auction: { startTime, duration: 120, initialRateBump: 1000000, points: [] }
+    }
+  };
+}
+
+const swap = { id: 'swap-1', srcChainId: 1, srcAmount: '500', dstAmount: '1000000' };
+
+test('the fill is scheduled at the earliest profitable point of the auction', async () => {
+  const startTime = Math.floor(Date.now() / 1000) + 10;
+  const { engine, fills } = biddingEngine(thresholdProfitability(1050000n));
+
+  const bid = await engine.submit(auctionOrder(startTime), swap);
+  engine.stop();
+
+  assert.equal(bid.status, 'scheduled');
+  assert.equal(bid.curve.length, 11);
+  assert.equal(bid.curve[0].takingAmount, '1100000');
+  assert.equal(bid.curve[10].takingAmount, '1000000');
+  // Half way through the rate bump is down to 5%
+  assert.equal(bid.curve.findIndex(point => point.accepted), 5);
+  assert.equal(bid.scheduledFor, new Date((startTime + 60) * 1000).toISOString());
+  assert.equal(bid.bidTakingAmount, '1050000');
+  assert.deepEqual(fills, []);
+});
+
+test('an auction that does not pay even at its end is not bid on', async () => {
+  const startTime = Math.floor(Date.now() / 1000) + 10;
+  const { engine } = biddingEngine(thresholdProfitability(999999n));
+
+  const bid = await engine.submit(auctionOrder(startTime), swap);
+  engine.stop();
+
+  assert.equal(bid.status, 'unprofitable');
+  assert.equal(bid.scheduledFor, null);
+  assert.deepEqual(bid.curve, []);
+});
@@ -0,0 +1,313 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import winston from 'winston';
+import { ResolverBot } from '../src/services/resolverBot.js';
+import { SecretVault } from '../src/services/secretVault.js';
+import { SWAP_STATES, assertSwapTransition, canSwapTransition } from '../src/services/resolverSwapLifecycle.js';
+
+const SUI = '0x2::sui::SUI';
+const CROSS_CHAIN_ID = `0x${'12'.repeat(32)}`;
+
+const logger = winston.createLogger({ silent: true });
+
+// Sui side of the resolver: one account, escrows indexed by cross-chain ID
+function fakeSui({ balance = '1000000', escrows = new Map() } = {}) {
+  const sui = {
+    address: '0xresolver',
+    escrows,
+    created: [],
+    lookupError: null,
+    async getBalance() {
+      return { totalBalance: balance };
+    },
+    async findEscrowByCrossChainId(crossChainId) {
+      if (sui.lookupError) throw sui.lookupError;
+      return sui.escrows.get(crossChainId) || null;
+    },
+    async createEscrow(params) {
+      sui.created.push(params);
+      const escrow = { escrowId: `0xescrow${sui.created.length}`, expiry: String(Date.now() + params.duration) };
+      sui.escrows.set(params.crossChainId, escrow);
+      return escrow;
+    },
+    async getEscrowDetails(escrowId) {
+      const escrow = Array.from(sui.escrows.values()).find(entry => entry.escrowId === escrowId);
+      return { ...escrow, isClaimed: false };
+    },
+    async getCoinForAmount() {
+      return '0xcoin';
+    },
+    async subscribeToEscrowEvents() {},
+    async healthCheck() {
+      return { status: 'healthy' };
+    }
+  };
+  return sui;
+}
+
+// Ethereum side of the resolver: Fusion+ fills and Ethereum escrows
+function fakeEthereum() {
+  const ethereum = {
+    fills: [],
+    escrows: new Map(),
+    async fillFusionOrder(swap) {
+      ethereum.fills.push(swap.id);
+      return { txHash: `0xfill${ethereum.fills.length}` };
+    },
+    async findEscrow(crossChainId) {
+      return ethereum.escrows.get(crossChainId) || null;
+    }
+  };
+  return ethereum;
+}
+
+function resolverBot(suiService, { ethereumResolver = fakeEthereum() } = {}) {
+  const bot = new ResolverBot({
+    oneInchService: { async subscribeToOrders() {} },
+    suiService,
+    secretVault: new SecretVault({ masterKey: crypto.randomBytes(32).toString('hex'), logger }),
+    ethereumResolver,
+    logger
+  });
+  bot.profitability.evaluate = async () => ({ accepted: true, expectedProfitUsd: 1 });
+  return bot;
+}
+
+function ethToSuiSwap(fields = {}) {
+  return {
+    id: 'swap_1',
+    type: 'ETH_TO_SUI',
+    status: SWAP_STATES.PENDING,
+    dstToken: SUI,
+    dstAmount: '1000',
+    sender: '0xuser',
+    crossChainId: CROSS_CHAIN_ID,
+    attempts: 0,
+    createdAt: Date.now(),
+    ...fields
+  };
+}
+
+test('the state machine only allows its listed transitions', () => {
+  assert.ok(canSwapTransition(SWAP_STATES.PENDING, SWAP_STATES.ACCEPTED));
+  assert.ok(canSwapTransition(SWAP_STATES.ESCROW_CREATED, SWAP_STATES.REFUNDING));
+  assert.ok(!canSwapTransition(SWAP_STATES.ESCROW_CREATED, SWAP_STATES.CANCELLED));
+  assert.ok(!canSwapTransition(SWAP_STATES.COMPLETED, SWAP_STATES.REFUNDING));
+  assert.throws(() => assertSwapTransition(SWAP_STATES.REFUNDED, SWAP_STATES.PENDING), { name: 'ConflictError' });
+});
+
+test('an ETH to SUI swap runs from PENDING to COMPLETED', async () => {
+  const sui = fakeSui();
+  const bot = resolverBot(sui);
+  const swap = ethToSuiSwap();
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.resumeSwaps();
+
+  assert.equal(swap.status, SWAP_STATES.COMPLETED);
+  assert.deepEqual(swap.history.map(step => step.to), [
+    SWAP_STATES.ACCEPTED,
+    SWAP_STATES.ESCROW_CREATED,
+    SWAP_STATES.COMPLETED
+  ]);
+  assert.equal(sui.created.length, 1);
+  assert.equal(sui.created[0].hash, swap.hashlock);
+  assert.equal(swap.fulfillTxHash, '0xfill1');
+  assert.ok(bot.completedSwaps.has(swap.id));
+});
+
+test('without an Ethereum resolver no Sui escrow is locked', async () => {
+  const sui = fakeSui();
+  const bot = resolverBot(sui, { ethereumResolver: null });
+  const swap = ethToSuiSwap();
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.resumeSwaps();
+
+  assert.equal(swap.status, SWAP_STATES.REJECTED);
+  assert.equal(sui.created.length, 0);
+});
+
+test('an escrowed swap completes only with a fill transaction', async () => {
+  const sui = fakeSui();
+  sui.escrows.set(CROSS_CHAIN_ID, { escrowId: '0xlocked', expiry: String(Date.now() + 60000) });
+  const bot = resolverBot(sui, { ethereumResolver: null });
+  const swap = ethToSuiSwap({ status: SWAP_STATES.ESCROW_CREATED, suiEscrowId: '0xlocked' });
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.advanceSwap(swap);
+  assert.equal(swap.status, SWAP_STATES.ESCROW_CREATED);
+  assert.equal(swap.lastError, 'No Ethereum resolver configured');
+
+  bot.ethereumResolver = { async fillFusionOrder() { return { success: true }; } };
+  await bot.advanceSwap(swap);
+  assert.equal(swap.status, SWAP_STATES.ESCROW_CREATED);
+  assert.equal(swap.fulfillTxHash, undefined);
+});
+
+test('a resumed escrow request is found on-chain instead of locking funds twice', async () => {
+  const sui = fakeSui();
+  sui.escrows.set(CROSS_CHAIN_ID, { escrowId: '0xlocked', expiry: String(Date.now() + 60000) });
+  const bot = resolverBot(sui);
+  const swap = ethToSuiSwap({ status: SWAP_STATES.ACCEPTED, escrowRequestedAt: Date.now() - 1000 });
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.resumeSwaps();
+
+  assert.equal(sui.created.length, 0);
+  assert.equal(swap.suiEscrowId, '0xlocked');
+  assert.equal(swap.status, SWAP_STATES.COMPLETED);
+});
+
+test('a requested escrow keeps the swap from being cancelled', async () => {
+  // Not enough inventory to reserve on resume, but the escrow already exists
+  const sui = fakeSui({ balance: '0' });
+  sui.escrows.set(CROSS_CHAIN_ID, { escrowId: '0xlocked', expiry: String(Date.now() + 60000) });
+  const bot = resolverBot(sui);
+  const swap = ethToSuiSwap({ status: SWAP_STATES.ACCEPTED, escrowRequestedAt: Date.now() - 1000 });
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.resumeSwaps();
+  assert.equal(swap.status, SWAP_STATES.COMPLETED);
+  assert.equal(sui.created.length, 0);
+
+  // Nothing on-chain: the swap can be cancelled
+  const other = ethToSuiSwap({ id: 'swap_2', status: SWAP_STATES.ACCEPTED, escrowRequestedAt: Date.now() - 1000 });
+  sui.escrows.clear();
+  bot.activeSwaps.set(other.id, other);
+  await bot.resumeSwaps();
+  assert.equal(other.status, SWAP_STATES.CANCELLED);
+});
+
+test('a failed escrow lookup leaves the swap to be retried', async () => {
+  const sui = fakeSui();
+  sui.lookupError = new Error('rpc unavailable');
+  const bot = resolverBot(sui);
+  const swap = ethToSuiSwap({ status: SWAP_STATES.ACCEPTED, escrowRequestedAt: Date.now() - 1000 });
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.cancelSwap(swap.id, 'Timeout');
+  assert.equal(swap.status, SWAP_STATES.ACCEPTED);
+
+  swap.attempts = bot.config.retryAttempts;
+  await bot.advanceSwap(swap);
+  assert.equal(swap.status, SWAP_STATES.ACCEPTED);
+  assert.equal(swap.lastError, 'rpc unavailable');
+  assert.ok(swap.nextAttemptAt > Date.now());
+  assert.equal(sui.created.length, 0);
+});
+
+test('an Ethereum escrow that cannot be looked up is never assumed gone', async () => {
+  const bot = resolverBot(fakeSui(), { ethereumResolver: null });
+  const swap = ethToSuiSwap({
+    type: 'SUI_TO_ETH',
+    status: SWAP_STATES.ACCEPTED,
+    dstToken: '0xusdc',
+    dstChainId: 1,
+    escrowRequestedAt: Date.now() - 1000
+  });
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.cancelSwap(swap.id, 'Timeout');
+  assert.equal(swap.status, SWAP_STATES.ACCEPTED);
+  assert.equal(swap.ethEscrowId, undefined);
+});
+
+test('SUI to ETH swaps are not taken without an Ethereum resolver', async () => {
+  const bot = resolverBot(fakeSui(), { ethereumResolver: null });
+  const swap = ethToSuiSwap({ type: 'SUI_TO_ETH', dstToken: '0xusdc', dstChainId: 1 });
+
+  assert.equal(await bot.shouldHandleSwap(swap), false);
+  assert.equal(bot.inventory.reservations.size, 0);
+});
+
+test('the secret is only requested once the Ethereum escrow can be read', async () => {
+  const sui = fakeSui();
+  const expiry = String(Date.now() + 60000);
+  const ethereum = fakeEthereum();
+  ethereum.details = null;
+  ethereum.getEscrowDetails = async () => ethereum.details;
+  ethereum.claimEscrow = async () => ({ txHash: '0xclaim' });
+  const bot = resolverBot(sui, { ethereumResolver: ethereum });
+
+  const secret = 'ab'.repeat(32);
+  const { id, hashlock } = await bot.secretVault.seal('resolver:swap_1', secret, {
+    terms: { src: { amount: '1000', timelocks: expiry }, dst: { amount: '500', timelocks: '600' } }
+  });
+  sui.escrows.set(CROSS_CHAIN_ID, { escrowId: '0xsrc', hash: hashlock, amount: '1000', expiry });
+  const swap = ethToSuiSwap({
+    type: 'SUI_TO_ETH',
+    status: SWAP_STATES.WAITING_FOR_SECRET,
+    suiEscrowId: '0xsrc',
+    ethEscrowId: '0xdst',
+    secretId: id,
+    refundAfter: Number(expiry)
+  });
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.advanceSwap(swap);
+  await bot.advanceSwap(swap);
+  assert.equal(swap.status, SWAP_STATES.WAITING_FOR_SECRET);
+  assert.deepEqual(bot.secretVault.getAuditLog(id), []);
+
+  ethereum.details = { hashlock, amount: '500', timelocks: '600' };
+  await bot.advanceSwap(swap);
+  assert.equal(swap.status, SWAP_STATES.COMPLETED);
+  assert.equal(swap.claimTxHash, '0xclaim');
+  assert.equal(bot.secretVault.getAuditLog(id).length, 1);
+});
+
+test('an escrow found after the last retry moves the swap on instead of failing it', async () => {
+  const sui = fakeSui();
+  const bot = resolverBot(sui);
+  const swap = ethToSuiSwap({ status: SWAP_STATES.ACCEPTED, attempts: bot.config.retryAttempts - 1 });
+  bot.activeSwaps.set(swap.id, swap);
+
+  // The escrow lands on-chain but the call reports a failure
+  sui.createEscrow = async params => {
+    sui.escrows.set(params.crossChainId, { escrowId: '0xlanded', expiry: String(Date.now() + 60000) });
+    throw new Error('request timed out');
+  };
+  await bot.advanceSwap(swap);
+
+  assert.equal(swap.status, SWAP_STATES.ESCROW_CREATED);
+  assert.equal(swap.suiEscrowId, '0xlanded');
+});
+
+test('swaps without a crossChainId are rejected before any escrow is sent', async () => {
+  const sui = fakeSui();
+  const bot = resolverBot(sui);
+  const swap = ethToSuiSwap({ crossChainId: undefined });
+  bot.activeSwaps.set(swap.id, swap);
+
+  await bot.resumeSwaps();
+
+  assert.equal(swap.status, SWAP_STATES.REJECTED);
+  assert.equal(sui.created.length, 0);
+});
+
+test('stopping the bot stops its periodic jobs', async () => {
+  const bot = resolverBot(fakeSui());
+  await bot.start();
+  assert.equal(bot.tasks.length, 5);
+
+  let stopped = 0;
+  for (const task of bot.tasks) {
+    const stop = task.stop.bind(task);
+    task.stop = () => {
+      stopped += 1;
+      return stop();
+    };
+  }
+  await bot.stop();
+
+  assert.equal(stopped, 5);
+  assert.deepEqual(bot.tasks, []);
+
+  // A tick that was already queued does nothing once stopped
+  const swap = ethToSuiSwap();
+  bot.activeSwaps.set(swap.id, swap);
+  await bot.driveSwaps();
+  assert.equal(swap.status, SWAP_STATES.PENDING);
+});
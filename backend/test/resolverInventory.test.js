@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { ResolverInventory } from '../src/services/resolverInventory.js';
+
+const SUI = '0x2::sui::SUI';
+const logger = winston.createLogger({ silent: true });
+
+// Resolver with 100 SUI; an alert is raised below 30 SUI available
+function inventory() {
+  return new ResolverInventory({
+    suiService: {
+      address: `0x${'51'.repeat(32)}`,
+      async getBalance() {
+        return { totalBalance: '100000000000' };
+      }
+    },
+    logger,
+    config: {
+      tokens: [{ chainId: 'sui', token: SUI, symbol: 'SUI', decimals: 9, minBalance: '30000000000' }]
+    }
+  });
+}
+
+test('reservations hold inventory until they are released or consumed', async () => {
+  const resolver = inventory();
+  await resolver.refresh();
+
+  await resolver.reserve('swap-1', 'sui', SUI, '60000000000');
+  assert.equal(await resolver.getAvailable('sui', SUI), 40000000000n);
+  // Another swap can't spend the reserved balance
+  await assert.rejects(resolver.reserve('swap-2', 'sui', SUI, '50000000000'), { name: 'InsufficientInventoryError' });
+  assert.equal(resolver.getReserved('sui', SUI), 60000000000n);
+
+  assert.equal(resolver.release('swap-1'), true);
+  assert.equal(await resolver.getAvailable('sui', SUI), 100000000000n);
+
+  await resolver.reserve('swap-2', 'sui', SUI, '50000000000');
+  resolver.consume('swap-2');
+  const [sui] = resolver.getSnapshot().tokens;
+  assert.equal(sui.balance, '50000000000');
+  assert.equal(sui.reserved, '0');
+  assert.deepEqual(resolver.getSnapshot().reservations, []);
+});
+
+test('a swap holds one reservation and low balances alert once', async () => {
+  const resolver = inventory();
+  const alerts = [];
+  resolver.on('inventory_alert', alert => alerts.push(alert));
+  await resolver.refresh();
+
+  await resolver.reserve('swap-1', 'sui', SUI, '20000000000');
+  await resolver.reserve('swap-1', 'sui', SUI, '75000000000');
+  assert.equal(resolver.getReserved('sui', SUI), 75000000000n);
+  assert.deepEqual(alerts.map(alert => [alert.type, alert.available]), [['low_balance', '25000000000']]);
+
+  await resolver.reserve('swap-2', 'sui', SUI, '5000000000');
+  assert.equal(alerts.length, 1);
+  assert.equal(resolver.getSnapshot().tokens[0].low, true);
+
+  resolver.release('swap-1');
+  await resolver.checkThresholds();
+  assert.equal(resolver.getSnapshot().tokens[0].low, false);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProfitabilityModel } from '../src/services/resolverProfitability.js';
+
+const USDC = '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const NATIVE = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const SUI_PRICE_TOKEN = '0x5555555555555555555555555555555555555555';
+const SUI = '0x2::sui::SUI';
+
+// USDC at $1, ETH at $3000, SUI at $2 and 20 gwei gas
+function fakeOneInch() {
+  const prices = { [USDC.toLowerCase()]: 1, [NATIVE.toLowerCase()]: 3000, [SUI_PRICE_TOKEN]: 2 };
+  return {
+    async getTokenDecimals() {
+      return 6;
+    },
+    async getTokenPrice(chainId, [token]) {
+      return { [token]: prices[token.toLowerCase()] };
+    },
+    async getGasPrice() {
+      return { medium: { maxFeePerGas: '20000000000' } };
+    }
+  };
+}
+
+function model(config = {}) {
+  return new ProfitabilityModel({
+    oneInchService: fakeOneInch(),
+    bridgeService: {
+      async estimateBridgeFees() {
+        return { totalFee: 0.001 };
+      }
+    },
+    config: {
+      suiPriceReferences: { [SUI]: { chainId: 1, address: SUI_PRICE_TOKEN, decimals: 9 } },
+      ...config
+    }
+  });
+}
+
+// 10,000 USDC in on Ethereum for 4,950 SUI out, settled within an hour
+const swap = {
+  id: 'swap-1',
+  type: 'ETH_TO_SUI',
+  srcChainId: 1,
+  srcToken: USDC,
+  dstToken: SUI,
+  srcAmount: '10000000000',
+  dstAmount: '4950000000000',
+  timelock: 3600 * 1000
+};
+
+test('the breakdown itemizes every cost of a swap', async () => {
+  const breakdown = await model().evaluate(swap);
+
+  assert.equal(breakdown.receivedUsd, 10000);
+  assert.equal(breakdown.givenUsd, 9900);
+  assert.equal(breakdown.grossProfitUsd, 100);
+  assert.deepEqual(breakdown.costs, {
+    evmGasUsd: 15, // 250k gas at 20 gwei
+    suiGasUsd: 0.02, // 0.01 SUI budget
+    bridgeFeeUsd: 3, // 0.001 ETH Wormhole fee
+    resolverFeeUsd: 10, // 10 bps of the value received
+    inventoryCostUsd: 0.090411 // 8% a year on 9,900 USD for an hour
+  });
+  assert.equal(breakdown.totalCostsUsd, 28.110411);
+  assert.equal(breakdown.expectedProfitUsd, 71.889589);
+  assert.equal(breakdown.profitMargin, 0.007262);
+  assert.equal(breakdown.accepted, true);
+});
+
+test('swaps below the minimum margin or without a price are rejected', async () => {
+  const thin = await model({ minProfitMargin: 0.01 }).evaluate(swap);
+  assert.equal(thin.accepted, false);
+  assert.equal(thin.expectedProfitUsd, 71.889589);
+  assert.match(thin.reason, /below the minimum margin/);
+
+  const unpriced = await model({ suiPriceReferences: {} }).evaluate(swap);
+  assert.equal(unpriced.accepted, false);
+  assert.match(unpriced.reason, /No price reference configured for Sui coin/);
+});
+
+test('repricing scales the value given and the inventory cost only', async () => {
+  const breakdown = await model().evaluate(swap);
+  const repriced = model().reprice(breakdown, swap.dstAmount, '4851000000000');
+
+  assert.equal(repriced.givenUsd, 9702);
+  assert.equal(repriced.costs.evmGasUsd, 15);
+  assert.equal(repriced.costs.inventoryCostUsd, 0.088603);
+  assert.equal(repriced.accepted, true);
+});
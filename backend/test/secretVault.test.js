@@ -0,0 +1,251 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import winston from 'winston';
+import { ethers } from 'ethers';
+import { SecretVault, HASH_ALGORITHMS } from '../src/services/secretVault.js';
+import { OneInchService } from '../src/services/oneInchService.js';
+
+const logger = winston.createLogger({ silent: true });
+const masterKey = () => crypto.randomBytes(32).toString('hex');
+
+// In-memory storage with the repository() interface of the storage service
+function memoryStorage() {
+  const tables = new Map();
+  return {
+    repository(name) {
+      if (!tables.has(name)) tables.set(name, new Map());
+      const rows = tables.get(name);
+      return {
+        async save(id, data) {
+          rows.set(id, structuredClone(data));
+        },
+        async list() {
+          return Array.from(rows, ([id, data]) => ({ id, data: structuredClone(data) }));
+        }
+      };
+    }
+  };
+}
+
+const TERMS = {
+  src: { amount: '1000', timelocks: '500' },
+  dst: { minAmount: '900', timelocks: '600' }
+};
+
+async function sealedVault(options = {}) {
+  const vault = new SecretVault({ masterKey: masterKey(), logger, ...options });
+  const secret = `0x${'ab'.repeat(32)}`;
+  const { hashlock } = await vault.seal('swap:1', secret, { hashAlgorithm: 'keccak256', terms: TERMS });
+  return { vault, secret, hashlock };
+}
+
+test('master keys must be 32 bytes of hex or base64', () => {
+  assert.doesNotThrow(() => new SecretVault({ masterKey: `0x${'11'.repeat(32)}`, logger }));
+  assert.doesNotThrow(() => new SecretVault({ masterKey: crypto.randomBytes(32).toString('base64'), logger }));
+  assert.throws(() => new SecretVault({ masterKey: 'short', logger }), /must be 32 bytes/);
+  assert.throws(() => new SecretVault({ logger }), /must be 32 bytes/);
+});
+
+test('sealing returns the hashlock and keeps only ciphertext', async () => {
+  const { vault, secret, hashlock } = await sealedVault();
+
+  assert.equal(hashlock, HASH_ALGORITHMS.keccak256(ethers.getBytes(secret)));
+  const entry = vault.describe('swap:1');
+  assert.equal(entry.hashlock, hashlock);
+  assert.equal(entry.ciphertext, undefined);
+  assert.ok(!JSON.stringify(vault.entries.get('swap:1')).includes(secret.slice(2)));
+
+  // Same secret again is a no-op, a different one a conflict
+  assert.deepEqual(await vault.seal('swap:1', secret, { hashAlgorithm: 'keccak256' }), { id: 'swap:1', hashlock });
+  await assert.rejects(
+    vault.seal('swap:1', `0x${'cd'.repeat(32)}`, { hashAlgorithm: 'keccak256' }),
+    { name: 'ConflictError' }
+  );
+  await assert.rejects(vault.seal('swap:2', secret, { hashAlgorithm: 'md5' }), { name: 'ValidationError' });
+});
+
+test('generated secrets hash with the requested algorithm', async () => {
+  const vault = new SecretVault({ masterKey: masterKey(), logger });
+  const sui = await vault.generate('sui', {
+    terms: { src: { amount: '1', timelocks: '1' }, dst: { amount: '1', timelocks: '1' } }
+  });
+  const escrow = { hashlock: sui.hashlock, amount: '1', timelocks: '1' };
+
+  const secret = await vault.reveal('sui', { src: escrow, dst: escrow, purpose: 'test', requester: 'test' });
+  assert.match(secret, /^[0-9a-f]{64}$/);
+  assert.equal(HASH_ALGORITHMS.sha3_256(Buffer.from(secret, 'hex')), sui.hashlock);
+});
+
+test('a secret is revealed when both escrows match and the grant is audited', async () => {
+  const { vault, secret, hashlock } = await sealedVault();
+
+  const revealed = await vault.reveal('swap:1', {
+    src: { hashlock: `0x${hashlock}`, amount: '1000', timelocks: '500' },
+    dst: { hashlock, amount: '950', timelocks: '0x258' },
+    purpose: 'claim',
+    requester: 'resolver'
+  });
+
+  assert.equal(revealed, secret);
+  const [entry] = vault.getAuditLog('swap:1');
+  assert.equal(entry.granted, true);
+  assert.equal(entry.purpose, 'claim');
+  assert.equal(entry.requester, 'resolver');
+  assert.equal(entry.reasons, undefined);
+  assert.ok(vault.describe('swap:1').revealedAt);
+});
+
+test('mismatched or unverified escrows are denied with the reasons audited', async () => {
+  const { vault, hashlock } = await sealedVault();
+
+  const error = await vault.reveal('swap:1', {
+    src: { hashlock: `0x${'00'.repeat(32)}`, amount: '999', timelocks: '500' },
+    dst: null,
+    purpose: 'claim',
+    requester: 'resolver'
+  }).then(() => null, rejection => rejection);
+
+  assert.equal(error.name, 'SecretRevealDeniedError');
+  const [entry] = vault.getAuditLog('swap:1');
+  assert.equal(entry.granted, false);
+  assert.deepEqual(entry.reasons, [
+    'src escrow hashlock does not match',
+    'src escrow amount 999 does not match',
+    'dst escrow was not verified'
+  ]);
+
+  // Below the registered minimum
+  await assert.rejects(vault.reveal('swap:1', {
+    src: { hashlock, amount: '1000', timelocks: '500' },
+    dst: { hashlock, amount: '899', timelocks: '600' }
+  }), /dst escrow amount 899 does not match/);
+  assert.equal(vault.getAuditLog('swap:1').length, 2);
+  assert.equal(vault.describe('swap:1').revealedAt, undefined);
+});
+
+test('escrows are denied until their terms are registered', async () => {
+  const vault = new SecretVault({ masterKey: masterKey(), logger });
+  const { hashlock } = await vault.generate('order', { hashAlgorithm: 'keccak256' });
+  const escrow = { hashlock, amount: '10', timelocks: '1' };
+
+  await assert.rejects(vault.reveal('order', { src: escrow, dst: escrow }), /no expected src amount registered/);
+
+  await vault.setTerms('order', { src: { amount: '10' }, dst: { minAmount: '5' } });
+  await vault.setTerms('order', { src: { timelocks: '1' }, dst: { timelocks: '1' } });
+  assert.deepEqual(vault.describe('order').terms, {
+    src: { amount: '10', timelocks: '1' },
+    dst: { minAmount: '5', timelocks: '1' }
+  });
+  assert.match(await vault.reveal('order', { src: escrow, dst: escrow }), /^0x[0-9a-f]{64}$/);
+});
+
+test('restored entries keep their audit trail and need the same master key', async () => {
+  const storage = memoryStorage();
+  const key = masterKey();
+  const { vault, hashlock } = await sealedVault({ storage, masterKey: key });
+  const escrows = {
+    src: { hashlock, amount: '1000', timelocks: '500' },
+    dst: { hashlock, amount: '900', timelocks: '600' }
+  };
+  await vault.reveal('swap:1', escrows);
+
+  const restored = new SecretVault({ storage, masterKey: key, logger });
+  assert.equal(await restored.restore(), 1);
+  assert.equal(restored.getAuditLog('swap:1').length, 1);
+  assert.equal(await restored.reveal('swap:1', escrows), `0x${'ab'.repeat(32)}`);
+
+  const rotated = new SecretVault({ storage, masterKey: masterKey(), logger });
+  await rotated.restore();
+  await assert.rejects(rotated.reveal('swap:1', escrows), /sealed with a different master key/);
+  assert.equal(rotated.getAuditLog('swap:1').at(-1).granted, false);
+  assert.throws(() => rotated.describe('missing'), { name: 'NotFoundError' });
+});
+
+// Fusion+ fills: the destination escrow must be the CREATE2 address of its immutables
+const IMMUTABLES = 'tuple(bytes32 orderHash, bytes32 hashlock, uint256 maker, uint256 taker, uint256 token, uint256 amount, uint256 safetyDeposit, uint256 timelocks)';
+const factoryInterface = new ethers.Interface([
+  `event SrcEscrowCreated(${IMMUTABLES} srcImmutables, tuple(uint256 maker, uint256 amount, uint256 token, uint256 safetyDeposit, uint256 chainId) dstImmutablesComplement)`,
+  'event DstEscrowCreated(address escrow, bytes32 hashlock, uint256 taker)',
+  'function ESCROW_DST_IMPLEMENTATION() view returns (address)',
+  `function createDstEscrow(${IMMUTABLES} dstImmutables, uint256 srcCancellationTimestamp)`
+]);
+const FACTORY = '0xa7bcb4eac8964306f9e3764f67db6a7af6ddf99a';
+const IMPLEMENTATION = '0x2222222222222222222222222222222222222222';
+const DEPLOYED_AT = 1767225600n;
+
+function escrowAddress(immutables) {
+  const salt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode([IMMUTABLES], [immutables]));
+  const bytecodeHash = ethers.keccak256(ethers.concat([
+    '0x3d602d80600a3d3981f3363d3d373d3d3d363d73',
+    IMPLEMENTATION,
+    '0x5af43d82803e903d91602b57fd5bf3'
+  ]));
+  return ethers.getCreate2Address(FACTORY, salt, bytecodeHash);
+}
+
+function fusionFill(secret, { escrow } = {}) {
+  const orderHash = ethers.id('order');
+  const hashlock = ethers.keccak256(secret);
+  const src = [orderHash, hashlock, 1n, 2n, 3n, 1000n, 10n, 500n];
+  const dst = [orderHash, hashlock, 1n, 2n, 4n, 950n, 10n, 600n];
+  const deployed = [...dst.slice(0, 7), 600n | (DEPLOYED_AT << 224n)];
+
+  const log = (name, args) => ({ address: FACTORY, ...factoryInterface.encodeEventLog(name, args) });
+  const chain = {
+    receipts: {
+      '0xsrc': { hash: '0xsrc', blockNumber: 1, logs: [log('SrcEscrowCreated', [src, [1n, 950n, 4n, 10n, 10n]])] },
+      '0xdst': { hash: '0xdst', blockNumber: 2, logs: [log('DstEscrowCreated', [escrow || escrowAddress(deployed), hashlock, 2n])] }
+    },
+    async getTransactionReceipt(hash) {
+      return chain.receipts[hash];
+    },
+    async getTransaction() {
+      return { data: factoryInterface.encodeFunctionData('createDstEscrow', [dst, 0n]) };
+    },
+    async getBlock() {
+      return { timestamp: Number(DEPLOYED_AT) };
+    },
+    async call() {
+      return factoryInterface.encodeFunctionResult('ESCROW_DST_IMPLEMENTATION', [IMPLEMENTATION]);
+    }
+  };
+  return { orderHash, hashlock, chain, fill: { idx: 0, srcEscrowDeployTxHash: '0xsrc', dstEscrowDeployTxHash: '0xdst' } };
+}
+
+async function fusionService(secret, chain, orderHash) {
+  const secretVault = new SecretVault({ masterKey: masterKey(), logger });
+  await secretVault.seal(`fusion:${orderHash}:0`, secret, {
+    hashAlgorithm: 'keccak256',
+    terms: { src: { amount: '1000', timelocks: '500' }, dst: { timelocks: '600' } }
+  });
+
+  const service = new OneInchService({ logger, secretVault });
+  service.providers.set(1, chain);
+  service.providers.set(10, chain);
+  service.submitted = [];
+  service.submitSecret = async (hash, revealed) => service.submitted.push(revealed);
+  return service;
+}
+
+test('a Fusion+ secret is submitted once the destination escrow address checks out', async () => {
+  const secret = ethers.hexlify(ethers.randomBytes(32));
+  const { orderHash, chain, fill } = fusionFill(secret);
+  const service = await fusionService(secret, chain, orderHash);
+
+  await service.submitVerifiedSecret(orderHash, fill, { srcChainId: 1, dstChainId: 10 });
+  assert.deepEqual(service.submitted, [secret]);
+});
+
+test('a destination escrow at another address gets no secret', async () => {
+  const secret = ethers.hexlify(ethers.randomBytes(32));
+  const { orderHash, chain, fill } = fusionFill(secret, { escrow: '0x3333333333333333333333333333333333333333' });
+  const service = await fusionService(secret, chain, orderHash);
+
+  await assert.rejects(
+    service.submitVerifiedSecret(orderHash, fill, { srcChainId: 1, dstChainId: 10 }),
+    /is not the one its immutables deploy to/
+  );
+  assert.deepEqual(service.submitted, []);
+  assert.deepEqual(service.secretVault.getAuditLog(`fusion:${orderHash}:0`), []);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import winston from 'winston';
+import { createStorage } from '../src/storage/index.js';
+import { SqliteAdapter } from '../src/storage/sqliteAdapter.js';
+
+const logger = winston.createLogger({ silent: true });
+
+test('records survive a reopen of the SQLite database', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'manteia-storage-'));
+  const filename = join(dir, 'manteia.db');
+
+  try {
+    const storage = await createStorage({ filename, logger });
+    const strategies = storage.repository('strategies');
+    await strategies.save('s1', { id: 's1', status: 'submitted', amount: 10n ** 18n, salt: new Uint8Array([1, 2]) });
+    await strategies.save('s2', { id: 's2', status: 'cancelled' });
+    await storage.repository('fills').save('f1', { id: 'f1' }, { parentId: 's1' });
+    await storage.close();
+
+    const reopened = await createStorage({ filename, logger });
+    const repository = reopened.repository('strategies');
+    // BigInts and byte arrays come back as strings
+    assert.deepEqual(await repository.get('s1'), {
+      id: 's1',
+      status: 'submitted',
+      amount: '1000000000000000000',
+      salt: '0x0102'
+    });
+    assert.deepEqual((await repository.list({ status: 'cancelled' })).map(({ id }) => id), ['s2']);
+    assert.deepEqual((await reopened.repository('fills').list({ parentId: 's1' })).map(({ id }) => id), ['f1']);
+    assert.deepEqual(await reopened.repository('fills').list({ parentId: 's2' }), []);
+
+    assert.equal(await repository.delete('s1'), true);
+    assert.equal(await repository.get('s1'), null);
+    assert.equal(await repository.delete('s1'), false);
+    await reopened.close();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('relative SQLite paths are resolved against the backend directory', () => {
+  const backendDir = fileURLToPath(new URL('../', import.meta.url));
+
+  assert.equal(new SqliteAdapter({ logger }).filename, join(backendDir, 'data', 'manteia.db'));
+  assert.equal(new SqliteAdapter({ filename: '/var/lib/manteia.db', logger }).filename, '/var/lib/manteia.db');
+  assert.equal(new SqliteAdapter({ filename: ':memory:', logger }).filename, ':memory:');
+});
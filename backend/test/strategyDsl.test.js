@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { ethers } from 'ethers';
+import {
+  compileStrategyDefinition,
+  parseStrategyDefinition,
+  validateStrategyDefinition
+} from '../src/services/strategyDsl.js';
+import { PredicateDecoder } from '../src/services/predicateDecoder.js';
+import { LimitOrderService } from '../src/services/limitOrderService.js';
+import { LimitOrderBuilder, decodeExtension, decodeMakerTraits } from '../src/services/limitOrderBuilder.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const MAKER = '0x733b34e60D3eEa70609364968566f13405802062';
+const HOOK = '0x1111111111111111111111111111111111111111';
+
+function definition(overrides = {}) {
+  return {
+    name: 'ETH breakout',
+    chainId: 1,
+    order: { makerAsset: USDC, takerAsset: WETH, makingAmount: '1000000000', takingAmount: '400000000000000000' },
+    conditions: {
+      all: [
+        { time: { after: 1767225600 } },
+        { price: { token: WETH, above: '250000000000' } }
+      ]
+    },
+    ...overrides
+  };
+}
+
+function validationDetails(build) {
+  try {
+    build();
+  } catch (error) {
+    assert.equal(error.name, 'ValidationError');
+    return error.details;
+  }
+  assert.fail('expected a ValidationError');
+}
+
+test('YAML definitions keep 0x addresses as strings', () => {
+  const parsed = parseStrategyDefinition(`
+name: ETH breakout
+chainId: 1
+order: { makerAsset: ${USDC}, takerAsset: ${WETH}, makingAmount: "1000", takingAmount: "1" }
+conditions:
+  time: { after: 1767225600 }
+`);
+
+  assert.equal(parsed.order.makerAsset, USDC);
+  assert.equal(parsed.chainId, 1);
+});
+
+test('YAML syntax errors report the line', () => {
+  const details = validationDetails(() => parseStrategyDefinition('name: x\n  chainId: [1'));
+  assert.match(details[0].message, /^line \d+: /);
+});
+
+test('schema errors point at the offending node', () => {
+  const details = validationDetails(() => validateStrategyDefinition(definition({
+    conditions: { all: [{ time: { after: 1 } }, { any: [{ price: { token: WETH, above: 'high' } }] }] },
+    extra: true
+  })));
+
+  const fields = details.map(detail => detail.field);
+  assert.ok(fields.includes('conditions.all.1.any.0.price.above'));
+  assert.ok(fields.includes('extra'));
+});
+
+test('conditions must have exactly one known kind', () => {
+  const details = validationDetails(() => validateStrategyDefinition(definition({
+    conditions: { when: { after: 1 } }
+  })));
+  assert.ok(details.some(detail => detail.field === 'conditions.when'));
+});
+
+test('risk limits are cross-checked against the order', () => {
+  const details = validationDetails(() => validateStrategyDefinition(definition({
+    risk: {
+      maxMakingAmount: '10',
+      expiresAt: 1000,
+      priceBounds: [{ token: WETH, min: '300000000000', max: '200000000000' }]
+    }
+  })));
+
+  assert.deepEqual(details.map(detail => detail.field), [
+    'order.makingAmount',
+    'risk.expiresAt',
+    'risk.priceBounds.0'
+  ]);
+});
+
+test('builder errors are reported at the condition path', () => {
+  const details = validationDetails(() => compileStrategyDefinition(definition({
+    conditions: { any: [{ time: { after: 1 } }, { price: { token: MAKER, above: '1' } }] }
+  })));
+  assert.equal(details[0].field, 'conditions.any.1.price');
+  assert.match(details[0].message, /No price feed/);
+});
+
+test('the condition tree and price bounds compile into one predicate', () => {
+  const expiresAt = Math.floor(Date.now() / 1000) + 86400;
+  const compiled = compileStrategyDefinition(definition({
+    risk: { expiresAt, priceBounds: [{ token: WETH, min: '150000000000' }] }
+  }));
+
+  const tree = new PredicateDecoder({ chainId: 1 }).decode(compiled.predicate);
+  assert.equal(tree.type, 'and');
+  assert.equal(tree.children.length, 2);
+  assert.equal(tree.children[0].type, 'and');
+  assert.equal(compiled.expiry, expiresAt);
+  assert.equal(compiled.preInteraction, '0x');
+  assert.equal(compiled.postInteraction, '0x');
+});
+
+test('actions compile into interactions the order calls on fill', async () => {
+  const calldata = ethers.id('notify()').slice(0, 10);
+  const compiled = compileStrategyDefinition(definition({
+    actions: { postInteraction: { target: HOOK, calldata } }
+  }));
+  assert.equal(compiled.postInteraction, `${HOOK}${calldata.slice(2)}`);
+
+  const built = new LimitOrderBuilder().buildOrder({
+    chainId: 1,
+    maker: MAKER,
+    ...compiled.order,
+    predicate: compiled.predicate,
+    postInteraction: compiled.postInteraction
+  });
+  assert.equal(decodeExtension(built.extension).postInteraction, compiled.postInteraction);
+  assert.equal(decodeMakerTraits(built.order.makerTraits).postInteraction, true);
+
+  // The service hands the post-interaction to the order builder, not custom data
+  let submitted;
+  const oneInchService = {
+    async createLimitOrder(params) {
+      submitted = params;
+      return { orderHash: ethers.hexlify(ethers.randomBytes(32)), chainId: 1, status: 'submitted', order: {} };
+    }
+  };
+  const service = new LimitOrderService({ logger: winston.createLogger({ silent: true }), oneInchService });
+  await service.createCustomStrategyOrder({
+    maker: MAKER,
+    definition: definition({ actions: { postInteraction: { target: HOOK, calldata } } })
+  });
+
+  assert.equal(submitted.interaction, compiled.postInteraction);
+  assert.equal(submitted.customData, undefined);
+});
+
+test('actions need a target address', () => {
+  const details = validationDetails(() => validateStrategyDefinition(definition({
+    actions: { postInteraction: { calldata: '0x1234' } }
+  })));
+  assert.deepEqual(details, [{ field: 'actions.postInteraction.target', message: 'is required' }]);
+});
@@ -35,6 +35,10 @@ module.exports = {
     },
     hardhat: {
       chainId: 31337,
+      // Fork a live chain (e.g. mainnet) so the backend can dry-run order predicates
+      ...(process.env.HARDHAT_FORK_URL && {
+        forking: { url: process.env.HARDHAT_FORK_URL },
+      }),
     },
   },
   etherscan: {
@@ -1,9 +1,34 @@
 "use client";
 
+import { useState } from "react";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
 import { Activity } from "lucide-react";
+import { useLimitOrders, PendingCancel } from "@/hooks/use-limit-orders";
+import { useEthereumWallet } from "@/providers/ethereum-wallet-provider";
 
 export function ActiveOrdersList() {
+  const { activeOrders, pendingCancels, cancelOrder, confirmCancel, error } = useLimitOrders();
+  const { wallet } = useEthereumWallet();
+  const [sending, setSending] = useState<string | null>(null);
+
+  // Posted orders are only invalidated once the maker's cancel transaction
+  // is mined; the strategy stays "cancelling" until it is confirmed
+  const sendCancel = async ({ orderHash, transaction }: PendingCancel) => {
+    if (!wallet.signer) return;
+    try {
+      setSending(orderHash);
+      const tx = await wallet.signer.sendTransaction(transaction);
+      await tx.wait();
+      await confirmCancel(orderHash, tx.hash);
+    } catch (err) {
+      console.error("Error sending cancel transaction:", err);
+    } finally {
+      setSending(null);
+    }
+  };
+
   return (
     <Card>
       <CardHeader>
@@ -15,11 +40,48 @@ export function ActiveOrdersList() {
           Monitor your currently active limit orders and strategies
         </CardDescription>
       </CardHeader>
-      <CardContent>
-        <p className="text-muted-foreground">
-          Active orders list component will be implemented in the next iteration.
-        </p>
+      <CardContent className="space-y-3">
+        {error && <p className="text-sm text-red-400">{error}</p>}
+        {activeOrders.length === 0 && (
+          <p className="text-muted-foreground">No active orders.</p>
+        )}
+        {activeOrders.map(order => {
+          const pending = pendingCancels[order.orderHash];
+          return (
+            <div key={order.orderHash} className="p-3 rounded-lg border space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <p className="font-mono text-xs truncate">{order.orderHash}</p>
+                <div className="flex items-center gap-2">
+                  <Badge variant={pending ? "outline" : "secondary"}>
+                    {pending ? "cancelling" : order.status}
+                  </Badge>
+                  {!pending && (
+                    <Button size="sm" variant="outline" onClick={() => cancelOrder(order.orderHash)}>
+                      Cancel
+                    </Button>
+                  )}
+                </div>
+              </div>
+              {pending && (
+                <div className="space-y-2 text-xs">
+                  <p className="text-muted-foreground">
+                    {pending.cancelledOrders.length} posted order(s) stay fillable until this transaction is mined.
+                  </p>
+                  <p className="font-mono break-all">to: {pending.transaction.to}</p>
+                  <p className="font-mono break-all">data: {pending.transaction.data}</p>
+                  <Button
+                    size="sm"
+                    disabled={!wallet.isConnected || sending === order.orderHash}
+                    onClick={() => sendCancel(pending)}
+                  >
+                    {sending === order.orderHash ? "Waiting for confirmation..." : "Send cancel transaction"}
+                  </Button>
+                </div>
+              )}
+            </div>
+          );
+        })}
       </CardContent>
     </Card>
   );
-}
\ No newline at end of file
+}
@@ -58,7 +58,6 @@ export function EnhancedTWAPConfig({ config, onChange }: EnhancedTWAPConfigProps
     },
     partialFillHandling: {
       enabled: true,
-      merkleTreeSecrets: true,
       retryFailedIntervals: true
     }
   });
@@ -505,7 +504,7 @@ export function EnhancedTWAPConfig({ config, onChange }: EnhancedTWAPConfigProps
             Partial Fill Handling
           </CardTitle>
           <CardDescription>
-            Configure how to handle partial fills using 1inch's Merkle tree approach
+            Configure how partially filled intervals are handled
           </CardDescription>
         </CardHeader>
         <CardContent className="space-y-4">
@@ -520,19 +519,6 @@ export function EnhancedTWAPConfig({ config, onChange }: EnhancedTWAPConfigProps
 
           {localConfig.partialFillHandling.enabled && (
             <div className="space-y-4">
-              <div className="flex items-center space-x-2">
-                <Switch
-                  id="merkleSecrets"
-                  checked={localConfig.partialFillHandling.merkleTreeSecrets}
-                  onCheckedChange={(checked) => handleConfigChange('partialFillHandling.merkleTreeSecrets', checked)}
-                />
-                <Label htmlFor="merkleSecrets">Use Merkle Tree Secrets</Label>
-                <Info className="h-4 w-4 text-muted-foreground" />
-              </div>
-              <p className="text-xs text-muted-foreground">
-                Use 1inch's Merkle tree approach for secure partial fill handling
-              </p>
-
               <div className="flex items-center space-x-2">
                 <Switch
                   id="retryFailed"
@@ -1,9 +1,183 @@
 "use client";
 
+import { useState } from "react";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
-import { TrendingUp } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Separator } from "@/components/ui/separator";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { TrendingUp, Search, AlertTriangle, BarChart3 } from "lucide-react";
+import {
+  useLimitOrders,
+  AnalyticsPeriod,
+  PredicateExplanation,
+  PredicateNode,
+  StrategyAnalyticsData,
+} from "@/hooks/use-limit-orders";
+
+const OPERATOR_SYMBOLS: Record<string, string> = { lt: "<", gt: ">", eq: "==" };
+
+function describeLeaf(node: PredicateNode): string {
+  switch (node.type) {
+    case "timestamp":
+      return `block.timestamp ${OPERATOR_SYMBOLS[node.operator!]} ${node.value}${node.time ? ` (${node.time})` : ""}`;
+    case "comparison":
+      return `${describeLeaf(node.call!)} ${OPERATOR_SYMBOLS[node.operator!]} ${node.value}`;
+    case "staticCall":
+      if (node.source === "price_feed") {
+        return `price(${node.tokens?.length ? node.tokens.join("/") : "unknown token"}) via ${node.target}`;
+      }
+      return `${node.target}.${node.method || node.selector}`;
+    case "call":
+    case "legacy":
+      return node.method || "";
+    default:
+      return `unknown call ${node.selector}`;
+  }
+}
+
+const PERIODS: AnalyticsPeriod[] = ["1d", "7d", "30d", "90d", "all"];
+
+const usd = (value: number) =>
+  value.toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 2 });
+const pct = (value: number) => `${(value * 100).toFixed(1)}%`;
+const bps = (value: number | null) => (value === null ? "n/a" : `${value.toFixed(1)} bps`);
+const ratio = (value: number | null) => (value === null ? "n/a" : value.toFixed(2));
+
+function Metric({ label, value, tone }: { label: string; value: string; tone?: "positive" | "negative" }) {
+  return (
+    <div className="space-y-1">
+      <p className="text-xs text-muted-foreground">{label}</p>
+      <p
+        className={`text-sm font-medium ${
+          tone === "positive" ? "text-green-600" : tone === "negative" ? "text-red-500" : ""
+        }`}
+      >
+        {value}
+      </p>
+    </div>
+  );
+}
+
+function AnalyticsSummary({ analytics }: { analytics: StrategyAnalyticsData }) {
+  const { performance, risk, execution } = analytics;
+  const pnlTone = (value: number) => (value > 0 ? "positive" : value < 0 ? "negative" : undefined);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <Badge variant="outline">{analytics.type}</Badge>
+        <Badge variant="secondary">{analytics.status}</Badge>
+        {analytics.timestamps.lastExecution && (
+          <span className="text-xs text-muted-foreground">
+            Last fill {new Date(analytics.timestamps.lastExecution).toLocaleString()}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Metric label="Total PnL" value={usd(performance.totalPnl)} tone={pnlTone(performance.totalPnl)} />
+        <Metric label="Realized PnL" value={usd(performance.realizedPnl)} tone={pnlTone(performance.realizedPnl)} />
+        <Metric
+          label="Unrealized PnL"
+          value={usd(performance.unrealizedPnl)}
+          tone={pnlTone(performance.unrealizedPnl)}
+        />
+        <Metric label="Volume" value={usd(performance.totalVolume)} />
+        <Metric label="Fill rate" value={pct(performance.fillRate)} />
+        <Metric label="Avg slippage vs quote" value={bps(performance.slippage.averageBps)} />
+        <Metric label="Fills (partial)" value={`${execution.fills} (${execution.partialFills})`} />
+        <Metric label="Orders filled" value={`${execution.filledOrders} / ${execution.totalOrders}`} />
+        <Metric label="Max drawdown" value={usd(risk.maxDrawdown)} />
+        <Metric label="Sharpe ratio" value={ratio(risk.sharpeRatio)} />
+        <Metric label="95% VaR" value={usd(risk.var95)} />
+        <Metric label="Volatility" value={risk.volatility === null ? "n/a" : pct(risk.volatility)} />
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        Risk metrics use {risk.observations} {analytics.period === "1d" ? "hourly" : "daily"} PnL buckets against{" "}
+        {usd(risk.capital)} committed. Positive slippage means fills were worse than the quote at placement.
+      </p>
+    </div>
+  );
+}
+
+function PredicateTree({ node }: { node: PredicateNode }) {
+  if (node.type === "and" || node.type === "or" || node.type === "not") {
+    const children = node.type === "not" ? [node.child!] : node.children || [];
+    return (
+      <div className="space-y-1">
+        <Badge variant="outline">{node.type.toUpperCase()}</Badge>
+        <div className="ml-4 border-l pl-3 space-y-1">
+          {children.map((child, i) => (
+            <PredicateTree key={i} node={child} />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const flagged = node.type === "legacy" || node.type === "unknown";
+  return (
+    <div className="flex items-center gap-2 text-sm font-mono break-all">
+      {flagged && <AlertTriangle className="h-4 w-4 shrink-0 text-yellow-500" />}
+      <span className={flagged ? "text-yellow-600" : undefined}>{describeLeaf(node)}</span>
+      {node.type === "legacy" && <Badge variant="destructive">not supported on v4</Badge>}
+    </div>
+  );
+}
 
 export function StrategyAnalytics() {
+  const { explainPredicate, getStrategyAnalytics } = useLimitOrders();
+  const [strategyId, setStrategyId] = useState("");
+  const [period, setPeriod] = useState<AnalyticsPeriod>("7d");
+  const [analytics, setAnalytics] = useState<StrategyAnalyticsData | null>(null);
+  const [analyticsError, setAnalyticsError] = useState<string | null>(null);
+  const [isLoadingAnalytics, setIsLoadingAnalytics] = useState(false);
+  const [predicate, setPredicate] = useState("");
+  const [chainId, setChainId] = useState("1");
+  const [explanation, setExplanation] = useState<PredicateExplanation | null>(null);
+  const [explainError, setExplainError] = useState<string | null>(null);
+  const [isExplaining, setIsExplaining] = useState(false);
+
+  const handleLoadAnalytics = async () => {
+    setIsLoadingAnalytics(true);
+    setAnalyticsError(null);
+
+    const result = await getStrategyAnalytics(strategyId.trim(), period);
+    if (result.success) {
+      setAnalytics(result.data ?? null);
+    } else {
+      setAnalytics(null);
+      setAnalyticsError(result.error ?? "Failed to load strategy analytics");
+    }
+
+    setIsLoadingAnalytics(false);
+  };
+
+  const handleExplain = async () => {
+    setIsExplaining(true);
+    setExplainError(null);
+
+    const result = await explainPredicate(predicate.trim(), Number(chainId) || 1);
+    if (result.success) {
+      setExplanation(result.data ?? null);
+    } else {
+      setExplanation(null);
+      setExplainError(result.error ?? "Failed to explain predicate");
+    }
+
+    setIsExplaining(false);
+  };
+
   return (
     <Card>
       <CardHeader>
@@ -15,11 +189,85 @@ export function StrategyAnalytics() {
           Performance tracking and risk analysis for your strategies
         </CardDescription>
       </CardHeader>
-      <CardContent>
-        <p className="text-muted-foreground">
-          Strategy analytics component will be implemented in the next iteration.
-        </p>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="strategy-id">Strategy performance</Label>
+          <p className="text-sm text-muted-foreground">
+            PnL, execution quality and risk computed from the strategy&apos;s recorded fills.
+          </p>
+          <div className="flex gap-2">
+            <Input
+              id="strategy-id"
+              placeholder="Strategy ID (0x...)"
+              value={strategyId}
+              onChange={(e) => setStrategyId(e.target.value)}
+              className="font-mono"
+            />
+            <Select value={period} onValueChange={(value) => setPeriod(value as AnalyticsPeriod)}>
+              <SelectTrigger className="w-24" aria-label="Period">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {PERIODS.map((p) => (
+                  <SelectItem key={p} value={p}>
+                    {p}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button onClick={handleLoadAnalytics} disabled={!strategyId.trim() || isLoadingAnalytics}>
+              <BarChart3 className="h-4 w-4 mr-2" />
+              Load
+            </Button>
+          </div>
+        </div>
+
+        {analyticsError && (
+          <p className="text-sm text-red-500">{analyticsError}</p>
+        )}
+
+        {analytics && <AnalyticsSummary analytics={analytics} />}
+
+        <Separator />
+
+        <div className="space-y-2">
+          <Label htmlFor="predicate">Predicate inspector</Label>
+          <p className="text-sm text-muted-foreground">
+            Paste an order&apos;s predicate to see the conditions it must meet before it can be filled.
+          </p>
+          <div className="flex gap-2">
+            <Input
+              id="predicate"
+              placeholder="0x..."
+              value={predicate}
+              onChange={(e) => setPredicate(e.target.value)}
+              className="font-mono"
+            />
+            <Input
+              aria-label="Chain ID"
+              value={chainId}
+              onChange={(e) => setChainId(e.target.value)}
+              className="w-24"
+            />
+            <Button onClick={handleExplain} disabled={!predicate.trim() || isExplaining}>
+              <Search className="h-4 w-4 mr-2" />
+              Explain
+            </Button>
+          </div>
+        </div>
+
+        {explainError && (
+          <p className="text-sm text-red-500">{explainError}</p>
+        )}
+
+        {explanation && (
+          <>
+            <Separator />
+            <p className="text-sm">{explanation.summary}</p>
+            {explanation.tree && <PredicateTree node={explanation.tree} />}
+          </>
+        )}
       </CardContent>
     </Card>
   );
-}
\ No newline at end of file
+}
@@ -1,7 +1,68 @@
 "use client";
 
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
-import { Target } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Target, Clock, Shield, TrendingUp, Layers, Grid3X3, EyeOff } from "lucide-react";
+
+interface LibraryStrategy {
+  id: string;
+  name: string;
+  description: string;
+  category: string;
+  endpoint: string;
+  icon: typeof Target;
+}
+
+const STRATEGIES: LibraryStrategy[] = [
+  {
+    id: "enhanced_twap",
+    name: "Enhanced TWAP",
+    description: "Split a large order over time with slippage protection",
+    category: "execution",
+    endpoint: "/api/enhanced-strategies/enhanced-twap",
+    icon: Clock
+  },
+  {
+    id: "iceberg",
+    name: "Iceberg",
+    description: "Show only a visible slice of the total size; each filled slice is replaced by the next one",
+    category: "execution",
+    endpoint: "/api/limit-orders/iceberg",
+    icon: EyeOff
+  },
+  {
+    id: "grid_trading",
+    name: "Grid Trading",
+    description: "Buy and sell across a price grid for range-bound markets",
+    category: "market_making",
+    endpoint: "/api/enhanced-strategies/grid",
+    icon: Grid3X3
+  },
+  {
+    id: "barrier_options",
+    name: "Barrier Options",
+    description: "Knock-in/knock-out options with oracle barrier monitoring",
+    category: "options",
+    endpoint: "/api/enhanced-strategies/barrier-options",
+    icon: TrendingUp
+  },
+  {
+    id: "stop_loss",
+    name: "Stop Loss / Trailing Stop",
+    description: "Protective orders that become fillable when the oracle price crosses a trigger",
+    category: "risk_management",
+    endpoint: "/api/limit-orders/stop-loss",
+    icon: Shield
+  },
+  {
+    id: "concentrated_liquidity",
+    name: "Concentrated Liquidity",
+    description: "Liquidity placed across price ranges and re-centred as the market moves",
+    category: "market_making",
+    endpoint: "/api/limit-orders/concentrated",
+    icon: Layers
+  }
+];
 
 export function StrategyLibrary() {
   return (
@@ -16,10 +77,27 @@ export function StrategyLibrary() {
         </CardDescription>
       </CardHeader>
       <CardContent>
-        <p className="text-muted-foreground">
-          Strategy library component will be implemented in the next iteration.
-        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {STRATEGIES.map(strategy => {
+            const Icon = strategy.icon;
+            return (
+              <div key={strategy.id} className="p-4 rounded-lg border space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <Icon className="h-4 w-4 text-primary" />
+                    <span className="font-medium">{strategy.name}</span>
+                  </div>
+                  <Badge variant="outline" className="capitalize">
+                    {strategy.category.replace("_", " ")}
+                  </Badge>
+                </div>
+                <p className="text-sm text-muted-foreground">{strategy.description}</p>
+                <p className="text-xs font-mono text-muted-foreground">POST {strategy.endpoint}</p>
+              </div>
+            );
+          })}
+        </div>
       </CardContent>
     </Card>
   );
-}
\ No newline at end of file
+}
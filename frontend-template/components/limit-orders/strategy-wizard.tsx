@@ -1,6 +1,6 @@
 "use client";
 
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -21,13 +21,16 @@ import {
   Target,
   Clock,
   TrendingUp,
-  Settings
+  Settings,
+  Save
 } from "lucide-react";
 import { useCreateStrategy } from "@/hooks/use-create-strategy";
+import { useStrategyTemplates, getSchemaDefaults } from "@/hooks/use-strategy-templates";
 import { EnhancedTWAPConfig } from "./enhanced-twap-config";
 import { BarrierOptionsConfig } from "./barrier-options-config";
 import { DeltaHedgingConfig } from "./delta-hedging-config";
 import { CustomStrategyConfig } from "./custom-strategy-config";
+import { TemplateParameterForm } from "./template-parameter-form";
 
 interface StrategyWizardProps {
   strategyType: string;
@@ -52,7 +55,22 @@ export function StrategyWizard({
 }: StrategyWizardProps) {
   const [config, setConfig] = useState<any>({});
   const [isDeploying, setIsDeploying] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  const [deployError, setDeployError] = useState<string | null>(null);
+  const [templateName, setTemplateName] = useState("");
+  const [savedTemplateName, setSavedTemplateName] = useState<string | null>(null);
   const { createStrategy, isLoading, error } = useCreateStrategy();
+  const { getTemplateById, getUserTemplates, instantiateTemplate, saveTemplate } = useStrategyTemplates();
+
+  // Strategies with a registry template get a form rendered from its schema
+  const template = getTemplateById(strategyType);
+  const presets = template ? getUserTemplates(template.id) : [];
+
+  useEffect(() => {
+    if (template && Object.keys(config).length === 0) {
+      setConfig(getSchemaDefaults(template.schema) || {});
+    }
+  }, [template]);
 
   const handleConfigChange = (newConfig: any) => {
     setConfig({ ...config, ...newConfig });
@@ -64,9 +82,49 @@ export function StrategyWizard({
     }
   };
 
+  const handlePresetChange = (presetId: string) => {
+    const preset = presets.find(p => p.id === presetId);
+    if (preset) {
+      setConfig(getSchemaDefaults(preset.schema) || {});
+      setFieldErrors({});
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!template || !templateName) return;
+
+    const saved = await saveTemplate({
+      baseTemplate: template.id,
+      name: templateName,
+      defaults: config
+    });
+    if (saved) {
+      setSavedTemplateName(saved.name);
+      setTemplateName("");
+    }
+  };
+
   const handleDeploy = async () => {
     setIsDeploying(true);
+    setDeployError(null);
     try {
+      if (template) {
+        const result = await instantiateTemplate(template.id, config);
+
+        if (result.success) {
+          window.location.href = `/limit-orders?strategy=${result.strategyId}`;
+          return;
+        }
+
+        setDeployError(result.error || "Failed to deploy strategy");
+        setFieldErrors(result.fieldErrors || {});
+        // Send the user back to the form to fix the invalid parameters
+        if (result.fieldErrors && Object.keys(result.fieldErrors).length > 0) {
+          onStepChange(2);
+        }
+        return;
+      }
+
       const result = await createStrategy({
         type: strategyType,
         config: config
@@ -84,6 +142,39 @@ export function StrategyWizard({
   };
 
   const renderConfigStep = () => {
+    if (template) {
+      return (
+        <div className="space-y-6">
+          {presets.length > 0 && (
+            <div className="space-y-2">
+              <Label htmlFor="preset">Saved Template</Label>
+              <Select onValueChange={handlePresetChange}>
+                <SelectTrigger id="preset">
+                  <SelectValue placeholder="Start from a saved template" />
+                </SelectTrigger>
+                <SelectContent>
+                  {presets.map(preset => (
+                    <SelectItem key={preset.id} value={preset.id}>
+                      {preset.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+          <TemplateParameterForm
+            template={template}
+            values={config}
+            onChange={(values) => {
+              setConfig(values);
+              setFieldErrors({});
+            }}
+            errors={fieldErrors}
+          />
+        </div>
+      );
+    }
+
     switch (strategyType) {
       case "enhanced_twap":
         return (
@@ -166,6 +257,27 @@ export function StrategyWizard({
                 </div>
               </div>
 
+              {/* Save as Template */}
+              {template && (
+                <div className="space-y-2">
+                  <h4 className="font-medium">Save as Template</h4>
+                  <div className="flex items-center gap-2">
+                    <Input
+                      placeholder="Template name"
+                      value={templateName}
+                      onChange={(e) => setTemplateName(e.target.value)}
+                    />
+                    <Button variant="outline" onClick={handleSaveTemplate} disabled={!templateName}>
+                      <Save className="h-4 w-4 mr-2" />
+                      Save
+                    </Button>
+                  </div>
+                  {savedTemplateName && (
+                    <p className="text-sm text-muted-foreground">Saved as "{savedTemplateName}"</p>
+                  )}
+                </div>
+              )}
+
               {/* Risk Warning */}
               <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200">
                 <div className="flex items-start gap-3">
@@ -250,13 +362,13 @@ export function StrategyWizard({
       </div>
 
       {/* Error Display */}
-      {error && (
+      {(deployError || error) && (
         <div className="p-4 rounded-lg bg-red-50 border border-red-200">
           <div className="flex items-start gap-3">
             <AlertCircle className="h-5 w-5 text-red-600 mt-0.5" />
             <div>
               <h4 className="font-medium text-red-800">Deployment Error</h4>
-              <p className="text-sm text-red-700 mt-1">{error}</p>
+              <p className="text-sm text-red-700 mt-1">{deployError || error}</p>
             </div>
           </div>
         </div>
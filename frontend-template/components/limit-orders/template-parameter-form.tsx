@@ -0,0 +1,217 @@
+"use client";
+
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { Plus, Settings, Trash2 } from "lucide-react";
+import { ParameterSchema, StrategyTemplate, getSchemaDefaults } from "@/hooks/use-strategy-templates";
+
+interface TemplateParameterFormProps {
+  template: StrategyTemplate;
+  values: Record<string, any>;
+  onChange: (values: Record<string, any>) => void;
+  // Validation errors keyed by dotted parameter path
+  errors?: Record<string, string>;
+}
+
+interface FieldProps {
+  name: string;
+  path: string;
+  schema: ParameterSchema;
+  value: any;
+  required: boolean;
+  errors: Record<string, string>;
+  onChange: (value: any) => void;
+}
+
+function fieldLabel(name: string, schema: ParameterSchema) {
+  return schema.title || name.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+}
+
+// Numbers stay numbers in the submitted parameters; empty inputs unset the field
+function parseNumber(input: string, schema: ParameterSchema) {
+  if (input === "") return undefined;
+  return schema.type === "integer" ? parseInt(input, 10) : parseFloat(input);
+}
+
+function ObjectFields({ schema, value, path, errors, onChange }: Omit<FieldProps, "name" | "required">) {
+  const values = value || {};
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {Object.entries(schema.properties || {}).map(([key, property]) => (
+        <ParameterField
+          key={key}
+          name={key}
+          path={path ? `${path}.${key}` : key}
+          schema={property}
+          value={values[key]}
+          required={schema.required?.includes(key) || false}
+          errors={errors}
+          onChange={(fieldValue) => onChange({ ...values, [key]: fieldValue })}
+        />
+      ))}
+    </div>
+  );
+}
+
+function ParameterField({ name, path, schema, value, required, errors, onChange }: FieldProps) {
+  const label = (
+    <Label htmlFor={path}>
+      {fieldLabel(name, schema)}
+      {required && <span className="text-red-600 ml-1">*</span>}
+    </Label>
+  );
+  const hint = errors[path]
+    ? <p className="text-xs text-red-600">{errors[path]}</p>
+    : schema.description && <p className="text-xs text-muted-foreground">{schema.description}</p>;
+
+  if (schema.type === "object" && schema.properties) {
+    return (
+      <div className="md:col-span-2 space-y-3 p-4 rounded-lg border">
+        {label}
+        {hint}
+        <ObjectFields schema={schema} value={value} path={path} errors={errors} onChange={onChange} />
+      </div>
+    );
+  }
+
+  if (schema.type === "array" && schema.items) {
+    const items: any[] = value || [];
+    const canAdd = schema.maxItems === undefined || items.length < schema.maxItems;
+    const canRemove = items.length > (schema.minItems || 0);
+
+    return (
+      <div className="md:col-span-2 space-y-3">
+        <div className="flex items-center justify-between">
+          {label}
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={!canAdd}
+            onClick={() => onChange([...items, getSchemaDefaults(schema.items!) ?? {}])}
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add
+          </Button>
+        </div>
+        {hint}
+        {items.map((item, index) => (
+          <div key={index} className="p-4 rounded-lg border space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium">#{index + 1}</span>
+              <Button
+                variant="ghost"
+                size="sm"
+                disabled={!canRemove}
+                onClick={() => onChange(items.filter((_, i) => i !== index))}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+            {schema.items!.type === "object" ? (
+              <ObjectFields
+                schema={schema.items!}
+                value={item}
+                path={`${path}.${index}`}
+                errors={errors}
+                onChange={(itemValue) => onChange(items.map((current, i) => (i === index ? itemValue : current)))}
+              />
+            ) : (
+              <ParameterField
+                name={`${name} ${index + 1}`}
+                path={`${path}.${index}`}
+                schema={schema.items!}
+                value={item}
+                required
+                errors={errors}
+                onChange={(itemValue) => onChange(items.map((current, i) => (i === index ? itemValue : current)))}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  if (schema.type === "boolean") {
+    return (
+      <div className="flex items-center justify-between p-3 rounded-lg border">
+        <div className="space-y-1">
+          {label}
+          {hint}
+        </div>
+        <Switch id={path} checked={Boolean(value)} onCheckedChange={onChange} />
+      </div>
+    );
+  }
+
+  if (schema.enum) {
+    return (
+      <div className="space-y-2">
+        {label}
+        <Select
+          value={value === undefined ? undefined : String(value)}
+          onValueChange={(selected) => onChange(schema.enum!.find(option => String(option) === selected))}
+        >
+          <SelectTrigger id={path}>
+            <SelectValue placeholder={`Select ${fieldLabel(name, schema).toLowerCase()}`} />
+          </SelectTrigger>
+          <SelectContent>
+            {schema.enum.map(option => (
+              <SelectItem key={String(option)} value={String(option)}>
+                {String(option)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {hint}
+      </div>
+    );
+  }
+
+  const numeric = schema.type === "number" || schema.type === "integer";
+
+  return (
+    <div className="space-y-2">
+      {label}
+      <Input
+        id={path}
+        type={numeric ? "number" : "text"}
+        min={schema.minimum}
+        max={schema.maximum}
+        step={schema.type === "integer" ? 1 : "any"}
+        value={value ?? ""}
+        onChange={(e) => onChange(numeric ? parseNumber(e.target.value, schema) : e.target.value || undefined)}
+      />
+      {hint}
+    </div>
+  );
+}
+
+/**
+ * Template Parameter Form Component
+ * Renders a strategy template's parameter form from its JSON Schema
+ */
+
+export function TemplateParameterForm({ template, values, onChange, errors = {} }: TemplateParameterFormProps) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Settings className="h-5 w-5" />
+          {template.schema.title || template.name}
+        </CardTitle>
+        <CardDescription>
+          {template.schema.description || template.description}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ObjectFields schema={template.schema} value={values} path="" errors={errors} onChange={onChange} />
+      </CardContent>
+    </Card>
+  );
+}
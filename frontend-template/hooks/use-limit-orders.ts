@@ -11,12 +11,19 @@ interface LimitOrder {
   makingAmount: string;
   takingAmount: string;
   expires: number;
-  status: "active" | "filled" | "cancelled" | "expired";
+  status: "active" | "cancelling" | "filled" | "cancelled" | "expired";
   strategyType?: string;
   createdAt: string;
   updatedAt: string;
 }
 
+// Cancel transaction the maker still has to send for posted orders
+export interface PendingCancel {
+  orderHash: string;
+  cancelledOrders: string[];
+  transaction: { to: string; data: string };
+}
+
 interface Strategy {
   id: string;
   type: string;
@@ -39,6 +46,66 @@ interface OrderHistory {
   createdAt: string;
 }
 
+export interface PredicateNode {
+  type: "and" | "or" | "not" | "timestamp" | "comparison" | "staticCall" | "call" | "legacy" | "unknown";
+  children?: PredicateNode[];
+  child?: PredicateNode;
+  operator?: "lt" | "gt" | "eq";
+  value?: string;
+  time?: string | null;
+  call?: PredicateNode;
+  target?: string;
+  selector?: string;
+  method?: string | null;
+  args?: { name: string; type: string; value: any }[];
+  source?: "block_timestamp" | "price_feed" | "volume_oracle" | null;
+  tokens?: string[];
+  supported?: boolean;
+  data?: string;
+}
+
+export interface PredicateExplanation {
+  tree: PredicateNode | null;
+  summary: string;
+}
+
+export type AnalyticsPeriod = "1d" | "7d" | "30d" | "90d" | "all";
+
+export interface StrategyAnalyticsData {
+  strategyId: string;
+  type: string;
+  status: string;
+  period: AnalyticsPeriod;
+  performance: {
+    realizedPnl: number;
+    unrealizedPnl: number;
+    totalPnl: number;
+    totalVolume: number;
+    averageFillSize: number;
+    fillRate: number;
+    averageExecutionTime: number | null;
+    slippage: { averageBps: number | null; minBps: number | null; maxBps: number | null };
+  };
+  risk: {
+    maxDrawdown: number;
+    sharpeRatio: number | null;
+    volatility: number | null;
+    var95: number;
+    capital: number;
+    observations: number;
+  };
+  execution: {
+    totalOrders: number;
+    filledOrders: number;
+    partiallyFilledOrders: number;
+    cancelledOrders: number;
+    expiredOrders: number;
+    fills: number;
+    partialFills: number;
+  };
+  timestamps: { createdAt: string; updatedAt: string; lastExecution: string | null };
+}
+
 /**
  * Hook for managing limit orders and strategies
  * Based on 1inch Limit Order Protocol documentation
@@ -48,6 +115,7 @@ export function useLimitOrders() {
   const [activeOrders, setActiveOrders] = useState<LimitOrder[]>([]);
   const [strategies, setStrategies] = useState<Strategy[]>([]);
   const [orderHistory, setOrderHistory] = useState<OrderHistory[]>([]);
+  const [pendingCancels, setPendingCancels] = useState<Record<string, PendingCancel>>({});
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
@@ -124,9 +192,17 @@ export function useLimitOrders() {
       const response = await axios.delete(`${API_BASE_URL}/api/limit-orders/cancel/${orderHash}`);
 
       if (response.data.success) {
-        // Update local state
-        setActiveOrders(prev => prev.filter(order => order.orderHash !== orderHash));
-        return { success: true };
+        const { status, cancelledOrders = [], transaction = null } = response.data.result || {};
+        if (status === "cancelling" && transaction) {
+          // Posted orders stay fillable until the maker's cancel transaction is confirmed
+          setPendingCancels(prev => ({ ...prev, [orderHash]: { orderHash, cancelledOrders, transaction } }));
+          setActiveOrders(prev => prev.map(order =>
+            order.orderHash === orderHash ? { ...order, status: "cancelling" } : order
+          ));
+        } else {
+          setActiveOrders(prev => prev.filter(order => order.orderHash !== orderHash));
+        }
+        return { success: true, status, transaction };
       } else {
         throw new Error(response.data.message || "Failed to cancel order");
       }
@@ -138,6 +214,28 @@ export function useLimitOrders() {
     }
   }, [API_BASE_URL]);
 
+  // Confirm a cancel once the maker's cancel transaction is mined
+  const confirmCancel = useCallback(async (orderHash: string, txHash: string) => {
+    try {
+      setError(null);
+
+      const response = await axios.post(`${API_BASE_URL}/api/limit-orders/cancel/${orderHash}/confirm`, { txHash });
+
+      if (response.data.success) {
+        setPendingCancels(({ [orderHash]: _confirmed, ...rest }) => rest);
+        setActiveOrders(prev => prev.filter(order => order.orderHash !== orderHash));
+        return { success: true };
+      } else {
+        throw new Error(response.data.message || "Failed to confirm cancel");
+      }
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || err.message || "Failed to confirm cancel";
+      setError(errorMessage);
+      console.error("Error confirming cancel:", err);
+      return { success: false, error: errorMessage };
+    }
+  }, [API_BASE_URL]);
+
   // Adjust strategy
   const adjustStrategy = useCallback(async (strategyId: string, adjustments: any) => {
     try {
@@ -185,14 +283,16 @@ export function useLimitOrders() {
   }, [API_BASE_URL]);
 
   // Get strategy analytics
-  const getStrategyAnalytics = useCallback(async (strategyId: string) => {
+  const getStrategyAnalytics = useCallback(async (strategyId: string, period: AnalyticsPeriod = "7d") => {
     try {
       setError(null);
 
-      const response = await axios.get(`${API_BASE_URL}/api/enhanced-strategies/analytics/${strategyId}`);
+      const response = await axios.get(`${API_BASE_URL}/api/enhanced-strategies/analytics/${strategyId}`, {
+        params: { period }
+      });
 
       if (response.data.success) {
-        return { success: true, data: response.data.analytics };
+        return { success: true, data: response.data.analytics as StrategyAnalyticsData };
       } else {
         throw new Error(response.data.message || "Failed to fetch strategy analytics");
       }
@@ -204,6 +304,29 @@ export function useLimitOrders() {
     }
   }, [API_BASE_URL]);
 
+  // Decode an order predicate into a readable tree
+  const explainPredicate = useCallback(async (predicate: string, chainId = 1) => {
+    try {
+      setError(null);
+
+      const response = await axios.post(`${API_BASE_URL}/api/limit-orders/predicate/explain`, {
+        predicate,
+        chainId
+      });
+
+      if (response.data.success) {
+        return { success: true, data: response.data.explanation as PredicateExplanation };
+      } else {
+        throw new Error(response.data.message || "Failed to explain predicate");
+      }
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || err.message || "Failed to explain predicate";
+      setError(errorMessage);
+      console.error("Error explaining predicate:", err);
+      return { success: false, error: errorMessage };
+    }
+  }, [API_BASE_URL]);
+
   // Refresh all data
   const refresh = useCallback(async () => {
     await Promise.all([
@@ -232,6 +355,7 @@ export function useLimitOrders() {
     activeOrders,
     strategies,
     orderHistory,
+    pendingCancels,
     isLoading,
     error,
 
@@ -240,9 +364,11 @@ export function useLimitOrders() {
     fetchStrategies,
     fetchOrderHistory,
     cancelOrder,
+    confirmCancel,
     adjustStrategy,
     monitorOrder,
     getStrategyAnalytics,
+    explainPredicate,
     refresh
   };
 }
\ No newline at end of file
@@ -3,22 +3,77 @@
 import { useState, useEffect, useCallback } from "react";
 import axios from "axios";
 
-interface StrategyTemplate {
+/**
+ * JSON Schema (draft-07 subset) describing a template's parameters, as
+ * served by the backend template registry
+ */
+export interface ParameterSchema {
+  type?: "object" | "array" | "string" | "number" | "integer" | "boolean";
+  title?: string;
+  description?: string;
+  enum?: (string | number)[];
+  default?: any;
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  pattern?: string;
+  properties?: Record<string, ParameterSchema>;
+  required?: string[];
+  items?: ParameterSchema;
+  minItems?: number;
+  maxItems?: number;
+}
+
+export interface StrategyTemplate {
   id: string;
   name: string;
   description: string;
-  category: "execution" | "options" | "risk_management" | "custom";
-  parameters: {
-    name: string;
-    type: "string" | "number" | "boolean" | "object";
-    required: boolean;
-    description: string;
-    defaultValue?: any;
-  }[];
-  features: string[];
-  riskLevel: "low" | "medium" | "high";
-  estimatedGas: string;
-  complexity: "simple" | "intermediate" | "advanced";
+  category: "execution" | "options" | "risk_management" | "market_making" | "custom";
+  strategy: string;
+  endpoint?: string;
+  schema: ParameterSchema;
+  rules: { field: string; op: "gt" | "gte" | "lt" | "lte"; than: string; message?: string }[];
+  builtIn: boolean;
+  // User templates: the template they preset and their saved values
+  baseTemplate?: string;
+  defaults?: Record<string, any>;
+  owner?: string | null;
+  features?: string[];
+  riskLevel?: "low" | "medium" | "high";
+  complexity?: "simple" | "intermediate" | "advanced";
+}
+
+export interface SaveTemplateParams {
+  baseTemplate: string;
+  name: string;
+  description?: string;
+  owner?: string;
+  defaults: Record<string, any>;
+}
+
+export interface InstantiateTemplateResult {
+  success: boolean;
+  strategyId?: string;
+  error?: string;
+  // Field-level validation errors, keyed by dotted parameter path
+  fieldErrors?: Record<string, string>;
+}
+
+// Initial form values from the schema defaults
+export function getSchemaDefaults(schema: ParameterSchema): any {
+  if (schema.type === "object" && schema.properties) {
+    const values: Record<string, any> = { ...(schema.default || {}) };
+    for (const [key, property] of Object.entries(schema.properties)) {
+      const value = getSchemaDefaults(property);
+      if (value !== undefined) values[key] = value;
+    }
+    return values;
+  }
+  return schema.default;
+}
+
+function toFieldErrors(details?: { field: string; message: string }[]) {
+  return Object.fromEntries((details || []).map(detail => [detail.field, detail.message]));
 }
 
 /**
@@ -74,6 +129,64 @@ export function useStrategyTemplates() {
     return templates.filter(template => template.riskLevel === riskLevel);
   }, [templates]);
 
+  // Saved presets of a template
+  const getUserTemplates = useCallback((baseTemplate: string) => {
+    return templates.filter(template => !template.builtIn && template.baseTemplate === baseTemplate);
+  }, [templates]);
+
+  // Create the template's strategy; parameters are validated against its schema
+  const instantiateTemplate = useCallback(async (
+    templateId: string,
+    params: Record<string, any>
+  ): Promise<InstantiateTemplateResult> => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/enhanced-strategies/templates/${templateId}/instantiate`,
+        { params }
+      );
+
+      return { success: true, strategyId: response.data.strategy?.strategyId };
+    } catch (err: any) {
+      console.error("Error instantiating strategy template:", err);
+      return {
+        success: false,
+        error: err.response?.data?.message || err.response?.data?.error || err.message || "Failed to instantiate strategy template",
+        fieldErrors: toFieldErrors(err.response?.data?.details)
+      };
+    }
+  }, [API_BASE_URL]);
+
+  // Save parameter values as a user template
+  const saveTemplate = useCallback(async (params: SaveTemplateParams) => {
+    try {
+      setError(null);
+      const response = await axios.post(`${API_BASE_URL}/api/enhanced-strategies/templates`, params);
+      const template: StrategyTemplate = response.data.template;
+
+      setTemplates(current => [...current, template]);
+      return template;
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || "Failed to save strategy template");
+      console.error("Error saving strategy template:", err);
+      return null;
+    }
+  }, [API_BASE_URL]);
+
+  // Delete a user template
+  const deleteTemplate = useCallback(async (templateId: string) => {
+    try {
+      setError(null);
+      await axios.delete(`${API_BASE_URL}/api/enhanced-strategies/templates/${templateId}`);
+
+      setTemplates(current => current.filter(template => template.id !== templateId));
+      return true;
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || "Failed to delete strategy template");
+      console.error("Error deleting strategy template:", err);
+      return false;
+    }
+  }, [API_BASE_URL]);
+
   // Initial data fetch
   useEffect(() => {
     fetchTemplates();
@@ -90,6 +203,10 @@ export function useStrategyTemplates() {
     getTemplateById,
     getTemplatesByCategory,
     getTemplatesByComplexity,
-    getTemplatesByRiskLevel
+    getTemplatesByRiskLevel,
+    getUserTemplates,
+    instantiateTemplate,
+    saveTemplate,
+    deleteTemplate
   };
 }
\ No newline at end of file